@@ -4,16 +4,31 @@ const express = require("express");
 const cors = require("cors");
 const mysql = require("mysql2/promise");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const zlib = require("zlib");
+const { EventEmitter } = require("events");
 const {
   BedrockRuntimeClient,
   InvokeModelCommand,
+  InvokeModelWithResponseStreamCommand,
 } = require("@aws-sdk/client-bedrock-runtime");
 const {
   S3Client,
   PutObjectCommand,
+  GetObjectCommand,
   DeleteObjectCommand,
 } = require("@aws-sdk/client-s3");
 const multer = require("multer");
+const sharp = require("sharp");
+const cheerio = require("cheerio");
+const { diffLines } = require("diff");
+const archiver = require("archiver");
+const AdmZip = require("adm-zip");
+const postcss = require("postcss");
+const tailwindcss = require("tailwindcss");
 
 // =================================================================
 // --- KONFIGURASI UTAMA & INISIALISASI ---
@@ -22,9 +37,22 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 const REGION = "us-west-2"; // Pastikan ini sesuai dengan region AWS Anda
 
-// Konfigurasi Nama Bucket S3 (pastikan namanya unik secara global)
-const ASSET_BUCKET_NAME = "aset-backend-umkm-generator";
-const HOSTING_BUCKET_NAME = "published-website-umkm";
+// Konfigurasi penyimpanan file. STORAGE_DRIVER: "s3" (default) atau "local"
+// (disimpan di disk dan dilayani langsung oleh Express, tanpa AWS).
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "s3";
+const STORAGE_CONFIG = {
+  s3: {
+    region: process.env.S3_REGION || REGION,
+    // Nama Bucket S3 (pastikan namanya unik secara global)
+    assetBucket: process.env.S3_ASSET_BUCKET || "aset-backend-umkm-generator",
+    hostingBucket: process.env.S3_HOSTING_BUCKET || "published-website-umkm",
+  },
+  local: {
+    rootDir: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, "storage"),
+    // URL publik server ini, dipakai untuk membangun URL aset & website
+    publicBaseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`,
+  },
+};
 
 // Koneksi Database MySQL (menggunakan pool untuk efisiensi)
 const dbPool = mysql.createPool({
@@ -37,50 +65,182 @@ const dbPool = mysql.createPool({
   queueLimit: 0, // Tidak ada batasan antrian
 });
 
-// Inisialisasi AWS Clients dengan region yang sudah ditentukan
-const bedrockClient = new BedrockRuntimeClient({ region: REGION });
-const s3Client = new S3Client({ region: REGION });
+// Inisialisasi driver penyimpanan (S3 atau disk lokal)
+const storage = createStorageDriver(STORAGE_DRIVER);
 
 // Konfigurasi Multer untuk menangani upload file di memori
-// File akan disimpan di RAM sementara sebelum diupload ke S3
+// File akan disimpan di RAM sementara sebelum diupload ke storage
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 5 * 1024 * 1024 }, // Batas ukuran file 5MB
 });
 
+// Upload impor HTML (.html atau .zip berisi HTML + gambar) boleh lebih besar dari gambar
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }, // Batas ukuran file 20MB
+});
+
+// Format hasil generate baru: "structured" (dokumen JSON situs yang di-render
+// lewat template) atau "html" (AI menulis HTML lengkap seperti versi awal)
+const GENERATION_FORMAT =
+  process.env.GENERATION_FORMAT === "html" ? "html" : "structured";
+
+// Host yang boleh dipakai sebagai <script src> di HTML hasil AI (dipisah koma)
+const ALLOWED_SCRIPT_HOSTS = (
+  process.env.HTML_ALLOWED_SCRIPT_HOSTS ||
+  "cdn.tailwindcss.com,cdn.jsdelivr.net,unpkg.com,cdnjs.cloudflare.com"
+)
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Email yang otomatis dijadikan admin saat server start (dipisah koma), misal untuk
+// akun pertama yang mengelola preset industri
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// Konfigurasi pemrosesan gambar upload: lebar varian (untuk srcset) & thumbnail
+const IMAGE_VARIANT_WIDTHS = [480, 960, 1600];
+const IMAGE_THUMBNAIL_WIDTH = 200;
+const IMAGE_QUALITY = { jpeg: 80, webp: 78 };
+// Lebar thumbnail versi (screenshot preview di daftar riwayat)
+const VERSION_THUMBNAIL_WIDTH = 320;
+
+// Parameter hashing password (scrypt). Disimpan bersama hash agar bisa dinaikkan kapan saja.
+const PASSWORD_HASH_PREFIX = "scrypt";
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+const PASSWORD_MIN_LENGTH = 8;
+
+// Masa berlaku token. Access token dibuat pendek, refresh token disimpan di server
+// (tabel user_sessions) sehingga bisa dicabut kapan saja.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Refresh token yang baru dirotasi masih diterima selama beberapa detik, karena
+// beberapa tab bisa me-refresh bersamaan dengan token yang sama
+const REFRESH_TOKEN_REUSE_GRACE_SECONDS =
+  Number(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS) || 30;
+
+// Konfigurasi provider AI. Pilih dengan AI_PROVIDER: "bedrock" (default),
+// "anthropic" (endpoint HTTP yang kompatibel dengan Anthropic Messages API),
+// atau "mock" (HTML contoh dari file fixture, tanpa kredensial AWS).
+const AI_PROVIDER = process.env.AI_PROVIDER || "bedrock";
+const AI_PROVIDER_CONFIG = {
+  bedrock: {
+    region: process.env.BEDROCK_REGION || REGION,
+    modelId:
+      process.env.BEDROCK_MODEL_ID ||
+      "anthropic.claude-3-5-sonnet-20240620-v1:0",
+    maxTokens: numberFromEnv("BEDROCK_MAX_TOKENS", 4096),
+    temperature: numberFromEnv("BEDROCK_TEMPERATURE", 0.7),
+  },
+  anthropic: {
+    baseUrl: process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com",
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    apiVersion: process.env.ANTHROPIC_VERSION || "2023-06-01",
+    model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20240620",
+    maxTokens: numberFromEnv("ANTHROPIC_MAX_TOKENS", 4096),
+    temperature: numberFromEnv("ANTHROPIC_TEMPERATURE", 0.7),
+  },
+  mock: {
+    fixturePath:
+      process.env.MOCK_FIXTURE_PATH ||
+      path.join(__dirname, "fixtures", "mock-website.html"),
+    latencyMs: numberFromEnv("MOCK_LATENCY_MS", 0),
+    streamChunkSize: numberFromEnv("MOCK_STREAM_CHUNK_SIZE", 120),
+    streamChunkDelayMs: numberFromEnv("MOCK_STREAM_CHUNK_DELAY_MS", 30),
+  },
+};
+
+// Konfigurasi antrian job generasi (worker berjalan di proses yang sama dengan server)
+const JOB_CONCURRENCY = numberFromEnv("JOB_CONCURRENCY", 2); // Job AI yang boleh berjalan bersamaan
+const JOB_MAX_ATTEMPTS = numberFromEnv("JOB_MAX_ATTEMPTS", 3);
+const JOB_POLL_INTERVAL_MS = numberFromEnv("JOB_POLL_INTERVAL_MS", 1000);
+const JOB_LOCK_TIMEOUT_SECONDS = numberFromEnv("JOB_LOCK_TIMEOUT_SECONDS", 300);
+const JOB_WORKER_ID = `${os.hostname()}-${process.pid}`;
+
 // =================================================================
 // --- MIDDLEWARE GLOBAL ---
 // =================================================================
-app.use(cors()); // Mengizinkan request dari frontend (beda port/domain)
+// Mengizinkan request dari frontend (beda port/domain); Content-Disposition dibuka
+// agar frontend bisa membaca nama file ZIP ekspor
+app.use(cors({ exposedHeaders: ["Content-Disposition"] }));
 app.use(express.json({ limit: "10mb" })); // Mengizinkan request body JSON, dengan batas 10MB
+storage.mount(app); // Driver lokal melayani aset & website yang dipublikasikan dari Express
 
 // =================================================================
 // --- MIDDLEWARE AUTENTIKASI ---
 // Digunakan untuk melindungi rute yang memerlukan token JWT
 // =================================================================
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers["authorization"];
   // Format: "Bearer TOKEN_ANDA"
   const token = authHeader && authHeader.split(" ")[1];
 
   if (token == null) {
     // Jika tidak ada token, kirim status 401 Unauthorized
-    return res
-      .status(401)
-      .json({ message: "Akses ditolak: Token tidak ditemukan." });
+    return res.status(401).json({
+      message: "Akses ditolak: Token tidak ditemukan.",
+      code: "TOKEN_MISSING",
+    });
   }
 
   // Verifikasi token menggunakan JWT_SECRET dari environment variables
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      // Jika token tidak valid atau kadaluarsa, kirim status 403 Forbidden
-      return res
-        .status(403)
-        .json({ message: "Akses ditolak: Token tidak valid." });
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      // Token kadaluarsa: frontend akan memakai refresh token untuk memperbarui
+      return res.status(401).json({
+        message: "Akses ditolak: Token sudah kadaluarsa.",
+        code: "TOKEN_EXPIRED",
+      });
     }
-    req.user = user; // Simpan payload user ke objek request
-    next(); // Lanjutkan ke handler rute berikutnya
-  });
+    // Jika token tidak valid, kirim status 403 Forbidden
+    return res.status(403).json({
+      message: "Akses ditolak: Token tidak valid.",
+      code: "TOKEN_INVALID",
+    });
+  }
+
+  try {
+    // Cek pencabutan: token hanya berlaku selama sesinya masih aktif di database
+    const [sessions] = await dbPool.query(
+      "SELECT id FROM user_sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()",
+      [payload.sid || "", payload.id]
+    );
+    if (sessions.length === 0) {
+      return res.status(401).json({
+        message: "Akses ditolak: Sesi sudah berakhir.",
+        code: "SESSION_REVOKED",
+      });
+    }
+  } catch (error) {
+    console.error("Error saat memeriksa sesi:", error);
+    return res.status(500).json({ message: "Terjadi kesalahan pada server." });
+  }
+
+  req.user = payload; // Simpan payload user ke objek request
+  next(); // Lanjutkan ke handler rute berikutnya
+};
+
+// Hanya untuk rute admin (dipasang setelah authenticateToken). Role dibaca dari database,
+// bukan dari JWT, agar pencabutan hak admin langsung berlaku.
+const requireAdmin = async (req, res, next) => {
+  try {
+    const [users] = await dbPool.query("SELECT role FROM users WHERE id = ?", [req.user.id]);
+    if (users.length === 0 || users[0].role !== "admin") {
+      return res.status(403).json({ error: "Hanya admin yang boleh mengakses fitur ini." });
+    }
+    next();
+  } catch (error) {
+    console.error("Error saat memeriksa role admin:", error);
+    res.status(500).json({ error: "Terjadi kesalahan pada server." });
+  }
 };
 
 // =================================================================
@@ -97,6 +257,17 @@ app.post("/api/auth/register", async (req, res) => {
         .status(400)
         .json({ message: "Nama, email, dan password harus diisi." });
     }
+    if ([name, email, password].some((value) => typeof value !== "string")) {
+      return res
+        .status(400)
+        .json({ message: "Nama, email, dan password harus berupa teks." });
+    }
+
+    // Validasi kekuatan password sebelum menyentuh database
+    const passwordError = validatePasswordStrength(password, { name, email });
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
 
     // Cek apakah email sudah terdaftar di database
     const [existingUsers] = await dbPool.query(
@@ -107,11 +278,11 @@ app.post("/api/auth/register", async (req, res) => {
       return res.status(409).json({ message: "Email sudah terdaftar." }); // 409 Conflict
     }
 
-    // Simpan user baru ke database
-    // Catatan: Dalam aplikasi nyata, password harus di-hash (misal dengan bcrypt)
+    // Simpan user baru ke database dengan password yang sudah di-hash
+    const passwordHash = await hashPassword(password);
     const [result] = await dbPool.query(
       "INSERT INTO users (name, email, password) VALUES (?, ?, ?)",
-      [name, email, password]
+      [name, email, passwordHash]
     );
 
     console.log(`User baru terdaftar: ${email}`);
@@ -134,6 +305,12 @@ app.post("/api/auth/login", async (req, res) => {
         .status(400)
         .json({ message: "Email dan password harus diisi." });
     }
+    // Objek/angka dari body JSON tidak boleh sampai ke query dan scrypt
+    if (typeof email !== "string" || typeof password !== "string") {
+      return res
+        .status(400)
+        .json({ message: "Email dan password harus berupa teks." });
+    }
 
     // Cari user berdasarkan email di database
     const [users] = await dbPool.query("SELECT * FROM users WHERE email = ?", [
@@ -145,27 +322,173 @@ app.post("/api/auth/login", async (req, res) => {
 
     const user = users[0];
 
-    // Bandingkan password (di aplikasi nyata, bandingkan dengan hash password)
-    const isMatch = password === user.password; // Harusnya bcrypt.compare(password, user.passwordHash)
+    // Bandingkan password dengan hash. Akun lama masih menyimpan plaintext,
+    // jadi verifyPassword juga menangani format tersebut.
+    const isMatch = await verifyPassword(password, user.password);
     if (!isMatch) {
       return res.status(401).json({ message: "Email atau password salah." });
     }
 
-    // Buat JWT Token
-    const accessToken = jwt.sign(
-      { id: user.id, name: user.name, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" } // Token berlaku 1 hari
+    // Migrasi transparan: password plaintext lama langsung di-hash ulang di tempat
+    if (!isPasswordHash(user.password)) {
+      try {
+        const passwordHash = await hashPassword(password);
+        await dbPool.query(
+          "UPDATE users SET password = ? WHERE id = ? AND password = ?",
+          [passwordHash, user.id, user.password]
+        );
+        console.log(`Password user ID ${user.id} dimigrasikan ke hash.`);
+      } catch (migrationError) {
+        // Login tetap dilanjutkan, migrasi akan dicoba lagi pada login berikutnya
+        console.error("Gagal memigrasikan password lama:", migrationError);
+      }
+    }
+
+    // Buat sesi baru (refresh token) lalu access token yang terikat ke sesi tersebut
+    const { sessionId, refreshToken } = await createSession(
+      user.id,
+      req.headers["user-agent"]
     );
+    const accessToken = signAccessToken(user, sessionId);
 
     console.log(`User login berhasil: ${email}`);
-    res.json({ accessToken });
+    res.json({ accessToken, refreshToken });
   } catch (error) {
     console.error("Error di /api/auth/login:", error);
     res.status(500).json({ message: "Terjadi kesalahan pada server." });
   }
 });
 
+// Rute untuk memperbarui access token menggunakan refresh token (rotasi)
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res
+        .status(400)
+        .json({ message: "Refresh token harus diisi.", code: "TOKEN_MISSING" });
+    }
+    if (typeof refreshToken !== "string") {
+      return res
+        .status(400)
+        .json({ message: "Refresh token harus berupa teks.", code: "TOKEN_INVALID" });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const [sessions] = await dbPool.query(
+      `SELECT s.id, s.user_id, u.name, u.email
+       FROM user_sessions s JOIN users u ON u.id = s.user_id
+       WHERE s.refresh_token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+      [tokenHash]
+    );
+
+    const sendAccessToken = (session, newRefreshToken) => {
+      const accessToken = signAccessToken(
+        { id: session.user_id, name: session.name, email: session.email },
+        session.id
+      );
+      // Tanpa refresh token baru, frontend tetap memakai refresh token yang tersimpan
+      res.json(newRefreshToken ? { accessToken, refreshToken: newRefreshToken } : { accessToken });
+    };
+
+    if (sessions.length === 0) {
+      // Tab lain baru saja merotasi token ini: beri access token tanpa rotasi ulang
+      const rotatedSession = await findRecentlyRotatedSession(tokenHash);
+      if (rotatedSession) {
+        return sendAccessToken(rotatedSession);
+      }
+
+      // Token lama yang sudah dirotasi dipakai lagi: kemungkinan bocor, cabut sesinya
+      const [reused] = await dbPool.query(
+        "UPDATE user_sessions SET revoked_at = NOW() WHERE previous_token_hash = ? AND revoked_at IS NULL",
+        [tokenHash]
+      );
+      if (reused.affectedRows > 0) {
+        console.warn("Refresh token lama dipakai ulang, sesi dicabut.");
+      }
+      return res.status(401).json({
+        message: "Sesi tidak valid, silakan login kembali.",
+        code: "SESSION_REVOKED",
+      });
+    }
+
+    const session = sessions[0];
+    const newRefreshToken = generateRefreshToken();
+    const [result] = await dbPool.query(
+      `UPDATE user_sessions
+       SET refresh_token_hash = ?, previous_token_hash = ?, last_used_at = NOW(),
+           expires_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+       WHERE id = ? AND refresh_token_hash = ?`,
+      [
+        hashToken(newRefreshToken),
+        tokenHash,
+        REFRESH_TOKEN_TTL_DAYS,
+        session.id,
+        tokenHash,
+      ]
+    );
+    if (result.affectedRows === 0) {
+      // Request refresh lain sudah merotasi token ini lebih dulu (di antara SELECT & UPDATE)
+      const rotatedSession = await findRecentlyRotatedSession(tokenHash);
+      if (rotatedSession) {
+        return sendAccessToken(rotatedSession);
+      }
+      return res.status(401).json({
+        message: "Sesi tidak valid, silakan login kembali.",
+        code: "SESSION_REVOKED",
+      });
+    }
+
+    sendAccessToken(session, newRefreshToken);
+  } catch (error) {
+    console.error("Error di /api/auth/refresh:", error);
+    res.status(500).json({ message: "Terjadi kesalahan pada server." });
+  }
+});
+
+// Rute untuk logout: cabut sesi perangkat ini, atau semua sesi milik user
+// Tidak memerlukan access token agar tetap bisa logout walau token sudah kadaluarsa
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token harus diisi." });
+    }
+    if (typeof refreshToken !== "string") {
+      return res.status(400).json({ message: "Refresh token harus berupa teks." });
+    }
+
+    const [sessions] = await dbPool.query(
+      "SELECT id, user_id FROM user_sessions WHERE refresh_token_hash = ?",
+      [hashToken(refreshToken)]
+    );
+    if (sessions.length === 0) {
+      // Sesi sudah tidak ada: anggap logout sudah berhasil
+      return res.json({ message: "Logout berhasil." });
+    }
+
+    const session = sessions[0];
+    if (allDevices) {
+      await dbPool.query(
+        "UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+        [session.user_id]
+      );
+      console.log(`Semua sesi user ID ${session.user_id} dicabut.`);
+    } else {
+      await dbPool.query(
+        "UPDATE user_sessions SET revoked_at = NOW() WHERE id = ?",
+        [session.id]
+      );
+      console.log(`Sesi ${session.id} milik user ID ${session.user_id} dicabut.`);
+    }
+
+    res.json({ message: "Logout berhasil." });
+  } catch (error) {
+    console.error("Error di /api/auth/logout:", error);
+    res.status(500).json({ message: "Terjadi kesalahan pada server." });
+  }
+});
+
 app.get('/health', (req, res) => {
     // Cukup kirim respons 200 OK untuk memberitahu Load Balancer bahwa aplikasi berjalan
     res.status(200).send('Ok');
@@ -183,7 +506,7 @@ app.get("/api/auth/me", authenticateToken, async (req, res) => {
   try {
     // req.user berasal dari payload JWT yang sudah diverifikasi
     const [users] = await dbPool.query(
-      "SELECT id, name, email, published_url, published_generation_id FROM users WHERE id = ?",
+      "SELECT id, name, email, role FROM users WHERE id = ?",
       [req.user.id]
     );
     if (users.length === 0) {
@@ -199,379 +522,5724 @@ app.get("/api/auth/me", authenticateToken, async (req, res) => {
 // Terapkan middleware autentikasi untuk semua rute di bawah ini
 app.use(authenticateToken);
 
-// Endpoint untuk mengunggah gambar ke S3
-app.post("/api/upload", upload.single("image"), async (req, res) => {
-  // Cek jika tidak ada file yang di-upload
-  if (!req.file) {
-    return res.status(400).json({ error: "Tidak ada file yang diunggah." });
-  }
-
-  const file = req.file;
-  // Membuat nama file unik untuk mencegah konflik
-  const fileName = `${Date.now()}-${file.originalname.replace(/\s/g, "_")}`;
-
-  // Menyiapkan parameter untuk diunggah ke S3
-  const uploadParams = {
-    Bucket: ASSET_BUCKET_NAME, // Menggunakan bucket untuk aset
-    Key: fileName,
-    Body: file.buffer,
-    ContentType: file.mimetype,
-  };
+// =================================================================
+// --- PROJECT (SATU AKUN BISA MEMILIKI BEBERAPA WEBSITE/BISNIS) ---
+// =================================================================
 
+// Endpoint untuk mengambil daftar project milik user
+app.get("/api/projects", async (req, res) => {
   try {
-    // Mengirim perintah upload ke S3
-    await s3Client.send(new PutObjectCommand(uploadParams));
-    // Membuat URL publik secara manual agar bisa diakses
-    const imageUrl = `https://${ASSET_BUCKET_NAME}.s3.${REGION}.amazonaws.com/${fileName}`;
-
-    console.log(
-      `[${new Date().toLocaleTimeString()}] Upload berhasil. URL: ${imageUrl}`
+    const [projects] = await dbPool.query(
+      `SELECT p.id, p.name, p.created_at, p.updated_at,
+              COUNT(g.id) AS generation_count, MAX(g.created_at) AS last_generated_at
+       FROM projects p
+       LEFT JOIN generations g ON g.project_id = p.id
+       WHERE p.user_id = ?
+       GROUP BY p.id
+       ORDER BY p.updated_at DESC`,
+      [req.user.id]
     );
-    res.json({ url: imageUrl });
+    res.json(projects);
   } catch (error) {
-    console.error("Error saat upload ke S3:", error);
-    res.status(500).json({ error: "Gagal mengunggah file ke S3." });
+    console.error("Error di /api/projects:", error);
+    res.status(500).json({ error: "Gagal mengambil daftar project." });
   }
 });
 
-// Endpoint untuk generate website baru menggunakan Bedrock
-app.post("/api/generate", async (req, res) => {
+// Endpoint untuk membuat project baru
+app.post("/api/projects", async (req, res) => {
   try {
-    const { userPrompt, imageUrls } = req.body;
-    const userId = req.user.id; // Diperoleh dari JWT payload
-
-    if (!userPrompt) {
-      return res.status(400).json({ error: "Prompt tidak boleh kosong" });
+    const name = normalizeProjectName(req.body.name);
+    if (!name) {
+      return res.status(400).json({ error: "Nama project tidak boleh kosong." });
     }
 
-    console.log(
-      `[${new Date().toLocaleTimeString()}] Menerima permintaan /api/generate dari user ID: ${userId}`
-    );
-
-    const systemPrompt = createSystemPrompt(false); // Untuk generate baru
-    const userMessages = [
-      {
-        role: "user",
-        content: [
-          {
-            type: "text",
-            text: `Deskripsi bisnis: "${userPrompt}".\n\nDaftar URL gambar: ${
-              imageUrls.length > 0 ? imageUrls.join(", ") : "Tidak ada"
-            }`,
-          },
-        ],
-      },
-    ];
-
-    const htmlCode = await invokeBedrock(systemPrompt, userMessages);
-
-    // Simpan hasil generasi ke database
-    await dbPool.query(
-      "INSERT INTO generations (user_id, html_code) VALUES (?, ?)",
-      [userId, htmlCode]
+    const [result] = await dbPool.query(
+      "INSERT INTO projects (user_id, name) VALUES (?, ?)",
+      [req.user.id, name]
     );
+    const project = await findUserProject(result.insertId, req.user.id);
 
-    console.log(`Riwayat generate disimpan untuk user ID: ${userId}`);
-
-    res.json({ htmlCode });
+    console.log(`Project "${name}" dibuat untuk user ID: ${req.user.id}`);
+    res.status(201).json(project);
   } catch (error) {
-    console.error("Error di /api/generate:", error);
-    res.status(500).json({ error: "Gagal menghasilkan website." });
+    console.error("Error di /api/projects (POST):", error);
+    res.status(500).json({ error: "Gagal membuat project." });
   }
 });
 
-// Endpoint untuk mengedit website yang sudah ada
-app.post("/api/edit", async (req, res) => {
+// Endpoint untuk mengganti nama project
+app.patch("/api/projects/:id", async (req, res) => {
   try {
-    const { userPrompt, imageUrls, currentHtml } = req.body;
-    const userId = req.user.id;
-
-    if (!userPrompt || !currentHtml) {
-      return res
-        .status(400)
-        .json({ error: "Data tidak lengkap untuk mengedit." });
+    const name = normalizeProjectName(req.body.name);
+    if (!name) {
+      return res.status(400).json({ error: "Nama project tidak boleh kosong." });
     }
 
-    console.log(
-      `[${new Date().toLocaleTimeString()}] Menerima permintaan /api/edit dari user ID: ${userId}`
-    );
-
-    const systemPrompt = createSystemPrompt(true); // Untuk mode edit
-    const userMessages = [
-      {
-        role: "user",
-        content: [
-          {
-            type: "text",
-            text: `PERMINTAAN EDIT: "${userPrompt}"\n\nDaftar URL gambar yang tersedia: ${
-              imageUrls.length > 0 ? imageUrls.join(", ") : "Tidak ada"
-            }\n\nKODE HTML SAAT INI UNTUK DIEDIT:\n\`\`\`html\n${currentHtml}\n\`\`\``,
-          },
-        ],
-      },
-    ];
-
-    const htmlCode = await invokeBedrock(systemPrompt, userMessages);
-
-    // Simpan hasil editan sebagai generasi baru di database
-    await dbPool.query(
-      "INSERT INTO generations (user_id, html_code) VALUES (?, ?)",
-      [userId, htmlCode]
+    const [result] = await dbPool.query(
+      "UPDATE projects SET name = ? WHERE id = ? AND user_id = ?",
+      [name, req.params.id, req.user.id]
     );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Project tidak ditemukan." });
+    }
 
-    console.log(`Riwayat edit disimpan untuk user ID: ${userId}`);
-
-    res.json({ htmlCode });
+    res.json(await findUserProject(req.params.id, req.user.id));
   } catch (error) {
-    console.error("Error di /api/edit:", error);
-    res.status(500).json({ error: "Gagal mengedit website." });
+    console.error("Error di /api/projects/:id (PATCH):", error);
+    res.status(500).json({ error: "Gagal mengganti nama project." });
   }
 });
 
-// Endpoint untuk mengambil daftar riwayat generasi website pengguna
-app.get("/api/generations", async (req, res) => {
+// Endpoint untuk mengambil pengaturan integrasi WhatsApp project
+app.get("/api/projects/:id/whatsapp", async (req, res) => {
   try {
-    const userId = req.user.id;
+    const project = await findUserProject(req.params.id, req.user.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project tidak ditemukan." });
+    }
+    res.json(await loadWhatsAppSettings(project.id));
+  } catch (error) {
+    console.error("Error di /api/projects/:id/whatsapp:", error);
+    res.status(500).json({ error: "Gagal mengambil pengaturan WhatsApp." });
+  }
+});
 
-    // Ambil semua riwayat untuk user ini, diurutkan dari yang PALING LAMA ke PALING BARU
-    const [historyFromDb] = await dbPool.query(
-      "SELECT id, LEFT(html_code, 100) as preview, created_at FROM generations WHERE user_id = ? ORDER BY created_at ASC",
-      [userId]
+// Endpoint untuk menyimpan pengaturan WhatsApp. Berlaku untuk versi yang disimpan
+// berikutnya dan setiap kali website dipublikasikan atau diekspor.
+app.put("/api/projects/:id/whatsapp", async (req, res) => {
+  try {
+    const settings = normalizeWhatsAppSettings(req.body);
+    const [result] = await dbPool.query(
+      "UPDATE projects SET whatsapp_settings = ? WHERE id = ? AND user_id = ?",
+      [JSON.stringify(settings), req.params.id, req.user.id]
     );
-
-    // --- LOGIKA UNTUK MEMBUAT NOMOR VERSI ---
-    // Kita akan menambahkan nomor versi secara manual di sini, karena urutan di database bisa berubah
-    const historyWithVersion = historyFromDb.map((item, index) => ({
-      ...item,
-      version_number: index + 1, // Item pertama (paling lama) akan jadi Versi #1, dst.
-    }));
-
-    // Balik urutan array agar yang terbaru muncul di atas saat ditampilkan di frontend
-    const finalHistory = historyWithVersion.reverse();
-
-    res.json(finalHistory);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Project tidak ditemukan." });
+    }
+    res.json(await loadWhatsAppSettings(req.params.id));
   } catch (error) {
-    console.error("Error di /api/generations:", error);
-    res.status(500).json({ error: "Gagal mengambil riwayat." });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error di /api/projects/:id/whatsapp (PUT):", error);
+    res.status(500).json({ error: "Gagal menyimpan pengaturan WhatsApp." });
   }
 });
 
-// Endpoint untuk mengambil konten HTML dari satu riwayat berdasarkan ID
-app.get("/api/generations/:id", async (req, res) => {
+// Endpoint untuk mengambil bahasa tambahan website project beserta pilihan yang tersedia
+app.get("/api/projects/:id/languages", async (req, res) => {
   try {
-    const userId = req.user.id;
-    const generationId = req.params.id;
+    const project = await findUserProject(req.params.id, req.user.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project tidak ditemukan." });
+    }
+    res.json({
+      languages: await loadProjectLanguages(project.id),
+      available: Object.entries(SITE_LANGUAGES).map(([code, label]) => ({ code, label })),
+    });
+  } catch (error) {
+    console.error("Error di /api/projects/:id/languages:", error);
+    res.status(500).json({ error: "Gagal mengambil pengaturan bahasa." });
+  }
+});
 
-    // Security Check: Pastikan user hanya bisa mengambil riwayat miliknya sendiri
-    const [rows] = await dbPool.query(
-      "SELECT html_code FROM generations WHERE id = ? AND user_id = ?",
-      [generationId, userId]
+// Endpoint untuk mengganti bahasa tambahan. Terjemahan dibuat saat versi berikutnya
+// disimpan (generate/edit) dan saat website dipublikasikan.
+app.put("/api/projects/:id/languages", async (req, res) => {
+  try {
+    const languages = normalizeLanguageList(req.body.languages);
+    const [result] = await dbPool.query(
+      "UPDATE projects SET languages = ? WHERE id = ? AND user_id = ?",
+      [JSON.stringify(languages), req.params.id, req.user.id]
     );
-
-    if (rows.length === 0) {
-      return res.status(404).json({
-        error: "Riwayat tidak ditemukan atau Anda tidak memiliki akses.",
-      });
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Project tidak ditemukan." });
     }
-
-    res.json({ html_code: rows[0].html_code });
+    res.json({ languages });
   } catch (error) {
-    console.error("Error di /api/generations/:id :", error);
-    res.status(500).json({ error: "Gagal mengambil detail riwayat." });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error di /api/projects/:id/languages (PUT):", error);
+    res.status(500).json({ error: "Gagal menyimpan pengaturan bahasa." });
   }
 });
 
-// Endpoint untuk menghapus satu riwayat generasi website
-app.delete("/api/generations/:id", async (req, res) => {
+// Endpoint untuk mengambil pengaturan SEO project (judul, deskripsi, gambar share, logo)
+app.get("/api/projects/:id/seo", async (req, res) => {
   try {
-    const userId = req.user.id;
-    const generationId = req.params.id;
+    const project = await findUserProject(req.params.id, req.user.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project tidak ditemukan." });
+    }
+    res.json(await loadSeoSettings(project.id));
+  } catch (error) {
+    console.error("Error di /api/projects/:id/seo:", error);
+    res.status(500).json({ error: "Gagal mengambil pengaturan SEO." });
+  }
+});
 
-    // Security Check: Pastikan user hanya bisa menghapus riwayat miliknya sendiri
+// Endpoint untuk menyimpan pengaturan SEO. Tag SEO disusun ulang setiap kali website
+// dipublikasikan, jadi perubahan berlaku di publikasi berikutnya.
+app.put("/api/projects/:id/seo", async (req, res) => {
+  try {
+    const settings = await normalizeSeoSettings(req.body, req.user.id);
     const [result] = await dbPool.query(
-      "DELETE FROM generations WHERE id = ? AND user_id = ?",
-      [generationId, userId]
+      "UPDATE projects SET seo_settings = ? WHERE id = ? AND user_id = ?",
+      [JSON.stringify(settings), req.params.id, req.user.id]
     );
-
     if (result.affectedRows === 0) {
-      return res.status(404).json({
-        error: "Riwayat tidak ditemukan atau Anda tidak memiliki akses.",
-      });
+      return res.status(404).json({ error: "Project tidak ditemukan." });
     }
-
-    console.log(
-      `Riwayat ID ${generationId} untuk user ID ${userId} berhasil dihapus.`
-    );
-    res.status(200).json({ message: "Riwayat berhasil dihapus." });
+    res.json(settings);
   } catch (error) {
-    console.error("Error di /api/generations/:id (DELETE):", error);
-    res.status(500).json({ error: "Gagal menghapus riwayat." });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error di /api/projects/:id/seo (PUT):", error);
+    res.status(500).json({ error: "Gagal menyimpan pengaturan SEO." });
   }
 });
 
-// Endpoint untuk mempublikasikan website yang sudah digenerate ke S3 Static Website Hosting
-app.post("/api/publish/:id", async (req, res) => {
+// Endpoint untuk menghapus project beserta seluruh riwayatnya
+app.delete("/api/projects/:id", async (req, res) => {
+  const userId = req.user.id;
+  const projectId = req.params.id;
   try {
-    const userId = req.user.id;
-    const generationId = req.params.id;
+    const project = await findUserProject(projectId, userId);
+    if (!project) {
+      return res.status(404).json({ error: "Project tidak ditemukan." });
+    }
 
-    // Cek apakah user sudah punya link yang terpublikasi sebelumnya
-    const [users] = await dbPool.query(
-      "SELECT published_url FROM users WHERE id = ?",
-      [userId]
+    // Project yang websitenya sedang live tidak boleh ikut terhapus
+    const [published] = await dbPool.query(
+      "SELECT id FROM published_sites WHERE project_id = ?",
+      [projectId]
     );
-    if (users[0].published_url) {
+    if (published.length > 0) {
       return res.status(409).json({
         error:
-          "Anda sudah memiliki website yang terpublikasi. Hapus terlebih dahulu untuk mempublikasikan versi baru.",
+          "Project ini memiliki versi yang sedang dipublikasikan. Hapus publikasi terlebih dahulu.",
       });
     }
 
-    // Ambil HTML dari database berdasarkan generationId dan userId (security check)
-    const [rows] = await dbPool.query(
-      "SELECT html_code FROM generations WHERE id = ? AND user_id = ?",
-      [generationId, userId]
+    const [thumbnails] = await dbPool.query(
+      "SELECT thumbnail_key FROM generations WHERE project_id = ? AND user_id = ? AND thumbnail_key IS NOT NULL",
+      [projectId, userId]
     );
-    if (rows.length === 0) {
-      return res.status(404).json({
-        error: "Riwayat tidak ditemukan atau Anda tidak memiliki akses.",
-      });
+
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.query(
+        "UPDATE generation_jobs SET status = 'cancelled', finished_at = NOW() WHERE project_id = ? AND status IN ('queued', 'running')",
+        [projectId]
+      );
+      await connection.query(
+        "DELETE FROM generations WHERE project_id = ? AND user_id = ?",
+        [projectId, userId]
+      );
+      await connection.query("DELETE FROM translations WHERE project_id = ?", [projectId]);
+      // Gambar tetap ada di media library, hanya dilepas dari project ini
+      await connection.query(
+        "UPDATE assets SET project_id = NULL WHERE project_id = ? AND user_id = ?",
+        [projectId, userId]
+      );
+      await connection.query("DELETE FROM projects WHERE id = ? AND user_id = ?", [
+        projectId,
+        userId,
+      ]);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
     }
+    await deleteThumbnails(thumbnails.map((row) => row.thumbnail_key));
 
-    const htmlCode = rows[0].html_code;
+    console.log(`Project ID ${projectId} milik user ID ${userId} dihapus.`);
+    res.json({ message: "Project berhasil dihapus." });
+  } catch (error) {
+    console.error("Error di /api/projects/:id (DELETE):", error);
+    res.status(500).json({ error: "Gagal menghapus project." });
+  }
+});
 
-    // Upload file HTML ke S3 Hosting Bucket. Key unik per user.
-    const uploadParams = {
-      Bucket: HOSTING_BUCKET_NAME,
-      Key: `${userId}/index.html`, // Contoh: 1/index.html
-      Body: htmlCode,
-      ContentType: "text/html",
-    };
-    await s3Client.send(new PutObjectCommand(uploadParams));
+// Endpoint untuk mengimpor HTML yang sudah dimiliki user (file .html, .zip berisi HTML
+// + gambar, atau kode yang ditempel) sebagai versi awal project. Gambar bawaan (data URI
+// atau file di dalam ZIP) dipindahkan ke media library, lalu HTML melewati validasi &
+// sanitasi yang sama dengan hasil AI. Setelah itu versi bisa diedit lewat /api/edit.
+app.post("/api/projects/:id/import", importUpload.single("file"), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const project = await findUserProject(req.params.id, userId);
+    if (!project) {
+      return res.status(404).json({ error: "Project tidak ditemukan." });
+    }
 
-    // Buat URL publik untuk website yang di-host di S3
-    const publicUrl = `http://${HOSTING_BUCKET_NAME}.s3-website.${REGION}.amazonaws.com/${userId}/`;
+    let source;
+    try {
+      source = readImportSource(req.file, req.body.htmlCode);
+    } catch (error) {
+      if (error.code !== "IMPORT_INVALID") throw error;
+      return res.status(400).json({ error: error.message });
+    }
 
-    // Simpan URL publik dan ID generasi ke tabel user
-    await dbPool.query(
-      "UPDATE users SET published_url = ?, published_generation_id = ? WHERE id = ?",
-      [publicUrl, generationId, userId]
-    );
+    const imported = await extractImportedImages(userId, project.id, source);
+    const { htmlCode, report } = prepareGeneratedHtml(imported.html);
+    report.warnings.push(...imported.warnings);
+    const saved = await saveGeneration({
+      userId,
+      projectId: project.id,
+      htmlCode,
+      validationReport: report,
+      source: "import",
+    });
 
     console.log(
-      `Website untuk user ${userId} berhasil dipublikasikan di ${publicUrl}`
+      `HTML diimpor ke project ID ${project.id} (${imported.images.length} gambar dipindahkan).`
     );
-    res.json({ publicUrl });
+    res.status(201).json({
+      ...saved,
+      site: null,
+      validationReport: report,
+      images: imported.images,
+    });
   } catch (error) {
-    console.error("Error di /api/publish:", error);
-    res.status(500).json({ error: "Gagal mempublikasikan website." });
+    if (error.code === "HTML_INVALID") {
+      return res.status(422).json({
+        error: "HTML yang diimpor tidak valid. Pastikan berisi dokumen HTML dengan konten di dalam <body>.",
+        code: error.code,
+        report: error.report,
+      });
+    }
+    console.error("Error di /api/projects/:id/import:", error);
+    res.status(500).json({ error: "Gagal mengimpor HTML." });
   }
 });
 
-// Endpoint untuk menghapus publikasi website (unpublish)
-app.delete("/api/publish", async (req, res) => {
+// Endpoint untuk mengunggah gambar ke storage aset
+app.post("/api/upload", upload.single("image"), async (req, res) => {
+  // Cek jika tidak ada file yang di-upload
+  if (!req.file) {
+    return res.status(400).json({ error: "Tidak ada file yang diunggah." });
+  }
+
+  const file = req.file;
+  const userId = req.user.id;
+  const { projectId } = req.body; // Dikirim sebagai field form bersama file
+
+  // Jenis file ditentukan dari isi file (magic bytes), bukan mimetype dari client
+  const format = detectImageFormat(file.buffer);
+  if (!format) {
+    return res.status(400).json({
+      error: "File bukan gambar yang didukung. Gunakan JPG, PNG, atau WebP.",
+    });
+  }
+
   try {
-    const userId = req.user.id;
+    if (!(await findUserProject(projectId, userId))) {
+      return res.status(404).json({ error: "Project tidak ditemukan." });
+    }
 
-    // Hapus file HTML dari S3 Hosting Bucket
-    const deleteParams = {
-      Bucket: HOSTING_BUCKET_NAME,
-      Key: `${userId}/index.html`,
-    };
-    await s3Client.send(new DeleteObjectCommand(deleteParams));
+    let image;
+    try {
+      image = await storeImageAsset(userId, projectId, file.buffer, {
+        format,
+        name: path.parse(file.originalname).name,
+      });
+    } catch (error) {
+      if (error.code !== "IMAGE_INVALID") throw error;
+      console.error("Gagal memproses gambar:", error.message);
+      return res.status(400).json({ error: "File gambar rusak atau tidak bisa dibaca." });
+    }
 
-    // Hapus URL publik dan ID generasi dari tabel user di database
-    await dbPool.query(
-      "UPDATE users SET published_url = NULL, published_generation_id = NULL WHERE id = ?",
-      [userId]
+    console.log(
+      `[${new Date().toLocaleTimeString()}] Upload berhasil (${image.variants.length} varian). URL: ${image.url}`
     );
-
-    console.log(`Publikasi untuk user ${userId} berhasil dihapus.`);
-    res.status(200).json({ message: "Publikasi berhasil dihapus." });
+    res.json(image);
   } catch (error) {
-    console.error("Error di /api/publish (DELETE):", error);
-    res.status(500).json({ error: "Gagal menghapus publikasi." });
+    console.error("Error saat upload ke storage:", error);
+    res.status(500).json({ error: "Gagal mengunggah file." });
   }
 });
 
 // =================================================================
-// --- FUNGSI UTAMA UNTUK MENGHUBUNGI AWS BEDROCK ---
+// --- MEDIA LIBRARY (GAMBAR YANG PERNAH DIUNGGAH USER) ---
 // =================================================================
-async function invokeBedrock(systemPrompt, userMessages) {
-  const modelId = "anthropic.claude-3-5-sonnet-20240620-v1:0"; // Model yang digunakan
 
-  const payload = {
-    anthropic_version: "bedrock-2023-05-31",
-    max_tokens: 4096, // Jumlah maksimal token yang dihasilkan AI
-    temperature: 0.7, // Tingkat kreativitas (0.0 - 1.0)
-    system: systemPrompt, // Instruksi sistem
-    messages: userMessages, // Pesan dari pengguna
-  };
+// Endpoint untuk mengambil daftar gambar. Tanpa `projectId`, semua gambar milik user
+// (lintas project) dikembalikan agar bisa dipakai ulang di project lain.
+app.get("/api/assets", async (req, res) => {
+  try {
+    const { projectId, tag, search } = req.query;
+    const conditions = ["user_id = ?"];
+    const params = [req.user.id];
+    if (projectId) {
+      conditions.push("project_id = ?");
+      params.push(projectId);
+    }
+    if (tag) {
+      conditions.push("JSON_CONTAINS(tags, JSON_QUOTE(?))");
+      params.push(String(tag).toLowerCase());
+    }
+    if (search) {
+      conditions.push("name LIKE ?");
+      params.push(`%${escapeLike(search)}%`);
+    }
+
+    const [assets] = await dbPool.query(
+      `SELECT * FROM assets WHERE ${conditions.join(" AND ")} ORDER BY created_at DESC, id DESC`,
+      params
+    );
+    res.json(assets.map(formatAsset));
+  } catch (error) {
+    console.error("Error di /api/assets:", error);
+    res.status(500).json({ error: "Gagal mengambil daftar gambar." });
+  }
+});
+
+// Endpoint untuk mengganti nama dan/atau tag gambar
+app.patch("/api/assets/:id", async (req, res) => {
+  try {
+    const asset = await findUserAsset(req.params.id, req.user.id);
+    if (!asset) {
+      return res.status(404).json({ error: "Gambar tidak ditemukan." });
+    }
+
+    const updates = {};
+    if (req.body.name !== undefined) {
+      updates.name = normalizeAssetName(req.body.name);
+      if (!updates.name) {
+        return res.status(400).json({ error: "Nama gambar tidak boleh kosong." });
+      }
+    }
+    if (req.body.tags !== undefined) {
+      updates.tags = JSON.stringify(normalizeAssetTags(req.body.tags));
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: "Tidak ada perubahan yang dikirim." });
+    }
+
+    await dbPool.query("UPDATE assets SET ? WHERE id = ?", [updates, asset.id]);
+    res.json(formatAsset(await findUserAsset(asset.id, req.user.id)));
+  } catch (error) {
+    console.error("Error di /api/assets/:id (PATCH):", error);
+    res.status(500).json({ error: "Gagal memperbarui gambar." });
+  }
+});
+
+// Endpoint untuk menghapus gambar beserta semua variannya di storage.
+// Jika gambar masih dipakai oleh versi tersimpan, kembalikan 409 berisi daftar
+// versi tersebut; kirim `?force=true` untuk tetap menghapus.
+app.delete("/api/assets/:id", async (req, res) => {
+  try {
+    const asset = await findUserAsset(req.params.id, req.user.id);
+    if (!asset) {
+      return res.status(404).json({ error: "Gambar tidak ditemukan." });
+    }
+
+    if (req.query.force !== "true") {
+      const references = await findAssetReferences(asset);
+      if (references.length > 0) {
+        const publishedCount = references.filter((ref) => ref.publishedSlug).length;
+        return res.status(409).json({
+          code: "ASSET_IN_USE",
+          error:
+            publishedCount > 0
+              ? `Gambar ini dipakai oleh ${references.length} versi, ${publishedCount} di antaranya sedang dipublikasikan.`
+              : `Gambar ini dipakai oleh ${references.length} versi tersimpan.`,
+          references,
+        });
+      }
+    }
+
+    for (const variant of parseJsonColumn(asset.variants, [])) {
+      await storage.deleteObject("assets", variant.key);
+    }
+    await dbPool.query("DELETE FROM assets WHERE id = ?", [asset.id]);
+
+    console.log(`Gambar ID ${asset.id} milik user ID ${req.user.id} dihapus.`);
+    res.json({ message: "Gambar berhasil dihapus." });
+  } catch (error) {
+    console.error("Error di /api/assets/:id (DELETE):", error);
+    res.status(500).json({ error: "Gagal menghapus gambar." });
+  }
+});
+
+// =================================================================
+// --- PRESET INDUSTRI (KULINER, FASHION, JASA, DLL.) ---
+// Preset menentukan section yang disarankan, gaya bahasa, arah warna, dan contoh copy
+// untuk generate pertama. Dikelola admin lewat /api/admin/presets tanpa perubahan kode.
+// =================================================================
+
+// Endpoint untuk mengambil daftar preset aktif (galeri di halaman generator)
+app.get("/api/presets", async (req, res) => {
+  try {
+    const [presets] = await dbPool.query(
+      "SELECT * FROM industry_presets WHERE is_active = 1 ORDER BY sort_order, name"
+    );
+    res.json(presets.map(formatPreset));
+  } catch (error) {
+    console.error("Error di /api/presets:", error);
+    res.status(500).json({ error: "Gagal mengambil daftar preset." });
+  }
+});
+
+// Endpoint admin untuk mengambil semua preset, termasuk yang dinonaktifkan
+app.get("/api/admin/presets", requireAdmin, async (req, res) => {
+  try {
+    const [presets] = await dbPool.query(
+      "SELECT * FROM industry_presets ORDER BY sort_order, name"
+    );
+    res.json(presets.map(formatPreset));
+  } catch (error) {
+    console.error("Error di /api/admin/presets:", error);
+    res.status(500).json({ error: "Gagal mengambil daftar preset." });
+  }
+});
+
+// Endpoint admin untuk menambah preset baru
+app.post("/api/admin/presets", requireAdmin, async (req, res) => {
+  try {
+    const values = normalizePresetInput(req.body);
+    const [result] = await dbPool.query("INSERT INTO industry_presets SET ?", [values]);
+    const [rows] = await dbPool.query("SELECT * FROM industry_presets WHERE id = ?", [
+      result.insertId,
+    ]);
+    console.log(`Preset industri "${values.slug}" ditambahkan oleh user ID ${req.user.id}.`);
+    res.status(201).json(formatPreset(rows[0]));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ error: "Slug preset sudah dipakai." });
+    }
+    console.error("Error di /api/admin/presets (POST):", error);
+    res.status(500).json({ error: "Gagal menambah preset." });
+  }
+});
+
+// Endpoint admin untuk mengubah preset (hanya field yang dikirim yang diubah)
+app.patch("/api/admin/presets/:id", requireAdmin, async (req, res) => {
+  try {
+    const [existing] = await dbPool.query("SELECT id FROM industry_presets WHERE id = ?", [
+      req.params.id,
+    ]);
+    if (existing.length === 0) {
+      return res.status(404).json({ error: "Preset tidak ditemukan." });
+    }
+    const values = normalizePresetInput(req.body, { partial: true });
+    if (Object.keys(values).length > 0) {
+      await dbPool.query("UPDATE industry_presets SET ? WHERE id = ?", [values, req.params.id]);
+    }
+    const [rows] = await dbPool.query("SELECT * FROM industry_presets WHERE id = ?", [
+      req.params.id,
+    ]);
+    res.json(formatPreset(rows[0]));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ error: "Slug preset sudah dipakai." });
+    }
+    console.error("Error di /api/admin/presets/:id (PATCH):", error);
+    res.status(500).json({ error: "Gagal mengubah preset." });
+  }
+});
+
+// Endpoint admin untuk menghapus preset. Website yang sudah dibuat dengan preset ini
+// tidak terpengaruh; untuk menyembunyikan sementara cukup set `isActive` ke false.
+app.delete("/api/admin/presets/:id", requireAdmin, async (req, res) => {
+  try {
+    const [result] = await dbPool.query("DELETE FROM industry_presets WHERE id = ?", [
+      req.params.id,
+    ]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Preset tidak ditemukan." });
+    }
+    console.log(`Preset industri ID ${req.params.id} dihapus oleh user ID ${req.user.id}.`);
+    res.json({ message: "Preset berhasil dihapus." });
+  } catch (error) {
+    console.error("Error di /api/admin/presets/:id (DELETE):", error);
+    res.status(500).json({ error: "Gagal menghapus preset." });
+  }
+});
+
+// =================================================================
+// --- PROFIL BISNIS (SATU PER AKUN) ---
+// Data resmi usaha (alamat, jam buka, WhatsApp, produk, dll.) yang dikirim ke AI sebagai
+// data terstruktur di setiap generate/edit, agar tidak hilang atau dikarang oleh AI.
+// =================================================================
+
+// Endpoint untuk mengambil profil bisnis user (null jika belum diisi)
+app.get("/api/business-profile", async (req, res) => {
+  try {
+    res.json(await findBusinessProfile(req.user.id));
+  } catch (error) {
+    console.error("Error di /api/business-profile:", error);
+    res.status(500).json({ error: "Gagal mengambil profil bisnis." });
+  }
+});
+
+// Endpoint untuk menyimpan (membuat atau menimpa) profil bisnis user
+app.put("/api/business-profile", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const values = normalizeBusinessProfileInput(req.body);
+    await dbPool.query(
+      "INSERT INTO business_profiles SET ? ON DUPLICATE KEY UPDATE ?",
+      [{ ...values, user_id: userId }, values]
+    );
+    console.log(`Profil bisnis user ID ${userId} disimpan.`);
+    res.json(await findBusinessProfile(userId));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error di /api/business-profile (PUT):", error);
+    res.status(500).json({ error: "Gagal menyimpan profil bisnis." });
+  }
+});
+
+// Endpoint untuk generate website baru menggunakan provider AI
+app.post("/api/generate", async (req, res) => {
+  try {
+    const { userPrompt, imageUrls, projectId, presetId } = req.body;
+    const userId = req.user.id; // Diperoleh dari JWT payload
+
+    if (!userPrompt) {
+      return res.status(400).json({ error: "Prompt tidak boleh kosong" });
+    }
+    if (!(await findUserProject(projectId, userId))) {
+      return res.status(404).json({ error: "Project tidak ditemukan." });
+    }
+
+    console.log(
+      `[${new Date().toLocaleTimeString()}] Menerima permintaan /api/generate dari user ID: ${userId}`
+    );
+
+    const request = await buildAIRequest(userId, {
+      type: "generate",
+      userPrompt,
+      imageUrls,
+      presetId,
+    });
+    const rawResponse = await invokeAI(request.systemPrompt, request.userMessages);
+    const { htmlCode, report, site } = finalizeAIResult(rawResponse, request, imageUrls);
+
+    // Simpan hasil generasi ke database
+    const saved = await saveGeneration({
+      userId,
+      projectId,
+      htmlCode,
+      site,
+      validationReport: report,
+      ...request.version,
+    });
+
+    console.log(`Riwayat generate disimpan untuk user ID: ${userId}`);
+
+    res.json({ htmlCode: saved.htmlCode, site, validationReport: report });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.code === "HTML_INVALID" || error.code === "SITE_INVALID") {
+      return res.status(422).json({ error: error.message, code: error.code, report: error.report });
+    }
+    console.error("Error di /api/generate:", error);
+    res.status(500).json({ error: "Gagal menghasilkan website." });
+  }
+});
+
+// Endpoint untuk mengedit website yang sudah ada
+app.post("/api/edit", async (req, res) => {
+  try {
+    const { userPrompt, imageUrls, projectId } = req.body;
+    const userId = req.user.id;
+
+    if (!userPrompt) {
+      return res
+        .status(400)
+        .json({ error: "Data tidak lengkap untuk mengedit." });
+    }
+    if (!(await findUserProject(projectId, userId))) {
+      return res.status(404).json({ error: "Project tidak ditemukan." });
+    }
+
+    console.log(
+      `[${new Date().toLocaleTimeString()}] Menerima permintaan /api/edit dari user ID: ${userId}`
+    );
+
+    // Versi terstruktur diedit lewat site JSON (baseGenerationId), versi lama lewat currentHtml
+    const request = await buildAIRequest(userId, { ...req.body, type: "edit" });
+    const rawResponse = await invokeAI(request.systemPrompt, request.userMessages);
+    const { htmlCode, report, site } = finalizeAIResult(rawResponse, request, imageUrls);
+
+    // Simpan hasil editan sebagai generasi baru di database
+    const saved = await saveGeneration({
+      userId,
+      projectId,
+      htmlCode,
+      site,
+      validationReport: report,
+      ...request.version,
+    });
+
+    console.log(`Riwayat edit disimpan untuk user ID: ${userId}`);
+
+    res.json({ htmlCode: saved.htmlCode, site, validationReport: report });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.code === "HTML_INVALID" || error.code === "SITE_INVALID") {
+      return res.status(422).json({ error: error.message, code: error.code, report: error.report });
+    }
+    console.error("Error di /api/edit:", error);
+    res.status(500).json({ error: "Gagal mengedit website." });
+  }
+});
+
+// Endpoint streaming (Server-Sent Events) untuk generate website baru.
+// Token dari AI diteruskan ke frontend begitu diterima (event "delta").
+app.post("/api/generate/stream", async (req, res) => {
+  const { userPrompt, imageUrls, projectId, presetId } = req.body;
+  const userId = req.user.id;
+
+  if (!userPrompt) {
+    return res.status(400).json({ error: "Prompt tidak boleh kosong" });
+  }
+
+  // Respons SSE belum dimulai, jadi kegagalan persiapan masih dikirim sebagai JSON biasa
+  let request;
+  try {
+    if (!(await findUserProject(projectId, userId))) {
+      return res.status(404).json({ error: "Project tidak ditemukan." });
+    }
+    request = await buildAIRequest(userId, { type: "generate", userPrompt, imageUrls, presetId });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error di /api/generate/stream:", error);
+    return res.status(500).json({ error: "Gagal menghasilkan website." });
+  }
+
+  console.log(
+    `[${new Date().toLocaleTimeString()}] Menerima permintaan /api/generate/stream dari user ID: ${userId}`
+  );
+
+  await streamGeneration(req, res, {
+    projectId,
+    request,
+    imageUrls,
+    errorMessage: "Gagal menghasilkan website.",
+  });
+});
+
+// Endpoint streaming (Server-Sent Events) untuk mengedit website yang sudah ada
+app.post("/api/edit/stream", async (req, res) => {
+  const { userPrompt, imageUrls, projectId } = req.body;
+  const userId = req.user.id;
+
+  if (!userPrompt) {
+    return res
+      .status(400)
+      .json({ error: "Data tidak lengkap untuk mengedit." });
+  }
+
+  let request;
+  try {
+    if (!(await findUserProject(projectId, userId))) {
+      return res.status(404).json({ error: "Project tidak ditemukan." });
+    }
+    request = await buildAIRequest(userId, { ...req.body, type: "edit" });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error di /api/edit/stream:", error);
+    return res.status(500).json({ error: "Gagal mengedit website." });
+  }
+
+  console.log(
+    `[${new Date().toLocaleTimeString()}] Menerima permintaan /api/edit/stream dari user ID: ${userId}`
+  );
+
+  await streamGeneration(req, res, {
+    projectId,
+    request,
+    imageUrls,
+    errorMessage: "Gagal mengedit website.",
+  });
+});
+
+// =================================================================
+// --- ANTRIAN JOB GENERASI ---
+// Generate/edit dijalankan sebagai job di latar belakang, sehingga hasilnya
+// tidak hilang walaupun koneksi browser terputus.
+// =================================================================
+
+// Endpoint untuk membuat job generate/edit baru
+app.post("/api/jobs", async (req, res) => {
+  try {
+    const {
+      type,
+      userPrompt,
+      imageUrls = [],
+      currentHtml,
+      baseGenerationId,
+      sectionId,
+      fieldPath,
+      fragment,
+      presetId,
+      projectId,
+    } = req.body;
+    const userId = req.user.id;
+
+    if (type !== "generate" && type !== "edit") {
+      return res.status(400).json({ error: "Tipe job tidak valid." });
+    }
+    if (!userPrompt) {
+      return res.status(400).json({ error: "Prompt tidak boleh kosong" });
+    }
+    if (!(await findUserProject(projectId, userId))) {
+      return res.status(404).json({ error: "Project tidak ditemukan." });
+    }
+
+    const payload = {
+      userPrompt,
+      imageUrls,
+      currentHtml: currentHtml || null,
+      baseGenerationId: baseGenerationId || null,
+      sectionId: sectionId || null,
+      fieldPath: fieldPath || null,
+      fragment: fragment || null,
+      presetId: type === "generate" ? presetId || null : null,
+    };
+    // Validasi lebih awal (versi dasar/section ada, data edit lengkap) sebelum masuk antrian
+    await buildAIRequest(userId, { type, ...payload });
+    const [result] = await dbPool.query(
+      "INSERT INTO generation_jobs (user_id, project_id, type, payload, max_attempts) VALUES (?, ?, ?, ?, ?)",
+      [userId, projectId, type, JSON.stringify(payload), JOB_MAX_ATTEMPTS]
+    );
+
+    console.log(
+      `[${new Date().toLocaleTimeString()}] Job ${type} #${result.insertId} dibuat untuk user ID: ${userId}`
+    );
+    res.status(202).json({ jobId: result.insertId, status: "queued" }); // 202 Accepted
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error di /api/jobs:", error);
+    res.status(500).json({ error: "Gagal membuat job." });
+  }
+});
+
+// Endpoint untuk mengambil daftar job milik user (?status=active untuk yang belum selesai)
+app.get("/api/jobs", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const onlyActive = req.query.status === "active";
+
+    const [jobs] = await dbPool.query(
+      `SELECT * FROM generation_jobs WHERE user_id = ? ${
+        onlyActive ? "AND status IN ('queued', 'running')" : ""
+      } ORDER BY created_at DESC LIMIT 20`,
+      [userId]
+    );
+    res.json(jobs.map(formatJob));
+  } catch (error) {
+    console.error("Error di /api/jobs (GET):", error);
+    res.status(500).json({ error: "Gagal mengambil daftar job." });
+  }
+});
+
+// Endpoint untuk mengecek status satu job
+app.get("/api/jobs/:id", async (req, res) => {
+  try {
+    const job = await findUserJob(req.params.id, req.user.id);
+    if (!job) {
+      return res.status(404).json({ error: "Job tidak ditemukan." });
+    }
+    res.json(formatJob(job));
+  } catch (error) {
+    console.error("Error di /api/jobs/:id :", error);
+    res.status(500).json({ error: "Gagal mengambil status job." });
+  }
+});
+
+// Endpoint untuk mengambil hasil job yang sudah selesai
+app.get("/api/jobs/:id/result", async (req, res) => {
+  try {
+    const job = await findUserJob(req.params.id, req.user.id);
+    if (!job) {
+      return res.status(404).json({ error: "Job tidak ditemukan." });
+    }
+    if (job.status !== "succeeded") {
+      return res
+        .status(409)
+        .json({ error: "Job belum selesai.", status: job.status });
+    }
+
+    const [rows] = await dbPool.query(
+      "SELECT html_code, site_json, validation_report FROM generations WHERE id = ? AND user_id = ?",
+      [job.generation_id, req.user.id]
+    );
+    if (rows.length === 0) {
+      return res
+        .status(404)
+        .json({ error: "Hasil job sudah dihapus dari riwayat." });
+    }
+    res.json({
+      generationId: job.generation_id,
+      htmlCode: rows[0].html_code,
+      site: parseJsonColumn(rows[0].site_json, null),
+      validationReport: parseJsonColumn(rows[0].validation_report, null),
+    });
+  } catch (error) {
+    console.error("Error di /api/jobs/:id/result :", error);
+    res.status(500).json({ error: "Gagal mengambil hasil job." });
+  }
+});
+
+// Endpoint untuk membatalkan job yang masih antri atau sedang berjalan
+app.post("/api/jobs/:id/cancel", async (req, res) => {
+  try {
+    const [result] = await dbPool.query(
+      `UPDATE generation_jobs SET status = 'cancelled', finished_at = NOW()
+       WHERE id = ? AND user_id = ? AND status IN ('queued', 'running')`,
+      [req.params.id, req.user.id]
+    );
+    if (result.affectedRows === 0) {
+      return res
+        .status(409)
+        .json({ error: "Job tidak ditemukan atau sudah selesai." });
+    }
+
+    // Hentikan pemanggilan AI jika job sedang berjalan di worker ini
+    const runningJob = runningJobs.get(Number(req.params.id));
+    if (runningJob) runningJob.controller.abort();
+    jobEvents.emit(`job:${req.params.id}`, "status", { status: "cancelled" });
+
+    console.log(`Job #${req.params.id} dibatalkan oleh user ID ${req.user.id}.`);
+    res.json({ message: "Job dibatalkan." });
+  } catch (error) {
+    console.error("Error di /api/jobs/:id/cancel :", error);
+    res.status(500).json({ error: "Gagal membatalkan job." });
+  }
+});
+
+// Endpoint Server-Sent Events untuk mengikuti progres job (teks AI & perubahan status).
+// Bisa dipakai ulang setelah reload halaman untuk menyambung kembali ke job yang berjalan.
+app.get("/api/jobs/:id/events", async (req, res) => {
+  const jobId = Number(req.params.id);
+  let job;
+  try {
+    job = await findUserJob(jobId, req.user.id);
+  } catch (error) {
+    console.error("Error di /api/jobs/:id/events:", error);
+    return res.status(500).json({ error: "Gagal mengambil status job." });
+  }
+  if (!job) {
+    return res.status(404).json({ error: "Job tidak ditemukan." });
+  }
+
+  const sendEvent = openEventStream(res);
+  sendEvent("status", formatJob(job));
+  if (isJobFinished(job.status)) return res.end();
+
+  // Kirim teks yang sudah terkumpul jika job sedang berjalan di worker ini
+  const runningJob = runningJobs.get(jobId);
+  if (runningJob && runningJob.text) {
+    sendEvent("snapshot", { text: runningJob.text });
+  }
+
+  const onJobEvent = (event, data) => {
+    sendEvent(event, data);
+    if (event === "status" && isJobFinished(data.status)) res.end();
+  };
+  jobEvents.on(`job:${jobId}`, onJobEvent);
+
+  // Cek status di database secara berkala, karena job bisa saja diproses worker lain
+  const statusCheck = setInterval(async () => {
+    try {
+      const latest = await findUserJob(jobId, req.user.id);
+      if (!latest || isJobFinished(latest.status)) {
+        sendEvent("status", latest ? formatJob(latest) : { status: "failed" });
+        res.end();
+      } else {
+        res.write(": ping\n\n");
+      }
+    } catch (error) {
+      console.error("Error saat mengecek status job:", error);
+    }
+  }, 5000);
+
+  res.on("close", () => {
+    clearInterval(statusCheck);
+    jobEvents.off(`job:${jobId}`, onJobEvent);
+  });
+});
+
+// Endpoint untuk mengambil daftar riwayat generasi website pengguna
+app.get("/api/generations", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { projectId } = req.query;
+
+    if (!(await findUserProject(projectId, userId))) {
+      return res.status(404).json({ error: "Project tidak ditemukan." });
+    }
+
+    // Ambil semua riwayat project ini, yang terbaru di atas. Nomor versi tersimpan
+    // permanen, dan parent_generation_id dipakai frontend untuk menyusun pohon versi.
+    const [history] = await dbPool.query(
+      `SELECT id, project_id, parent_generation_id, version_number, source, prompt, label, notes,
+         LEFT(html_code, 100) as preview, site_json IS NOT NULL AS is_structured, thumbnail_key, created_at
+       FROM generations WHERE user_id = ? AND project_id = ? ORDER BY created_at DESC, id DESC`,
+      [userId, projectId]
+    );
+
+    res.json(
+      history.map(({ thumbnail_key: thumbnailKey, ...item }) => ({
+        ...item,
+        thumbnail_url: thumbnailKey ? storage.getPublicUrl("assets", thumbnailKey) : null,
+      }))
+    );
+  } catch (error) {
+    console.error("Error di /api/generations:", error);
+    res.status(500).json({ error: "Gagal mengambil riwayat." });
+  }
+});
+
+// Endpoint untuk membandingkan dua versi milik user (diff HTML & diff teks).
+// Didaftarkan sebelum /api/generations/:id agar "diff" tidak dianggap sebagai ID.
+app.get("/api/generations/diff", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ error: "Pilih dua versi yang akan dibandingkan." });
+    }
+
+    const [fromGeneration, toGeneration] = await Promise.all([
+      findUserGeneration(from, userId),
+      findUserGeneration(to, userId),
+    ]);
+    if (!fromGeneration || !toGeneration) {
+      return res.status(404).json({ error: "Riwayat tidak ditemukan." });
+    }
+
+    const htmlDiff = diffVersions(
+      normalizeHtmlForDiff(fromGeneration.html_code),
+      normalizeHtmlForDiff(toGeneration.html_code)
+    );
+    const textDiff = diffVersions(
+      extractTextForDiff(fromGeneration.html_code),
+      extractTextForDiff(toGeneration.html_code)
+    );
+
+    res.json({
+      from: { id: fromGeneration.id, htmlCode: fromGeneration.html_code, createdAt: fromGeneration.created_at },
+      to: { id: toGeneration.id, htmlCode: toGeneration.html_code, createdAt: toGeneration.created_at },
+      html: htmlDiff,
+      text: textDiff,
+    });
+  } catch (error) {
+    console.error("Error di /api/generations/diff:", error);
+    res.status(500).json({ error: "Gagal membandingkan versi." });
+  }
+});
+
+// Endpoint untuk mengambil konten HTML dari satu riwayat berdasarkan ID
+app.get("/api/generations/:id", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const generationId = req.params.id;
+
+    // Security Check: Pastikan user hanya bisa mengambil riwayat miliknya sendiri
+    const [rows] = await dbPool.query(
+      "SELECT html_code, site_json, validation_report FROM generations WHERE id = ? AND user_id = ?",
+      [generationId, userId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        error: "Riwayat tidak ditemukan atau Anda tidak memiliki akses.",
+      });
+    }
+
+    res.json({
+      html_code: rows[0].html_code,
+      site_json: parseJsonColumn(rows[0].site_json, null),
+      validation_report: parseJsonColumn(rows[0].validation_report, null),
+    });
+  } catch (error) {
+    console.error("Error di /api/generations/:id :", error);
+    res.status(500).json({ error: "Gagal mengambil detail riwayat." });
+  }
+});
+
+// Endpoint untuk mengubah konten satu section tanpa memanggil AI (khusus versi terstruktur).
+// Hasilnya disimpan sebagai versi baru; versi asal tidak diubah.
+app.patch("/api/generations/:id/sections/:sectionId", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const generation = await findUserGeneration(req.params.id, userId);
+    if (!generation) {
+      return res.status(404).json({ error: "Riwayat tidak ditemukan." });
+    }
+    const site = parseJsonColumn(generation.site_json, null);
+    if (!site) {
+      return res.status(409).json({
+        error: "Versi ini dibuat sebelum format terstruktur dan hanya bisa diedit lewat AI.",
+      });
+    }
+    const section = site.sections.find((item) => item.id === req.params.sectionId);
+    if (!section) {
+      return res.status(404).json({ error: "Bagian website tidak ditemukan." });
+    }
+    if (!req.body.fields || typeof req.body.fields !== "object") {
+      return res.status(400).json({ error: "Field yang diubah tidak boleh kosong." });
+    }
+
+    const updatedSite = normalizeSiteDocument({
+      ...site,
+      sections: site.sections.map((item) =>
+        item.id === section.id
+          ? { ...item, fields: { ...item.fields, ...req.body.fields } }
+          : item
+      ),
+    });
+    res.json(await saveSiteVersion(userId, generation, updatedSite));
+  } catch (error) {
+    if (error.code === "HTML_INVALID" || error.code === "SITE_INVALID") {
+      return res.status(422).json({ error: error.message, code: error.code, report: error.report });
+    }
+    console.error("Error di /api/generations/:id/sections/:sectionId :", error);
+    res.status(500).json({ error: "Gagal menyimpan perubahan konten." });
+  }
+});
+
+// Endpoint untuk mengubah teks/gambar satu elemen yang diklik di preview (tanpa AI).
+// Versi terstruktur mengubah field di dokumen situs, versi HTML mengubah HTML-nya langsung.
+app.post("/api/generations/:id/element", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { text, image } = req.body;
+    const generation = await findUserGeneration(req.params.id, userId);
+    if (!generation) {
+      return res.status(404).json({ error: "Riwayat tidak ditemukan." });
+    }
+
+    const $ = cheerio.load(generation.html_code);
+    const element = findElementByPath($, req.body);
+    if (!element) {
+      return res.status(409).json({
+        error: "Elemen tidak ditemukan. Muat ulang preview lalu pilih lagi.",
+      });
+    }
+    if (element.closest(INTEGRATION_ELEMENT_SELECTOR).length > 0) {
+      return res.status(400).json({ error: INTEGRATION_ELEMENT_ERROR });
+    }
+
+    const site = parseJsonColumn(generation.site_json, null);
+    if (site) {
+      const sectionId = element.closest("[data-section-id]").attr("data-section-id");
+      const fieldPath = element.closest("[data-field]").attr("data-field");
+      if (!sectionId || !fieldPath) {
+        return res.status(400).json({
+          error: "Elemen ini tidak bisa diubah langsung. Gunakan instruksi AI.",
+        });
+      }
+      const updatedSite = updateSiteField(site, sectionId, fieldPath, { text, image });
+      return res.json(await saveSiteVersion(userId, generation, updatedSite));
+    }
+
+    applyElementEdit(element, { text, image });
+    const { htmlCode, report } = prepareGeneratedHtml($.html());
+    const saved = await saveGeneration({
+      userId,
+      projectId: generation.project_id,
+      htmlCode,
+      validationReport: report,
+      parentGenerationId: generation.id,
+      source: "content",
+    });
+    res.json({ ...saved, site: null, validationReport: report });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.code === "HTML_INVALID" || error.code === "SITE_INVALID") {
+      return res.status(422).json({ error: error.message, code: error.code, report: error.report });
+    }
+    console.error("Error di /api/generations/:id/element :", error);
+    res.status(500).json({ error: "Gagal mengubah elemen." });
+  }
+});
+
+// Endpoint untuk menyimpan dokumen situs lengkap (misal urutan section atau tema diubah)
+// sebagai versi baru, tanpa memanggil AI
+app.put("/api/generations/:id/site", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const generation = await findUserGeneration(req.params.id, userId);
+    if (!generation) {
+      return res.status(404).json({ error: "Riwayat tidak ditemukan." });
+    }
+    const site = normalizeSiteDocument(req.body.site);
+    res.json(await saveSiteVersion(userId, generation, site));
+  } catch (error) {
+    if (error.code === "HTML_INVALID" || error.code === "SITE_INVALID") {
+      return res.status(422).json({ error: error.message, code: error.code, report: error.report });
+    }
+    console.error("Error di /api/generations/:id/site :", error);
+    res.status(500).json({ error: "Gagal menyimpan dokumen situs." });
+  }
+});
+
+// Endpoint untuk menyimpan HTML yang diedit manual (editor kode) sebagai versi baru.
+// HTML melewati validasi & sanitasi yang sama dengan hasil AI. Versi terstruktur yang
+// diedit manual menjadi versi HTML biasa (dokumen situsnya tidak ikut disimpan).
+app.post("/api/generations/:id/html", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { htmlCode: rawHtml } = req.body;
+    if (typeof rawHtml !== "string" || !rawHtml.trim()) {
+      return res.status(400).json({ error: "Kode HTML tidak boleh kosong." });
+    }
+
+    const generation = await findUserGeneration(req.params.id, userId);
+    if (!generation) {
+      return res.status(404).json({ error: "Riwayat tidak ditemukan." });
+    }
+
+    const { htmlCode, report } = prepareGeneratedHtml(rawHtml);
+    const saved = await saveGeneration({
+      userId,
+      projectId: generation.project_id,
+      htmlCode,
+      validationReport: report,
+      parentGenerationId: generation.id,
+      source: "manual",
+    });
+    res.status(201).json({ ...saved, site: null, validationReport: report });
+  } catch (error) {
+    if (error.code === "HTML_INVALID") {
+      return res.status(422).json({
+        error: "Kode HTML tidak valid. Pastikan kode berisi dokumen HTML dengan konten di dalam <body>.",
+        code: error.code,
+        report: error.report,
+      });
+    }
+    console.error("Error di /api/generations/:id/html :", error);
+    res.status(500).json({ error: "Gagal menyimpan kode HTML." });
+  }
+});
+
+// Endpoint untuk mengunduh satu versi sebagai ZIP yang bisa di-hosting di mana saja:
+// index.html, gambar dari storage aset (path relatif), dan styles.css jika bisa di-compile
+app.get("/api/generations/:id/export", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const generation = await findUserGeneration(req.params.id, userId);
+    if (!generation) {
+      return res.status(404).json({ error: "Riwayat tidak ditemukan." });
+    }
+    const project = await findUserProject(generation.project_id, userId);
+
+    // Semua file disiapkan dulu agar error masih bisa dikirim sebagai JSON
+    const files = await buildExportBundle(
+      await applyProjectIntegrations(generation.project_id, generation.html_code)
+    );
+    const fileName = `${slugify(project ? project.name : "") || "website"}-versi-${
+      generation.version_number
+    }.zip`;
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    archive.on("error", (error) => {
+      console.error("Gagal membuat ZIP:", error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+    files.forEach((file) => archive.append(file.body, { name: file.name }));
+    await archive.finalize();
+  } catch (error) {
+    console.error("Error di /api/generations/:id/export:", error);
+    if (!res.headersSent) res.status(500).json({ error: "Gagal mengekspor website." });
+  }
+});
+
+// Endpoint untuk menyimpan thumbnail versi. Screenshot preview dibuat di browser
+// (html2canvas) lalu diunggah ke sini; server hanya memperkecil & menyimpannya.
+app.post("/api/generations/:id/thumbnail", upload.single("thumbnail"), async (req, res) => {
+  if (!req.file || !detectImageFormat(req.file.buffer)) {
+    return res.status(400).json({ error: "Thumbnail harus berupa gambar JPG, PNG, atau WebP." });
+  }
+
+  try {
+    const userId = req.user.id;
+    const generation = await findUserGeneration(req.params.id, userId);
+    if (!generation) {
+      return res.status(404).json({ error: "Riwayat tidak ditemukan." });
+    }
+
+    let thumbnail;
+    try {
+      thumbnail = await sharp(req.file.buffer)
+        .resize({ width: VERSION_THUMBNAIL_WIDTH, withoutEnlargement: true })
+        .webp({ quality: 70 })
+        .toBuffer();
+    } catch (error) {
+      console.error("Gagal memproses thumbnail:", error.message);
+      return res.status(400).json({ error: "File thumbnail rusak atau tidak bisa dibaca." });
+    }
+
+    const key = `thumbnails/${userId}/${generation.project_id}/${generation.id}.webp`;
+    await storage.putObject("assets", key, thumbnail, { contentType: "image/webp" });
+    await dbPool.query("UPDATE generations SET thumbnail_key = ? WHERE id = ?", [
+      key,
+      generation.id,
+    ]);
+    res.json({ thumbnailUrl: storage.getPublicUrl("assets", key) });
+  } catch (error) {
+    console.error("Error di /api/generations/:id/thumbnail:", error);
+    res.status(500).json({ error: "Gagal menyimpan thumbnail." });
+  }
+});
+
+// Endpoint untuk mengubah label & catatan satu versi
+app.patch("/api/generations/:id", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { label, notes } = req.body;
+    if (label === undefined && notes === undefined) {
+      return res.status(400).json({ error: "Tidak ada perubahan yang dikirim." });
+    }
+
+    const generation = await findUserGeneration(req.params.id, userId);
+    if (!generation) {
+      return res.status(404).json({ error: "Riwayat tidak ditemukan." });
+    }
+
+    const updated = {
+      label: label === undefined ? generation.label : normalizeVersionText(label, 100),
+      notes: notes === undefined ? generation.notes : normalizeVersionText(notes, 2000),
+    };
+    await dbPool.query("UPDATE generations SET label = ?, notes = ? WHERE id = ?", [
+      updated.label,
+      updated.notes,
+      generation.id,
+    ]);
+    res.json({ id: generation.id, ...updated });
+  } catch (error) {
+    console.error("Error di /api/generations/:id (PATCH):", error);
+    res.status(500).json({ error: "Gagal menyimpan label versi." });
+  }
+});
+
+// Endpoint untuk memulihkan versi lama: isinya disalin menjadi versi terbaru
+// (anak dari versi tersebut), sehingga riwayat di antaranya tetap utuh.
+app.post("/api/generations/:id/restore", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const generation = await findUserGeneration(req.params.id, userId);
+    if (!generation) {
+      return res.status(404).json({ error: "Riwayat tidak ditemukan." });
+    }
+
+    const site = parseJsonColumn(generation.site_json, null);
+    const validationReport = parseJsonColumn(generation.validation_report, null);
+    const saved = await saveGeneration({
+      userId,
+      projectId: generation.project_id,
+      htmlCode: generation.html_code,
+      site,
+      validationReport,
+      parentGenerationId: generation.id,
+      source: "restore",
+    });
+    res.status(201).json({ ...saved, site, validationReport });
+  } catch (error) {
+    console.error("Error di /api/generations/:id/restore:", error);
+    res.status(500).json({ error: "Gagal memulihkan versi." });
+  }
+});
+
+// Endpoint untuk menerjemahkan ulang semua teks satu versi ke satu bahasa (misal setelah
+// terjemahan gagal atau kurang pas) tanpa mengubah layout. Hasilnya disimpan sebagai versi
+// baru, kecuali HTML-nya tidak berubah sama sekali.
+app.post("/api/generations/:id/translate", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const lang = String(req.body.lang || "");
+    const generation = await findUserGeneration(req.params.id, userId);
+    if (!generation) {
+      return res.status(404).json({ error: "Riwayat tidak ditemukan." });
+    }
+    const projectId = generation.project_id;
+    if (!(await loadProjectLanguages(projectId)).includes(lang)) {
+      return res.status(400).json({ error: "Bahasa ini belum diaktifkan di project." });
+    }
+
+    const $ = cheerio.load(stripProjectIntegrations(generation.html_code));
+    const sourceLang = detectSourceLanguage($);
+    if (lang === sourceLang) {
+      return res.status(400).json({ error: "Bahasa ini adalah bahasa asli website." });
+    }
+    const texts = markTranslatableTexts($);
+    const { failed } = await syncTranslations(projectId, texts, sourceLang, [lang], {
+      force: true,
+    });
+    if (failed.length > 0) {
+      return res.status(500).json({ error: "AI gagal menerjemahkan website. Coba lagi nanti." });
+    }
+
+    const site = parseJsonColumn(generation.site_json, null);
+    const previousReport = parseJsonColumn(generation.validation_report, null);
+    const validationReport = previousReport && {
+      ...previousReport,
+      warnings: previousReport.warnings.filter((warning) => !/^Terjemahan .* belum lengkap/.test(warning)),
+    };
+    const htmlCode = await applyProjectIntegrations(projectId, generation.html_code, {
+      report: validationReport,
+    });
+    if (htmlCode === generation.html_code) {
+      return res.json({
+        generationId: generation.id,
+        htmlCode,
+        site,
+        validationReport: previousReport,
+        unchanged: true,
+      });
+    }
+
+    const saved = await saveGeneration({
+      userId,
+      projectId,
+      htmlCode,
+      site,
+      validationReport,
+      parentGenerationId: generation.id,
+      prompt: `Terjemahkan ulang ke ${SITE_LANGUAGES[lang]}`,
+      source: "translate",
+      integrationsApplied: true,
+    });
+    console.log(`Versi ${generation.id} diterjemahkan ulang ke ${lang} oleh user ID: ${userId}`);
+    res.status(201).json({ ...saved, site, validationReport });
+  } catch (error) {
+    console.error("Error di /api/generations/:id/translate:", error);
+    res.status(500).json({ error: "Gagal menerjemahkan ulang website." });
+  }
+});
+
+// Endpoint untuk menghapus satu riwayat generasi website
+app.delete("/api/generations/:id", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const generationId = req.params.id;
+
+    // Versi yang sedang live tidak boleh dihapus
+    const [published] = await dbPool.query(
+      "SELECT slug FROM published_sites WHERE generation_id = ? AND user_id = ?",
+      [generationId, userId]
+    );
+    if (published.length > 0) {
+      return res.status(409).json({
+        error: `Versi ini sedang dipublikasikan di /${published[0].slug}/. Publikasikan versi lain atau hapus publikasi terlebih dahulu.`,
+      });
+    }
+
+    // Security Check: Pastikan user hanya bisa menghapus riwayat miliknya sendiri
+    const generation = await findUserGeneration(generationId, userId);
+    if (!generation) {
+      return res.status(404).json({
+        error: "Riwayat tidak ditemukan atau Anda tidak memiliki akses.",
+      });
+    }
+
+    // Turunan versi yang dihapus dipindah ke induknya agar pohon versi tetap tersambung.
+    // Nomor versi lain tidak berubah.
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.query(
+        "UPDATE generations SET parent_generation_id = ? WHERE parent_generation_id = ? AND user_id = ?",
+        [generation.parent_generation_id, generation.id, userId]
+      );
+      await connection.query("DELETE FROM generations WHERE id = ?", [generation.id]);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+    if (generation.thumbnail_key) await deleteThumbnails([generation.thumbnail_key]);
+
+    console.log(
+      `Riwayat ID ${generationId} untuk user ID ${userId} berhasil dihapus.`
+    );
+    res.status(200).json({ message: "Riwayat berhasil dihapus." });
+  } catch (error) {
+    console.error("Error di /api/generations/:id (DELETE):", error);
+    res.status(500).json({ error: "Gagal menghapus riwayat." });
+  }
+});
+
+// =================================================================
+// --- PUBLIKASI WEBSITE (SATU SITUS PER PROJECT, DENGAN SLUG PILIHAN USER) ---
+// =================================================================
+
+// Endpoint untuk mengambil daftar website yang sedang live milik user
+app.get("/api/sites", async (req, res) => {
+  try {
+    const [sites] = await dbPool.query(
+      `SELECT s.*, p.name AS project_name FROM published_sites s
+       JOIN projects p ON p.id = s.project_id
+       WHERE s.user_id = ? ORDER BY s.published_at DESC`,
+      [req.user.id]
+    );
+    const [redirects] = await dbPool.query(
+      `SELECT r.slug, r.site_id FROM slug_redirects r
+       JOIN published_sites s ON s.id = r.site_id WHERE s.user_id = ?`,
+      [req.user.id]
+    );
+
+    res.json(
+      sites.map((site) => ({
+        ...formatSite(site),
+        projectName: site.project_name,
+        redirectsFrom: redirects
+          .filter((redirect) => redirect.site_id === site.id)
+          .map((redirect) => redirect.slug),
+      }))
+    );
+  } catch (error) {
+    console.error("Error di /api/sites:", error);
+    res.status(500).json({ error: "Gagal mengambil daftar website." });
+  }
+});
+
+// Endpoint untuk mengecek apakah sebuah slug masih tersedia
+app.get("/api/sites/slug-availability", async (req, res) => {
+  try {
+    const slug = String(req.query.slug || "").toLowerCase();
+    const validationError = validateSlug(slug);
+    if (validationError) {
+      return res.json({ slug, available: false, error: validationError });
+    }
+    const available = await isSlugAvailable(slug, req.query.siteId);
+    res.json({
+      slug,
+      available,
+      error: available ? null : "Slug sudah dipakai.",
+    });
+  } catch (error) {
+    console.error("Error di /api/sites/slug-availability:", error);
+    res.status(500).json({ error: "Gagal mengecek slug." });
+  }
+});
+
+// Endpoint untuk memeriksa kesiapan SEO satu versi (checklist di panel publikasi) beserta
+// judul, deskripsi, dan gambar yang akan dipakai saat dipublikasikan.
+// Project yang belum live memakai slug dari query `slug` untuk URL canonical.
+app.get("/api/generations/:id/seo", async (req, res) => {
+  try {
+    const generation = await findUserGeneration(req.params.id, req.user.id);
+    if (!generation) {
+      return res.status(404).json({ error: "Riwayat tidak ditemukan." });
+    }
+    const [sites] = await dbPool.query(
+      "SELECT slug FROM published_sites WHERE project_id = ?",
+      [generation.project_id]
+    );
+    const querySlug = String(req.query.slug || "").toLowerCase();
+    let slug = null;
+    if (sites.length > 0) slug = sites[0].slug;
+    else if (!validateSlug(querySlug)) slug = querySlug;
+
+    const $ = cheerio.load(stripProjectIntegrations(generation.html_code));
+    const seo = await resolveSeoData(generation.project_id, req.user.id, $, slug);
+    res.json({
+      settings: seo.settings,
+      preview: {
+        title: seo.title,
+        description: seo.description,
+        url: seo.canonicalUrl,
+        image: seo.image,
+      },
+      checklist: buildSeoChecklist($, seo),
+    });
+  } catch (error) {
+    console.error("Error di /api/generations/:id/seo:", error);
+    res.status(500).json({ error: "Gagal memeriksa SEO." });
+  }
+});
+
+// Endpoint untuk mempublikasikan satu versi ke storage website (S3 Static Website Hosting / lokal).
+// Publikasi pertama sebuah project membutuhkan slug; publikasi berikutnya
+// memperbarui website project tersebut ke versi yang dipilih.
+app.post("/api/publish/:id", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const generationId = req.params.id;
+
+    // Ambil HTML dari database berdasarkan generationId dan userId (security check)
+    const [rows] = await dbPool.query(
+      "SELECT html_code, project_id FROM generations WHERE id = ? AND user_id = ?",
+      [generationId, userId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({
+        error: "Riwayat tidak ditemukan atau Anda tidak memiliki akses.",
+      });
+    }
+    const { project_id: projectId } = rows[0];
+
+    // Versi lama mungkin tersimpan sebelum ada validasi: periksa ulang sebelum dipublikasikan
+    const { html: sanitizedHtml, report } = sanitizeGeneratedHtml(rows[0].html_code);
+    if (!report.valid) {
+      return res.status(422).json({
+        error: "Versi ini tidak bisa dipublikasikan karena HTML-nya tidak valid.",
+        code: "HTML_INVALID",
+        report,
+      });
+    }
+    const [existingSites] = await dbPool.query(
+      "SELECT * FROM published_sites WHERE project_id = ?",
+      [projectId]
+    );
+    let site = existingSites[0];
+
+    if (site) {
+      if (req.body.slug && req.body.slug !== site.slug) {
+        return res.status(400).json({
+          error:
+            "Project ini sudah live. Gunakan fitur ganti slug untuk mengubah alamatnya.",
+        });
+      }
+    } else {
+      const slug = String(req.body.slug || "").toLowerCase();
+      const validationError = validateSlug(slug);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      if (!(await isSlugAvailable(slug))) {
+        return res.status(409).json({ error: "Slug sudah dipakai." });
+      }
+      site = { slug };
+    }
+    const isNewSite = !site.id;
+
+    // Susun halaman beserta file pendampingnya (terjemahan bisa memanggil AI, jadi
+    // disiapkan sebelum transaksi dibuka)
+    const files = await buildPublishedSiteFiles(projectId, userId, sanitizedHtml, site.slug);
+
+    // Slug dipesan lewat baris published_sites (indeks unik) sebelum file diunggah, sehingga
+    // dua publikasi bersamaan tidak bisa menimpa folder slug yang sama. Jika upload gagal,
+    // pesanan slug ikut dibatalkan.
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      if (site.id) {
+        await connection.query(
+          "UPDATE published_sites SET generation_id = ?, published_at = NOW() WHERE id = ?",
+          [generationId, site.id]
+        );
+      } else {
+        const [result] = await connection.query(
+          "INSERT INTO published_sites (user_id, project_id, generation_id, slug) VALUES (?, ?, ?, ?)",
+          [userId, projectId, generationId, site.slug]
+        );
+        site.id = result.insertId;
+      }
+      // Key unik per slug (contoh: kopi-senja/index.html, kopi-senja/sitemap.xml)
+      await uploadSiteFiles(site.slug, files);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+    if (isNewSite) await updateSitesRobotsTxt();
+
+    const publicUrl = buildSiteUrl(site.slug);
+    console.log(
+      `Website project ${projectId} milik user ${userId} berhasil dipublikasikan di ${publicUrl}`
+    );
+    res.json({ siteId: site.id, slug: site.slug, publicUrl });
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ error: "Slug sudah dipakai." });
+    }
+    console.error("Error di /api/publish:", error);
+    res.status(500).json({ error: "Gagal mempublikasikan website." });
+  }
+});
+
+// Endpoint untuk mengganti slug website. Slug lama tetap mengarahkan
+// (redirect) pengunjung ke alamat baru.
+app.patch("/api/sites/:id", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const site = await findUserSite(req.params.id, userId);
+    if (!site) {
+      return res.status(404).json({ error: "Website tidak ditemukan." });
+    }
+
+    const newSlug = String(req.body.slug || "").toLowerCase();
+    if (newSlug === site.slug) {
+      return res.json(formatSite(site));
+    }
+    const validationError = validateSlug(newSlug);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (!(await isSlugAvailable(newSlug, site.id))) {
+      return res.status(409).json({ error: "Slug sudah dipakai." });
+    }
+
+    const [rows] = await dbPool.query(
+      "SELECT html_code FROM generations WHERE id = ?",
+      [site.generation_id]
+    );
+
+    // Susun ulang halaman untuk slug baru (canonical, sitemap, dll. ikut berubah)
+    const files = await buildPublishedSiteFiles(
+      site.project_id,
+      userId,
+      sanitizeGeneratedHtml(rows[0].html_code).html,
+      newSlug
+    );
+
+    // Sama seperti publikasi: slug baru dipesan di database (indeks unik) sebelum file
+    // diunggah, dan dibatalkan lagi jika upload gagal
+    let redirects;
+    const connection = await dbPool.getConnection();
+    try {
+      await connection.beginTransaction();
+      // Slug baru mungkin dulunya slug lama website ini sendiri: hapus dari daftar redirect
+      await connection.query("DELETE FROM slug_redirects WHERE slug = ?", [newSlug]);
+      await connection.query(
+        "INSERT INTO slug_redirects (slug, site_id) VALUES (?, ?)",
+        [site.slug, site.id]
+      );
+      await connection.query("UPDATE published_sites SET slug = ? WHERE id = ?", [
+        newSlug,
+        site.id,
+      ]);
+      [redirects] = await connection.query(
+        "SELECT slug FROM slug_redirects WHERE site_id = ?",
+        [site.id]
+      );
+      await uploadSiteFiles(newSlug, files);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    // Semua slug lama (termasuk yang lebih lama lagi) diarahkan langsung ke slug baru
+    for (const redirect of redirects) {
+      await storage.putRedirect("sites", `${redirect.slug}/index.html`, `${newSlug}/`);
+    }
+    // Di slug lama cukup tersisa halaman redirect-nya
+    await deleteSiteFiles(site.slug, { keepIndex: true });
+    await updateSitesRobotsTxt();
+
+    console.log(
+      `Slug website ${site.id} diganti dari "${site.slug}" ke "${newSlug}".`
+    );
+    res.json(formatSite({ ...site, slug: newSlug }));
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ error: "Slug sudah dipakai." });
+    }
+    console.error("Error di /api/sites/:id (PATCH):", error);
+    res.status(500).json({ error: "Gagal mengganti slug website." });
+  }
+});
+
+// Endpoint untuk menghapus publikasi website (unpublish), termasuk semua redirect-nya
+app.delete("/api/sites/:id", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const site = await findUserSite(req.params.id, userId);
+    if (!site) {
+      return res.status(404).json({ error: "Website tidak ditemukan." });
+    }
+
+    const [redirects] = await dbPool.query(
+      "SELECT slug FROM slug_redirects WHERE site_id = ?",
+      [site.id]
+    );
+
+    // Hapus file website (dan redirect slug lama) dari storage website
+    for (const slug of [site.slug, ...redirects.map((r) => r.slug)]) {
+      await deleteSiteFiles(slug);
+    }
+
+    await dbPool.query("DELETE FROM slug_redirects WHERE site_id = ?", [site.id]);
+    await dbPool.query("DELETE FROM published_sites WHERE id = ?", [site.id]);
+    await updateSitesRobotsTxt();
+
+    console.log(`Publikasi website ${site.slug} milik user ${userId} dihapus.`);
+    res.status(200).json({ message: "Publikasi berhasil dihapus." });
+  } catch (error) {
+    console.error("Error di /api/sites/:id (DELETE):", error);
+    res.status(500).json({ error: "Gagal menghapus publikasi." });
+  }
+});
+
+// =================================================================
+// --- FUNGSI UTILITAS PROJECT & RIWAYAT ---
+// =================================================================
+
+// Mengambil project milik user; null jika tidak ada atau bukan miliknya
+async function findUserProject(projectId, userId) {
+  if (!projectId) return null;
+  const [projects] = await dbPool.query(
+    "SELECT id, name, created_at, updated_at FROM projects WHERE id = ? AND user_id = ?",
+    [projectId, userId]
+  );
+  return projects[0] || null;
+}
+
+async function findUserGeneration(generationId, userId) {
+  const [rows] = await dbPool.query(
+    "SELECT * FROM generations WHERE id = ? AND user_id = ?",
+    [generationId, userId]
+  );
+  return rows[0] || null;
+}
+
+// Render dokumen situs lalu simpan sebagai versi baru (anak dari `baseGeneration`)
+// di project yang sama
+async function saveSiteVersion(userId, baseGeneration, site) {
+  const { htmlCode, report } = prepareGeneratedHtml(renderSite(site));
+  const saved = await saveGeneration({
+    userId,
+    projectId: baseGeneration.project_id,
+    htmlCode,
+    site,
+    validationReport: report,
+    parentGenerationId: baseGeneration.id,
+    source: "content",
+  });
+  return { ...saved, site, validationReport: report };
+}
+
+// Menghapus file thumbnail versi. Kegagalan hanya dicatat: data versinya sudah terhapus.
+async function deleteThumbnails(keys) {
+  for (const key of keys) {
+    try {
+      await storage.deleteObject("assets", key);
+    } catch (error) {
+      console.error(`Gagal menghapus thumbnail ${key}:`, error.message);
+    }
+  }
+}
+
+// Label/catatan versi: dipangkas, string kosong disimpan sebagai NULL
+function normalizeVersionText(value, maxLength) {
+  const text = typeof value === "string" ? value.trim().slice(0, maxLength) : "";
+  return text || null;
+}
+
+function normalizeProjectName(name) {
+  return typeof name === "string" ? name.trim().slice(0, 100) : "";
+}
+
+// Menyimpan satu versi website ke riwayat project. `htmlCode` harus sudah melewati
+// prepareGeneratedHtml; `site` diisi untuk versi terstruktur (HTML-nya hasil render).
+// `parentGenerationId` adalah versi asal (null untuk generate baru), `source` asal
+// perubahan: "generate", "edit" (AI), "content" (edit tanpa AI), "manual" (editor kode),
+// "import" (HTML milik user), "translate" (terjemahan ulang), atau "restore".
+// Elemen WhatsApp & terjemahan disisipkan ulang sesuai pengaturan project sebelum disimpan
+// (lewati dengan `integrationsApplied` jika htmlCode sudah melewati applyProjectIntegrations).
+// Mengembalikan { generationId, htmlCode } dengan htmlCode yang benar-benar tersimpan.
+// `db` bisa berupa koneksi transaksi agar penyimpanan ikut di-rollback bersama operasi lainnya.
+async function saveGeneration(
+  {
+    userId,
+    projectId,
+    htmlCode,
+    site = null,
+    validationReport = null,
+    parentGenerationId = null,
+    prompt = null,
+    source = "generate",
+    integrationsApplied = false,
+  },
+  db = dbPool
+) {
+  const finalHtml = integrationsApplied
+    ? htmlCode
+    : await applyProjectIntegrations(projectId, htmlCode, { db, report: validationReport });
+
+  // Nomor versi diambil dari penghitung per project (atomik), sehingga tidak pernah
+  // dipakai ulang atau bergeser walaupun ada versi yang dihapus.
+  // Sekaligus: project yang baru diubah tampil paling atas di daftar project.
+  const [counter] = await db.query(
+    "UPDATE projects SET version_counter = LAST_INSERT_ID(version_counter + 1), updated_at = NOW() WHERE id = ?",
+    [projectId]
+  );
+  const [result] = await db.query(
+    `INSERT INTO generations
+       (user_id, project_id, parent_generation_id, version_number, source, prompt, html_code, site_json, validation_report)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      projectId,
+      parentGenerationId,
+      counter.insertId,
+      source,
+      prompt ? String(prompt).slice(0, 5000) : null,
+      finalHtml,
+      site ? JSON.stringify(site) : null,
+      validationReport ? JSON.stringify(validationReport) : null,
+    ]
+  );
+  return { generationId: result.insertId, htmlCode: finalHtml };
+}
+
+// =================================================================
+// --- FUNGSI UTILITAS PRESET INDUSTRI ---
+// =================================================================
+const PRESET_MAX_SECTIONS = 15;
+
+// Preset bawaan, hanya dimasukkan sekali saat tabel masih kosong (setelah itu dikelola admin)
+const INDUSTRY_PRESET_SEEDS = [
+  {
+    slug: "kuliner",
+    name: "Kuliner",
+    description: "Warung makan, kafe, katering, dan jajanan.",
+    sections: ["hero", "tentang kami", "menu andalan & harga", "testimoni pelanggan", "galeri makanan", "lokasi & jam buka", "footer"],
+    tone: "Hangat, akrab, dan menggugah selera. Kalimat pendek yang membuat pembaca lapar.",
+    color_direction: "Warna hangat seperti orange, amber, atau merah, dengan aksen hijau segar.",
+    sample_copy: "Masakan rumahan yang bikin kangen. Dimasak setiap pagi dengan bumbu racikan sendiri, siap menemani makan siang Anda.",
+  },
+  {
+    slug: "fashion",
+    name: "Fashion & Butik",
+    description: "Butik pakaian, hijab, sepatu, dan aksesori.",
+    sections: ["hero", "koleksi terbaru", "tentang brand", "lookbook/galeri", "testimoni pelanggan", "kontak & cara order", "footer"],
+    tone: "Stylish, percaya diri, dan ringkas. Tonjolkan bahan, potongan, dan kesan saat dipakai.",
+    color_direction: "Netral elegan (hitam, putih, abu-abu) dengan satu aksen lembut seperti rose atau emas.",
+    sample_copy: "Koleksi terbaru kami dirancang untuk Anda yang ingin tampil rapi tanpa ribet. Bahan adem, potongan pas, nyaman dari pagi sampai malam.",
+  },
+  {
+    slug: "jasa",
+    name: "Jasa",
+    description: "Laundry, servis elektronik, bengkel, dan jasa rumah tangga.",
+    sections: ["hero", "layanan & harga", "keunggulan kami", "cara kerja", "testimoni pelanggan", "kontak & area layanan", "footer"],
+    tone: "Profesional, jelas, dan dapat dipercaya. Tekankan kecepatan, harga transparan, dan garansi.",
+    color_direction: "Biru atau teal yang bersih dengan aksen kuning/amber untuk tombol ajakan.",
+    sample_copy: "Cucian beres tanpa repot. Kami jemput, cuci, setrika, dan antar kembali dalam 2 hari, dengan harga per kilo yang jelas sejak awal.",
+  },
+  {
+    slug: "kerajinan",
+    name: "Kerajinan & Batik",
+    description: "Batik, tenun, anyaman, keramik, dan produk handmade.",
+    sections: ["hero", "cerita pengrajin", "katalog produk", "galeri proses pembuatan", "testimoni pelanggan", "kontak & pemesanan", "footer"],
+    tone: "Bercerita dan bangga akan budaya lokal. Sorot proses, bahan, dan tangan-tangan pembuatnya.",
+    color_direction: "Earthy: coklat, amber, krem, dan hijau zaitun yang terasa alami.",
+    sample_copy: "Setiap lembar batik kami dibuat dengan canting oleh pengrajin di kampung kami, membawa motif warisan yang diceritakan turun-temurun.",
+  },
+  {
+    slug: "salon",
+    name: "Salon & Kecantikan",
+    description: "Salon rambut, spa, barbershop, nail art, dan klinik kecantikan.",
+    sections: ["hero", "layanan & harga", "tentang kami", "galeri hasil", "testimoni pelanggan", "booking & lokasi", "footer"],
+    tone: "Ramah, menenangkan, dan memanjakan. Ajak pembaca membayangkan rasa segar setelah perawatan.",
+    color_direction: "Pink, rose, atau ungu lembut dengan aksen emas, kesan bersih dan feminin.",
+    sample_copy: "Luangkan waktu sejenak untuk diri sendiri. Tim kami siap merawat rambut dan kulit Anda dengan produk yang aman dan suasana yang nyaman.",
+  },
+];
+
+async function findActivePreset(presetId) {
+  const [rows] = await dbPool.query(
+    "SELECT * FROM industry_presets WHERE id = ? AND is_active = 1",
+    [presetId]
+  );
+  return rows.length > 0 ? formatPreset(rows[0]) : null;
+}
+
+// Validasi input admin. `partial` untuk PATCH: hanya field yang dikirim yang diperiksa.
+// Melempar requestError(400) jika ada field yang tidak valid.
+function normalizePresetInput(body = {}, { partial = false } = {}) {
+  const values = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (!partial || has("name")) {
+    values.name = normalizeVersionText(body.name, 100);
+    if (!values.name) throw requestError(400, "Nama preset tidak boleh kosong.");
+  }
+  if (!partial || has("slug")) {
+    values.slug = slugify(String(body.slug || body.name || ""));
+    if (!SLUG_PATTERN.test(values.slug)) {
+      throw requestError(400, "Slug preset hanya boleh berisi huruf kecil, angka, dan tanda hubung.");
+    }
+  }
+  if (!partial || has("sections")) {
+    const list = Array.isArray(body.sections)
+      ? body.sections
+      : String(body.sections || "").split(",");
+    values.sections = JSON.stringify(
+      list
+        .map((section) => String(section).trim().slice(0, 60))
+        .filter(Boolean)
+        .slice(0, PRESET_MAX_SECTIONS)
+    );
+  }
+  const textFields = {
+    description: ["description", 255],
+    tone: ["tone", 1000],
+    colorDirection: ["color_direction", 1000],
+    sampleCopy: ["sample_copy", 2000],
+  };
+  for (const [field, [column, maxLength]] of Object.entries(textFields)) {
+    if (!partial || has(field)) values[column] = normalizeVersionText(body[field], maxLength);
+  }
+  if (!partial || has("sortOrder")) values.sort_order = Number.parseInt(body.sortOrder, 10) || 0;
+  if (!partial || has("isActive")) values.is_active = body.isActive === false ? 0 : 1;
+  return values;
+}
+
+function formatPreset(preset) {
+  return {
+    id: preset.id,
+    slug: preset.slug,
+    name: preset.name,
+    description: preset.description || "",
+    sections: parseJsonColumn(preset.sections, []),
+    tone: preset.tone || "",
+    colorDirection: preset.color_direction || "",
+    sampleCopy: preset.sample_copy || "",
+    sortOrder: preset.sort_order,
+    isActive: Boolean(preset.is_active),
+  };
+}
+
+// =================================================================
+// --- FUNGSI UTILITAS PROFIL BISNIS ---
+// =================================================================
+const BUSINESS_MAX_PRODUCTS = 30;
+const BUSINESS_MAX_HOURS = 7;
+const BUSINESS_SOCIAL_NETWORKS = ["instagram", "facebook", "tiktok", "youtube", "website"];
+
+async function findBusinessProfile(userId) {
+  const [rows] = await dbPool.query("SELECT * FROM business_profiles WHERE user_id = ?", [
+    userId,
+  ]);
+  return rows.length > 0 ? formatBusinessProfile(rows[0]) : null;
+}
+
+// Validasi isian form profil bisnis. Melempar requestError(400) jika ada yang tidak valid.
+function normalizeBusinessProfileInput(body = {}) {
+  const name = normalizeVersionText(body.name, 100);
+  if (!name) throw requestError(400, "Nama usaha tidak boleh kosong.");
+
+  const whatsapp = normalizeWhatsAppNumber(body.whatsapp);
+
+  // Koordinat peta opsional, tapi harus diisi berpasangan
+  const toCoordinate = (value) =>
+    value === null || value === undefined || value === "" ? null : Number(value);
+  const latitude = toCoordinate(body.latitude);
+  const longitude = toCoordinate(body.longitude);
+  if ((latitude === null) !== (longitude === null)) {
+    throw requestError(400, "Latitude dan longitude harus diisi keduanya.");
+  }
+  if (
+    latitude !== null &&
+    !(Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180)
+  ) {
+    throw requestError(400, "Koordinat peta tidak valid.");
+  }
+
+  const socialLinks = {};
+  for (const network of BUSINESS_SOCIAL_NETWORKS) {
+    const url = normalizeVersionText((body.socialLinks || {})[network], 255);
+    if (!url) continue;
+    if (!/^https?:\/\/[^\s]+$/i.test(url)) {
+      throw requestError(400, `Link ${network} harus berupa URL lengkap (https://...).`);
+    }
+    socialLinks[network] = url;
+  }
+
+  const openingHours = (Array.isArray(body.openingHours) ? body.openingHours : [])
+    .map((entry) => ({
+      days: normalizeVersionText(entry && entry.days, 50),
+      hours: normalizeVersionText(entry && entry.hours, 50),
+    }))
+    .filter((entry) => entry.days && entry.hours)
+    .slice(0, BUSINESS_MAX_HOURS);
+
+  const products = (Array.isArray(body.products) ? body.products : [])
+    .map((product) => ({
+      name: normalizeVersionText(product && product.name, 100),
+      price: normalizeVersionText(product && product.price, 50) || "",
+      description: normalizeVersionText(product && product.description, 300) || "",
+    }))
+    .filter((product) => product.name)
+    .slice(0, BUSINESS_MAX_PRODUCTS);
+
+  return {
+    name,
+    tagline: normalizeVersionText(body.tagline, 200),
+    address: normalizeVersionText(body.address, 500),
+    latitude,
+    longitude,
+    whatsapp,
+    opening_hours: JSON.stringify(openingHours),
+    social_links: JSON.stringify(socialLinks),
+    products: JSON.stringify(products),
+  };
+}
+
+// Nomor WhatsApp ditulis bebas (spasi, tanda hubung, +62), tetapi harus 8-15 digit.
+// Mengembalikan null jika kosong; melempar requestError(400) jika tidak valid.
+function normalizeWhatsAppNumber(value) {
+  const whatsapp = normalizeVersionText(value, 30);
+  if (whatsapp && !/^\+?[\d\s().-]+$/.test(whatsapp)) {
+    throw requestError(400, "Nomor WhatsApp hanya boleh berisi angka, spasi, +, atau tanda hubung.");
+  }
+  const digits = whatsapp ? whatsapp.replace(/\D/g, "") : "";
+  if (whatsapp && (digits.length < 8 || digits.length > 15)) {
+    throw requestError(400, "Nomor WhatsApp harus terdiri dari 8-15 digit.");
+  }
+  return whatsapp;
+}
+
+// Validasi pengaturan integrasi WhatsApp project (lihat DEFAULT_WHATSAPP_SETTINGS)
+function normalizeWhatsAppSettings(body = {}) {
+  const toBoolean = (value, fallback) => (typeof value === "boolean" ? value : fallback);
+  return {
+    enabled: toBoolean(body.enabled, DEFAULT_WHATSAPP_SETTINGS.enabled),
+    number: normalizeWhatsAppNumber(body.number) || "",
+    greeting: normalizeVersionText(body.greeting, 300) || DEFAULT_WHATSAPP_SETTINGS.greeting,
+    floatingButton: toBoolean(body.floatingButton, DEFAULT_WHATSAPP_SETTINGS.floatingButton),
+    productLinks: toBoolean(body.productLinks, DEFAULT_WHATSAPP_SETTINGS.productLinks),
+    cart: toBoolean(body.cart, DEFAULT_WHATSAPP_SETTINGS.cart),
+  };
+}
+
+function formatBusinessProfile(profile) {
+  const hasCoordinates = profile.latitude !== null && profile.longitude !== null;
+  return {
+    name: profile.name,
+    tagline: profile.tagline || "",
+    address: profile.address || "",
+    latitude: hasCoordinates ? Number(profile.latitude) : null,
+    longitude: hasCoordinates ? Number(profile.longitude) : null,
+    mapsUrl: hasCoordinates
+      ? `https://www.google.com/maps?q=${Number(profile.latitude)},${Number(profile.longitude)}`
+      : "",
+    whatsapp: profile.whatsapp || "",
+    openingHours: parseJsonColumn(profile.opening_hours, []),
+    socialLinks: parseJsonColumn(profile.social_links, {}),
+    products: parseJsonColumn(profile.products, []),
+    updatedAt: profile.updated_at,
+  };
+}
+
+// =================================================================
+// --- FUNGSI UTILITAS PUBLIKASI & SLUG ---
+// =================================================================
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const RESERVED_SLUGS = [
+  "api",
+  "admin",
+  "assets",
+  "static",
+  "www",
+  "login",
+  "register",
+  "generator",
+  "health",
+];
+
+// Mengembalikan pesan error jika slug tidak valid, atau null jika valid
+function validateSlug(slug) {
+  if (!slug || slug.length < 3 || slug.length > 50) {
+    return "Slug harus 3-50 karakter.";
+  }
+  if (!SLUG_PATTERN.test(slug)) {
+    return "Slug hanya boleh berisi huruf kecil, angka, dan tanda hubung (contoh: kopi-senja).";
+  }
+  // Slug angka saja dipakai oleh website lama (berbasis ID user)
+  if (/^[0-9]+$/.test(slug)) {
+    return "Slug tidak boleh hanya berisi angka.";
+  }
+  if (RESERVED_SLUGS.includes(slug)) {
+    return "Slug ini tidak boleh dipakai.";
+  }
+  return null;
+}
+
+// Slug dianggap terpakai jika dipakai website lain atau masih menjadi redirect
+// website lain. Redirect milik website `siteId` sendiri boleh dipakai kembali.
+async function isSlugAvailable(slug, siteId = null) {
+  const [sites] = await dbPool.query(
+    "SELECT id FROM published_sites WHERE slug = ?",
+    [slug]
+  );
+  if (sites.length > 0) return false;
+
+  const [redirects] = await dbPool.query(
+    "SELECT site_id FROM slug_redirects WHERE slug = ?",
+    [slug]
+  );
+  return redirects.every((redirect) => String(redirect.site_id) === String(siteId));
+}
+
+async function findUserSite(siteId, userId) {
+  const [sites] = await dbPool.query(
+    "SELECT * FROM published_sites WHERE id = ? AND user_id = ?",
+    [siteId, userId]
+  );
+  return sites[0] || null;
+}
+
+// Buat URL publik untuk website yang dipublikasikan (dibangun oleh driver storage)
+function buildSiteUrl(slug) {
+  return storage.getPublicUrl("sites", `${slug}/`);
+}
+
+function formatSite(site) {
+  return {
+    id: site.id,
+    projectId: site.project_id,
+    generationId: site.generation_id,
+    slug: site.slug,
+    publicUrl: buildSiteUrl(site.slug),
+    publishedAt: site.published_at,
+  };
+}
+
+// Ikon yang dibuat dari logo project (lihat renderSiteIcons)
+const SITE_ICON_SIZES = [
+  { file: "favicon.png", rel: "icon", size: 32 },
+  { file: "apple-touch-icon.png", rel: "apple-touch-icon", size: 180 },
+];
+// Nama semua file yang bisa ada di folder slug (lihat buildPublishedSiteFiles)
+const PUBLISHED_SITE_FILES = [
+  "index.html",
+  "sitemap.xml",
+  ...SITE_ICON_SIZES.map((icon) => icon.file),
+];
+
+// Menyusun semua file website untuk satu slug dari HTML yang sudah disanitasi:
+// halaman dengan tag SEO dan tambahan otomatis (WhatsApp & terjemahan mengikuti
+// pengaturan project saat ini, bukan saat versi disimpan), sitemap, dan ikon dari
+// logo. index.html sengaja diletakkan terakhir agar diunggah setelah file yang
+// dirujuknya.
+async function buildPublishedSiteFiles(projectId, userId, sanitizedHtml, slug) {
+  const siteUrl = buildSiteUrl(slug);
+  const { html, icons } = await applySeo(projectId, userId, sanitizedHtml, slug);
+  return [
+    { name: "sitemap.xml", body: buildSitemapXml(siteUrl), contentType: "application/xml" },
+    ...icons.map((icon) => ({ name: icon.file, body: icon.body, contentType: "image/png" })),
+    {
+      name: "index.html",
+      body: await applyProjectIntegrations(projectId, html),
+      contentType: "text/html",
+    },
+  ];
+}
+
+async function uploadSiteFiles(slug, files) {
+  for (const file of files) {
+    await storage.putObject("sites", `${slug}/${file.name}`, file.body, {
+      contentType: file.contentType,
+    });
+  }
+}
+
+// Menghapus file website di satu slug. File yang memang tidak ada diabaikan driver.
+async function deleteSiteFiles(slug, { keepIndex = false } = {}) {
+  for (const name of PUBLISHED_SITE_FILES) {
+    if (keepIndex && name === "index.html") continue;
+    await storage.deleteObject("sites", `${slug}/${name}`);
+  }
+}
+
+function buildSitemapXml(siteUrl) {
+  const lastmod = new Date().toISOString().slice(0, 10);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>${escapeHtml(siteUrl)}</loc>
+    <lastmod>${lastmod}</lastmod>
+  </url>
+</urlset>
+`;
+}
+
+// Mesin pencari hanya membaca robots.txt di root domain, jadi file ini ditulis di root
+// area "sites" (di S3 = root domain bucket website) dan mendaftarkan sitemap semua
+// website yang sedang dipublikasikan. Di storage lokal file ini ada di /sites/robots.txt
+// dan baru terbaca jika /sites dilayani sebagai domain sendiri.
+async function updateSitesRobotsTxt() {
+  try {
+    const [sites] = await dbPool.query("SELECT slug FROM published_sites ORDER BY slug");
+    await storage.putObject("sites", "robots.txt", buildRobotsTxt(sites.map((s) => s.slug)), {
+      contentType: "text/plain",
+    });
+  } catch (error) {
+    // Website tetap terpublikasi; robots.txt disusun ulang utuh pada perubahan berikutnya
+    console.error("Gagal memperbarui robots.txt:", error);
+  }
+}
+
+function buildRobotsTxt(slugs) {
+  const sitemaps = slugs.map((slug) => `Sitemap: ${buildSiteUrl(slug)}sitemap.xml\n`);
+  return `User-agent: *\nAllow: /\n\n${sitemaps.join("")}`;
+}
+
+// =================================================================
+// --- FUNGSI UTILITAS MEDIA LIBRARY ---
+// =================================================================
+const ASSET_MAX_TAGS = 10;
+
+async function findUserAsset(assetId, userId) {
+  const [assets] = await dbPool.query(
+    "SELECT * FROM assets WHERE id = ? AND user_id = ?",
+    [assetId, userId]
+  );
+  return assets[0] || null;
+}
+
+function normalizeAssetName(name) {
+  return typeof name === "string" ? name.trim().slice(0, 100) : "";
+}
+
+// Tag boleh dikirim sebagai array atau teks dipisah koma; disimpan huruf kecil & unik
+function normalizeAssetTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  return [
+    ...new Set(
+      list
+        .map((tag) => String(tag).trim().toLowerCase().slice(0, 30))
+        .filter(Boolean)
+    ),
+  ].slice(0, ASSET_MAX_TAGS);
+}
+
+function escapeLike(text) {
+  return String(text).replace(/[\\%_]/g, "\\$&");
+}
+
+// Cari versi tersimpan (milik user yang sama) yang HTML-nya memuat salah satu varian gambar.
+// Semua varian berbagi key prefix yang sama, jadi cukup satu pencarian LIKE.
+async function findAssetReferences(asset) {
+  const prefixUrl = storage.getPublicUrl("assets", `${asset.key_prefix}-`);
+  const [rows] = await dbPool.query(
+    `SELECT g.id, g.project_id, p.name AS project_name, ps.slug AS published_slug
+     FROM generations g
+     LEFT JOIN projects p ON p.id = g.project_id
+     LEFT JOIN published_sites ps ON ps.generation_id = g.id
+     WHERE g.user_id = ? AND g.html_code LIKE ?
+     ORDER BY g.created_at DESC`,
+    [asset.user_id, `%${escapeLike(prefixUrl)}%`]
+  );
+  return rows.map((row) => ({
+    generationId: row.id,
+    projectId: row.project_id,
+    projectName: row.project_name,
+    publishedSlug: row.published_slug,
+  }));
+}
+
+// Memproses gambar lalu menyimpan semua variannya ke storage aset dan media library.
+// Melempar error dengan code "IMAGE_INVALID" jika gambar rusak. Mengembalikan aset terformat.
+async function storeImageAsset(userId, projectId, buffer, { format, name }) {
+  // Prefix unik untuk mencegah konflik, dikelompokkan per user & project
+  const baseName = String(name || "")
+    .replace(/[^a-zA-Z0-9_-]+/g, "_")
+    .slice(0, 60);
+  const keyPrefix = `${userId}/${projectId}/${Date.now()}-${baseName || "gambar"}`;
+
+  let processed;
+  try {
+    processed = await processUploadedImage(buffer, format);
+  } catch (error) {
+    error.code = "IMAGE_INVALID";
+    throw error;
+  }
+
+  // Unggah semua varian ke area aset. Yang disimpan di database hanya key-nya,
+  // URL publik dibangun ulang oleh driver storage setiap kali aset dibaca.
+  const variants = [];
+  for (const variant of processed.variants) {
+    const key = `${keyPrefix}-${variant.name}.${variant.extension}`;
+    await storage.putObject("assets", key, variant.buffer, {
+      contentType: variant.contentType,
+    });
+    variants.push({
+      name: variant.name,
+      format: variant.format,
+      width: variant.width,
+      height: variant.height,
+      size: variant.buffer.length,
+      key,
+    });
+  }
+
+  // Catat di media library agar gambar bisa dipakai lagi di sesi berikutnya
+  const [result] = await dbPool.query(
+    `INSERT INTO assets (user_id, project_id, name, key_prefix, format, width, height, variants)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      projectId,
+      normalizeAssetName(name) || "Gambar",
+      keyPrefix,
+      processed.format,
+      processed.width,
+      processed.height,
+      JSON.stringify(variants),
+    ]
+  );
+  return formatAsset(await findUserAsset(result.insertId, userId));
+}
+
+// Kolom JSON bisa terbaca sebagai string (tergantung versi MySQL/MariaDB)
+function parseJsonColumn(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+function formatAsset(asset) {
+  const variants = parseJsonColumn(asset.variants, []).map(({ key, ...variant }) => ({
+    ...variant,
+    url: storage.getPublicUrl("assets", key),
+  }));
+  return {
+    id: asset.id,
+    projectId: asset.project_id,
+    name: asset.name,
+    tags: parseJsonColumn(asset.tags, []),
+    createdAt: asset.created_at,
+    ...formatUploadedImage(variants, asset),
+  };
+}
+
+// =================================================================
+// --- WORKER ANTRIAN JOB ---
+// Mengambil job berstatus "queued" dari database, menjalankannya dengan batas
+// konkurensi, dan mengulang (retry) dengan backoff jika gagal.
+// =================================================================
+const runningJobs = new Map(); // jobId -> { controller, text }
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // Satu listener per koneksi SSE yang mengikuti job
+
+async function pollJobQueue() {
+  while (runningJobs.size < JOB_CONCURRENCY) {
+    const job = await claimNextJob();
+    if (!job) break;
+    // Job dijalankan tanpa ditunggu agar slot lain bisa langsung terisi
+    processJob(job).catch((error) =>
+      console.error(`Error tak tertangani di job #${job.id}:`, error)
+    );
+  }
+}
+
+// Mengklaim satu job secara atomik memakai token unik, aman untuk beberapa worker
+async function claimNextJob() {
+  const claimToken = crypto.randomUUID();
+  const [result] = await dbPool.query(
+    `UPDATE generation_jobs
+     SET status = 'running', claim_token = ?, worker_id = ?, attempts = attempts + 1,
+         locked_at = NOW(), started_at = COALESCE(started_at, NOW())
+     WHERE status = 'queued' AND run_after <= NOW()
+     ORDER BY id ASC LIMIT 1`,
+    [claimToken, JOB_WORKER_ID]
+  );
+  if (result.affectedRows === 0) return null;
+
+  const [jobs] = await dbPool.query(
+    "SELECT * FROM generation_jobs WHERE claim_token = ?",
+    [claimToken]
+  );
+  return jobs[0] || null;
+}
+
+async function processJob(job) {
+  const controller = new AbortController();
+  const runningJob = { controller, text: "" };
+  runningJobs.set(job.id, runningJob);
+  const emit = (event, data) => jobEvents.emit(`job:${job.id}`, event, data);
+
+  // Perbarui locked_at secara berkala agar job tidak dianggap macet
+  const heartbeat = setInterval(() => {
+    dbPool
+      .query(
+        "UPDATE generation_jobs SET locked_at = NOW() WHERE id = ? AND claim_token = ?",
+        [job.id, job.claim_token]
+      )
+      .catch((error) => console.error("Gagal memperbarui heartbeat job:", error));
+  }, 30000);
+
+  console.log(
+    `[${new Date().toLocaleTimeString()}] Worker memproses job #${job.id} (percobaan ${job.attempts}/${job.max_attempts})`
+  );
+  emit("status", { ...formatJob(job), status: "running" });
+
+  try {
+    const payload =
+      typeof job.payload === "string" ? JSON.parse(job.payload) : job.payload;
+    const request = await buildAIRequest(job.user_id, { type: job.type, ...payload });
+
+    const rawResponse = await invokeAIStream(request.systemPrompt, request.userMessages, {
+      signal: controller.signal,
+      onText: (text) => {
+        runningJob.text += text;
+        emit("delta", { text });
+      },
+    });
+    const result = finalizeAIResult(rawResponse, request, payload.imageUrls);
+
+    const generationId = await completeJob(job, { ...result, version: request.version });
+    if (generationId) {
+      console.log(`Job #${job.id} selesai, riwayat disimpan untuk user ID: ${job.user_id}`);
+      emit("status", { id: job.id, status: "succeeded", generationId });
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`Job #${job.id} dihentikan.`);
+    } else {
+      console.error(`Error saat memproses job #${job.id}:`, error);
+      try {
+        const status = await failJob(job, error);
+        emit("status", { id: job.id, status, error: error.message });
+      } catch (failError) {
+        // Status tetap "running": heartbeat sudah berhenti, jadi recoverStaleJobs akan
+        // mengembalikan job ini ke antrian setelah lock-nya kadaluarsa
+        console.error(`Gagal memperbarui status job #${job.id}:`, failError);
+      }
+    }
+  } finally {
+    clearInterval(heartbeat);
+    runningJobs.delete(job.id);
+  }
+}
+
+// Menyimpan hasil ke generations dan menandai job selesai dalam satu transaksi,
+// sehingga hasil tersimpan tepat satu kali walaupun job pernah di-retry.
+async function completeJob(job, { htmlCode, site, report, version }) {
+  // Terjemahan bisa memanggil AI: disiapkan sebelum transaksi dibuka
+  const finalHtml = await applyProjectIntegrations(job.project_id, htmlCode, { report });
+  const connection = await dbPool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const { generationId } = await saveGeneration(
+      {
+        userId: job.user_id,
+        projectId: job.project_id,
+        htmlCode: finalHtml,
+        site,
+        validationReport: report,
+        integrationsApplied: true,
+        ...version,
+      },
+      connection
+    );
+    const [updateResult] = await connection.query(
+      `UPDATE generation_jobs
+       SET status = 'succeeded', generation_id = ?, error = NULL, finished_at = NOW()
+       WHERE id = ? AND claim_token = ? AND status = 'running'`,
+      [generationId, job.id, job.claim_token]
+    );
+    if (updateResult.affectedRows === 0) {
+      // Job sudah dibatalkan atau diambil alih worker lain: jangan simpan hasilnya
+      await connection.rollback();
+      return null;
+    }
+    await connection.commit();
+    return generationId;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Menjadwalkan ulang job dengan backoff eksponensial, atau menandainya gagal
+// jika batas percobaan sudah habis. Mengembalikan status baru job.
+async function failJob(job, error) {
+  const canRetry = isRetryableJobError(error) && job.attempts < job.max_attempts;
+  const retryDelaySeconds = 5 * 2 ** (job.attempts - 1); // 5s, 10s, 20s, ...
+  await dbPool.query(
+    `UPDATE generation_jobs
+     SET status = ?, error = ?, claim_token = NULL,
+         run_after = DATE_ADD(NOW(), INTERVAL ? SECOND),
+         finished_at = IF(? = 'failed', NOW(), NULL)
+     WHERE id = ? AND claim_token = ? AND status = 'running'`,
+    [
+      canRetry ? "queued" : "failed",
+      String(error.message).slice(0, 1000),
+      retryDelaySeconds,
+      canRetry ? "queued" : "failed",
+      job.id,
+      job.claim_token,
+    ]
+  );
+  return canRetry ? "queued" : "failed";
+}
+
+// Hanya error provider AI, jaringan, atau database yang layak dicoba lagi. Request yang
+// ditolak (requestError) dan hasil yang gagal validasi akan gagal dengan cara yang sama.
+function isRetryableJobError(error) {
+  if (error.status) return false;
+  return error.code !== "HTML_INVALID" && error.code !== "SITE_INVALID";
+}
+
+// Job "running" yang heartbeat-nya berhenti (misal server restart) dikembalikan ke antrian
+async function recoverStaleJobs() {
+  const [result] = await dbPool.query(
+    `UPDATE generation_jobs
+     SET status = IF(attempts < max_attempts, 'queued', 'failed'),
+         error = 'Worker berhenti saat memproses job.', claim_token = NULL,
+         finished_at = IF(attempts < max_attempts, NULL, NOW())
+     WHERE status = 'running' AND locked_at < DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+    [JOB_LOCK_TIMEOUT_SECONDS]
+  );
+  if (result.affectedRows > 0) {
+    console.warn(`${result.affectedRows} job macet dikembalikan ke antrian.`);
+  }
+}
+
+function startJobWorker() {
+  let isPolling = false;
+  let lastRecoveryAt = 0;
+
+  setInterval(async () => {
+    if (isPolling) return;
+    isPolling = true;
+    try {
+      if (Date.now() - lastRecoveryAt > 60000) {
+        lastRecoveryAt = Date.now();
+        await recoverStaleJobs();
+      }
+      await pollJobQueue();
+    } catch (error) {
+      console.error("Error di worker antrian job:", error);
+    }
+    isPolling = false;
+  }, JOB_POLL_INTERVAL_MS);
+
+  console.log(
+    `Worker antrian job berjalan (${JOB_WORKER_ID}, konkurensi ${JOB_CONCURRENCY}).`
+  );
+}
+
+async function findUserJob(jobId, userId) {
+  const [jobs] = await dbPool.query(
+    "SELECT * FROM generation_jobs WHERE id = ? AND user_id = ?",
+    [jobId, userId]
+  );
+  return jobs[0] || null;
+}
+
+function isJobFinished(status) {
+  return ["succeeded", "failed", "cancelled"].includes(status);
+}
+
+// Bentuk respons job untuk frontend (tanpa payload yang bisa berisi HTML besar)
+function formatJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    projectId: job.project_id,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    error: job.error,
+    generationId: job.generation_id,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at,
+  };
+}
+
+// =================================================================
+// --- FUNGSI UTILITAS SESI & TOKEN ---
+// =================================================================
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, name: user.name, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+// Refresh token hanya disimpan dalam bentuk hash SHA-256 di database
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Sesi yang refresh token-nya baru saja dirotasi dari `tokenHash` (dalam masa tenggang)
+async function findRecentlyRotatedSession(tokenHash) {
+  const [sessions] = await dbPool.query(
+    `SELECT s.id, s.user_id, u.name, u.email
+     FROM user_sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.previous_token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+       AND s.last_used_at > DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+    [tokenHash, REFRESH_TOKEN_REUSE_GRACE_SECONDS]
+  );
+  return sessions[0] || null;
+}
+
+async function createSession(userId, userAgent = "") {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = generateRefreshToken();
+
+  // Bersihkan sesi lama yang sudah kadaluarsa milik user ini
+  await dbPool.query(
+    "DELETE FROM user_sessions WHERE user_id = ? AND expires_at < NOW()",
+    [userId]
+  );
+  await dbPool.query(
+    `INSERT INTO user_sessions (id, user_id, refresh_token_hash, user_agent, expires_at)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [
+      sessionId,
+      userId,
+      hashToken(refreshToken),
+      String(userAgent || "").slice(0, 255),
+      REFRESH_TOKEN_TTL_DAYS,
+    ]
+  );
+  return { sessionId, refreshToken };
+}
+
+// =================================================================
+// --- FUNGSI UTILITAS PASSWORD (HASHING & VALIDASI) ---
+// =================================================================
+
+// Format hash: scrypt$N$r$p$salt$hash (salt & hash dalam base64)
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const derivedKey = await scryptAsync(password, salt, SCRYPT_PARAMS);
+  return [
+    PASSWORD_HASH_PREFIX,
+    SCRYPT_PARAMS.N,
+    SCRYPT_PARAMS.r,
+    SCRYPT_PARAMS.p,
+    salt.toString("base64"),
+    derivedKey.toString("base64"),
+  ].join("$");
+}
+
+function isPasswordHash(storedPassword) {
+  return (
+    typeof storedPassword === "string" &&
+    storedPassword.startsWith(`${PASSWORD_HASH_PREFIX}$`)
+  );
+}
+
+async function verifyPassword(password, storedPassword) {
+  if (typeof storedPassword !== "string" || storedPassword.length === 0) {
+    return false;
+  }
+
+  // Akun lama (sebelum hashing): bandingkan plaintext dengan waktu konstan
+  if (!isPasswordHash(storedPassword)) {
+    return safeEqual(Buffer.from(password), Buffer.from(storedPassword));
+  }
+
+  const [, N, r, p, saltBase64, hashBase64] = storedPassword.split("$");
+  if (!saltBase64 || !hashBase64) return false;
+
+  const expectedKey = Buffer.from(hashBase64, "base64");
+  const derivedKey = await scryptAsync(
+    password,
+    Buffer.from(saltBase64, "base64"),
+    { N: Number(N), r: Number(r), p: Number(p) },
+    expectedKey.length
+  );
+  return safeEqual(derivedKey, expectedKey);
+}
+
+// Mengembalikan pesan error (string) jika password lemah, atau null jika lolos
+function validatePasswordStrength(password, { name = "", email = "" } = {}) {
+  if (typeof password !== "string" || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password minimal ${PASSWORD_MIN_LENGTH} karakter.`;
+  }
+  if (password.length > 128) {
+    return "Password maksimal 128 karakter.";
+  }
+  if (!/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) {
+    return "Password harus mengandung huruf dan angka.";
+  }
+
+  // Tolak password yang sama dengan nama atau bagian depan email
+  const lowered = password.toLowerCase();
+  const emailName = email.split("@")[0].toLowerCase();
+  if (
+    (name && lowered === name.toLowerCase()) ||
+    (emailName && lowered === emailName)
+  ) {
+    return "Password tidak boleh sama dengan nama atau email.";
+  }
+  return null;
+}
+
+function scryptAsync(password, salt, params, keyLength = SCRYPT_KEY_LENGTH) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLength, params, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(derivedKey);
+    });
+  });
+}
+
+// timingSafeEqual melempar error jika panjang berbeda, jadi cek dulu
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  return crypto.timingSafeEqual(a, b);
+}
+
+// =================================================================
+// --- PEMROSESAN GAMBAR UPLOAD ---
+// Gambar diputar sesuai orientasi EXIF, metadata (termasuk lokasi GPS) dibuang,
+// lalu dibuat beberapa lebar dalam format asli + WebP, ditambah satu thumbnail.
+// =================================================================
+const IMAGE_FORMATS = {
+  jpeg: { extension: "jpg", contentType: "image/jpeg" },
+  png: { extension: "png", contentType: "image/png" },
+  webp: { extension: "webp", contentType: "image/webp" },
+};
+
+// Kenali format dari magic bytes. Mengembalikan null jika tidak didukung.
+function detectImageFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "jpeg";
+  }
+  if (
+    buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  ) {
+    return "png";
+  }
+  if (
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "webp";
+  }
+  return null;
+}
+
+async function processUploadedImage(buffer, format) {
+  // rotate() tanpa argumen = putar sesuai EXIF; sharp tidak menyalin metadata ke output
+  const source = sharp(buffer, { failOn: "error" }).rotate();
+  const { width, height } = await source.clone().metadata().then((meta) =>
+    // Orientasi 5-8 berarti gambar diputar 90 derajat, jadi lebar & tinggi tertukar
+    meta.orientation >= 5
+      ? { width: meta.height, height: meta.width }
+      : { width: meta.width, height: meta.height }
+  );
+
+  // Jangan memperbesar gambar: lebar yang lebih besar dari aslinya diganti lebar asli
+  const widths = [
+    ...new Set(IMAGE_VARIANT_WIDTHS.map((target) => Math.min(target, width))),
+  ];
+
+  const variants = [];
+  for (const targetWidth of widths) {
+    for (const outputFormat of format === "webp" ? ["webp"] : [format, "webp"]) {
+      variants.push(
+        await renderImageVariant(source, {
+          name: `${targetWidth}w`,
+          width: targetWidth,
+          format: outputFormat,
+        })
+      );
+    }
+  }
+  variants.push(
+    await renderImageVariant(source, {
+      name: "thumb",
+      width: Math.min(IMAGE_THUMBNAIL_WIDTH, width),
+      format: "webp",
+    })
+  );
+
+  return { format, width, height, variants };
+}
+
+async function renderImageVariant(source, { name, width, format }) {
+  let pipeline = source.clone().resize({ width, withoutEnlargement: true });
+  if (format === "jpeg") {
+    pipeline = pipeline.jpeg({ quality: IMAGE_QUALITY.jpeg, mozjpeg: true });
+  } else if (format === "png") {
+    pipeline = pipeline.png({ compressionLevel: 9, palette: true });
+  } else {
+    pipeline = pipeline.webp({ quality: IMAGE_QUALITY.webp });
+  }
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+  return {
+    name,
+    format,
+    width: info.width,
+    height: info.height,
+    buffer: data,
+    ...IMAGE_FORMATS[format],
+  };
+}
+
+// Susun data gambar untuk klien. `url` tetap diisi (varian terbesar) agar kompatibel dengan klien lama.
+function formatUploadedImage(variants, { format, width, height }) {
+  const sized = variants.filter((v) => v.name !== "thumb");
+  const toSrcset = (list) => list.map((v) => `${v.url} ${v.width}w`).join(", ");
+  const original = sized.filter((v) => v.format === format);
+  const webp = sized.filter((v) => v.format === "webp");
+
+  return {
+    url: original[original.length - 1].url,
+    width: original[original.length - 1].width,
+    height: original[original.length - 1].height,
+    originalWidth: width,
+    originalHeight: height,
+    thumbnailUrl: variants.find((v) => v.name === "thumb").url,
+    srcset: toSrcset(original),
+    webpSrcset: format === "webp" ? null : toSrcset(webp),
+    variants,
+  };
+}
+
+// =================================================================
+// --- DRIVER STORAGE (S3 & DISK LOKAL) ---
+// Setiap driver mengimplementasikan:
+//   putObject(area, key, body, { contentType }), getObject(area, key) -> Buffer,
+//   deleteObject(area, key), putRedirect(area, key, targetKey),
+//   getPublicUrl(area, key), keyFromUrl(area, url), mount(app)
+// `area` adalah "assets" (gambar upload) atau "sites" (website yang dipublikasikan).
+// =================================================================
+function createStorageDriver(driverName) {
+  const factories = { s3: createS3Storage, local: createLocalStorage };
+  const factory = factories[driverName];
+  if (!factory) {
+    throw new Error(`Driver storage tidak dikenal: ${driverName}`);
+  }
+  const driver = factory(STORAGE_CONFIG[driverName]);
+
+  return {
+    ...driver,
+    // Kebalikan dari getPublicUrl: null jika URL bukan milik area ini
+    keyFromUrl(area, url) {
+      const baseUrl = driver.getPublicUrl(area, "");
+      if (typeof url !== "string" || !url.startsWith(baseUrl)) return null;
+      return decodeURIComponent(url.slice(baseUrl.length).split(/[?#]/)[0]);
+    },
+  };
+}
+
+function createS3Storage(config) {
+  const client = new S3Client({ region: config.region });
+  const buckets = { assets: config.assetBucket, sites: config.hostingBucket };
+
+  return {
+    name: "s3",
+    async putObject(area, key, body, { contentType } = {}) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: buckets[area],
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+        })
+      );
+    },
+    async getObject(area, key) {
+      const response = await client.send(
+        new GetObjectCommand({ Bucket: buckets[area], Key: key })
+      );
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+    async deleteObject(area, key) {
+      await client.send(new DeleteObjectCommand({ Bucket: buckets[area], Key: key }));
+    },
+    // Memakai fitur redirect bawaan S3 Static Website Hosting
+    async putRedirect(area, key, targetKey) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: buckets[area],
+          Key: key,
+          Body: "",
+          ContentType: "text/html",
+          WebsiteRedirectLocation: `/${targetKey}`,
+        })
+      );
+    },
+    getPublicUrl(area, key) {
+      // Website memakai endpoint S3 Static Website Hosting, aset memakai endpoint objek biasa
+      return area === "sites"
+        ? `http://${buckets.sites}.s3-website.${config.region}.amazonaws.com/${key}`
+        : `https://${buckets.assets}.s3.${config.region}.amazonaws.com/${key}`;
+    },
+    mount() {}, // File dilayani langsung oleh S3
+  };
+}
+
+function createLocalStorage(config) {
+  const routes = { assets: "/assets", sites: "/sites" };
+
+  // Website user di sini satu origin dengan API (di S3 sudah berada di domain bucket
+  // sendiri). CSP sandbox menjalankannya di origin terpisah sehingga script di halaman
+  // tidak bisa memanggil /api atau membaca storage milik origin ini.
+  const setSandboxHeader = (res) => {
+    res.setHeader(
+      "Content-Security-Policy",
+      "sandbox allow-scripts allow-forms allow-popups allow-popups-to-escape-sandbox"
+    );
+  };
+
+  // Cegah path traversal: key tidak boleh keluar dari folder area-nya
+  const resolvePath = (area, key) => {
+    const areaDir = path.resolve(config.rootDir, area);
+    const filePath = path.resolve(areaDir, key);
+    if (!filePath.startsWith(areaDir + path.sep)) {
+      throw new Error(`Key storage tidak valid: ${key}`);
+    }
+    return filePath;
+  };
+
+  const driver = {
+    name: "local",
+    async putObject(area, key, body) {
+      const filePath = resolvePath(area, key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+    async getObject(area, key) {
+      return fs.promises.readFile(resolvePath(area, key));
+    },
+    async deleteObject(area, key) {
+      await fs.promises.rm(resolvePath(area, key), { force: true });
+    },
+    // Tanpa fitur redirect S3, ganti dengan halaman HTML yang langsung mengarahkan
+    async putRedirect(area, key, targetKey) {
+      const targetUrl = escapeHtml(driver.getPublicUrl(area, targetKey));
+      await driver.putObject(
+        area,
+        key,
+        `<!DOCTYPE html><html><head><meta http-equiv="refresh" content="0; url=${targetUrl}"><link rel="canonical" href="${targetUrl}"></head><body><a href="${targetUrl}">${targetUrl}</a></body></html>`
+      );
+    },
+    getPublicUrl(area, key) {
+      return `${config.publicBaseUrl.replace(/\/$/, "")}${routes[area]}/${key}`;
+    },
+    // Melayani file dari disk: /assets/... dan /sites/<slug>/
+    mount(expressApp) {
+      for (const [area, route] of Object.entries(routes)) {
+        expressApp.use(
+          route,
+          express.static(path.join(config.rootDir, area), {
+            fallthrough: true,
+            setHeaders: area === "sites" ? setSandboxHeader : undefined,
+          })
+        );
+      }
+      console.log(`Storage lokal aktif di ${config.rootDir}`);
+    },
+  };
+  return driver;
+}
+
+// =================================================================
+// --- FUNGSI UTAMA UNTUK MENGHUBUNGI PROVIDER AI ---
+// =================================================================
+async function invokeAI(systemPrompt, userMessages) {
+  const provider = getAIProvider();
+
+  console.log(
+    `[${new Date().toLocaleTimeString()}] Mengirim permintaan ke provider AI (${provider.name})...`
+  );
+  const rawResponse = await provider.complete({
+    system: systemPrompt,
+    messages: userMessages,
+  });
+  console.log(
+    `[${new Date().toLocaleTimeString()}] Menerima respons dari provider AI (${provider.name}).`
+  );
+
+  return rawResponse; // Diolah oleh finalizeAIResult (HTML atau JSON situs)
+}
+
+// Versi streaming dari invokeAI: hasil dikirim ke `onText` potong demi potong.
+// Mengembalikan teks lengkap dari AI setelah stream selesai.
+async function invokeAIStream(systemPrompt, userMessages, { signal, onText }) {
+  const provider = getAIProvider();
+
+  console.log(
+    `[${new Date().toLocaleTimeString()}] Membuka stream ke provider AI (${provider.name})...`
+  );
+  const rawResponse = await provider.stream({
+    system: systemPrompt,
+    messages: userMessages,
+    signal,
+    onText,
+  });
+  console.log(
+    `[${new Date().toLocaleTimeString()}] Stream dari provider AI (${provider.name}) selesai.`
+  );
+
+  return rawResponse;
+}
+
+// Menyusun system prompt & pesan AI untuk generate/edit. Generate baru menghasilkan
+// dokumen situs terstruktur (kecuali GENERATION_FORMAT=html), disesuaikan dengan
+// preset industri jika `presetId` dipilih. Edit memakai dokumen
+// situs jika versi dasarnya punya site_json (opsional hanya satu section lewat
+// `sectionId`); versi lama yang hanya HTML diedit dengan alur HTML seperti sebelumnya.
+async function buildAIRequest(
+  userId,
+  {
+    type,
+    userPrompt,
+    imageUrls = [],
+    currentHtml,
+    baseGenerationId,
+    sectionId,
+    fieldPath,
+    fragment,
+    presetId,
+  }
+) {
+  // Profil bisnis (jika sudah diisi) ikut dikirim di setiap generate & edit
+  const businessProfile = await findBusinessProfile(userId);
+
+  if (type === "generate") {
+    // Preset industri (opsional) ikut menyusun system prompt generate pertama
+    const preset = presetId ? await findActivePreset(presetId) : null;
+    if (presetId && !preset) throw requestError(404, "Preset industri tidak ditemukan.");
+    return {
+      systemPrompt:
+        GENERATION_FORMAT === "structured"
+          ? createSiteSystemPrompt("generate", preset)
+          : createSystemPrompt(false, preset),
+      userMessages: withBusinessProfile(
+        buildGenerateMessages(userPrompt, imageUrls),
+        businessProfile
+      ),
+      businessProfile,
+      version: { parentGenerationId: null, prompt: userPrompt, source: "generate" },
+    };
+  }
+
+  // Versi dasar yang diedit menjadi induk versi baru (cabang di pohon riwayat)
+  const baseGeneration = baseGenerationId
+    ? await findUserGeneration(baseGenerationId, userId)
+    : null;
+  const baseSite = baseGeneration ? parseJsonColumn(baseGeneration.site_json, null) : null;
+  // Instruksi-instruksi sebelumnya di rantai versi ini ikut dikirim sebagai konteks
+  const thread = baseGeneration ? await loadInstructionThread(baseGeneration) : [];
+  const version = {
+    parentGenerationId: baseGeneration ? baseGeneration.id : null,
+    prompt: userPrompt,
+    source: "edit",
+  };
+  if (baseSite) {
+    if (sectionId) {
+      const section = baseSite.sections.find((item) => item.id === sectionId);
+      if (!section) throw requestError(404, "Bagian website tidak ditemukan.");
+      return {
+        systemPrompt: createSiteSystemPrompt("section"),
+        userMessages: withBusinessProfile(
+          withInstructionThread(
+            buildSectionEditMessages(userPrompt, imageUrls, baseSite, section, fieldPath),
+            thread
+          ),
+          businessProfile
+        ),
+        businessProfile,
+        baseSite,
+        sectionId,
+        version,
+      };
+    }
+    return {
+      systemPrompt: createSiteSystemPrompt("edit"),
+      userMessages: withBusinessProfile(
+        withInstructionThread(buildSiteEditMessages(userPrompt, imageUrls, baseSite), thread),
+        businessProfile
+      ),
+      businessProfile,
+      baseSite,
+      version,
+    };
+  }
+
+  // Versi HTML dengan elemen terpilih: hanya fragmen elemen itu yang dikirim ke AI
+  if (fragment) {
+    if (!baseGeneration) throw requestError(404, "Riwayat tidak ditemukan.");
+    const $ = cheerio.load(baseGeneration.html_code);
+    const element = findElementByPath($, fragment);
+    if (!element) {
+      throw requestError(409, "Elemen tidak ditemukan. Muat ulang preview lalu pilih lagi.");
+    }
+    if (element.closest(INTEGRATION_ELEMENT_SELECTOR).length > 0) {
+      throw requestError(400, INTEGRATION_ELEMENT_ERROR);
+    }
+    // Tambahan otomatis di dalam elemen tidak ikut dikirim; disisipkan lagi saat disimpan
+    removeProjectIntegrations($);
+    return {
+      systemPrompt: createFragmentSystemPrompt(),
+      userMessages: withBusinessProfile(
+        withInstructionThread(
+          buildFragmentEditMessages(userPrompt, imageUrls, $.html(element)),
+          thread
+        ),
+        businessProfile
+      ),
+      businessProfile,
+      baseHtml: baseGeneration.html_code,
+      fragment,
+      version,
+    };
+  }
+
+  if (!currentHtml) throw requestError(400, "Data tidak lengkap untuk mengedit.");
+  return {
+    systemPrompt: createSystemPrompt(true),
+    userMessages: withBusinessProfile(
+      withInstructionThread(
+        buildEditMessages(userPrompt, imageUrls, stripProjectIntegrations(currentHtml)),
+        thread
+      ),
+      businessProfile
+    ),
+    businessProfile,
+    version,
+  };
+}
+
+// Mengubah teks mentah dari AI menjadi HTML siap simpan: JSON situs di-render lewat
+// template, HTML biasa diambil dari blok kodenya. Keduanya lalu divalidasi.
+// Mengembalikan { htmlCode, report, site } (site null untuk hasil HTML biasa).
+function finalizeAIResult(
+  rawResponse,
+  { baseSite, sectionId, baseHtml, fragment, businessProfile } = {},
+  imageUrls = []
+) {
+  let site = null;
+  const parsed = parseSiteResponse(rawResponse);
+  if (baseSite && !parsed) {
+    throw siteInvalidError("AI tidak mengembalikan dokumen situs dalam format JSON.");
+  }
+  if (parsed && sectionId) {
+    // Edit satu section: AI hanya mengembalikan section tersebut
+    const fields = parsed.fields || parsed;
+    site = normalizeSiteDocument({
+      ...baseSite,
+      sections: baseSite.sections.map((section) =>
+        section.id === sectionId ? { ...section, fields } : section
+      ),
+    });
+  } else if (parsed) {
+    site = normalizeSiteDocument(parsed);
+    // Situs baru dari generate: kontak diambil langsung dari profil bisnis
+    if (!baseSite && businessProfile) site = applyBusinessProfileToSite(site, businessProfile);
+  }
+
+  let html;
+  if (site) html = renderSite(site);
+  else if (fragment) html = replaceElementAtPath(baseHtml, fragment, extractHtmlCode(rawResponse));
+  else html = extractHtmlCode(rawResponse);
+
+  const { htmlCode, report } = prepareGeneratedHtml(html, imageUrls);
+  if (businessProfile) report.warnings.push(...checkBusinessProfile(htmlCode, businessProfile));
+  return { htmlCode, report, site };
+}
+
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Menjalankan generate/edit sebagai Server-Sent Events dan menyimpan hasil akhirnya.
+// Jika klien membatalkan (koneksi ditutup), pemanggilan AI dihentikan dan tidak ada yang disimpan.
+async function streamGeneration(
+  req,
+  res,
+  { projectId, request, imageUrls, errorMessage }
+) {
+  const userId = req.user.id;
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const sendEvent = openEventStream(res);
+  // Komentar SSE berkala agar koneksi tidak diputus proxy saat AI masih berpikir
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+
+  try {
+    const rawResponse = await invokeAIStream(request.systemPrompt, request.userMessages, {
+      signal: controller.signal,
+      onText: (text) => sendEvent("delta", { text }),
+    });
+    if (controller.signal.aborted) throw new DOMException("Aborted", "AbortError");
+    const { htmlCode, report, site } = finalizeAIResult(rawResponse, request, imageUrls);
+
+    // Hasil akhir disimpan tepat satu kali, hanya jika stream selesai dengan sukses
+    const saved = await saveGeneration({
+      userId,
+      projectId,
+      htmlCode,
+      site,
+      validationReport: report,
+      ...request.version,
+    });
+    console.log(`Riwayat (stream) disimpan untuk user ID: ${userId}`);
+
+    sendEvent("done", { ...saved, site, validationReport: report });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(
+        `[${new Date().toLocaleTimeString()}] Stream dibatalkan oleh user ID: ${userId}`
+      );
+    } else if (error.code === "HTML_INVALID" || error.code === "SITE_INVALID") {
+      console.warn(`Hasil AI ditolak (${req.path}):`, error.message);
+      sendEvent("error", { error: error.message, code: error.code, report: error.report });
+    } else {
+      console.error(`Error di ${req.path}:`, error);
+      sendEvent("error", { error: errorMessage });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+}
+
+function openEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Matikan buffering di Nginx
+  });
+  res.flushHeaders();
+  return (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+}
+
+// Membersihkan respons AI dan mengambil hanya kode HTML-nya
+function extractHtmlCode(rawResponse) {
+  // Regex untuk mengambil hanya blok kode HTML
+  const codeBlockRegex = /```(?:html)?\s*([\s\S]*?)\s*```/;
+  const match = rawResponse.match(codeBlockRegex);
+
+  let htmlCode = match ? match[1] : rawResponse;
+
+  // Membersihkan teks penjelasan di awal jika tidak ada blok kode dan DocType tidak di awal
+  const docTypeIndex = htmlCode.indexOf("<!DOCTYPE html>");
+  if (docTypeIndex > 0) {
+    htmlCode = htmlCode.substring(docTypeIndex);
+  }
+
+  return htmlCode.trim(); // Mengembalikan kode HTML yang sudah bersih
+}
+
+// =================================================================
+// --- MODEL SITUS TERSTRUKTUR (SITE JSON) & RENDERER ---
+// AI menghasilkan dokumen JSON: { meta, theme, sections: [{ id, type, fields }] }.
+// Dokumen ini disimpan di generations.site_json lalu di-render menjadi HTML
+// memakai template Tailwind di bawah, sehingga tampilan konsisten antar versi
+// dan konten bisa diubah tanpa memanggil AI. Versi lama (hanya HTML) tetap didukung.
+// =================================================================
+const SITE_JSON_MARKER = "FORMAT OUTPUT: JSON SITUS";
+const THEME_COLORS = [
+  "indigo", "blue", "sky", "cyan", "teal", "emerald", "green", "lime",
+  "yellow", "amber", "orange", "red", "rose", "pink", "fuchsia", "purple",
+  "violet", "slate", "stone", "neutral",
+];
+const THEME_FONTS = ["Poppins", "Inter", "Montserrat", "Nunito", "Lora", "Playfair Display"];
+const SITE_MAX_SECTIONS = 20;
+const SITE_MAX_LIST_ITEMS = 24;
+
+// Skema field per tipe section. "text" = satu baris, "longtext" = paragraf,
+// "image" = { url, alt, srcset?, webpSrcset? }, { list: {...} } = daftar item.
+const SITE_SECTION_TYPES = {
+  hero: {
+    label: "Hero",
+    fields: { title: "text", subtitle: "longtext", ctaText: "text", ctaLink: "text", image: "image" },
+  },
+  about: {
+    label: "Tentang",
+    fields: { title: "text", body: "longtext", image: "image" },
+  },
+  products: {
+    label: "Menu/Produk",
+    fields: {
+      title: "text",
+      subtitle: "longtext",
+      items: { list: { name: "text", description: "longtext", price: "text", image: "image" } },
+    },
+  },
+  testimonials: {
+    label: "Testimoni",
+    fields: { title: "text", items: { list: { name: "text", role: "text", quote: "longtext" } } },
+  },
+  gallery: {
+    label: "Galeri",
+    fields: { title: "text", images: { list: { image: "image", caption: "text" } } },
+  },
+  contact: {
+    label: "Kontak",
+    fields: {
+      title: "text",
+      body: "longtext",
+      phone: "text",
+      whatsapp: "text",
+      email: "text",
+      address: "longtext",
+      hours: "longtext",
+      mapsUrl: "text",
+    },
+  },
+  footer: {
+    label: "Footer",
+    fields: { text: "longtext" },
+  },
+};
+
+// Ambil dokumen JSON dari respons AI (blok ```json atau objek mentah). null jika bukan JSON.
+function parseSiteResponse(rawResponse) {
+  const match = rawResponse.match(/```json\s*([\s\S]*?)\s*```/);
+  let jsonText = match ? match[1] : rawResponse.trim();
+  if (!match) {
+    const start = jsonText.indexOf("{");
+    const end = jsonText.lastIndexOf("}");
+    if (start < 0 || end <= start || jsonText.slice(0, start).includes("<")) return null;
+    jsonText = jsonText.slice(start, end + 1);
+  }
+  try {
+    const parsed = JSON.parse(jsonText);
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function siteInvalidError(message) {
+  const error = new Error(message);
+  error.code = "SITE_INVALID";
+  return error;
+}
+
+// Validasi & rapikan dokumen situs. Section dengan tipe tidak dikenal dibuang,
+// ID section dibuat unik, dan nilai tema di luar daftar diganti default.
+function normalizeSiteDocument(doc) {
+  if (!doc || !Array.isArray(doc.sections)) {
+    throw siteInvalidError("Dokumen situs tidak memiliki daftar sections.");
+  }
+  const meta = doc.meta || {};
+  const theme = doc.theme || {};
+  const usedIds = new Set();
+
+  const sections = doc.sections
+    .filter((section) => section && SITE_SECTION_TYPES[section.type])
+    .slice(0, SITE_MAX_SECTIONS)
+    .map((section) => {
+      let id = slugify(String(section.id || section.type));
+      for (let n = 2; !id || usedIds.has(id); n++) id = `${section.type}-${n}`;
+      usedIds.add(id);
+      return {
+        id,
+        type: section.type,
+        fields: normalizeSectionFields(section.type, section.fields || {}),
+      };
+    });
+  if (sections.length === 0) {
+    throw siteInvalidError("Dokumen situs tidak memiliki section yang valid.");
+  }
+
+  return {
+    version: 1,
+    meta: {
+      siteName: normalizeText(meta.siteName, 100) || "Website UMKM",
+      title: normalizeText(meta.title, 150),
+      description: normalizeText(meta.description, 300),
+      lang: meta.lang === "en" ? "en" : "id",
+    },
+    theme: {
+      primaryColor: THEME_COLORS.includes(theme.primaryColor) ? theme.primaryColor : "indigo",
+      accentColor: THEME_COLORS.includes(theme.accentColor) ? theme.accentColor : "amber",
+      font: THEME_FONTS.includes(theme.font) ? theme.font : "Poppins",
+    },
+    sections,
+  };
+}
+
+function normalizeSectionFields(type, fields) {
+  return normalizeFieldValues(SITE_SECTION_TYPES[type].fields, fields);
+}
+
+function normalizeFieldValues(schema, values) {
+  const result = {};
+  for (const [name, kind] of Object.entries(schema)) {
+    const value = values[name];
+    if (kind === "text") result[name] = normalizeText(value, 200);
+    else if (kind === "longtext") result[name] = normalizeText(value, 3000);
+    else if (kind === "image") result[name] = normalizeSiteImage(value);
+    else {
+      result[name] = (Array.isArray(value) ? value : [])
+        .slice(0, SITE_MAX_LIST_ITEMS)
+        .map((item) => normalizeFieldValues(kind.list, item || {}));
+    }
+  }
+  return result;
+}
+
+function normalizeText(value, maxLength) {
+  return typeof value === "string" || typeof value === "number"
+    ? String(value).trim().slice(0, maxLength)
+    : "";
+}
+
+function normalizeSiteImage(image) {
+  if (typeof image === "string") image = { url: image };
+  if (!image || typeof image.url !== "string" || !/^https?:\/\//i.test(image.url)) {
+    return null;
+  }
+  return {
+    url: image.url,
+    alt: normalizeText(image.alt, 200),
+    srcset: normalizeText(image.srcset, 2000) || null,
+    webpSrcset: normalizeText(image.webpSrcset, 2000) || null,
+  };
+}
+
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50);
+}
+
+// Hanya URL http(s), mailto:, tel:, wa.me, dan anchor (#) yang boleh dipakai sebagai link
+function safeLink(url, fallback = "#") {
+  const value = String(url || "").trim();
+  return /^(https?:\/\/|mailto:|tel:|#)/i.test(value) ? value : fallback;
+}
+
+// Render dokumen situs menjadi satu file HTML lengkap
+function renderSite(site) {
+  const { meta, theme } = site;
+  const ctx = { primary: theme.primaryColor, accent: theme.accentColor, site };
+  const navSections = site.sections.filter(
+    (section) => !["hero", "footer"].includes(section.type) && section.fields.title
+  );
+  const fontParam = theme.font.replace(/ /g, "+");
+
+  return `<!DOCTYPE html>
+<html lang="${meta.lang}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(meta.title || meta.siteName)}</title>
+    ${meta.description ? `<meta name="description" content="${escapeHtml(meta.description)}">` : ""}
+    <script src="https://cdn.tailwindcss.com"></script>
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link href="https://fonts.googleapis.com/css2?family=${fontParam}:wght@400;600;700&display=swap" rel="stylesheet">
+    <style>
+        body { font-family: '${theme.font}', sans-serif; }
+    </style>
+</head>
+<body class="bg-gray-50 text-gray-800">
+    <header class="bg-white shadow-sm sticky top-0 z-10">
+        <nav class="max-w-5xl mx-auto flex items-center justify-between p-4">
+            <a href="#${site.sections[0].id}" class="text-xl font-bold text-${ctx.primary}-600">${escapeHtml(meta.siteName)}</a>
+            <div class="hidden md:flex space-x-6 text-sm font-semibold">
+                ${navSections
+                  .map(
+                    (section) =>
+                      `<a href="#${section.id}" class="hover:text-${ctx.primary}-600 transition">${escapeHtml(section.fields.title)}</a>`
+                  )
+                  .join("\n                ")}
+            </div>
+        </nav>
+    </header>
+
+${site.sections.map((section) => renderSection(section, ctx)).join("\n\n")}
+
+    ${SMOOTH_SCROLL_SCRIPT.replace(/\n/g, "\n    ")}
+</body>
+</html>`;
+}
+
+function renderSection(section, ctx) {
+  const body = SITE_TEMPLATES[section.type](section.fields, ctx, section);
+  return body.replace(
+    /^(\s*<(?:section|footer))/,
+    `$1 id="${section.id}" data-section-id="${section.id}" data-section-type="${section.type}"`
+  );
+}
+
+// Atribut data-field menandai teks yang bisa diedit langsung (path field di dalam section)
+function renderText(tag, value, field, classes) {
+  if (!value) return "";
+  return `<${tag} data-field="${field}" class="${classes}">${escapeHtml(value)}</${tag}>`;
+}
+
+// Teks panjang: baris kosong memisahkan paragraf. Lebih dari satu paragraf
+// dibungkus satu elemen agar data-field tetap menunjuk ke satu field.
+function renderParagraphs(value, field, classes) {
+  if (!value) return "";
+  const paragraphs = value.split(/\n\s*\n/).map((paragraph) => paragraph.trim());
+  if (paragraphs.length === 1) return renderText("p", paragraphs[0], field, classes);
+  return `<div data-field="${field}">${paragraphs
+    .map((paragraph) => `<p class="${classes}">${escapeHtml(paragraph)}</p>`)
+    .join("")}</div>`;
+}
+
+function renderImage(image, field, classes, sizes = "100vw") {
+  if (!image) return "";
+  const alt = escapeHtml(image.alt || "");
+  const img = `<img src="${escapeHtml(image.url)}"${
+    image.srcset ? ` srcset="${escapeHtml(image.srcset)}" sizes="${sizes}"` : ""
+  } alt="${alt}" loading="lazy" data-field="${field}" class="${classes}">`;
+  return image.webpSrcset
+    ? `<picture><source type="image/webp" srcset="${escapeHtml(image.webpSrcset)}" sizes="${sizes}">${img}</picture>`
+    : img;
+}
+
+const SITE_TEMPLATES = {
+  hero: (f, ctx) => `    <section class="bg-gradient-to-br from-${ctx.primary}-600 to-${ctx.accent}-500 text-white">
+        <div class="max-w-5xl mx-auto px-4 py-24 ${f.image ? "grid md:grid-cols-2 gap-10 items-center" : "text-center"}">
+            <div>
+                ${renderText("h1", f.title, "title", "text-4xl md:text-5xl font-bold mb-4")}
+                ${renderParagraphs(f.subtitle, "subtitle", "text-lg opacity-90")}
+                ${
+                  f.ctaText
+                    ? `<a href="${escapeHtml(safeLink(f.ctaLink, `#${findSectionId(ctx.site, "contact")}`))}" data-field="ctaText" class="inline-block mt-8 bg-white text-${ctx.primary}-700 font-semibold px-6 py-3 rounded-full shadow hover:shadow-lg transition">${escapeHtml(f.ctaText)}</a>`
+                    : ""
+                }
+            </div>
+            ${renderImage(f.image, "image", "rounded-2xl shadow-xl w-full h-80 object-cover", "(min-width: 768px) 50vw, 100vw")}
+        </div>
+    </section>`,
+
+  about: (f) => `    <section class="max-w-5xl mx-auto px-4 py-16 ${f.image ? "grid md:grid-cols-2 gap-10 items-center" : ""}">
+        <div>
+            ${renderText("h2", f.title, "title", "text-3xl font-bold mb-4")}
+            ${renderParagraphs(f.body, "body", "text-gray-600 leading-relaxed mb-4")}
+        </div>
+        ${renderImage(f.image, "image", "rounded-2xl shadow-md w-full h-72 object-cover", "(min-width: 768px) 50vw, 100vw")}
+    </section>`,
+
+  products: (f, ctx) => `    <section class="bg-white">
+        <div class="max-w-5xl mx-auto px-4 py-16">
+            ${renderText("h2", f.title, "title", "text-3xl font-bold mb-2 text-center")}
+            ${renderParagraphs(f.subtitle, "subtitle", "text-gray-500 text-center mb-10")}
+            <div class="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-6">
+                ${f.items
+                  .map(
+                    (item, i) => `<div class="rounded-2xl border bg-gray-50 overflow-hidden shadow-sm hover:shadow-lg transition">
+                    ${renderImage(item.image, `items.${i}.image`, "w-full h-48 object-cover", "(min-width: 768px) 33vw, 100vw")}
+                    <div class="p-5" data-product="${escapeHtml(item.name)}" data-price="${escapeHtml(item.price)}">
+                        ${renderText("h3", item.name, `items.${i}.name`, "text-lg font-semibold")}
+                        ${renderParagraphs(item.description, `items.${i}.description`, "text-sm text-gray-600 mt-1")}
+                        ${renderText("p", item.price, `items.${i}.price`, `mt-3 font-bold text-${ctx.primary}-600`)}
+                    </div>
+                </div>`
+                  )
+                  .join("\n                ")}
+            </div>
+        </div>
+    </section>`,
+
+  testimonials: (f, ctx) => `    <section class="max-w-5xl mx-auto px-4 py-16">
+        ${renderText("h2", f.title, "title", "text-3xl font-bold mb-10 text-center")}
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-6">
+            ${f.items
+              .map(
+                (item, i) => `<figure class="bg-white rounded-2xl p-6 shadow-sm border-t-4 border-${ctx.accent}-400">
+                ${renderText("blockquote", item.quote, `items.${i}.quote`, "text-gray-600 italic")}
+                <figcaption class="mt-4">
+                    ${renderText("p", item.name, `items.${i}.name`, "font-semibold")}
+                    ${renderText("p", item.role, `items.${i}.role`, "text-sm text-gray-400")}
+                </figcaption>
+            </figure>`
+              )
+              .join("\n            ")}
+        </div>
+    </section>`,
+
+  gallery: (f) => `    <section class="max-w-5xl mx-auto px-4 py-16">
+        ${renderText("h2", f.title, "title", "text-3xl font-bold mb-6")}
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-6">
+            ${f.images
+              .map(
+                (item, i) => `<figure>
+                ${renderImage(item.image, `images.${i}.image`, "rounded-xl shadow-md w-full h-64 object-cover", "(min-width: 768px) 33vw, 100vw")}
+                ${renderText("figcaption", item.caption, `images.${i}.caption`, "text-sm text-gray-500 mt-2 text-center")}
+            </figure>`
+              )
+              .join("\n            ")}
+        </div>
+    </section>`,
+
+  contact: (f, ctx) => {
+    const whatsappNumber = toWhatsAppNumber(f.whatsapp);
+    const details = [
+      f.phone && `<p>📞 <a href="tel:${escapeHtml(f.phone.replace(/[^\d+]/g, ""))}" data-field="phone" class="hover:underline">${escapeHtml(f.phone)}</a></p>`,
+      whatsappNumber && `<p>💬 <a href="https://wa.me/${whatsappNumber}" data-field="whatsapp" class="hover:underline">WhatsApp ${escapeHtml(f.whatsapp)}</a></p>`,
+      f.email && `<p>✉️ <a href="mailto:${escapeHtml(f.email)}" data-field="email" class="hover:underline">${escapeHtml(f.email)}</a></p>`,
+      f.address && `<p>📍 <span data-field="address">${escapeHtml(f.address)}</span></p>`,
+      f.hours && `<p>🕒 <span data-field="hours">${escapeHtml(f.hours)}</span></p>`,
+    ].filter(Boolean);
+    return `    <section class="bg-white">
+        <div class="max-w-5xl mx-auto px-4 py-16 text-center">
+            ${renderText("h2", f.title, "title", "text-3xl font-bold mb-4")}
+            ${renderParagraphs(f.body, "body", "text-gray-600 mb-6")}
+            <div class="space-y-2 text-gray-700">
+                ${details.join("\n                ")}
+            </div>
+            ${
+              f.mapsUrl
+                ? `<a href="${escapeHtml(safeLink(f.mapsUrl))}" target="_blank" rel="noopener" data-field="mapsUrl" class="inline-block mt-6 bg-${ctx.primary}-600 text-white font-semibold px-6 py-3 rounded-full hover:bg-${ctx.primary}-700 transition">Lihat di Google Maps</a>`
+                : ""
+            }
+        </div>
+    </section>`;
+  },
+
+  footer: (f, ctx) => `    <footer class="text-center text-sm text-gray-500 py-6">
+        ${renderText("p", f.text || `© ${ctx.site.meta.siteName}`, "text", "")}
+    </footer>`,
+};
+
+function findSectionId(site, type) {
+  const section = site.sections.find((item) => item.type === type);
+  return section ? section.id : site.sections[0].id;
+}
+
+// Deskripsi skema untuk system prompt AI
+function describeSiteSchema() {
+  const describeFields = (fields) =>
+    Object.entries(fields)
+      .map(([name, kind]) =>
+        typeof kind === "string" ? `${name} (${kind})` : `${name} (daftar: ${describeFields(kind.list)})`
+      )
+      .join(", ");
+  return Object.entries(SITE_SECTION_TYPES)
+    .map(([type, { label, fields }]) => `- "${type}" (${label}): ${describeFields(fields)}`)
+    .join("\n");
+}
+
+// =================================================================
+// --- RIWAYAT INSTRUKSI (MEMORI PERCAKAPAN) ---
+// Prompt setiap versi di rantai induk sebuah versi dikirim ulang ke AI saat edit,
+// agar instruksi lama (misal "pakai warna hangat") tidak terlupa. Jumlah dan
+// panjangnya dibatasi supaya prompt tetap ringkas.
+// =================================================================
+const THREAD_MAX_INSTRUCTIONS = 8;
+const THREAD_MAX_INSTRUCTION_LENGTH = 300;
+
+// Instruksi dari versi paling awal sampai `generation`, mengikuti parent_generation_id
+async function loadInstructionThread(generation) {
+  const [rows] = await dbPool.query(
+    "SELECT id, parent_generation_id, prompt FROM generations WHERE project_id = ? AND user_id = ?",
+    [generation.project_id, generation.user_id]
+  );
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  const chain = [];
+  const visited = new Set();
+  let current = byId.get(generation.id);
+  while (current && !visited.has(current.id)) {
+    visited.add(current.id);
+    chain.unshift(current);
+    current = byId.get(current.parent_generation_id);
+  }
+  return chain.filter((row) => row.prompt).map((row) => row.prompt);
+}
+
+// Ringkasan rantai instruksi: instruksi pertama (deskripsi awal) selalu ikut,
+// sisanya hanya beberapa yang terbaru
+function summarizeInstructionThread(thread) {
+  if (thread.length === 0) return "";
+  const shorten = (prompt) => {
+    const text = prompt.replace(/\s+/g, " ").trim();
+    return text.length > THREAD_MAX_INSTRUCTION_LENGTH
+      ? `${text.slice(0, THREAD_MAX_INSTRUCTION_LENGTH)}…`
+      : text;
+  };
+  const [first, ...rest] = thread;
+  const recent = rest.slice(-(THREAD_MAX_INSTRUCTIONS - 1));
+  const skipped = rest.length - recent.length;
+  const lines = [`1. "${shorten(first)}"`];
+  if (skipped > 0) lines.push(`(… ${skipped} instruksi lain dilewati …)`);
+  recent.forEach((prompt, index) => {
+    lines.push(`${skipped + index + 2}. "${shorten(prompt)}"`);
+  });
+  return `RIWAYAT INSTRUKSI SEBELUMNYA (sudah diterapkan pada website saat ini; tetap patuhi kecuali permintaan baru mengubahnya):\n${lines.join("\n")}`;
+}
+
+function withInstructionThread(messages, thread) {
+  const summary = summarizeInstructionThread(thread);
+  if (!summary) return messages;
+  const [first, ...rest] = messages;
+  return [{ ...first, content: [{ type: "text", text: summary }, ...first.content] }, ...rest];
+}
+
+// =================================================================
+// --- PROFIL BISNIS DI PROMPT & PEMERIKSAAN HASIL ---
+// Profil dikirim sebagai JSON di awal pesan user. Setelah AI menjawab, halaman diperiksa
+// apakah nomor WhatsApp & alamat muncul persis seperti di profil.
+// =================================================================
+function describeBusinessProfile(profile) {
+  const { updatedAt, latitude, longitude, ...data } = profile;
+  return `PROFIL BISNIS (data resmi dari pemilik usaha). Tulis nama usaha, alamat, nomor WhatsApp, jam buka, dan harga PERSIS seperti di bawah ini (huruf, angka, dan tanda bacanya), jangan diubah formatnya dan jangan mengarang kontak atau harga lain. Gunakan "mapsUrl" untuk tombol peta dan "socialLinks" untuk tautan media sosial jika diisi.\n\`\`\`json\n${JSON.stringify(
+    data,
+    null,
+    2
+  )}\n\`\`\``;
+}
+
+// Menambahkan profil bisnis sebagai blok teks pertama di pesan user (jika user punya profil)
+function withBusinessProfile(messages, profile) {
+  if (!profile) return messages;
+  const [first, ...rest] = messages;
+  return [
+    { ...first, content: [{ type: "text", text: describeBusinessProfile(profile) }, ...first.content] },
+    ...rest,
+  ];
+}
+
+// Dokumen situs hasil generate: isian kontak disamakan dengan profil bisnis,
+// karena bagian ini yang paling sering dikarang oleh AI
+function applyBusinessProfileToSite(site, profile) {
+  const hours = profile.openingHours.map((entry) => `${entry.days}: ${entry.hours}`).join("; ");
+  const overrides = Object.fromEntries(
+    Object.entries({
+      whatsapp: profile.whatsapp,
+      address: profile.address,
+      hours,
+      mapsUrl: profile.mapsUrl,
+    }).filter(([, value]) => value)
+  );
+  return {
+    ...site,
+    sections: site.sections.map((section) =>
+      section.type === "contact"
+        ? { ...section, fields: { ...section.fields, ...overrides } }
+        : section
+    ),
+  };
+}
+
+// Mengembalikan daftar peringatan untuk data profil yang tidak muncul persis di halaman
+function checkBusinessProfile(html, profile) {
+  const $ = cheerio.load(html);
+  const pageText = $("body").text().replace(/\s+/g, " ");
+  const warnings = [];
+  if (profile.whatsapp && !pageText.includes(profile.whatsapp.replace(/\s+/g, " "))) {
+    warnings.push(
+      `Nomor WhatsApp "${profile.whatsapp}" dari profil bisnis tidak ditemukan persis di halaman.`
+    );
+  }
+  if (profile.address && !pageText.includes(profile.address.replace(/\s+/g, " "))) {
+    warnings.push(`Alamat dari profil bisnis tidak ditemukan persis di halaman.`);
+  }
+  return warnings;
+}
+
+// =================================================================
+// --- INTEGRASI WHATSAPP (TOMBOL CHAT, PESAN PRODUK, KERANJANG) ---
+// Elemen WhatsApp tidak ditulis oleh AI: elemen ini disisipkan setiap kali versi disimpan
+// (lihat saveGeneration) dan saat publikasi/ekspor, sesuai pengaturan project.
+// Semua sisipan ditandai data-sisdigi-wa agar bisa dibuang lagi sebelum HTML dikirim
+// ke AI, sehingga edit AI tidak pernah merusak atau menggandakannya.
+// =================================================================
+const DEFAULT_WHATSAPP_SETTINGS = {
+  enabled: true,
+  number: "",
+  greeting: "Halo, saya ingin bertanya tentang produk Anda.",
+  floatingButton: true,
+  productLinks: true,
+  cart: false,
+};
+const WHATSAPP_ORDER_INTRO = "Halo, saya ingin memesan:";
+// Tombol/link "Pesan Sekarang" buatan AI yang tidak mengarah ke mana-mana
+const WHATSAPP_DEAD_LINK_PATTERN = /\b(pesan|order|beli|hubungi|chat|whatsapp)\b/i;
+const WHATSAPP_ICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="28" height="28" fill="currentColor" aria-hidden="true"><path d="M12.04 2C6.58 2 2.13 6.45 2.13 11.91c0 1.75.46 3.45 1.32 4.95L2.05 22l5.25-1.38a9.9 9.9 0 0 0 4.74 1.21c5.46 0 9.91-4.45 9.91-9.91C21.95 6.45 17.5 2 12.04 2zm5.8 14.06c-.24.68-1.42 1.3-1.96 1.35-.5.05-.97.23-3.27-.68-2.77-1.09-4.52-3.93-4.66-4.11-.13-.18-1.11-1.48-1.11-2.82s.7-2 .95-2.27c.25-.27.54-.34.72-.34h.52c.17 0 .4-.06.62.47.24.55.8 1.9.87 2.04.07.14.12.3.02.48-.09.18-.14.3-.27.46l-.41.48c-.14.14-.28.28-.12.56.16.27.71 1.17 1.52 1.9 1.05.93 1.93 1.22 2.2 1.36.27.14.43.11.59-.07.16-.18.68-.79.86-1.07.18-.27.36-.23.61-.14.25.09 1.59.75 1.86.89.27.14.45.2.52.32.07.11.07.66-.17 1.33z"/></svg>`;
+const WHATSAPP_BUTTON_STYLE =
+  "display:inline-flex;align-items:center;gap:6px;background:#25D366;color:#fff;padding:8px 14px;border-radius:9999px;font-weight:600;font-size:14px;text-decoration:none;border:0;cursor:pointer";
+
+// Script di halaman: jumlah pesanan ikut masuk ke pesan WhatsApp, dan keranjang
+// (jika aktif) merangkum beberapa produk menjadi satu pesan
+const WHATSAPP_RUNTIME_SCRIPT = `(function () {
+    var config = __CONFIG__;
+    var cart = [];
+    var orderLink = function (items) {
+        var lines = items.map(function (item) {
+            return '- ' + item.name + ' x' + item.qty + (item.price ? ' (' + item.price + ')' : '');
+        });
+        return 'https://wa.me/' + config.number + '?text=' + encodeURIComponent([config.intro].concat(lines).join('\\n'));
+    };
+    var readItem = function (box) {
+        var qty = parseInt(box.querySelector('[data-sisdigi-wa-qty]').value, 10);
+        return { name: box.getAttribute('data-name'), price: box.getAttribute('data-price') || '', qty: qty > 0 ? qty : 1 };
+    };
+    var panel = document.querySelector('[data-sisdigi-wa="cart"]');
+    var renderCart = function () {
+        var list = panel.querySelector('[data-sisdigi-wa-items]');
+        list.innerHTML = '';
+        cart.forEach(function (item, index) {
+            var row = document.createElement('li');
+            row.style.cssText = 'display:flex;justify-content:space-between;gap:8px;padding:4px 0';
+            var label = document.createElement('span');
+            label.textContent = item.name + ' x' + item.qty;
+            var remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = '\\u2715';
+            remove.setAttribute('aria-label', 'Hapus ' + item.name);
+            remove.style.cssText = 'border:0;background:none;color:#9ca3af;cursor:pointer';
+            remove.addEventListener('click', function () {
+                cart.splice(index, 1);
+                renderCart();
+            });
+            row.appendChild(label);
+            row.appendChild(remove);
+            list.appendChild(row);
+        });
+        panel.style.display = cart.length ? 'block' : 'none';
+        panel.querySelector('[data-sisdigi-wa-checkout]').href = orderLink(cart);
+    };
+    document.querySelectorAll('[data-sisdigi-wa="order"]').forEach(function (box) {
+        var link = box.querySelector('[data-sisdigi-wa-order]');
+        box.querySelector('[data-sisdigi-wa-qty]').addEventListener('input', function () {
+            link.href = orderLink([readItem(box)]);
+        });
+        var addButton = box.querySelector('[data-sisdigi-wa-add]');
+        if (addButton && panel) {
+            addButton.addEventListener('click', function () {
+                var item = readItem(box);
+                var existing = cart.filter(function (entry) { return entry.name === item.name; })[0];
+                if (existing) existing.qty += item.qty;
+                else cart.push(item);
+                renderCart();
+            });
+        }
+    });
+    if (panel) {
+        panel.querySelector('[data-sisdigi-wa-clear]').addEventListener('click', function () {
+            cart = [];
+            renderCart();
+        });
+    }
+})();`;
+
+// Nomor untuk wa.me: hanya digit, awalan 0 diganti kode negara 62
+function toWhatsAppNumber(value) {
+  return String(value || "").replace(/\D/g, "").replace(/^0/, "62");
+}
+
+function buildWhatsAppLink(number, text) {
+  return `https://wa.me/${number}${text ? `?text=${encodeURIComponent(text)}` : ""}`;
+}
+
+function buildOrderMessage(items) {
+  const lines = items.map(
+    (item) => `- ${item.name} x${item.qty}${item.price ? ` (${item.price})` : ""}`
+  );
+  return [WHATSAPP_ORDER_INTRO, ...lines].join("\n");
+}
+
+// Pengaturan WhatsApp project digabung dengan nilai bawaan. Nomor di pengaturan
+// diutamakan; jika kosong dipakai nomor dari profil bisnis pemilik project.
+async function loadWhatsAppSettings(projectId, db = dbPool) {
+  const [rows] = await db.query(
+    `SELECT p.whatsapp_settings, b.whatsapp AS profile_whatsapp
+     FROM projects p
+     LEFT JOIN business_profiles b ON b.user_id = p.user_id
+     WHERE p.id = ?`,
+    [projectId]
+  );
+  const row = rows[0] || {};
+  const settings = { ...DEFAULT_WHATSAPP_SETTINGS, ...parseJsonColumn(row.whatsapp_settings, {}) };
+  const profileNumber = row.profile_whatsapp || "";
+  return {
+    ...settings,
+    profileNumber,
+    effectiveNumber: settings.number || profileNumber,
+  };
+}
+
+// Membuang semua elemen sisipan dan mengembalikan link yang pernah diarahkan ke WhatsApp
+function removeWhatsAppIntegration($) {
+  $("[data-sisdigi-wa]").each((_, el) => removeInsertedElement($, el));
+  $("[data-sisdigi-wa-original]").each((_, el) => {
+    const original = $(el).attr("data-sisdigi-wa-original");
+    if (original) $(el).attr("href", original);
+    else $(el).removeAttr("href");
+    $(el).removeAttr("data-sisdigi-wa-original");
+  });
+}
+
+// Menyisipkan ulang elemen WhatsApp sesuai pengaturan (sisipan lama selalu dibuang dulu,
+// sehingga aman dipanggil berkali-kali pada HTML yang sama)
+function applyWhatsAppIntegration(html, settings) {
+  const $ = cheerio.load(html);
+  removeWhatsAppIntegration($);
+  const number = toWhatsAppNumber(settings.effectiveNumber);
+  if (!settings.enabled || !number) return serializeHtmlDocument($);
+
+  const chatLink = buildWhatsAppLink(number, settings.greeting);
+
+  // Link pemesanan buatan AI yang masih kosong ("#") diarahkan ke chat WhatsApp
+  $("a").each((_, el) => {
+    const link = $(el);
+    const href = (link.attr("href") || "").trim();
+    if ((href === "" || href === "#") && WHATSAPP_DEAD_LINK_PATTERN.test(link.text())) {
+      link.attr("data-sisdigi-wa-original", href).attr("href", chatLink);
+    }
+  });
+
+  // Tombol pesan per produk: kartu produk ditandai data-product (nama) & data-price (harga)
+  let productCount = 0;
+  if (settings.productLinks) {
+    $("[data-product]").each((_, el) => {
+      const card = $(el);
+      const name = card.attr("data-product").trim();
+      if (!name) return;
+      const price = (card.attr("data-price") || "").trim();
+      const orderLink = buildWhatsAppLink(number, buildOrderMessage([{ name, price, qty: 1 }]));
+      card.append(`
+<div data-sisdigi-wa="order" data-name="${escapeHtml(name)}" data-price="${escapeHtml(price)}" style="display:flex;flex-wrap:wrap;align-items:center;gap:8px;margin-top:12px">
+    <input type="number" min="1" value="1" aria-label="Jumlah ${escapeHtml(name)}" data-sisdigi-wa-qty style="width:64px;padding:6px 8px;border:1px solid #d1d5db;border-radius:8px;color:#111827">
+    <a href="${escapeHtml(orderLink)}" target="_blank" rel="noopener" data-sisdigi-wa-order style="${WHATSAPP_BUTTON_STYLE}">Pesan via WhatsApp</a>
+    ${settings.cart ? `<button type="button" data-sisdigi-wa-add style="${WHATSAPP_BUTTON_STYLE};background:#fff;color:#128C7E;border:1px solid #25D366">+ Keranjang</button>` : ""}
+</div>`);
+      productCount += 1;
+    });
+  }
+
+  const body = $("body");
+  if (settings.floatingButton) {
+    body.append(`
+<a href="${escapeHtml(chatLink)}" target="_blank" rel="noopener" aria-label="Chat via WhatsApp" data-sisdigi-wa="float" style="position:fixed;right:20px;bottom:20px;z-index:9998;display:flex;align-items:center;justify-content:center;width:56px;height:56px;border-radius:9999px;background:#25D366;color:#fff;box-shadow:0 4px 12px rgba(0,0,0,.25)">${WHATSAPP_ICON}</a>`);
+  }
+  if (settings.cart && productCount > 0) {
+    body.append(`
+<div data-sisdigi-wa="cart" style="display:none;position:fixed;right:20px;bottom:${settings.floatingButton ? 88 : 20}px;z-index:9999;width:280px;max-width:calc(100vw - 40px);background:#fff;color:#111827;border-radius:16px;padding:16px;box-shadow:0 8px 24px rgba(0,0,0,.2);font-size:14px">
+    <p style="font-weight:700;margin:0 0 8px">Keranjang Pesanan</p>
+    <ul data-sisdigi-wa-items style="list-style:none;margin:0 0 12px;padding:0;max-height:200px;overflow-y:auto"></ul>
+    <a href="${escapeHtml(chatLink)}" target="_blank" rel="noopener" data-sisdigi-wa-checkout style="${WHATSAPP_BUTTON_STYLE};width:100%;justify-content:center;box-sizing:border-box">Kirim Pesanan via WhatsApp</a>
+    <button type="button" data-sisdigi-wa-clear style="display:block;margin:8px auto 0;border:0;background:none;color:#6b7280;font-size:12px;cursor:pointer">Kosongkan keranjang</button>
+</div>`);
+  }
+  if (productCount > 0) {
+    const config = JSON.stringify({ number, intro: WHATSAPP_ORDER_INTRO }).replace(/</g, "\\u003c");
+    body.append(`
+<script data-sisdigi-wa="script">
+${WHATSAPP_RUNTIME_SCRIPT.replace("__CONFIG__", () => config)}
+</script>`);
+  }
+  return serializeHtmlDocument($);
+}
+
+// =================================================================
+// --- WEBSITE MULTIBAHASA (TERJEMAHAN & PENGALIH BAHASA) ---
+// Setiap teks di halaman diberi kunci data-i18n (hash dari teksnya). Terjemahan per
+// kunci disimpan di tabel translations per project, sehingga setelah edit hanya teks
+// yang baru/berubah yang diterjemahkan ulang. Kamus terjemahan, tombol pengalih bahasa,
+// dan script-nya disisipkan saat versi disimpan, seperti integrasi WhatsApp.
+// =================================================================
+const SITE_LANGUAGES = {
+  id: "Bahasa Indonesia",
+  en: "English",
+  jv: "Basa Jawa",
+  su: "Basa Sunda",
+  ban: "Basa Bali",
+  zh: "中文",
+  ja: "日本語",
+  ko: "한국어",
+};
+const MAX_SITE_LANGUAGES = 3;
+const TRANSLATION_MARKER = "FORMAT OUTPUT: JSON TERJEMAHAN";
+const TRANSLATION_BATCH_SIZE = 60;
+const I18N_SKIPPED_TAGS = ["noscript", "svg", "code", "pre", "textarea", "template"];
+const I18N_ATTRIBUTES = ["alt", "placeholder", "title", "aria-label"];
+
+const I18N_RUNTIME_SCRIPT = `(function () {
+    var data = JSON.parse(document.querySelector('[data-sisdigi-i18n="dictionary"]').textContent);
+    var entries = [];
+    document.querySelectorAll('[data-i18n]').forEach(function (el) {
+        entries.push({ el: el, key: el.getAttribute('data-i18n'), original: el.textContent });
+    });
+    data.attributes.forEach(function (attr) {
+        document.querySelectorAll('[data-i18n-' + attr + ']').forEach(function (el) {
+            entries.push({ el: el, attr: attr, key: el.getAttribute('data-i18n-' + attr), original: el.getAttribute(attr) });
+        });
+    });
+    var buttons = document.querySelectorAll('[data-sisdigi-i18n="switcher"] [data-lang]');
+    var setLanguage = function (lang) {
+        var dictionary = data.dictionary[lang] || {};
+        entries.forEach(function (entry) {
+            var translated = dictionary[entry.key];
+            var value = translated
+                ? entry.original.replace(entry.original.trim(), function () { return translated; })
+                : entry.original;
+            if (entry.attr) entry.el.setAttribute(entry.attr, value);
+            else entry.el.textContent = value;
+        });
+        document.documentElement.lang = lang;
+        buttons.forEach(function (button) {
+            var active = button.getAttribute('data-lang') === lang;
+            button.setAttribute('aria-pressed', active ? 'true' : 'false');
+            button.style.background = active ? '#111827' : 'transparent';
+            button.style.color = active ? '#fff' : '#374151';
+        });
+        try { localStorage.setItem('sisdigi-lang', lang); } catch (error) {}
+    };
+    buttons.forEach(function (button) {
+        button.addEventListener('click', function () {
+            setLanguage(button.getAttribute('data-lang'));
+        });
+    });
+    var languages = [data.source].concat(Object.keys(data.dictionary));
+    var stored = null;
+    try { stored = localStorage.getItem('sisdigi-lang'); } catch (error) {}
+    var browser = (navigator.language || '').split('-')[0].toLowerCase();
+    setLanguage(languages.indexOf(stored) >= 0 ? stored : languages.indexOf(browser) >= 0 ? browser : data.source);
+})();`;
+
+// Bahasa tambahan project (selain bahasa asli halaman), urut sesuai pilihan user
+async function loadProjectLanguages(projectId, db = dbPool) {
+  const [rows] = await db.query("SELECT languages FROM projects WHERE id = ?", [projectId]);
+  return rows.length > 0 ? parseJsonColumn(rows[0].languages, []) : [];
+}
+
+// Validasi daftar bahasa dari user. Melempar requestError(400) jika ada kode yang tidak dikenal.
+function normalizeLanguageList(value) {
+  if (!Array.isArray(value)) throw requestError(400, "Daftar bahasa harus berupa array.");
+  const languages = [...new Set(value.map((code) => String(code).trim().toLowerCase()))];
+  const unknown = languages.find((code) => !SITE_LANGUAGES[code]);
+  if (unknown) throw requestError(400, `Bahasa "${unknown}" belum didukung.`);
+  if (languages.length > MAX_SITE_LANGUAGES) {
+    throw requestError(400, `Maksimal ${MAX_SITE_LANGUAGES} bahasa tambahan.`);
+  }
+  return languages;
+}
+
+// Bahasa asli halaman diambil dari <html lang>; bahasa yang tidak dikenal dianggap Indonesia
+function detectSourceLanguage($) {
+  const lang = String($("html").attr("lang") || "").split("-")[0].toLowerCase();
+  return SITE_LANGUAGES[lang] ? lang : "id";
+}
+
+// Memberi kunci data-i18n pada setiap teks di halaman. Elemen yang hanya berisi teks
+// diberi atribut langsung; teks yang bercampur dengan elemen lain dibungkus <span>.
+// Mengembalikan Map kunci -> teks asli (spasi dirapikan).
+function markTranslatableTexts($) {
+  const texts = new Map();
+  const keyFor = (text) => {
+    const normalized = text.replace(/\s+/g, " ").trim();
+    // Lewati teks tanpa kata: angka, harga ("Rp18.000"), emoji, dll.
+    if (!/\p{L}{2,}/u.test(normalized.replace(/\b(rp|idr)\.?\s*(?=\d)/gi, ""))) return null;
+    const key = crypto.createHash("sha1").update(normalized).digest("hex").slice(0, 12);
+    texts.set(key, normalized);
+    return key;
+  };
+  const visit = (el) => {
+    if (I18N_SKIPPED_TAGS.includes(el.name) || el.attribs["data-sisdigi-i18n"] !== undefined) {
+      return;
+    }
+    for (const attr of I18N_ATTRIBUTES) {
+      const key = el.attribs[attr] && keyFor(el.attribs[attr]);
+      if (key) $(el).attr(`data-i18n-${attr}`, key);
+    }
+    const children = el.children || [];
+    const textNodes = children.filter((node) => node.type === "text" && node.data.trim());
+    const elements = children.filter((node) => node.type === "tag");
+    if (textNodes.length === 1 && elements.length === 0) {
+      const key = keyFor(textNodes[0].data);
+      if (key) $(el).attr("data-i18n", key);
+    } else {
+      textNodes.forEach((node) => {
+        const key = keyFor(node.data);
+        if (key) $(node).wrap(`<span data-i18n="${key}" data-i18n-wrap></span>`);
+      });
+    }
+    elements.forEach(visit);
+  };
+  $("head > title, body").each((_, el) => visit(el));
+  return texts;
+}
+
+// Membuang kunci, pembungkus teks, kamus, dan pengalih bahasa dari halaman
+function removeTranslationMarkup($) {
+  $("[data-sisdigi-i18n]").each((_, el) => removeInsertedElement($, el));
+  $("span[data-i18n-wrap]").each((_, el) => {
+    $(el).replaceWith($(el).contents());
+  });
+  $("[data-i18n]").removeAttr("data-i18n");
+  for (const attr of I18N_ATTRIBUTES) $(`[data-i18n-${attr}]`).removeAttr(`data-i18n-${attr}`);
+}
+
+// Mengambil terjemahan untuk semua teks dari cache; yang belum ada diterjemahkan oleh AI
+// lalu disimpan. `force` menerjemahkan ulang semuanya (mengabaikan cache).
+// Mengembalikan { dictionary: { lang: { kunci: terjemahan } }, failed: [lang, ...] }.
+async function syncTranslations(
+  projectId,
+  texts,
+  sourceLang,
+  languages,
+  { db = dbPool, force = false } = {}
+) {
+  const dictionary = {};
+  const failed = [];
+  const keys = [...texts.keys()];
+  for (const lang of languages) {
+    dictionary[lang] = {};
+    if (keys.length === 0) continue;
+    if (!force) {
+      const [rows] = await db.query(
+        "SELECT text_hash, translated_text FROM translations WHERE project_id = ? AND lang = ? AND text_hash IN (?)",
+        [projectId, lang, keys]
+      );
+      rows.forEach((row) => (dictionary[lang][row.text_hash] = row.translated_text));
+    }
+    const missing = keys.filter((key) => !(key in dictionary[lang]));
+    for (let i = 0; i < missing.length; i += TRANSLATION_BATCH_SIZE) {
+      const batch = missing.slice(i, i + TRANSLATION_BATCH_SIZE);
+      let translated;
+      try {
+        translated = await translateTexts(
+          Object.fromEntries(batch.map((key) => [key, texts.get(key)])),
+          sourceLang,
+          lang
+        );
+      } catch (error) {
+        console.error(`Gagal menerjemahkan project ${projectId} ke ${lang}:`, error.message);
+        failed.push(lang);
+        break;
+      }
+      const rows = batch
+        .filter((key) => typeof translated[key] === "string" && translated[key].trim())
+        .map((key) => [projectId, lang, key, texts.get(key), translated[key].trim()]);
+      if (rows.length === 0) continue;
+      await db.query(
+        `INSERT INTO translations (project_id, lang, text_hash, source_text, translated_text)
+         VALUES ?
+         ON DUPLICATE KEY UPDATE translated_text = VALUES(translated_text)`,
+        [rows]
+      );
+      rows.forEach(([, , key, , text]) => (dictionary[lang][key] = text));
+    }
+  }
+  return { dictionary, failed };
+}
+
+// Satu panggilan AI untuk satu kelompok teks. Mengembalikan objek kunci -> terjemahan.
+async function translateTexts(entries, sourceLang, targetLang) {
+  const rawResponse = await invokeAI(createTranslationSystemPrompt(sourceLang, targetLang), [
+    {
+      role: "user",
+      content: [{ type: "text", text: `\`\`\`json\n${JSON.stringify(entries, null, 2)}\n\`\`\`` }],
+    },
+  ]);
+  const parsed = parseSiteResponse(rawResponse);
+  if (!parsed) throw new Error("AI tidak mengembalikan terjemahan dalam format JSON.");
+  return parsed;
+}
+
+// Menyisipkan ulang kunci, kamus, dan pengalih bahasa sesuai bahasa project.
+// Terjemahan yang gagal dicatat di `report.warnings`; teksnya tampil dalam bahasa asli.
+async function applyTranslations(projectId, html, { db = dbPool, report = null } = {}) {
+  const $ = cheerio.load(html);
+  removeTranslationMarkup($);
+  const sourceLang = detectSourceLanguage($);
+  const languages = (await loadProjectLanguages(projectId, db)).filter(
+    (lang) => lang !== sourceLang
+  );
+  if (languages.length === 0) return serializeHtmlDocument($);
+
+  const texts = markTranslatableTexts($);
+  const { dictionary, failed } = await syncTranslations(projectId, texts, sourceLang, languages, {
+    db,
+  });
+  if (failed.length > 0 && report) {
+    report.warnings.push(
+      `Terjemahan ${failed.map((lang) => SITE_LANGUAGES[lang]).join(", ")} belum lengkap. Simpan ulang atau gunakan "Terjemahkan ulang".`
+    );
+  }
+
+  const data = JSON.stringify({ source: sourceLang, attributes: I18N_ATTRIBUTES, dictionary });
+  const buttons = [sourceLang, ...languages]
+    .map(
+      (lang) =>
+        `<button type="button" data-lang="${lang}" title="${escapeHtml(SITE_LANGUAGES[lang])}" style="border:0;border-radius:9999px;padding:4px 10px;font-size:12px;font-weight:700;cursor:pointer;background:transparent;color:#374151">${lang.toUpperCase()}</button>`
+    )
+    .join("");
+  $("body").append(`
+<div data-sisdigi-i18n="switcher" role="group" aria-label="Pilih bahasa" style="position:fixed;left:20px;bottom:20px;z-index:9998;display:flex;gap:2px;padding:4px;background:#fff;border-radius:9999px;box-shadow:0 4px 12px rgba(0,0,0,.2)">${buttons}</div>
+<script type="application/json" data-sisdigi-i18n="dictionary">${data.replace(/</g, "\\u003c")}</script>
+<script data-sisdigi-i18n="script">
+${I18N_RUNTIME_SCRIPT}
+</script>`);
+  return serializeHtmlDocument($);
+}
+
+// =================================================================
+// --- TAMBAHAN OTOMATIS PADA HALAMAN (WHATSAPP & MULTIBAHASA) ---
+// =================================================================
+const INTEGRATION_ELEMENT_SELECTOR = "[data-sisdigi-wa], [data-sisdigi-i18n]";
+const INTEGRATION_ELEMENT_ERROR =
+  "Elemen ini dibuat otomatis (WhatsApp/pengalih bahasa). Ubah lewat pengaturan project.";
+
+// Menyisipkan semua tambahan otomatis sesuai pengaturan project: elemen WhatsApp, lalu
+// kunci & kamus terjemahan (teks tombol WhatsApp ikut diterjemahkan).
+async function applyProjectIntegrations(projectId, html, { db = dbPool, report = null } = {}) {
+  const withWhatsApp = applyWhatsAppIntegration(
+    stripProjectIntegrations(html),
+    await loadWhatsAppSettings(projectId, db)
+  );
+  return applyTranslations(projectId, withWhatsApp, { db, report });
+}
+
+// HTML tanpa tambahan otomatis, untuk dikirim ke AI
+function stripProjectIntegrations(html) {
+  const $ = cheerio.load(html);
+  removeProjectIntegrations($);
+  return serializeHtmlDocument($);
+}
+
+function removeProjectIntegrations($) {
+  removeTranslationMarkup($);
+  removeWhatsAppIntegration($);
+}
+
+// Elemen sisipan selalu diawali satu baris baru. Hanya baris itu yang ikut dibuang (bukan
+// seluruh spasi di depannya), agar sisipan yang dipasang ulang menghasilkan HTML yang sama.
+function removeInsertedElement($, el) {
+  const prev = el.prev;
+  if (prev && prev.type === "text" && !prev.data.trim()) {
+    prev.data = prev.data.replace(/\n$/, "");
+    if (!prev.data) $(prev).remove();
+  }
+  $(el).remove();
+}
+
+function serializeHtmlDocument($) {
+  return `<!DOCTYPE html>\n${$.html().replace(/^<!DOCTYPE[^>]*>\s*/i, "")}`;
+}
+
+// =================================================================
+// --- SEO & PREVIEW BERBAGI (DITERAPKAN SAAT PUBLIKASI) ---
+// Judul, deskripsi, tag Open Graph/Twitter, canonical, favicon, dan JSON-LD LocalBusiness
+// disusun ulang di setiap publikasi dari pengaturan SEO project, profil bisnis, lalu isi
+// halaman (urut prioritas). Versi di riwayat tidak ikut diubah.
+// =================================================================
+const DEFAULT_SEO_SETTINGS = {
+  title: "",
+  description: "",
+  shareImageAssetId: null,
+  logoAssetId: null,
+};
+const SEO_TITLE_MAX = 60;
+const SEO_DESCRIPTION_MIN = 50;
+const SEO_DESCRIPTION_MAX = 160;
+// Tag di <head> yang selalu diganti saat publikasi (termasuk buatan AI)
+const SEO_MANAGED_SELECTOR = [
+  'meta[name="description"]',
+  'meta[property^="og:"]',
+  'meta[name^="twitter:"]',
+  'link[rel="canonical"]',
+  'script[type="application/ld+json"]',
+].join(", ");
+const SEO_ICON_SELECTOR = 'link[rel~="icon"], link[rel="apple-touch-icon"]';
+
+async function loadSeoSettings(projectId, db = dbPool) {
+  const [rows] = await db.query("SELECT seo_settings FROM projects WHERE id = ?", [projectId]);
+  const saved = rows.length > 0 ? parseJsonColumn(rows[0].seo_settings, {}) : {};
+  return { ...DEFAULT_SEO_SETTINGS, ...saved };
+}
+
+// Validasi pengaturan SEO. Gambar share & logo harus ada di media library milik user.
+async function normalizeSeoSettings(body = {}, userId) {
+  const toAssetId = async (value) => {
+    if (value === null || value === undefined || value === "") return null;
+    const asset = await findUserAsset(value, userId);
+    if (!asset) throw requestError(400, "Gambar tidak ditemukan di media library.");
+    return asset.id;
+  };
+  return {
+    title: normalizeVersionText(body.title, 70) || "",
+    description: normalizeVersionText(body.description, SEO_DESCRIPTION_MAX) || "",
+    shareImageAssetId: await toAssetId(body.shareImageAssetId),
+    logoAssetId: await toAssetId(body.logoAssetId),
+  };
+}
+
+// Data SEO satu halaman. `slug` boleh null (belum dipublikasikan): URL canonical dikosongkan.
+async function resolveSeoData(projectId, userId, $, slug) {
+  const settings = await loadSeoSettings(projectId);
+  const profile = await findBusinessProfile(userId);
+  const shareAsset = settings.shareImageAssetId
+    ? await findUserAsset(settings.shareImageAssetId, userId)
+    : null;
+  const logoAsset = settings.logoAssetId ? await findUserAsset(settings.logoAssetId, userId) : null;
+
+  // Tanpa gambar pilihan, pakai gambar pertama di halaman yang punya URL absolut
+  const pageImage = $("body img")
+    .map((_, el) => $(el).attr("src"))
+    .get()
+    .find((src) => /^https?:\/\//i.test(src));
+  let imageSource = null;
+  if (shareAsset) imageSource = "asset";
+  else if (pageImage) imageSource = "page";
+
+  return {
+    settings,
+    profile,
+    title: deriveSeoTitle(settings, profile, $),
+    description: deriveSeoDescription(settings, profile, $),
+    canonicalUrl: slug ? buildSiteUrl(slug) : null,
+    image: shareAsset ? formatAsset(shareAsset).url : pageImage || null,
+    imageSource,
+    logo: logoAsset ? formatAsset(logoAsset) : null,
+  };
+}
+
+// "Nama | Tagline" jika muat di hasil pencarian, selain itu nama usaha saja
+function deriveSeoTitle(settings, profile, $) {
+  if (settings.title) return settings.title;
+  if (profile) {
+    const withTagline = profile.tagline ? `${profile.name} | ${profile.tagline}` : profile.name;
+    return withTagline.length <= SEO_TITLE_MAX ? withTagline : profile.name;
+  }
+  const pageTitle = $("head > title").first().text() || $("body h1").first().text();
+  return pageTitle.replace(/\s+/g, " ").trim();
+}
+
+function deriveSeoDescription(settings, profile, $) {
+  if (settings.description) return settings.description;
+  const toSentence = (text) => (/[.!?]$/.test(text) ? text : `${text}.`);
+  const productNames = profile
+    ? profile.products.map((product) => product.name).filter(Boolean).slice(0, 3)
+    : [];
+  const fromProfile = profile
+    ? [
+        profile.tagline,
+        productNames.length > 0 && `Menyediakan ${productNames.join(", ")}`,
+        profile.address && `Alamat: ${profile.address}`,
+      ]
+        .filter(Boolean)
+        .map(toSentence)
+        .join(" ")
+    : "";
+  const text =
+    fromProfile ||
+    $('meta[name="description"]').attr("content") ||
+    $("body p").first().text();
+  return truncateText(text || "", SEO_DESCRIPTION_MAX);
+}
+
+// Potong di batas kata dan tambahkan elipsis jika lebih panjang dari `maxLength`
+function truncateText(text, maxLength) {
+  const normalized = text.replace(/\s+/g, " ").trim();
+  if (normalized.length <= maxLength) return normalized;
+  const cut = normalized.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+// Pasang tag SEO ke halaman yang akan dipublikasikan. Mengembalikan HTML beserta ikon
+// (favicon & apple-touch-icon) yang harus diunggah di samping index.html.
+async function applySeo(projectId, userId, html, slug) {
+  const $ = cheerio.load(html);
+  const seo = await resolveSeoData(projectId, userId, $, slug);
+  const icons = seo.logo ? await renderSiteIcons(seo.logo) : [];
+  applySeoTags($, seo, icons);
+  return { html: serializeHtmlDocument($), icons };
+}
+
+function applySeoTags($, seo, icons) {
+  const head = $("head");
+  $(SEO_MANAGED_SELECTOR).remove();
+  if (icons.length > 0) $(SEO_ICON_SELECTOR).remove();
+
+  if ($("head > title").length === 0) head.prepend("<title></title>");
+  $("head > title").first().text(seo.title);
+
+  const tags = [
+    ["meta", { name: "description", content: seo.description }],
+    ["link", { rel: "canonical", href: seo.canonicalUrl }],
+    ["meta", { property: "og:type", content: "website" }],
+    ["meta", { property: "og:site_name", content: seo.profile ? seo.profile.name : "" }],
+    ["meta", { property: "og:title", content: seo.title }],
+    ["meta", { property: "og:description", content: seo.description }],
+    ["meta", { property: "og:url", content: seo.canonicalUrl }],
+    ["meta", { property: "og:image", content: seo.image }],
+    ["meta", { name: "twitter:card", content: seo.image ? "summary_large_image" : "summary" }],
+    ["meta", { name: "twitter:title", content: seo.title }],
+    ["meta", { name: "twitter:description", content: seo.description }],
+    ["meta", { name: "twitter:image", content: seo.image }],
+    ...icons.map((icon) => [
+      "link",
+      {
+        rel: icon.rel,
+        type: "image/png",
+        sizes: `${icon.size}x${icon.size}`,
+        href: `${seo.canonicalUrl}${icon.file}`,
+      },
+    ]),
+  ];
+  for (const [tagName, attributes] of tags) {
+    if (!(attributes.content || attributes.href)) continue;
+    head.append("\n", $(`<${tagName}>`).attr(attributes));
+  }
+
+  // "<" di-escape agar teks data tidak bisa menutup tag <script>
+  const jsonLd = JSON.stringify(buildLocalBusinessJsonLd(seo), null, 2).replace(/</g, "\\u003c");
+  head.append(`\n<script type="application/ld+json">${jsonLd}</script>\n`);
+}
+
+// Data terstruktur schema.org untuk hasil pencarian lokal (alamat, telepon, peta)
+function buildLocalBusinessJsonLd(seo) {
+  const { profile } = seo;
+  const data = {
+    "@context": "https://schema.org",
+    "@type": "LocalBusiness",
+    name: profile ? profile.name : seo.title,
+    description: seo.description || undefined,
+    url: seo.canonicalUrl || undefined,
+    image: seo.image || undefined,
+    logo: seo.logo ? seo.logo.url : undefined,
+  };
+  if (!profile) return data;
+
+  if (profile.whatsapp) data.telephone = `+${toWhatsAppNumber(profile.whatsapp)}`;
+  if (profile.address) {
+    data.address = {
+      "@type": "PostalAddress",
+      streetAddress: profile.address,
+      addressCountry: "ID",
+    };
+  }
+  if (profile.latitude !== null) {
+    data.geo = {
+      "@type": "GeoCoordinates",
+      latitude: profile.latitude,
+      longitude: profile.longitude,
+    };
+    data.hasMap = profile.mapsUrl;
+  }
+  const sameAs = Object.values(profile.socialLinks).filter(Boolean);
+  if (sameAs.length > 0) data.sameAs = sameAs;
+  return data;
+}
+
+// Favicon & apple-touch-icon persegi dari logo (sisi yang kosong dibuat transparan)
+async function renderSiteIcons(logo) {
+  try {
+    const source = await storage.getObject("assets", storage.keyFromUrl("assets", logo.url));
+    const icons = [];
+    for (const icon of SITE_ICON_SIZES) {
+      const body = await sharp(source)
+        .resize(icon.size, icon.size, { fit: "contain", background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .png()
+        .toBuffer();
+      icons.push({ ...icon, body });
+    }
+    return icons;
+  } catch (error) {
+    // Ikon hanya pelengkap: website tetap dipublikasikan tanpa favicon
+    console.error(`Gagal membuat favicon dari logo ${logo.id}:`, error.message);
+    return [];
+  }
+}
+
+// Checklist SEO untuk panel publikasi. Setiap item: { id, label, ok, detail }.
+function buildSeoChecklist($, seo) {
+  const { profile } = seo;
+  const titleLength = seo.title.length;
+  const descriptionLength = seo.description.length;
+  const h1Count = $("body h1").length;
+  const missingAlt = $("body img").filter((_, el) => !($(el).attr("alt") || "").trim()).length;
+  const missingBusinessData = profile
+    ? [!profile.address && "alamat", !profile.whatsapp && "nomor WhatsApp"].filter(Boolean)
+    : ["nama usaha", "alamat", "nomor WhatsApp"];
+
+  let titleDetail = `${titleLength} karakter.`;
+  if (titleLength === 0) titleDetail = "Belum ada judul. Isi di sini atau di Profil Bisnis.";
+  else if (titleLength > SEO_TITLE_MAX) {
+    titleDetail = `${titleLength} karakter; lebih dari ${SEO_TITLE_MAX} bisa terpotong di Google.`;
+  }
+  const imageDetails = {
+    asset: "Dipilih dari media library.",
+    page: "Belum dipilih; memakai gambar pertama di halaman.",
+    none: "Belum ada gambar untuk preview di WhatsApp/Facebook.",
+  };
+
+  return [
+    {
+      id: "title",
+      label: "Judul halaman",
+      ok: titleLength > 0 && titleLength <= SEO_TITLE_MAX,
+      detail: titleDetail,
+    },
+    {
+      id: "description",
+      label: "Deskripsi",
+      ok: descriptionLength >= SEO_DESCRIPTION_MIN,
+      detail:
+        descriptionLength >= SEO_DESCRIPTION_MIN
+          ? `${descriptionLength} karakter.`
+          : `${descriptionLength} karakter; idealnya ${SEO_DESCRIPTION_MIN}-${SEO_DESCRIPTION_MAX} karakter.`,
+    },
+    {
+      id: "shareImage",
+      label: "Gambar preview saat dibagikan",
+      ok: seo.imageSource === "asset",
+      detail: imageDetails[seo.imageSource || "none"],
+    },
+    {
+      id: "favicon",
+      label: "Favicon dari logo",
+      ok: Boolean(seo.logo),
+      detail: seo.logo ? `Dibuat dari "${seo.logo.name}".` : "Pilih logo dari media library.",
+    },
+    {
+      id: "localBusiness",
+      label: "Data bisnis untuk Google (LocalBusiness)",
+      ok: missingBusinessData.length === 0,
+      detail:
+        missingBusinessData.length === 0
+          ? "Nama, alamat, dan WhatsApp diambil dari Profil Bisnis."
+          : `Lengkapi ${missingBusinessData.join(", ")} di Profil Bisnis.`,
+    },
+    {
+      id: "h1",
+      label: "Satu judul utama (H1)",
+      ok: h1Count === 1,
+      detail: `Ditemukan ${h1Count} elemen H1.`,
+    },
+    {
+      id: "imageAlt",
+      label: "Teks alternatif gambar",
+      ok: missingAlt === 0,
+      detail:
+        missingAlt === 0
+          ? "Semua gambar punya teks alt."
+          : `${missingAlt} gambar belum punya teks alt.`,
+    },
+    {
+      id: "canonical",
+      label: "URL canonical, sitemap & robots.txt",
+      ok: Boolean(seo.canonicalUrl),
+      detail: seo.canonicalUrl
+        ? `Dibuat otomatis saat publikasi. Sitemap ${seo.canonicalUrl}sitemap.xml didaftarkan di robots.txt.`
+        : "Dibuat setelah alamat (slug) website diisi.",
+    },
+  ];
+}
+
+// =================================================================
+// --- IMPOR HTML MILIK USER ---
+// Sumber impor: file .html, file .zip (HTML + CSS + gambar), atau kode yang ditempel.
+// Gambar bawaan dipindahkan ke media library; URL eksternal dibiarkan apa adanya
+// (tidak diunduh server). CSS lokal di dalam ZIP di-inline karena file lain tidak ikut disimpan.
+// =================================================================
+const IMPORT_MAX_ZIP_ENTRIES = 500;
+const IMPORT_MAX_UNZIPPED_SIZE = 50 * 1024 * 1024;
+const IMPORT_MAX_IMAGES = 50;
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const CSS_URL_PATTERN = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+const DATA_URI_PATTERN = /^data:([^;,]+)?(;base64)?,(.*)$/is;
+
+function importError(message) {
+  const error = new Error(message);
+  error.code = "IMPORT_INVALID";
+  return error;
+}
+
+// Mengembalikan { html, readFile(pathRelatif, dariFile) -> Buffer|null }.
+// Melempar error dengan code "IMPORT_INVALID" jika sumbernya tidak bisa dipakai.
+function readImportSource(file, pastedHtml) {
+  const noFiles = () => null;
+  if (!file) {
+    if (typeof pastedHtml !== "string" || !pastedHtml.trim()) {
+      throw importError("Unggah file .html/.zip atau tempel kode HTML terlebih dahulu.");
+    }
+    return ensureImportHtml({ html: pastedHtml, htmlPath: "index.html", readFile: noFiles });
+  }
+
+  if (file.buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+    return ensureImportHtml(readImportZip(file.buffer));
+  }
+  if (!/\.html?$/i.test(file.originalname)) {
+    throw importError("File harus berupa .html, .htm, atau .zip.");
+  }
+  return ensureImportHtml({
+    html: file.buffer.toString("utf8"),
+    htmlPath: "index.html",
+    readFile: noFiles,
+  });
+}
+
+// Teks tanpa tag sama sekali bukan HTML (parser akan membungkusnya menjadi dokumen)
+function ensureImportHtml(source) {
+  if (!/<[a-z!]/i.test(source.html)) {
+    throw importError("Isi yang diimpor tidak berisi kode HTML.");
+  }
+  return source;
+}
+
+function readImportZip(buffer) {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    throw importError("File ZIP rusak atau tidak bisa dibaca.");
+  }
+  // Cegah "zip bomb": jumlah file & total ukuran setelah diekstrak dibatasi
+  if (entries.length > IMPORT_MAX_ZIP_ENTRIES) {
+    throw importError("Isi file ZIP terlalu besar.");
+  }
+
+  const files = new Map();
+  let unzippedSize = 0;
+  for (const entry of entries) {
+    const name = path.posix.normalize(entry.entryName.replace(/\\/g, "/")).replace(/^\/+/, "");
+    if (entry.isDirectory || name.startsWith("__MACOSX/") || name.startsWith("../")) continue;
+    const data = inflateZipEntry(entry, IMPORT_MAX_UNZIPPED_SIZE - unzippedSize);
+    unzippedSize += data.length;
+    files.set(name, data);
+  }
+
+  // index.html yang paling dangkal diutamakan, jika tidak ada pakai file HTML pertama
+  const depth = (name) => name.split("/").length;
+  const htmlPaths = [...files.keys()]
+    .filter((name) => /\.html?$/i.test(name))
+    .sort(
+      (a, b) =>
+        Number(path.posix.basename(b) === "index.html") -
+          Number(path.posix.basename(a) === "index.html") || depth(a) - depth(b)
+    );
+  if (htmlPaths.length === 0) {
+    throw importError("Tidak ada file .html di dalam ZIP.");
+  }
+
+  return {
+    html: files.get(htmlPaths[0]).toString("utf8"),
+    htmlPath: htmlPaths[0],
+    readFile: (reference, fromPath) => {
+      const target = resolveImportPath(reference, fromPath);
+      return target && files.has(target) ? files.get(target) : null;
+    },
+  };
+}
+
+// Ukuran asli di header ZIP bisa dipalsukan, jadi isi file diekstrak sendiri dengan
+// batas `maxSize` byte dan yang dihitung adalah hasil ekstrak sebenarnya.
+function inflateZipEntry(entry, maxSize) {
+  if (entry.header.encrypted) {
+    throw importError("File ZIP yang dikunci password tidak didukung.");
+  }
+  const compressed = entry.getCompressedData();
+  if (entry.header.method === 0) {
+    // Tanpa kompresi (stored): isinya sudah berupa data asli
+    if (compressed.length > maxSize) throw importError("Isi file ZIP terlalu besar.");
+    return compressed;
+  }
+  if (entry.header.method !== 8) {
+    throw importError("Metode kompresi di dalam ZIP tidak didukung.");
+  }
+  let data;
+  try {
+    data = zlib.inflateRawSync(compressed, { maxOutputLength: maxSize + 1 });
+  } catch (error) {
+    if (error.code !== "ERR_BUFFER_TOO_LARGE") {
+      throw importError("File ZIP rusak atau tidak bisa dibaca.");
+    }
+  }
+  if (!data || data.length > maxSize) throw importError("Isi file ZIP terlalu besar.");
+  return data;
+}
+
+// Path relatif di HTML/CSS -> nama file di dalam ZIP. null untuk URL absolut,
+// anchor, atau path yang keluar dari root ZIP.
+function resolveImportPath(reference, fromPath) {
+  const value = String(reference || "").trim().split(/[?#]/)[0];
+  if (!value || /^[a-z][a-z0-9+.-]*:/i.test(value) || value.startsWith("//")) return null;
+  let decoded;
+  try {
+    decoded = decodeURIComponent(value);
+  } catch (error) {
+    decoded = value;
+  }
+  const resolved = decoded.startsWith("/")
+    ? path.posix.normalize(decoded).slice(1)
+    : path.posix.normalize(path.posix.join(path.posix.dirname(fromPath), decoded));
+  return resolved.startsWith("../") ? null : resolved;
+}
+
+function decodeDataUri(uri) {
+  const match = String(uri).trim().match(DATA_URI_PATTERN);
+  if (!match) return null;
+  try {
+    return match[2]
+      ? Buffer.from(match[3], "base64")
+      : Buffer.from(decodeURIComponent(match[3]), "utf8");
+  } catch (error) {
+    return null;
+  }
+}
+
+// Pindahkan gambar bawaan ke media library dan ganti referensinya dengan URL aset.
+// Mengembalikan { html, images: [aset], warnings: [string] }.
+async function extractImportedImages(userId, projectId, { html, htmlPath, readFile }) {
+  const $ = cheerio.load(html);
+  const warnings = [];
+  const images = [];
+  const replacements = new Map(); // referensi asli -> URL aset (null = dibiarkan)
+  const skipped = { unsupported: 0, missing: 0, limit: 0 };
+
+  // 1. CSS lokal dari ZIP di-inline; url() di dalamnya relatif terhadap file CSS tersebut
+  const styleSources = [];
+  $('link[rel~="stylesheet" i][href]').each((_, el) => {
+    const href = $(el).attr("href");
+    const css = readFile(href, htmlPath);
+    if (!css) return;
+    const cssPath = resolveImportPath(href, htmlPath);
+    const style = $("<style></style>").text(css.toString("utf8"));
+    $(el).replaceWith(style);
+    styleSources.push({ node: style, fromPath: cssPath });
+  });
+  $("style")
+    .toArray()
+    .filter((el) => !styleSources.some((item) => item.node[0] === el))
+    .forEach((el) => styleSources.push({ node: $(el), fromPath: htmlPath }));
+
+  const importImage = async (reference, fromPath) => {
+    // File yang sama bisa dirujuk dengan path berbeda (relatif dari HTML atau CSS)
+    const isDataUri = /^\s*data:/i.test(reference);
+    const filePath = isDataUri ? null : resolveImportPath(reference, fromPath);
+    const cacheKey = isDataUri ? reference.trim() : filePath;
+    if (!cacheKey) return null;
+    if (replacements.has(cacheKey)) return replacements.get(cacheKey);
+
+    let url = null;
+    const buffer = isDataUri ? decodeDataUri(reference) : readFile(reference, fromPath);
+    const format = buffer && detectImageFormat(buffer);
+    if (!buffer) {
+      skipped.missing += 1;
+    } else if (!format) {
+      skipped.unsupported += 1;
+    } else if (images.length >= IMPORT_MAX_IMAGES) {
+      skipped.limit += 1;
+    } else {
+      try {
+        const name = isDataUri ? `impor-${images.length + 1}` : path.posix.parse(filePath).name;
+        const asset = await storeImageAsset(userId, projectId, buffer, { format, name });
+        images.push(asset);
+        url = asset.url;
+      } catch (error) {
+        if (error.code !== "IMAGE_INVALID") throw error;
+        skipped.unsupported += 1;
+      }
+    }
+    replacements.set(cacheKey, url);
+    return url;
+  };
+
+  const replaceCssUrls = async (css, fromPath) => {
+    let output = css;
+    for (const [match, , reference] of css.matchAll(CSS_URL_PATTERN)) {
+      const url = await importImage(reference, fromPath);
+      if (url) output = output.split(match).join(`url("${url}")`);
+    }
+    return output;
+  };
+
+  // 2. Gambar di atribut src/srcset/href dan di CSS (atribut style & elemen <style>)
+  for (const el of $("img[src], link[rel~='icon' i][href]").toArray()) {
+    const attribute = el.tagName === "link" ? "href" : "src";
+    const url = await importImage($(el).attr(attribute), htmlPath);
+    if (url) $(el).attr(attribute, url);
+  }
+  for (const el of $("img[srcset], source[srcset]").toArray()) {
+    // Kandidat srcset dipisah koma + spasi, karena data URI sendiri berisi koma
+    const candidates = [];
+    for (const candidate of $(el).attr("srcset").trim().split(/,\s+/)) {
+      const [reference, ...descriptors] = candidate.trim().split(/\s+/);
+      const url = await importImage(reference, htmlPath);
+      candidates.push([url || reference, ...descriptors].join(" "));
+    }
+    $(el).attr("srcset", candidates.join(", "));
+  }
+  for (const el of $("[style]").toArray()) {
+    $(el).attr("style", await replaceCssUrls($(el).attr("style"), htmlPath));
+  }
+  for (const { node, fromPath } of styleSources) {
+    node.text(await replaceCssUrls(node.text(), fromPath));
+  }
+
+  if (skipped.missing > 0) {
+    warnings.push(`${skipped.missing} gambar tidak ditemukan di file yang diimpor.`);
+  }
+  if (skipped.unsupported > 0) {
+    warnings.push(
+      `${skipped.unsupported} gambar dibiarkan apa adanya karena formatnya bukan JPG, PNG, atau WebP.`
+    );
+  }
+  if (skipped.limit > 0) {
+    warnings.push(
+      `${skipped.limit} gambar tidak dipindahkan karena melebihi batas ${IMPORT_MAX_IMAGES} gambar per impor.`
+    );
+  }
+  return { html: $.html(), images, warnings };
+}
 
-  const command = new InvokeModelCommand({
-    modelId,
-    contentType: "application/json",
-    body: JSON.stringify(payload),
-  });
+// =================================================================
+// --- EKSPOR WEBSITE (ZIP) ---
+// =================================================================
+const TAILWIND_CDN_SCRIPT_PATTERN =
+  /<script[^>]*\ssrc=["']https:\/\/cdn\.tailwindcss\.com[^"']*["'][^>]*>\s*<\/script>/i;
 
-  console.log(
-    `[${new Date().toLocaleTimeString()}] Mengirim permintaan ke Bedrock...`
+// File-file ZIP ekspor: [{ name, body }]. Gambar dari storage aset diunduh ke images/
+// dan URL-nya di HTML (src, srcset, style, meta) diganti dengan path relatif.
+async function buildExportBundle(html) {
+  const baseUrl = storage.getPublicUrl("assets", "");
+  const urlPattern = new RegExp(
+    `${baseUrl.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}[^\\s"'()<>,]+`,
+    "g"
   );
-  const apiResponse = await bedrockClient.send(command);
-  console.log(
-    `[${new Date().toLocaleTimeString()}] Menerima respons dari Bedrock.`
+  // URL terpanjang diganti lebih dulu agar URL yang merupakan awalan URL lain tidak merusaknya
+  const assetUrls = [...new Set(html.match(urlPattern) || [])].sort(
+    (a, b) => b.length - a.length
   );
 
-  const decodedBody = new TextDecoder().decode(apiResponse.body);
-  const responseBody = JSON.parse(decodedBody);
+  const files = [];
+  const usedNames = new Set();
+  let bundledHtml = html;
+  for (const url of assetUrls) {
+    let key;
+    let body;
+    try {
+      key = storage.keyFromUrl("assets", url);
+      body = await storage.getObject("assets", key);
+    } catch (error) {
+      // Gambar yang sudah dihapus (atau URL-nya rusak, misal escape % tidak valid)
+      // dibiarkan memakai URL aslinya
+      console.warn(`Gambar ${url} tidak ikut diekspor:`, error.message);
+      continue;
+    }
+    const baseName = path.posix.basename(key);
+    let name = baseName;
+    for (let counter = 2; usedNames.has(name); counter++) name = `${counter}-${baseName}`;
+    usedNames.add(name);
+    files.push({ name: `images/${name}`, body });
+    bundledHtml = bundledHtml.split(url).join(`images/${name}`);
+  }
+
+  const css = await compileTailwindCss(bundledHtml);
+  if (css) {
+    files.push({ name: "styles.css", body: css });
+    bundledHtml = bundledHtml.replace(
+      TAILWIND_CDN_SCRIPT_PATTERN,
+      '<link rel="stylesheet" href="styles.css">'
+    );
+  }
+  return [{ name: "index.html", body: bundledHtml }, ...files];
+}
 
-  if (responseBody.content && responseBody.content[0].type === "text") {
-    let rawResponse = responseBody.content[0].text;
+// Compile kelas Tailwind yang dipakai halaman menjadi CSS statis. Hanya untuk halaman
+// yang memakai CDN Tailwind tanpa konfigurasi kustom (tailwind.config di <script>);
+// selain itu null dan halaman tetap memakai CDN.
+async function compileTailwindCss(html) {
+  if (!TAILWIND_CDN_SCRIPT_PATTERN.test(html) || /tailwind\.config\s*=/.test(html)) {
+    return null;
+  }
+  try {
+    const result = await postcss([
+      tailwindcss({ content: [{ raw: html, extension: "html" }] }),
+    ]).process("@tailwind base;\n@tailwind components;\n@tailwind utilities;", {
+      from: undefined,
+    });
+    return result.css;
+  } catch (error) {
+    console.error("Gagal meng-compile Tailwind untuk ekspor:", error.message);
+    return null;
+  }
+}
+
+// =================================================================
+// --- PERBANDINGAN VERSI (DIFF) ---
+// HTML dinormalisasi dulu (satu tag per baris, spasi dirapikan) supaya perbedaan
+// format dari AI tidak muncul sebagai perubahan.
+// =================================================================
+function normalizeHtmlForDiff(html) {
+  const $ = cheerio.load(html);
+  return `${$.html()
+    .replace(/\s+/g, " ")
+    .replace(/>\s*</g, ">\n<")
+    .trim()}\n`;
+}
+
+// Teks yang terlihat di halaman, satu baris per potongan teks
+function extractTextForDiff(html) {
+  const $ = cheerio.load(html);
+  $("script, style, noscript, template").remove();
+  const lines = [];
+  const walk = (node) => {
+    (node.children || []).forEach((child) => {
+      if (child.type === "text") {
+        const text = child.data.replace(/\s+/g, " ").trim();
+        if (text) lines.push(text);
+      } else {
+        walk(child);
+      }
+    });
+  };
+  const body = $("body").get(0);
+  if (body) walk(body);
+  return lines.length > 0 ? `${lines.join("\n")}\n` : "";
+}
+
+// Hasil diff per blok baris + ringkasan jumlah baris yang bertambah/berkurang
+function diffVersions(fromText, toText) {
+  const changes = diffLines(fromText, toText).map((part) => ({
+    type: part.added ? "added" : part.removed ? "removed" : "unchanged",
+    value: part.value,
+    count: part.count,
+  }));
+  const countLines = (type) =>
+    changes.filter((part) => part.type === type).reduce((sum, part) => sum + part.count, 0);
+  return { changes, added: countLines("added"), removed: countLines("removed") };
+}
+
+// =================================================================
+// --- EDIT PER ELEMEN (KLIK DI PREVIEW) ---
+// Elemen ditunjuk dengan path = daftar indeks anak (hanya elemen) mulai dari <body>,
+// sama seperti yang dihitung preview di frontend. tagName dipakai untuk memastikan
+// elemen di HTML tersimpan masih sama dengan yang diklik.
+// =================================================================
+function findElementByPath($, { path, tagName } = {}) {
+  if (!Array.isArray(path) || path.length === 0) return null;
+  let element = $("body");
+  for (const index of path) {
+    element = element.children().eq(Number(index));
+    if (element.length === 0) return null;
+  }
+  if (tagName && element.get(0).tagName.toLowerCase() !== String(tagName).toLowerCase()) {
+    return null;
+  }
+  return element;
+}
+
+function replaceElementAtPath(html, fragment, replacementHtml) {
+  const $ = cheerio.load(html);
+  const element = findElementByPath($, fragment);
+  if (!element) {
+    throw requestError(409, "Elemen tidak ditemukan. Muat ulang preview lalu pilih lagi.");
+  }
+  element.replaceWith(replacementHtml);
+  return $.html();
+}
+
+// Ubah teks atau gambar satu elemen di HTML biasa (tanpa AI)
+function applyElementEdit(element, { text, image }) {
+  if (image) {
+    if (element.get(0).tagName !== "img") {
+      throw requestError(400, "Elemen yang dipilih bukan gambar.");
+    }
+    element.attr("src", image.url).attr("alt", image.alt || element.attr("alt") || "");
+    if (image.srcset) element.attr("srcset", image.srcset);
+    else element.removeAttr("srcset").removeAttr("sizes");
+    // Gambar di dalam <picture>: ganti juga sumber WebP-nya
+    const picture = element.parent("picture");
+    if (picture.length > 0) {
+      picture.children("source").remove();
+      if (image.webpSrcset) {
+        element.before(
+          `<source type="image/webp" srcset="${escapeHtml(image.webpSrcset)}"${
+            element.attr("sizes") ? ` sizes="${escapeHtml(element.attr("sizes"))}"` : ""
+          }>`
+        );
+      }
+    }
+    return;
+  }
+
+  if (typeof text !== "string") {
+    throw requestError(400, "Teks atau gambar baru tidak boleh kosong.");
+  }
+  if (element.children().length > 0) {
+    throw requestError(400, "Elemen ini berisi elemen lain. Ubah lewat instruksi AI.");
+  }
+  element.text(text);
+}
+
+// Ubah satu field dokumen situs, misal fieldPath "items.0.name" pada section tertentu.
+// Jenis nilai (teks/gambar) mengikuti skema section.
+function updateSiteField(site, sectionId, fieldPath, { text, image }) {
+  const section = site.sections.find((item) => item.id === sectionId);
+  if (!section) throw requestError(404, "Bagian website tidak ditemukan.");
+
+  const keys = fieldPath.split(".");
+  let kind = { list: SITE_SECTION_TYPES[section.type].fields };
+  for (const key of keys) {
+    if (/^\d+$/.test(key)) continue; // Indeks item di dalam daftar
+    kind = kind && kind.list ? kind.list[key] : undefined;
+  }
+  if (kind === "image" ? !image : typeof text !== "string") {
+    throw requestError(400, kind === "image" ? "Pilih gambar pengganti." : "Teks baru tidak boleh kosong.");
+  }
 
-    // Regex untuk membersihkan respons AI dan mengambil hanya blok kode HTML
-    const codeBlockRegex = /```(?:html)?\s*([\s\S]*?)\s*```/;
-    const match = rawResponse.match(codeBlockRegex);
+  const fields = structuredClone(section.fields);
+  let target = fields;
+  for (const key of keys.slice(0, -1)) {
+    target = target[key];
+    if (!target) throw requestError(404, "Field tidak ditemukan.");
+  }
+  target[keys[keys.length - 1]] = kind === "image" ? image : text;
+
+  return normalizeSiteDocument({
+    ...site,
+    sections: site.sections.map((item) =>
+      item.id === sectionId ? { ...item, fields } : item
+    ),
+  });
+}
+
+// =================================================================
+// --- VALIDASI & SANITASI HTML HASIL AI ---
+// Setiap HTML dari AI di-parse sebelum disimpan/dipublikasikan: struktur yang kurang
+// diperbaiki otomatis, elemen berbahaya dibuang, dan hasilnya dicatat dalam laporan.
+// HTML yang tidak bisa diperbaiki (misal tanpa konten) ditolak.
+// =================================================================
+const SMOOTH_SCROLL_SCRIPT = `<script>
+    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+        anchor.addEventListener('click', function (e) {
+            e.preventDefault();
+            const targetId = this.getAttribute('href');
+            const targetElement = document.querySelector(targetId);
+            if (targetElement) {
+                targetElement.scrollIntoView({ behavior: 'smooth' });
+            }
+        });
+    });
+<\/script>`;
+const DISALLOWED_ELEMENTS = ["iframe", "frame", "frameset", "object", "embed"];
+const URL_ATTRIBUTES = ["href", "src", "action", "formaction", "xlink:href"];
+const PLACEHOLDER_IMAGE_PATTERN =
+  /(placehold\.co|placeholder\.com|picsum\.photos|unsplash\.com|dummyimage\.com|placekitten\.com|loremflickr\.com)/i;
 
-    let htmlCode = match ? match[1] : rawResponse;
+// Mengembalikan { html, report }. report = { valid, errors, repaired, removed, warnings }
+function sanitizeGeneratedHtml(html, { imageUrls = [] } = {}) {
+  const report = { valid: true, errors: [], repaired: [], removed: [], warnings: [] };
+  const source = String(html || "").trim();
+  if (!/<[a-z!]/i.test(source)) {
+    report.errors.push("Respons AI tidak berisi kode HTML.");
+    report.valid = false;
+    return { html: source, report };
+  }
+
+  const $ = cheerio.load(source);
 
-    // Membersihkan teks penjelasan di awal jika tidak ada blok kode dan DocType tidak di awal
-    const docTypeIndex = htmlCode.indexOf("<!DOCTYPE html>");
-    if (docTypeIndex > 0) {
-      htmlCode = htmlCode.substring(docTypeIndex);
+  // 1. Struktur dokumen: parser melengkapi html/head/body yang hilang
+  if (!/<!DOCTYPE html>/i.test(source)) report.repaired.push("Menambahkan <!DOCTYPE html>.");
+  for (const tag of ["html", "head", "body"]) {
+    if (!new RegExp(`<${tag}[\\s>]`, "i").test(source)) {
+      report.repaired.push(`Menambahkan tag <${tag}>.`);
     }
+  }
+  if ($("body").children().length === 0 && !$("body").text().trim()) {
+    report.errors.push("Halaman tidak memiliki konten di dalam <body>.");
+  }
 
-    return htmlCode.trim(); // Mengembalikan kode HTML yang sudah bersih
-  } else {
-    throw new Error("Format respons dari Bedrock tidak terduga.");
+  // 2. Buang elemen & atribut yang tidak diizinkan (dihitung per jenis untuk laporan)
+  const removedCounts = new Map();
+  const markRemoved = (label) =>
+    removedCounts.set(label, (removedCounts.get(label) || 0) + 1);
+
+  $("script[src]").each((_, el) => {
+    const src = $(el).attr("src");
+    if (!isAllowedScriptSrc(src)) {
+      markRemoved(`Script eksternal ${src}`);
+      $(el).remove();
+    }
+  });
+  $(DISALLOWED_ELEMENTS.join(", ")).each((_, el) => {
+    markRemoved(`Elemen <${el.tagName}>`);
+    $(el).remove();
+  });
+  $('meta[http-equiv="refresh" i]').each((_, el) => {
+    markRemoved("Meta refresh");
+    $(el).remove();
+  });
+  $("*").each((_, el) => {
+    for (const [name, value] of Object.entries(el.attribs || {})) {
+      if (/^on/i.test(name)) {
+        markRemoved(`Atribut ${name.toLowerCase()}`);
+        $(el).removeAttr(name);
+      } else if (
+        URL_ATTRIBUTES.includes(name.toLowerCase()) &&
+        /^\s*(javascript|vbscript):/i.test(value)
+      ) {
+        markRemoved(`URL javascript: di atribut ${name.toLowerCase()}`);
+        $(el).removeAttr(name);
+      }
+    }
+  });
+  report.removed = [...removedCounts].map(([label, count]) =>
+    count > 1 ? `${label} (${count}x)` : label
+  );
+
+  // 3. Script smooth-scroll wajib (lihat createSystemPrompt)
+  const hasSmoothScroll = $("script:not([src])")
+    .toArray()
+    .some((el) => ($(el).html() || "").includes("scrollIntoView"));
+  if (!hasSmoothScroll) {
+    $("body").append(`\n${SMOOTH_SCROLL_SCRIPT}\n`);
+    report.repaired.push("Menambahkan script smooth-scroll yang wajib ada.");
+  }
+
+  // 4. Gambar placeholder padahal user sudah mengunggah gambar sendiri
+  const providedUrls = (imageUrls || [])
+    .map((image) => (typeof image === "string" ? image : image && image.url))
+    .filter(Boolean);
+  if (providedUrls.length > 0) {
+    const placeholders = $("img[src]")
+      .map((_, el) => $(el).attr("src"))
+      .get()
+      .filter((src) => PLACEHOLDER_IMAGE_PATTERN.test(src));
+    if (placeholders.length > 0) {
+      report.warnings.push(
+        `${placeholders.length} gambar placeholder dipakai padahal gambar upload tersedia: ${placeholders.join(", ")}`
+      );
+    }
+    const unusedUrls = providedUrls.filter((url) => !source.includes(url));
+    if (unusedUrls.length > 0) {
+      report.warnings.push(
+        `${unusedUrls.length} gambar upload tidak dipakai: ${unusedUrls.join(", ")}`
+      );
+    }
+  }
+
+  report.valid = report.errors.length === 0;
+  const output = `<!DOCTYPE html>\n${$.html().replace(/^<!DOCTYPE[^>]*>\s*/i, "")}`;
+  return { html: output, report };
+}
+
+// Hanya script https dari host yang ada di ALLOWED_SCRIPT_HOSTS (atau subdomainnya)
+function isAllowedScriptSrc(src) {
+  try {
+    const url = new URL(src, "https://invalid.local");
+    const host = url.hostname.toLowerCase();
+    return (
+      url.protocol === "https:" &&
+      ALLOWED_SCRIPT_HOSTS.some(
+        (allowed) => host === allowed || host.endsWith(`.${allowed}`)
+      )
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+// Dipanggil oleh semua jalur penyimpanan hasil AI. Melempar error dengan
+// code "HTML_INVALID" (dan `report`) jika HTML tidak bisa diperbaiki.
+function prepareGeneratedHtml(rawHtml, imageUrls = []) {
+  const { html, report } = sanitizeGeneratedHtml(rawHtml, { imageUrls });
+  if (!report.valid) {
+    const error = new Error(`HTML dari AI tidak valid: ${report.errors.join(" ")}`);
+    error.code = "HTML_INVALID";
+    error.report = report;
+    throw error;
+  }
+  if (report.repaired.length > 0 || report.removed.length > 0) {
+    console.log("HTML hasil AI diperbaiki:", [...report.repaired, ...report.removed].join("; "));
+  }
+  return { htmlCode: html, report };
+}
+
+// =================================================================
+// --- PROVIDER AI ---
+// Setiap provider mengimplementasikan:
+//   { name, complete({ system, messages }), stream({ system, messages, signal, onText }) }
+// dan mengembalikan teks mentah (lengkap) dari model.
+// =================================================================
+const aiProviderFactories = {
+  bedrock: createBedrockProvider,
+  anthropic: createAnthropicProvider,
+  mock: createMockProvider,
+};
+
+let aiProviderInstance = null;
+
+function getAIProvider() {
+  if (!aiProviderInstance) {
+    const factory = aiProviderFactories[AI_PROVIDER];
+    if (!factory) {
+      throw new Error(`Provider AI tidak dikenal: ${AI_PROVIDER}`);
+    }
+    aiProviderInstance = factory(AI_PROVIDER_CONFIG[AI_PROVIDER]);
+  }
+  return aiProviderInstance;
+}
+
+// Provider AWS Bedrock (model Anthropic Claude)
+function createBedrockProvider(config) {
+  const client = new BedrockRuntimeClient({ region: config.region });
+
+  const buildPayload = (system, messages) =>
+    JSON.stringify({
+      anthropic_version: "bedrock-2023-05-31",
+      max_tokens: config.maxTokens, // Jumlah maksimal token yang dihasilkan AI
+      temperature: config.temperature, // Tingkat kreativitas (0.0 - 1.0)
+      system, // Instruksi sistem
+      messages, // Pesan dari pengguna
+    });
+
+  return {
+    name: "bedrock",
+    async complete({ system, messages }) {
+      const command = new InvokeModelCommand({
+        modelId: config.modelId,
+        contentType: "application/json",
+        body: buildPayload(system, messages),
+      });
+      const apiResponse = await client.send(command);
+
+      const decodedBody = new TextDecoder().decode(apiResponse.body);
+      return readAnthropicText(JSON.parse(decodedBody), "Bedrock");
+    },
+
+    async stream({ system, messages, signal, onText }) {
+      const command = new InvokeModelWithResponseStreamCommand({
+        modelId: config.modelId,
+        contentType: "application/json",
+        body: buildPayload(system, messages),
+      });
+      const apiResponse = await client.send(command, { abortSignal: signal });
+
+      let fullText = "";
+      const decoder = new TextDecoder();
+      for await (const event of apiResponse.body) {
+        if (!event.chunk) continue;
+        const text = readAnthropicDelta(
+          JSON.parse(decoder.decode(event.chunk.bytes))
+        );
+        if (text) {
+          fullText += text;
+          onText(text);
+        }
+      }
+      return fullText;
+    },
+  };
+}
+
+// Provider HTTP yang kompatibel dengan Anthropic Messages API (/v1/messages)
+function createAnthropicProvider(config) {
+  if (!config.apiKey) {
+    throw new Error("ANTHROPIC_API_KEY belum diatur untuk provider anthropic.");
+  }
+
+  const sendRequest = async ({ system, messages, signal, stream = false }) => {
+    const response = await fetch(
+      `${config.baseUrl.replace(/\/$/, "")}/v1/messages`,
+      {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "x-api-key": config.apiKey,
+          "anthropic-version": config.apiVersion,
+        },
+        body: JSON.stringify({
+          model: config.model,
+          max_tokens: config.maxTokens,
+          temperature: config.temperature,
+          system,
+          messages,
+          stream,
+        }),
+        signal,
+      }
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(
+        `Provider anthropic mengembalikan status ${response.status}: ${errorText}`
+      );
+    }
+    return response;
+  };
+
+  return {
+    name: "anthropic",
+    async complete({ system, messages }) {
+      const response = await sendRequest({ system, messages });
+      return readAnthropicText(await response.json(), "provider anthropic");
+    },
+
+    async stream({ system, messages, signal, onText }) {
+      const response = await sendRequest({
+        system,
+        messages,
+        signal,
+        stream: true,
+      });
+
+      // Respons berupa SSE: ambil baris "data: {...}" dan teruskan teks delta-nya
+      let fullText = "";
+      let buffer = "";
+      const decoder = new TextDecoder();
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (!line.startsWith("data:")) continue;
+          const event = JSON.parse(line.slice(5).trim());
+          if (event.type === "error") {
+            throw new Error(`Provider anthropic error: ${event.error?.message}`);
+          }
+          const text = readAnthropicDelta(event);
+          if (text) {
+            fullText += text;
+            onText(text);
+          }
+        }
+      }
+      return fullText;
+    },
+  };
+}
+
+// Provider lokal untuk development & testing: hasilnya selalu sama untuk input yang sama
+function createMockProvider(config) {
+  return {
+    name: "mock",
+    async complete({ system, messages }) {
+      if (config.latencyMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, config.latencyMs));
+      }
+
+      const lastMessage = messages[messages.length - 1];
+      const text = lastMessage.content
+        .filter((part) => part.type === "text")
+        .map((part) => part.text)
+        .join("\n");
+
+      if (system && system.includes(SITE_JSON_MARKER)) {
+        return `\`\`\`json\n${JSON.stringify(createMockSite(text), null, 2)}\n\`\`\``;
+      }
+
+      // Mode terjemahan: setiap teks diberi awalan kode bahasa tujuan, misal "[en] ..."
+      if (system && system.includes(TRANSLATION_MARKER)) {
+        const lang = system.match(/kode bahasa "([^"]+)"/)[1];
+        const entries = parseSiteResponse(text) || {};
+        const translated = Object.fromEntries(
+          Object.entries(entries).map(([key, value]) => [key, `[${lang}] ${value}`])
+        );
+        return `\`\`\`json\n${JSON.stringify(translated, null, 2)}\n\`\`\``;
+      }
+
+      // Mode edit: kembalikan HTML yang sama dengan penanda permintaan edit
+      const editMatch = text.match(/PERMINTAAN EDIT: "([\s\S]*?)"/);
+      const currentHtmlMatch = text.match(/```html\n([\s\S]*?)\n```/);
+      if (editMatch && currentHtmlMatch) {
+        const marker = `<!-- mock edit: ${escapeHtml(editMatch[1])} -->`;
+        // Fragmen (edit per elemen) tidak punya </body>: penanda ditaruh di akhir fragmen
+        const editedHtml = currentHtmlMatch[1].includes("</body>")
+          ? currentHtmlMatch[1].replace("</body>", `${marker}\n</body>`)
+          : `${currentHtmlMatch[1]}${marker}`;
+        return `\`\`\`html\n${editedHtml}\n\`\`\``;
+      }
+
+      // Mode generate: isi template fixture dengan deskripsi bisnis & gambar
+      const descriptionMatch = text.match(/Deskripsi bisnis: "([\s\S]*?)"/);
+      // Baris gambar berformat "- <url>" atau "- <url> (...; srcset: "...")"
+      const images = [...text.matchAll(/^- (\S+)(?: \(.*?srcset: "([^"]*)")?/gm)]
+        .filter((match) => /\.(png|jpe?g|webp|gif)$/i.test(match[1]))
+        .map((match) => ({ url: match[1], srcset: match[2] }));
+      const template = await fs.promises.readFile(config.fixturePath, "utf8");
+      const html = template
+        .replaceAll(
+          "{{DESKRIPSI}}",
+          escapeHtml(descriptionMatch ? descriptionMatch[1] : text)
+        )
+        .replaceAll(
+          "{{GAMBAR}}",
+          images
+            .map(
+              ({ url, srcset }) =>
+                `<img src="${escapeHtml(url)}"${
+                  srcset
+                    ? ` srcset="${escapeHtml(srcset)}" sizes="(min-width: 768px) 33vw, 100vw"`
+                    : ""
+                } alt="Foto usaha" loading="lazy" class="rounded-xl shadow-md w-full h-64 object-cover">`
+            )
+            .join("\n")
+        );
+      return `\`\`\`html\n${html}\n\`\`\``;
+    },
+
+    // Mengirim hasil complete() dalam potongan kecil untuk mensimulasikan streaming
+    async stream({ system, messages, signal, onText }) {
+      const fullText = await this.complete({ system, messages });
+      for (let i = 0; i < fullText.length; i += config.streamChunkSize) {
+        if (signal && signal.aborted) {
+          throw new DOMException("Aborted", "AbortError");
+        }
+        onText(fullText.slice(i, i + config.streamChunkSize));
+        await new Promise((resolve) =>
+          setTimeout(resolve, config.streamChunkDelayMs)
+        );
+      }
+      return fullText;
+    },
+  };
+}
+
+// Versi JSON dari mock: dokumen situs sederhana dari deskripsi & gambar, atau
+// dokumen/section yang sama dengan penanda permintaan edit pada judulnya
+function createMockSite(text) {
+  const editMatch = text.match(/PERMINTAAN EDIT: "([\s\S]*?)"/);
+  const currentJsonMatch = text.match(/```json\n([\s\S]*?)\n```/);
+  if (editMatch && currentJsonMatch) {
+    const current = JSON.parse(currentJsonMatch[1]);
+    const target = current.sections ? current.sections[0] : current;
+    const field =
+      "title" in target.fields
+        ? "title"
+        : Object.keys(target.fields).find((key) => typeof target.fields[key] === "string");
+    if (field) {
+      target.fields[field] = `${target.fields[field]} (mock edit: ${editMatch[1]})`.trim();
+    }
+    return current;
+  }
+
+  const descriptionMatch = text.match(/Deskripsi bisnis: "([\s\S]*?)"/);
+  const description = descriptionMatch ? descriptionMatch[1] : text;
+  const images = [...text.matchAll(/^- (\S+)(?: \(.*?srcset: "([^"]*)")?(?:.*?srcset WebP: "([^"]*)")?/gm)]
+    .filter((match) => /\.(png|jpe?g|webp|gif)$/i.test(match[1]))
+    .map((match) => ({ url: match[1], alt: "Foto usaha", srcset: match[2], webpSrcset: match[3] }));
+
+  return {
+    meta: { siteName: "UMKM Kita", title: "UMKM Kita (Mock)", description, lang: "id" },
+    theme: { primaryColor: "indigo", accentColor: "purple", font: "Poppins" },
+    sections: [
+      {
+        id: "beranda",
+        type: "hero",
+        fields: { title: "Selamat Datang", subtitle: description, ctaText: "Hubungi Kami", ctaLink: "#kontak", image: images[0] },
+      },
+      { id: "tentang", type: "about", fields: { title: "Tentang Kami", body: description } },
+      ...(images.length > 0
+        ? [{ id: "galeri", type: "gallery", fields: { title: "Galeri", images: images.map((image) => ({ image })) } }]
+        : []),
+      {
+        id: "kontak",
+        type: "contact",
+        fields: { title: "Kontak", body: "Hubungi kami untuk informasi lebih lanjut." },
+      },
+      { id: "footer", type: "footer", fields: { text: "© UMKM Kita. Dibuat dengan SisDigi UMKM." } },
+    ],
+  };
+}
+
+// Respons Bedrock & Anthropic memakai format yang sama: { content: [{ type: "text", text }] }
+function readAnthropicText(responseBody, sourceName) {
+  if (responseBody.content && responseBody.content[0].type === "text") {
+    return responseBody.content[0].text;
+  }
+  throw new Error(`Format respons dari ${sourceName} tidak terduga.`);
+}
+
+// Event streaming Anthropic: teks baru ada di content_block_delta -> delta.text
+function readAnthropicDelta(event) {
+  if (
+    event.type === "content_block_delta" &&
+    event.delta &&
+    event.delta.type === "text_delta"
+  ) {
+    return event.delta.text;
   }
+  return "";
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && !Number.isNaN(value)
+    ? value
+    : fallback;
+}
+
+// =================================================================
+// --- FUNGSI UNTUK MENYUSUN PESAN PENGGUNA KE AI ---
+// =================================================================
+// `imageUrls` berisi URL (string) atau objek hasil /api/upload ({ url, srcset, webpSrcset, ... }).
+// Setiap gambar ditulis di barisnya sendiri: "- <url>", ditambah srcset jika ada.
+function formatImageList(imageUrls = []) {
+  if (imageUrls.length === 0) return "Tidak ada";
+  const lines = imageUrls.map((image) => {
+    if (typeof image === "string") return `- ${image}`;
+    const details = [
+      image.width && image.height ? `ukuran: ${image.width}x${image.height}` : null,
+      image.srcset ? `srcset: "${image.srcset}"` : null,
+      image.webpSrcset ? `srcset WebP: "${image.webpSrcset}"` : null,
+    ].filter(Boolean);
+    return details.length > 0
+      ? `- ${image.url} (${details.join("; ")})`
+      : `- ${image.url}`;
+  });
+  return `\n${lines.join("\n")}`;
+}
+
+function buildGenerateMessages(userPrompt, imageUrls = []) {
+  return [
+    {
+      role: "user",
+      content: [
+        {
+          type: "text",
+          text: `Deskripsi bisnis: "${userPrompt}".\n\nDaftar URL gambar: ${formatImageList(
+            imageUrls
+          )}`,
+        },
+      ],
+    },
+  ];
+}
+
+// Edit versi terstruktur: AI menerima dokumen situs lengkap dan mengembalikan versi barunya
+function buildSiteEditMessages(userPrompt, imageUrls = [], site) {
+  return [
+    {
+      role: "user",
+      content: [
+        {
+          type: "text",
+          text: `PERMINTAAN EDIT: "${userPrompt}"\n\nDaftar URL gambar yang tersedia: ${formatImageList(
+            imageUrls
+          )}\n\nDOKUMEN SITUS SAAT INI:\n\`\`\`json\n${JSON.stringify(site, null, 2)}\n\`\`\``,
+        },
+      ],
+    },
+  ];
+}
+
+// Edit satu section: hanya section tersebut yang dikirim, ditambah konteks nama & tema situs
+// `fieldPath` (opsional) berasal dari elemen yang dipilih di preview, misal "items.0.name"
+function buildSectionEditMessages(userPrompt, imageUrls = [], site, section, fieldPath) {
+  const focus = fieldPath
+    ? `\n\nFOKUS: pengguna memilih field "${fieldPath}". Ubah hanya field tersebut kecuali permintaan jelas menyangkut field lain.`
+    : "";
+  return [
+    {
+      role: "user",
+      content: [
+        {
+          type: "text",
+          text: `PERMINTAAN EDIT: "${userPrompt}"\n\nDaftar URL gambar yang tersedia: ${formatImageList(
+            imageUrls
+          )}\n\nKONTEKS SITUS: nama "${site.meta.siteName}", tema ${JSON.stringify(
+            site.theme
+          )}.${focus}\n\nSECTION YANG DIEDIT:\n\`\`\`json\n${JSON.stringify(section, null, 2)}\n\`\`\``,
+        },
+      ],
+    },
+  ];
+}
+
+// Edit satu elemen dari versi HTML: hanya fragmen elemen tersebut yang dikirim
+function buildFragmentEditMessages(userPrompt, imageUrls = [], fragmentHtml) {
+  return [
+    {
+      role: "user",
+      content: [
+        {
+          type: "text",
+          text: `PERMINTAAN EDIT: "${userPrompt}"\n\nDaftar URL gambar yang tersedia: ${formatImageList(
+            imageUrls
+          )}\n\nFRAGMEN HTML YANG DIEDIT:\n\`\`\`html\n${fragmentHtml}\n\`\`\``,
+        },
+      ],
+    },
+  ];
+}
+
+function buildEditMessages(userPrompt, imageUrls = [], currentHtml) {
+  return [
+    {
+      role: "user",
+      content: [
+        {
+          type: "text",
+          text: `PERMINTAAN EDIT: "${userPrompt}"\n\nDaftar URL gambar yang tersedia: ${formatImageList(
+            imageUrls
+          )}\n\nKODE HTML SAAT INI UNTUK DIEDIT:\n\`\`\`html\n${currentHtml}\n\`\`\``,
+        },
+      ],
+    },
+  ];
 }
 
 // =================================================================
 // --- FUNGSI UNTUK MEMBUAT SYSTEM PROMPT YANG DETAIL ---
 // =================================================================
-function createSystemPrompt(isEdit = false) {
+function createSystemPrompt(isEdit = false, preset = null) {
   const baseInstructions = `Anda adalah seorang desainer dan developer web AI terkemuka yang ahli dalam menciptakan website satu halaman yang indah dan modern untuk UMKM Indonesia menggunakan HTML dan TailwindCSS.
     
 Aturan Utama:
-1.  **PENGGUNAAN GAMBAR:** Ini adalah aturan paling penting. Jika pengguna memberikan URL gambar, **WAJIB** gunakan URL tersebut. **JANGAN PERNAH** menggunakan URL gambar placeholder (seperti dari placehold.co atau unsplash) jika URL yang relevan sudah disediakan.
+1.  **PENGGUNAAN GAMBAR:** Ini adalah aturan paling penting. Jika pengguna memberikan URL gambar, **WAJIB** gunakan URL tersebut. **JANGAN PERNAH** menggunakan URL gambar placeholder (seperti dari placehold.co atau unsplash) jika URL yang relevan sudah disediakan. Jika sebuah gambar disertai "srcset", gunakan elemen <picture>: <source type="image/webp" srcset="..."> untuk "srcset WebP" (jika ada), lalu <img src="URL utama" srcset="..." sizes="..." loading="lazy"> dengan atribut sizes yang sesuai layout.
 2.  **DESAIN MODERN:** Buat desain yang profesional dan tidak kaku. Gunakan layout yang menarik, bayangan (shadows) yang halus, sudut yang membulat (rounded corners), dan jika cocok, gunakan gradient warna yang subtle.
 3.  **TIPOGRAFI:** Selalu impor dan gunakan font yang bagus dari Google Fonts, seperti 'Poppins' atau 'Inter', di dalam tag <head>.
 4.  **INTERAKTIVITAS:** Tambahkan transisi (transition) pada tombol dan link saat di-hover. Jika memungkinkan, tambahkan animasi halus saat elemen muncul ketika di-scroll.
 5.  **KODE BERSIH:** Hasil harus berupa satu file HTML lengkap (termasuk <!DOCTYPE html>, <html>, <head>, dan <body>).
 6.  **FUNGSIONALITAS:** **WAJIB** sertakan blok <script> berikut tepat sebelum tag penutup </body> untuk memastikan navigasi di dalam halaman berjalan mulus.
-    <script>
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', function (e) {
-                e.preventDefault();
-                const targetId = this.getAttribute('href');
-                const targetElement = document.querySelector(targetId);
-                if (targetElement) {
-                    targetElement.scrollIntoView({ behavior: 'smooth' });
-                }
-            });
-        });
-    <\/script>
-7.  **OUTPUT FINAL:** Hasil akhir **HANYA** berupa blok kode HTML saja. JANGAN tambahkan kalimat penjelasan atau komentar apa pun di luar blok kode HTML.`;
+${SMOOTH_SCROLL_SCRIPT.replace(/^/gm, "    ")}
+7.  **PRODUK:** Tandai setiap kartu produk/menu dengan atribut data-product berisi nama produk dan data-price berisi harga persis seperti yang tampil (misal data-product="Kopi Susu" data-price="Rp18.000"). Tombol pesan per produk dan tombol chat WhatsApp ditambahkan otomatis oleh sistem, jadi JANGAN membuatnya sendiri.
+8.  **OUTPUT FINAL:** Hasil akhir **HANYA** berupa blok kode HTML saja. JANGAN tambahkan kalimat penjelasan atau komentar apa pun di luar blok kode HTML.${describeIndustryPreset(
+    preset
+  )}`;
 
   if (isEdit) {
     return `Anda adalah seorang developer web AI yang ahli. Tugas Anda adalah memodifikasi kode HTML yang ada berdasarkan permintaan pengguna. Patuhi semua Aturan Utama berikut:\n\n${baseInstructions}`;
@@ -579,9 +6247,466 @@ Aturan Utama:
   return baseInstructions;
 }
 
+// Panduan tambahan dari preset industri, ditempel setelah Aturan Utama.
+// Untuk format terstruktur, section yang disarankan dipetakan ke tipe section yang tersedia.
+function describeIndustryPreset(preset, { structured = false } = {}) {
+  if (!preset) return "";
+  const lines = [
+    preset.sections.length > 0
+      ? `- Section yang disarankan (urutkan seperti ini${
+          structured ? ", petakan ke tipe section yang tersedia" : ""
+        }): ${preset.sections.join(", ")}.`
+      : null,
+    preset.tone ? `- Gaya bahasa: ${preset.tone}` : null,
+    preset.colorDirection ? `- Arah warna: ${preset.colorDirection}` : null,
+    preset.sampleCopy
+      ? `- Contoh copy (acuan gaya, jangan disalin mentah):\n${preset.sampleCopy.replace(/^/gm, "    ")}`
+      : null,
+  ].filter(Boolean);
+  return `\n\nPANDUAN INDUSTRI "${preset.name}" (utamakan panduan ini dibanding saran umum di atas, kecuali pengguna meminta lain):\n${lines.join("\n")}`;
+}
+
+// System prompt untuk menerjemahkan kumpulan teks website (objek JSON kunci -> teks)
+function createTranslationSystemPrompt(sourceLang, targetLang) {
+  return `Anda adalah penerjemah profesional untuk website UMKM Indonesia.
+${TRANSLATION_MARKER}: pengguna mengirim objek JSON berisi potongan teks website dalam ${SITE_LANGUAGES[sourceLang]}. Terjemahkan setiap nilainya ke ${SITE_LANGUAGES[targetLang]} (kode bahasa "${targetLang}").
+
+Aturan Utama:
+1.  **KUNCI TETAP:** Kunci objek tidak boleh diubah, ditambah, atau dihapus.
+2.  **DATA TETAP:** Nama usaha, nama merek, nama orang, alamat, nomor telepon, harga, jam, dan emoji ditulis apa adanya.
+3.  **GAYA:** Terjemahan natural dan ramah untuk pengunjung/wisatawan, dengan panjang yang mirip teks aslinya.
+4.  **OUTPUT FINAL:** Hasil akhir **HANYA** berupa satu blok kode \`\`\`json berisi objek dengan kunci yang sama. JANGAN tambahkan kalimat penjelasan apa pun di luar blok kode.`;
+}
+
+// System prompt untuk mengedit satu elemen (fragmen) dari website HTML
+function createFragmentSystemPrompt() {
+  return `Anda adalah seorang developer web AI yang ahli. Tugas Anda adalah memodifikasi SATU fragmen HTML dari sebuah website UMKM berbasis TailwindCSS berdasarkan permintaan pengguna. Bagian lain website tidak boleh tersentuh.
+
+Aturan Utama:
+1.  **FRAGMEN SAJA:** Kembalikan HANYA fragmen pengganti untuk elemen tersebut, bukan dokumen lengkap. JANGAN sertakan <!DOCTYPE html>, <html>, <head>, atau <body>.
+2.  **KONSISTENSI:** Pertahankan gaya desain yang sama (kelas TailwindCSS, warna, font) kecuali pengguna meminta perubahan.
+3.  **PENGGUNAAN GAMBAR:** Jika pengguna memberikan URL gambar, **WAJIB** gunakan URL tersebut. **JANGAN PERNAH** menggunakan URL gambar placeholder.
+4.  **KEAMANAN:** JANGAN tambahkan <script>, <iframe>, atau atribut event seperti onclick.
+5.  **PRODUK:** Pertahankan atribut data-product dan data-price pada kartu produk; sesuaikan nilainya jika nama atau harga produk diubah.
+6.  **OUTPUT FINAL:** Hasil akhir **HANYA** berupa satu blok kode \`\`\`html berisi fragmen tersebut. JANGAN tambahkan kalimat penjelasan apa pun di luar blok kode.`;
+}
+
+// System prompt untuk format terstruktur. mode: "generate" | "edit" | "section"
+function createSiteSystemPrompt(mode = "generate", preset = null) {
+  const outputRule =
+    mode === "section"
+      ? 'Hasil akhir **HANYA** berupa satu blok kode ```json berisi objek section yang diedit ({ "id", "type", "fields" }) dengan "id" dan "type" yang sama.'
+      : "Hasil akhir **HANYA** berupa satu blok kode ```json berisi dokumen situs lengkap.";
+  const baseInstructions = `Anda adalah seorang desainer dan copywriter web AI terkemuka yang ahli dalam menciptakan website satu halaman yang indah dan modern untuk UMKM Indonesia.
+${SITE_JSON_MARKER}: Anda TIDAK menulis HTML. Website akan dibuat otomatis dari dokumen JSON yang Anda susun dengan struktur berikut:
+{
+  "meta": { "siteName": "...", "title": "...", "description": "...", "lang": "id" },
+  "theme": { "primaryColor": "...", "accentColor": "...", "font": "..." },
+  "sections": [ { "id": "...", "type": "...", "fields": { ... } } ]
+}
+
+Tipe section yang tersedia beserta field-nya:
+${describeSiteSchema()}
+
+Aturan Utama:
+1.  **PENGGUNAAN GAMBAR:** Ini adalah aturan paling penting. Jika pengguna memberikan URL gambar, **WAJIB** gunakan URL tersebut pada field bertipe image, dalam bentuk objek { "url", "alt", "srcset", "webpSrcset" } (salin srcset apa adanya jika tersedia). **JANGAN PERNAH** menggunakan URL gambar placeholder.
+2.  **TEMA:** "primaryColor" dan "accentColor" dipilih dari: ${THEME_COLORS.join(", ")}. "font" dipilih dari: ${THEME_FONTS.join(", ")}. Sesuaikan dengan karakter bisnis.
+3.  **KONTEN:** Tulis teks yang menarik, hangat, dan meyakinkan. Urutan yang disarankan: hero, about, products, testimonials, gallery, contact, footer. Pakai hanya section yang relevan; field yang tidak diketahui boleh dikosongkan ("").
+4.  **ID SECTION:** Setiap section memiliki "id" unik berupa huruf kecil dan tanda hubung (misal "menu", "kontak").
+5.  **OUTPUT FINAL:** ${outputRule} JANGAN tambahkan kalimat penjelasan atau komentar apa pun di luar blok kode.${describeIndustryPreset(
+    preset,
+    { structured: true }
+  )}`;
+
+  if (mode === "edit") {
+    return `Anda adalah seorang developer web AI yang ahli. Tugas Anda adalah memodifikasi dokumen situs yang ada berdasarkan permintaan pengguna. Pertahankan "id" section yang tidak diubah. Patuhi semua Aturan Utama berikut:\n\n${baseInstructions}`;
+  }
+  if (mode === "section") {
+    return `Anda adalah seorang developer web AI yang ahli. Tugas Anda adalah memodifikasi SATU section dari dokumen situs berdasarkan permintaan pengguna. Patuhi semua Aturan Utama berikut:\n\n${baseInstructions}`;
+  }
+  return baseInstructions;
+}
+
+// =================================================================
+// --- INISIALISASI SKEMA DATABASE ---
+// Membuat tabel tambahan yang dibutuhkan fitur baru jika belum ada
+// =================================================================
+async function initDatabase() {
+  await dbPool.query(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id CHAR(36) PRIMARY KEY,
+      user_id INT NOT NULL,
+      refresh_token_hash CHAR(64) NOT NULL,
+      previous_token_hash CHAR(64) NULL,
+      user_agent VARCHAR(255) NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      UNIQUE KEY uq_user_sessions_refresh (refresh_token_hash),
+      KEY idx_user_sessions_previous (previous_token_hash),
+      KEY idx_user_sessions_user (user_id)
+    )
+  `);
+
+  await dbPool.query(`
+    CREATE TABLE IF NOT EXISTS generation_jobs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      type ENUM('generate', 'edit') NOT NULL,
+      payload JSON NOT NULL,
+      status ENUM('queued', 'running', 'succeeded', 'failed', 'cancelled') NOT NULL DEFAULT 'queued',
+      attempts INT NOT NULL DEFAULT 0,
+      max_attempts INT NOT NULL DEFAULT 3,
+      error TEXT NULL,
+      generation_id INT NULL,
+      claim_token CHAR(36) NULL,
+      worker_id VARCHAR(100) NULL,
+      run_after DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      locked_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME NULL,
+      finished_at DATETIME NULL,
+      KEY idx_generation_jobs_queue (status, run_after),
+      KEY idx_generation_jobs_user (user_id, created_at),
+      KEY idx_generation_jobs_claim (claim_token)
+    )
+  `);
+
+  await dbPool.query(`
+    CREATE TABLE IF NOT EXISTS projects (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      KEY idx_projects_user (user_id)
+    )
+  `);
+  await ensureColumn("generations", "project_id", "INT NULL, ADD KEY idx_generations_project (project_id)");
+  await ensureColumn("generation_jobs", "project_id", "INT NULL AFTER user_id");
+  await ensureColumn("generations", "validation_report", "JSON NULL");
+  await ensureColumn("generations", "site_json", "JSON NULL");
+  // Silsilah versi: induk, nomor versi tetap, asal perubahan, prompt, dan catatan user
+  await ensureColumn(
+    "generations",
+    "parent_generation_id",
+    "INT NULL, ADD KEY idx_generations_parent (parent_generation_id)"
+  );
+  await ensureColumn("generations", "version_number", "INT NULL");
+  await ensureColumn("generations", "source", "VARCHAR(20) NOT NULL DEFAULT 'generate'");
+  await ensureColumn("generations", "prompt", "TEXT NULL");
+  await ensureColumn("generations", "label", "VARCHAR(100) NULL");
+  await ensureColumn("generations", "notes", "TEXT NULL");
+  await ensureColumn("projects", "version_counter", "INT NOT NULL DEFAULT 0");
+  await ensureColumn("generations", "thumbnail_key", "VARCHAR(255) NULL");
+  await ensureColumn("users", "role", "VARCHAR(20) NOT NULL DEFAULT 'user'");
+  // Pengaturan integrasi WhatsApp per project (NULL = pengaturan bawaan)
+  await ensureColumn("projects", "whatsapp_settings", "JSON NULL");
+  // Bahasa tambahan website (array kode bahasa, misal ["en"])
+  await ensureColumn("projects", "languages", "JSON NULL");
+  // Pengaturan SEO & preview berbagi (NULL = disusun dari profil bisnis dan isi halaman)
+  await ensureColumn("projects", "seo_settings", "JSON NULL");
+  if (ADMIN_EMAILS.length > 0) {
+    await dbPool.query("UPDATE users SET role = 'admin' WHERE LOWER(email) IN (?)", [
+      ADMIN_EMAILS,
+    ]);
+  }
+
+  // Profil bisnis: satu per akun, dikirim ke AI sebagai data terstruktur
+  await dbPool.query(`
+    CREATE TABLE IF NOT EXISTS business_profiles (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      tagline VARCHAR(200) NULL,
+      address VARCHAR(500) NULL,
+      latitude DECIMAL(9, 6) NULL,
+      longitude DECIMAL(9, 6) NULL,
+      whatsapp VARCHAR(30) NULL,
+      opening_hours JSON NULL,
+      social_links JSON NULL,
+      products JSON NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_business_profiles_user (user_id)
+    )
+  `);
+
+  // Cache terjemahan per project: satu baris per teks (hash) per bahasa
+  await dbPool.query(`
+    CREATE TABLE IF NOT EXISTS translations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      project_id INT NOT NULL,
+      lang VARCHAR(10) NOT NULL,
+      text_hash CHAR(12) NOT NULL,
+      source_text TEXT NOT NULL,
+      translated_text TEXT NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_translations_text (project_id, lang, text_hash)
+    )
+  `);
+
+  // Preset industri untuk generate pertama; dikelola admin setelah diisi data bawaan
+  await dbPool.query(`
+    CREATE TABLE IF NOT EXISTS industry_presets (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      slug VARCHAR(50) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      description VARCHAR(255) NULL,
+      sections JSON NULL,
+      tone TEXT NULL,
+      color_direction TEXT NULL,
+      sample_copy TEXT NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      is_active TINYINT(1) NOT NULL DEFAULT 1,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_industry_presets_slug (slug)
+    )
+  `);
+  const [[{ presetCount }]] = await dbPool.query(
+    "SELECT COUNT(*) AS presetCount FROM industry_presets"
+  );
+  if (presetCount === 0) {
+    for (const [index, seed] of INDUSTRY_PRESET_SEEDS.entries()) {
+      await dbPool.query("INSERT INTO industry_presets SET ?", [
+        { ...seed, sections: JSON.stringify(seed.sections), sort_order: index + 1 },
+      ]);
+    }
+    console.log(`${INDUSTRY_PRESET_SEEDS.length} preset industri bawaan ditambahkan.`);
+  }
+
+  // Media library: satu baris per gambar upload; `variants` berisi key storage tiap varian
+  await dbPool.query(`
+    CREATE TABLE IF NOT EXISTS assets (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      project_id INT NULL,
+      name VARCHAR(100) NOT NULL,
+      tags JSON NULL,
+      key_prefix VARCHAR(255) NOT NULL,
+      format VARCHAR(10) NOT NULL,
+      width INT NOT NULL,
+      height INT NOT NULL,
+      variants JSON NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      KEY idx_assets_user (user_id, created_at),
+      KEY idx_assets_project (project_id)
+    )
+  `);
+
+  await dbPool.query(`
+    CREATE TABLE IF NOT EXISTS published_sites (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      project_id INT NOT NULL,
+      generation_id INT NOT NULL,
+      slug VARCHAR(50) NOT NULL,
+      published_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_published_sites_slug (slug),
+      UNIQUE KEY uq_published_sites_project (project_id),
+      KEY idx_published_sites_user (user_id)
+    )
+  `);
+  await dbPool.query(`
+    CREATE TABLE IF NOT EXISTS slug_redirects (
+      slug VARCHAR(50) PRIMARY KEY,
+      site_id INT NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      KEY idx_slug_redirects_site (site_id)
+    )
+  `);
+
+  // Migrasi: riwayat lama (sebelum ada project) dipindahkan ke satu project default per user
+  const [orphanUsers] = await dbPool.query(
+    "SELECT DISTINCT user_id FROM generations WHERE project_id IS NULL"
+  );
+  for (const { user_id: userId } of orphanUsers) {
+    const [result] = await dbPool.query(
+      "INSERT INTO projects (user_id, name) VALUES (?, ?)",
+      [userId, "Project Utama"]
+    );
+    await dbPool.query(
+      "UPDATE generations SET project_id = ? WHERE user_id = ? AND project_id IS NULL",
+      [result.insertId, userId]
+    );
+    console.log(`Riwayat lama user ID ${userId} dipindahkan ke project default.`);
+  }
+
+  // Migrasi: riwayat lama belum punya nomor versi tetap. Nomor diberikan sesuai urutan
+  // waktu per project, dan tiap versi dianggap turunan dari versi sebelumnya.
+  const [unnumbered] = await dbPool.query(
+    "SELECT id, project_id FROM generations WHERE version_number IS NULL ORDER BY project_id, created_at, id"
+  );
+  const previousByProject = new Map();
+  for (const row of unnumbered) {
+    const previous = previousByProject.get(row.project_id);
+    const versionNumber = previous ? previous.versionNumber + 1 : 1;
+    await dbPool.query(
+      "UPDATE generations SET version_number = ?, parent_generation_id = ?, source = ? WHERE id = ?",
+      [versionNumber, previous ? previous.id : null, previous ? "edit" : "generate", row.id]
+    );
+    previousByProject.set(row.project_id, { id: row.id, versionNumber });
+  }
+  if (unnumbered.length > 0) {
+    await dbPool.query(
+      `UPDATE projects p SET version_counter =
+         (SELECT COALESCE(MAX(g.version_number), 0) FROM generations g WHERE g.project_id = p.id)`
+    );
+    console.log(`${unnumbered.length} riwayat lama diberi nomor versi.`);
+  }
+
+  // Migrasi: kolom publikasi lama di tabel users (satu website per akun, slug = ID user)
+  // dipindahkan ke published_sites. Kolomnya baru dihapus setelah semua website lama pindah.
+  if (await columnExists("users", "published_generation_id")) {
+    const [legacySites] = await dbPool.query(
+      `SELECT u.id AS user_id, u.published_url, u.published_generation_id, g.project_id
+       FROM users u LEFT JOIN generations g ON g.id = u.published_generation_id
+       WHERE u.published_url IS NOT NULL`
+    );
+    let unmigratedCount = 0;
+    for (const legacy of legacySites) {
+      if (!(await migrateLegacySite(legacy))) unmigratedCount++;
+    }
+    if (unmigratedCount === 0) {
+      await dbPool.query(
+        "ALTER TABLE users DROP COLUMN published_url, DROP COLUMN published_generation_id"
+      );
+      console.log(
+        `${legacySites.length} website lama dipindahkan ke tabel published_sites.`
+      );
+    } else {
+      console.warn(
+        `${unmigratedCount} website lama belum bisa dipindahkan; kolom publikasi lama di tabel users dipertahankan.`
+      );
+    }
+  }
+}
+
+// Memindahkan satu website lama ke published_sites. Mengembalikan false jika belum
+// bisa dipindahkan, agar datanya tidak hilang saat kolom lama dihapus.
+async function migrateLegacySite(legacy) {
+  const slug = legacySlugFromUrl(legacy.published_url);
+  if (!slug) {
+    console.warn(
+      `Website lama user ID ${legacy.user_id} dilewati: alamat "${legacy.published_url}" tidak dikenali.`
+    );
+    return false;
+  }
+
+  const [existing] = await dbPool.query(
+    "SELECT user_id FROM published_sites WHERE slug = ?",
+    [slug]
+  );
+  if (existing.length > 0) {
+    // Sudah dipindahkan pada migrasi sebelumnya yang terhenti di tengah jalan
+    if (String(existing[0].user_id) === String(legacy.user_id)) return true;
+    console.warn(`Website lama user ID ${legacy.user_id} dilewati: slug "${slug}" sudah dipakai.`);
+    return false;
+  }
+
+  // Versi yang dipublikasikan mungkin sudah dihapus: pakai versi terbaru milik user itu.
+  // Halaman yang live tidak berubah karena file di storage tetap dipakai.
+  let generation = legacy.project_id
+    ? { id: legacy.published_generation_id, project_id: legacy.project_id }
+    : null;
+  if (!generation) {
+    const [latest] = await dbPool.query(
+      "SELECT id, project_id FROM generations WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT 1",
+      [legacy.user_id]
+    );
+    generation = latest[0];
+  }
+  if (!generation) {
+    console.warn(`Website lama user ID ${legacy.user_id} dilewati: tidak ada riwayat tersisa.`);
+    return false;
+  }
+
+  const [result] = await dbPool.query(
+    "INSERT IGNORE INTO published_sites (user_id, project_id, generation_id, slug) VALUES (?, ?, ?, ?)",
+    [legacy.user_id, generation.project_id, generation.id, slug]
+  );
+  if (result.affectedRows === 0) {
+    console.warn(
+      `Website lama user ID ${legacy.user_id} dilewati: project ${generation.project_id} sudah punya website.`
+    );
+    return false;
+  }
+  return true;
+}
+
+// Website lama tersimpan di folder <ID user>/ dan alamatnya tidak boleh berubah, jadi
+// aturan panjang minimal & larangan slug angka dari validateSlug tidak dipakai.
+// Format dan nama yang dicadangkan tetap diperiksa.
+function legacySlugFromUrl(publishedUrl) {
+  let slug;
+  try {
+    slug = new URL(publishedUrl).pathname.split("/").filter(Boolean)[0] || "";
+  } catch (error) {
+    return null;
+  }
+  if (slug.length > 50 || !SLUG_PATTERN.test(slug) || RESERVED_SLUGS.includes(slug)) {
+    return null;
+  }
+  return slug;
+}
+
+async function columnExists(table, column) {
+  const [columns] = await dbPool.query(
+    `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return columns.length > 0;
+}
+
+// Menambahkan kolom ke tabel yang sudah ada jika kolom tersebut belum ada.
+// `definition` adalah sisa klausa ALTER TABLE setelah nama kolom.
+async function ensureColumn(table, column, definition) {
+  if (!(await columnExists(table, column))) {
+    await dbPool.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Kolom ${table}.${column} ditambahkan.`);
+  }
+}
+
 // =================================================================
 // --- MENJALANKAN SERVER ---
+// Server & worker hanya berjalan lewat `node server.js`. Jika file ini di-require
+// (misalnya oleh test), yang dilakukan hanya mengekspor app & fungsi-fungsinya.
 // =================================================================
-app.listen(PORT, () => {
-  console.log(`Server Backend berjalan di http://localhost:${PORT}`);
-});
+if (require.main === module) {
+  initDatabase()
+    .then(() => {
+      app.listen(PORT, () => {
+        console.log(`Server Backend berjalan di http://localhost:${PORT}`);
+      });
+      startJobWorker();
+    })
+    .catch((error) => {
+      console.error("Gagal menginisialisasi database:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  app,
+  dbPool,
+  storage,
+  processJob,
+  failJob,
+  sanitizeGeneratedHtml,
+  findElementByPath,
+  updateSiteField,
+  normalizeHtmlForDiff,
+  extractTextForDiff,
+  diffVersions,
+  readImportZip,
+  resolveImportPath,
+  markTranslatableTexts,
+  applySeoTags,
+  buildSeoChecklist,
+};
@@ -0,0 +1,128 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { useFakeDb, startServer } = require("./helpers/testServer");
+
+let app;
+let db;
+
+before(async () => {
+  app = await startServer();
+});
+after(() => app.close());
+beforeEach(() => {
+  db = useFakeDb();
+});
+
+const login = (body) => app.request("POST", "/api/auth/login", { body });
+
+test("register menyimpan password dalam bentuk hash lalu login membuat sesi", async () => {
+  const registered = await app.request("POST", "/api/auth/register", {
+    body: { name: "Sari", email: "sari@example.com", password: "kopisusu123" },
+  });
+  assert.equal(registered.status, 201);
+  assert.match(db.tables.users[0].password, /^scrypt\$/);
+
+  const response = await login({ email: "sari@example.com", password: "kopisusu123" });
+
+  assert.equal(response.status, 200);
+  assert.ok(response.body.refreshToken);
+  const payload = jwt.verify(response.body.accessToken, process.env.JWT_SECRET);
+  assert.equal(payload.email, "sari@example.com");
+  assert.equal(payload.sid, db.tables.user_sessions[0].id);
+});
+
+test("login menolak password salah", async () => {
+  db.insertRow("users", { name: "Sari", email: "sari@example.com", password: "kopisusu123" });
+
+  const response = await login({ email: "sari@example.com", password: "salah12345" });
+
+  assert.equal(response.status, 401);
+  assert.equal(db.tables.user_sessions.length, 0);
+});
+
+test("login dengan password plaintext lama memigrasikannya ke hash", async () => {
+  db.insertRow("users", { name: "Sari", email: "sari@example.com", password: "kopisusu123" });
+
+  const response = await login({ email: "sari@example.com", password: "kopisusu123" });
+
+  assert.equal(response.status, 200);
+  assert.match(db.tables.users[0].password, /^scrypt\$/);
+});
+
+test("login dan register menolak email/password yang bukan teks", async () => {
+  const cases = [
+    { email: { $ne: "" }, password: "kopisusu123" },
+    { email: "sari@example.com", password: ["kopisusu123"] },
+    { email: "sari@example.com", password: 12345678 },
+  ];
+  for (const body of cases) {
+    const response = await login(body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+  }
+
+  const registered = await app.request("POST", "/api/auth/register", {
+    body: { name: ["Sari"], email: "sari@example.com", password: "kopisusu123" },
+  });
+  assert.equal(registered.status, 400);
+  assert.equal(db.queries.length, 0);
+});
+
+// --- Rotasi refresh token ---
+const signUp = async () => {
+  db.insertRow("users", { name: "Sari", email: "sari@example.com", password: "kopisusu123" });
+  const response = await login({ email: "sari@example.com", password: "kopisusu123" });
+  return response.body.refreshToken;
+};
+const refresh = (refreshToken) =>
+  app.request("POST", "/api/auth/refresh", { body: { refreshToken } });
+
+test("refresh merotasi refresh token dan access token baru tetap terikat ke sesi", async () => {
+  const firstToken = await signUp();
+
+  const response = await refresh(firstToken);
+
+  assert.equal(response.status, 200);
+  assert.notEqual(response.body.refreshToken, firstToken);
+  const payload = jwt.verify(response.body.accessToken, process.env.JWT_SECRET);
+  assert.equal(payload.sid, db.tables.user_sessions[0].id);
+  assert.equal((await refresh(response.body.refreshToken)).status, 200);
+});
+
+test("dua tab yang me-refresh bersamaan tidak mencabut sesi", async () => {
+  const sharedToken = await signUp();
+
+  const first = await refresh(sharedToken);
+  const second = await refresh(sharedToken);
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.ok(second.body.accessToken);
+  assert.equal(second.body.refreshToken, undefined);
+  assert.equal(db.tables.user_sessions[0].revoked_at, null);
+  // Refresh token hasil rotasi tab pertama tetap berlaku untuk kedua tab
+  assert.equal((await refresh(first.body.refreshToken)).status, 200);
+});
+
+test("token lama yang dipakai ulang setelah masa tenggang mencabut sesi", async () => {
+  const oldToken = await signUp();
+  const rotated = await refresh(oldToken);
+  db.tables.user_sessions[0].last_used_at = new Date(Date.now() - 5 * 60 * 1000);
+
+  const reused = await refresh(oldToken);
+
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.code, "SESSION_REVOKED");
+  assert.ok(db.tables.user_sessions[0].revoked_at);
+  assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+});
+
+test("refresh dan logout menolak refresh token yang bukan teks", async () => {
+  for (const refreshToken of [{ $ne: "" }, ["token"], 12345]) {
+    const refreshed = await refresh(refreshToken);
+    const loggedOut = await app.request("POST", "/api/auth/logout", { body: { refreshToken } });
+    assert.equal(refreshed.status, 400, JSON.stringify(refreshToken));
+    assert.equal(loggedOut.status, 400, JSON.stringify(refreshToken));
+  }
+  assert.equal(db.queries.length, 0);
+});
@@ -0,0 +1,70 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const cheerio = require("cheerio");
+const { server } = require("./helpers/testServer");
+
+const { findElementByPath, updateSiteField } = server;
+
+// --- findElementByPath: path = indeks anak (elemen saja) mulai dari <body> ---
+const $ = cheerio.load(`<body>
+  <header><h1>Kopi Senja</h1>teks lepas<p>Sejak 2019</p></header>
+  <main><section><img src="a.jpg"><p>Menu</p></section></main>
+</body>`);
+
+test("findElementByPath menelusuri anak elemen dan melewati node teks", () => {
+  assert.equal(findElementByPath($, { path: [0, 1] }).text(), "Sejak 2019");
+  assert.equal(findElementByPath($, { path: [1, 0, 0], tagName: "IMG" }).attr("src"), "a.jpg");
+});
+
+test("findElementByPath mengembalikan null jika path atau tagName tidak cocok", () => {
+  assert.equal(findElementByPath($, { path: [0, 5] }), null);
+  assert.equal(findElementByPath($, { path: [0, 0], tagName: "p" }), null);
+  assert.equal(findElementByPath($, { path: [] }), null);
+  assert.equal(findElementByPath($, {}), null);
+});
+
+// --- updateSiteField: jenis nilai mengikuti skema section ---
+const site = {
+  meta: { siteName: "Kopi Senja" },
+  sections: [
+    { id: "beranda", type: "hero", fields: { title: "Halo", subtitle: "Kopi lokal" } },
+    {
+      id: "menu",
+      type: "products",
+      fields: { title: "Menu", items: [{ name: "Kopi Susu", price: "18000" }, { name: "Teh" }] },
+    },
+  ],
+};
+const photo = { url: "https://cdn.example.com/kopi.jpg", alt: "Kopi" };
+
+test("updateSiteField mengubah teks item di dalam daftar tanpa mengubah dokumen asal", () => {
+  const updated = updateSiteField(site, "menu", "items.1.name", { text: "Teh Tarik" });
+
+  assert.equal(updated.sections[1].fields.items[1].name, "Teh Tarik");
+  assert.equal(updated.sections[1].fields.items[0].name, "Kopi Susu");
+  assert.equal(site.sections[1].fields.items[1].name, "Teh");
+});
+
+test("updateSiteField memasang gambar pada field bertipe image", () => {
+  const updated = updateSiteField(site, "menu", "items.0.image", { image: photo });
+
+  assert.equal(updated.sections[1].fields.items[0].image.url, photo.url);
+});
+
+test("updateSiteField menolak jenis nilai yang tidak sesuai skema", () => {
+  assert.throws(() => updateSiteField(site, "beranda", "image", { text: "bukan gambar" }), {
+    status: 400,
+    message: "Pilih gambar pengganti.",
+  });
+  assert.throws(() => updateSiteField(site, "beranda", "title", { image: photo }), {
+    status: 400,
+  });
+});
+
+test("updateSiteField menolak section atau item yang tidak ada", () => {
+  assert.throws(() => updateSiteField(site, "galeri", "title", { text: "x" }), { status: 404 });
+  assert.throws(() => updateSiteField(site, "menu", "items.9.name", { text: "x" }), {
+    status: 404,
+    message: "Field tidak ditemukan.",
+  });
+});
@@ -0,0 +1,243 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  useFakeDb,
+  signIn,
+  startServer,
+  readStoredFile,
+  storedFileExists,
+} = require("./helpers/testServer");
+
+// Alur utama generator dengan provider mock: generate -> edit -> publish
+let app;
+let db;
+let session;
+
+before(async () => {
+  app = await startServer();
+});
+after(() => app.close());
+beforeEach(() => {
+  db = useFakeDb();
+  session = signIn(db);
+});
+
+const generate = (body = {}) =>
+  app.request("POST", "/api/generate", {
+    token: session.token,
+    body: { userPrompt: "Kedai Kopi Senja di Jogja", projectId: session.project.id, ...body },
+  });
+
+test("generate menyimpan versi pertama berisi deskripsi bisnis", async () => {
+  const response = await generate();
+
+  assert.equal(response.status, 200);
+  assert.match(response.body.htmlCode, /Kedai Kopi Senja di Jogja/);
+  assert.equal(response.body.site.sections[0].id, "beranda");
+
+  const [saved] = db.tables.generations;
+  assert.equal(saved.version_number, 1);
+  assert.equal(saved.source, "generate");
+  assert.equal(saved.parent_generation_id, null);
+  assert.equal(saved.html_code, response.body.htmlCode);
+});
+
+test("generate menolak prompt kosong dan project milik orang lain", async () => {
+  const empty = await generate({ userPrompt: "" });
+  assert.equal(empty.status, 400);
+
+  const other = db.insertRow("projects", { user_id: 999, name: "Milik orang lain" });
+  const foreign = await generate({ projectId: other.id });
+  assert.equal(foreign.status, 404);
+  assert.equal(db.tables.generations.length, 0);
+});
+
+test("edit versi terstruktur menjadi versi anak dengan instruksi edit", async () => {
+  await generate();
+  const [base] = db.tables.generations;
+
+  const response = await app.request("POST", "/api/edit", {
+    token: session.token,
+    body: {
+      userPrompt: "Ganti judul jadi lebih hangat",
+      projectId: session.project.id,
+      baseGenerationId: base.id,
+    },
+  });
+
+  assert.equal(response.status, 200);
+  assert.match(response.body.site.sections[0].fields.title, /mock edit: Ganti judul jadi lebih hangat/);
+  const edited = db.tables.generations[1];
+  assert.equal(edited.version_number, 2);
+  assert.equal(edited.source, "edit");
+  assert.equal(edited.parent_generation_id, base.id);
+});
+
+test("edit versi HTML lama lewat currentHtml", async () => {
+  const response = await app.request("POST", "/api/edit", {
+    token: session.token,
+    body: {
+      userPrompt: "Tambah promo",
+      projectId: session.project.id,
+      currentHtml:
+        '<!DOCTYPE html><html lang="id"><head><title>Toko</title></head><body><h1>Toko Lama</h1></body></html>',
+    },
+  });
+
+  assert.equal(response.status, 200);
+  assert.match(response.body.htmlCode, /Toko Lama/);
+  assert.match(response.body.htmlCode, /mock edit: Tambah promo/);
+  assert.equal(response.body.site, null);
+});
+
+test("generate lewat streaming mengirim delta lalu event done", async () => {
+  const response = await fetch(`${app.baseUrl}/api/generate/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${session.token}` },
+    body: JSON.stringify({ userPrompt: "Warung Bu Sri", projectId: session.project.id }),
+  });
+  const text = await response.text();
+
+  assert.equal(response.status, 200);
+  assert.match(text, /event: delta/);
+  const done = text.split("\n\n").find((event) => event.startsWith("event: done"));
+  const data = JSON.parse(done.split("data: ")[1]);
+  assert.equal(data.generationId, db.tables.generations[0].id);
+  assert.match(data.htmlCode, /Warung Bu Sri/);
+});
+
+test("kegagalan database sebelum streaming dimulai dibalas JSON 500", async () => {
+  db.on(/FROM projects WHERE id = \? AND user_id = \?/, () => {
+    throw new Error("Koneksi database terputus");
+  });
+
+  for (const route of ["/api/generate/stream", "/api/edit/stream"]) {
+    const response = await app.request("POST", route, {
+      token: session.token,
+      body: { userPrompt: "Warung Bu Sri", projectId: session.project.id },
+    });
+    assert.equal(response.status, 500, route);
+    assert.ok(response.body.error);
+  }
+});
+
+test("publish mengunggah halaman beserta sitemap ke folder slug", async () => {
+  await generate();
+  const [version] = db.tables.generations;
+
+  const response = await app.request("POST", `/api/publish/${version.id}`, {
+    token: session.token,
+    body: { slug: "kopi-senja" },
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.slug, "kopi-senja");
+  assert.equal(response.body.publicUrl, "http://sisdigi.test/sites/kopi-senja/");
+  assert.match(readStoredFile("sites", "kopi-senja/index.html"), /Kedai Kopi Senja di Jogja/);
+  assert.ok(storedFileExists("sites", "kopi-senja/sitemap.xml"));
+  // Mesin pencari hanya membaca robots.txt di root domain, jadi sitemap didaftarkan di sana
+  assert.match(
+    readStoredFile("sites", "robots.txt"),
+    /^Sitemap: http:\/\/sisdigi\.test\/sites\/kopi-senja\/sitemap\.xml$/m
+  );
+  assert.deepEqual(
+    db.tables.published_sites.map((site) => [site.slug, Number(site.generation_id)]),
+    [["kopi-senja", version.id]]
+  );
+});
+
+test("publish ulang memperbarui website project ke versi lain", async () => {
+  await generate();
+  await generate({ userPrompt: "Kedai Kopi Senja versi baru" });
+  const [first, second] = db.tables.generations;
+  await app.request("POST", `/api/publish/${first.id}`, {
+    token: session.token,
+    body: { slug: "kopi-senja" },
+  });
+
+  const response = await app.request("POST", `/api/publish/${second.id}`, {
+    token: session.token,
+    body: {},
+  });
+
+  assert.equal(response.status, 200);
+  assert.match(readStoredFile("sites", "kopi-senja/index.html"), /Kedai Kopi Senja versi baru/);
+  assert.equal(db.tables.published_sites.length, 1);
+  assert.equal(Number(db.tables.published_sites[0].generation_id), second.id);
+});
+
+test("website yang dilayani storage lokal berjalan dalam sandbox, terpisah dari origin API", async () => {
+  await generate();
+  const [version] = db.tables.generations;
+  await app.request("POST", `/api/publish/${version.id}`, {
+    token: session.token,
+    body: { slug: "kopi-senja" },
+  });
+
+  const page = await app.request("GET", "/sites/kopi-senja/");
+
+  assert.equal(page.status, 200);
+  assert.match(page.body, /Kedai Kopi Senja di Jogja/);
+  assert.match(page.headers.get("content-security-policy"), /^sandbox allow-scripts/);
+  assert.doesNotMatch(page.headers.get("content-security-policy"), /allow-same-origin/);
+});
+
+test("publish menolak slug yang tidak valid atau sudah dipakai", async () => {
+  await generate();
+  const [version] = db.tables.generations;
+  db.insertRow("published_sites", { user_id: 999, project_id: 999, generation_id: 1, slug: "dipakai" });
+
+  const invalid = await app.request("POST", `/api/publish/${version.id}`, {
+    token: session.token,
+    body: { slug: "Bukan Slug" },
+  });
+  const taken = await app.request("POST", `/api/publish/${version.id}`, {
+    token: session.token,
+    body: { slug: "dipakai" },
+  });
+
+  assert.equal(invalid.status, 400);
+  assert.equal(taken.status, 409);
+  assert.equal(storedFileExists("sites", "dipakai/index.html"), false);
+});
+
+test("slug dipesan sebelum upload sehingga publikasi yang kalah cepat tidak menimpa file", async () => {
+  await generate();
+  const [version] = db.tables.generations;
+  // Publikasi lain memesan slug di antara pengecekan ketersediaan dan INSERT
+  db.on(/^SELECT id FROM published_sites WHERE slug = \?/, () => {
+    db.insertRow("published_sites", { user_id: 999, project_id: 999, generation_id: 1, slug: "rebutan" });
+    return [[]];
+  });
+
+  const response = await app.request("POST", `/api/publish/${version.id}`, {
+    token: session.token,
+    body: { slug: "rebutan" },
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal(storedFileExists("sites", "rebutan/index.html"), false);
+});
+
+test("ganti slug memesan slug baru sebelum upload sehingga tidak menimpa website lain", async () => {
+  await generate();
+  const [version] = db.tables.generations;
+  const published = await app.request("POST", `/api/publish/${version.id}`, {
+    token: session.token,
+    body: { slug: "kopi-senja" },
+  });
+  // Publikasi lain memesan slug di antara pengecekan ketersediaan dan UPDATE
+  db.on(/^SELECT id FROM published_sites WHERE slug = \?/, () => {
+    db.insertRow("published_sites", { user_id: 999, project_id: 999, generation_id: 1, slug: "rebutan" });
+    return [[]];
+  });
+
+  const response = await app.request("PATCH", `/api/sites/${published.body.siteId}`, {
+    token: session.token,
+    body: { slug: "rebutan" },
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal(storedFileExists("sites", "rebutan/index.html"), false);
+  assert.match(readStoredFile("sites", "kopi-senja/index.html"), /Kedai Kopi Senja di Jogja/);
+});
@@ -0,0 +1,279 @@
+// Database palsu di memori untuk test. Hanya query yang dipakai alur yang diuji yang
+// dikenali; query lain melempar error agar test tidak lolos diam-diam. Test bisa
+// menambah penanganan query sendiri lewat `db.on(pola, handler)`.
+function createFakeDb() {
+  const tables = {
+    users: [],
+    user_sessions: [],
+    projects: [],
+    generations: [],
+    published_sites: [],
+    slug_redirects: [],
+    business_profiles: [],
+    generation_jobs: [],
+    translations: [],
+  };
+  const handlers = [];
+  const queries = [];
+  const nextIds = {};
+
+  const insertRow = (table, row) => {
+    nextIds[table] = (nextIds[table] || 0) + 1;
+    const saved = { id: nextIds[table], created_at: new Date(), ...row };
+    tables[table].push(saved);
+    return saved;
+  };
+  const find = (table, predicate) => tables[table].filter(predicate);
+  const same = (a, b) => String(a) === String(b);
+  const isActiveSession = (session) =>
+    !session.revoked_at && session.expires_at > new Date();
+
+  // Handler menerima (params, sql) dan mengembalikan hasil seperti mysql2: [rows] atau [result]
+  const on = (pattern, handler) => handlers.unshift([pattern, handler]);
+
+  // --- Sesi & user ---
+  on(/^SELECT id FROM user_sessions WHERE id = \? AND user_id = \?/, ([sid, userId]) => [
+    find("user_sessions", (s) => s.id === sid && same(s.user_id, userId) && isActiveSession(s)),
+  ]);
+  on(/^DELETE FROM user_sessions WHERE user_id = \? AND expires_at < NOW\(\)/, ([userId]) => {
+    const before = tables.user_sessions.length;
+    tables.user_sessions = tables.user_sessions.filter(
+      (s) => !same(s.user_id, userId) || s.expires_at >= new Date()
+    );
+    return [{ affectedRows: before - tables.user_sessions.length }];
+  });
+  on(/^SELECT \* FROM users WHERE email = \?/, ([email]) => [
+    find("users", (u) => u.email === email),
+  ]);
+  on(/^SELECT id FROM users WHERE email = \?/, ([email]) => [
+    find("users", (u) => u.email === email),
+  ]);
+  on(/^INSERT INTO users \(name, email, password\)/, ([name, email, password]) => [
+    { insertId: insertRow("users", { name, email, password }).id, affectedRows: 1 },
+  ]);
+  on(/^UPDATE users SET password = \? WHERE id = \? AND password = \?/, ([hash, id, old]) => {
+    const rows = find("users", (u) => same(u.id, id) && u.password === old);
+    rows.forEach((u) => (u.password = hash));
+    return [{ affectedRows: rows.length }];
+  });
+  on(/^INSERT INTO user_sessions \(id, user_id, refresh_token_hash, user_agent, expires_at\)/, (
+    [id, userId, hash, userAgent, days]
+  ) => {
+    tables.user_sessions.push({
+      id,
+      user_id: userId,
+      refresh_token_hash: hash,
+      previous_token_hash: null,
+      user_agent: userAgent,
+      revoked_at: null,
+      last_used_at: null,
+      expires_at: new Date(Date.now() + days * 86400000),
+    });
+    return [{ affectedRows: 1 }];
+  });
+
+  // Refresh token: baris sesi digabung dengan nama & email user
+  const withUser = (session) => {
+    const user = tables.users.find((u) => same(u.id, session.user_id));
+    return { id: session.id, user_id: session.user_id, name: user.name, email: user.email };
+  };
+  on(/^SELECT s\.id, s\.user_id, u\.name, u\.email FROM user_sessions s JOIN users u ON u\.id = s\.user_id WHERE s\.refresh_token_hash = \?/, (
+    [hash]
+  ) => [find("user_sessions", (s) => s.refresh_token_hash === hash && isActiveSession(s)).map(withUser)]);
+  on(/^SELECT s\.id, s\.user_id, u\.name, u\.email FROM user_sessions s JOIN users u ON u\.id = s\.user_id WHERE s\.previous_token_hash = \?/, (
+    [hash, graceSeconds]
+  ) => [
+    find(
+      "user_sessions",
+      (s) =>
+        s.previous_token_hash === hash &&
+        isActiveSession(s) &&
+        s.last_used_at > new Date(Date.now() - graceSeconds * 1000)
+    ).map(withUser),
+  ]);
+  on(/^UPDATE user_sessions SET refresh_token_hash = \?, previous_token_hash = \?, last_used_at = NOW\(\)/, (
+    [newHash, oldHash, days, id, currentHash]
+  ) => {
+    const rows = find("user_sessions", (s) => s.id === id && s.refresh_token_hash === currentHash);
+    rows.forEach((s) =>
+      Object.assign(s, {
+        refresh_token_hash: newHash,
+        previous_token_hash: oldHash,
+        last_used_at: new Date(),
+        expires_at: new Date(Date.now() + days * 86400000),
+      })
+    );
+    return [{ affectedRows: rows.length }];
+  });
+  on(/^UPDATE user_sessions SET revoked_at = NOW\(\) WHERE previous_token_hash = \? AND revoked_at IS NULL/, (
+    [hash]
+  ) => {
+    const rows = find("user_sessions", (s) => s.previous_token_hash === hash && !s.revoked_at);
+    rows.forEach((s) => (s.revoked_at = new Date()));
+    return [{ affectedRows: rows.length }];
+  });
+
+  // --- Project & riwayat ---
+  on(/^SELECT id, name, created_at, updated_at FROM projects WHERE id = \? AND user_id = \?/, (
+    [id, userId]
+  ) => [find("projects", (p) => same(p.id, id) && same(p.user_id, userId))]);
+  on(/^SELECT \* FROM business_profiles WHERE user_id = \?/, ([userId]) => [
+    find("business_profiles", (b) => same(b.user_id, userId)),
+  ]);
+  on(/^SELECT p\.whatsapp_settings, b\.whatsapp AS profile_whatsapp FROM projects p/, ([id]) => [
+    find("projects", (p) => same(p.id, id)).map((p) => {
+      const profile = tables.business_profiles.find((b) => same(b.user_id, p.user_id));
+      return {
+        whatsapp_settings: p.whatsapp_settings || null,
+        profile_whatsapp: profile ? profile.whatsapp : null,
+      };
+    }),
+  ]);
+  on(/^SELECT languages FROM projects WHERE id = \?/, ([id]) => [
+    find("projects", (p) => same(p.id, id)).map((p) => ({ languages: p.languages || null })),
+  ]);
+  on(/^SELECT seo_settings FROM projects WHERE id = \?/, ([id]) => [
+    find("projects", (p) => same(p.id, id)).map((p) => ({ seo_settings: p.seo_settings || null })),
+  ]);
+  on(/^UPDATE projects SET version_counter = LAST_INSERT_ID/, ([id]) => {
+    const project = tables.projects.find((p) => same(p.id, id));
+    project.version_counter = (project.version_counter || 0) + 1;
+    return [{ insertId: project.version_counter, affectedRows: 1 }];
+  });
+  on(/^INSERT INTO generations \(user_id, project_id, parent_generation_id, version_number, source, prompt, html_code, site_json, validation_report\)/, (
+    params
+  ) => {
+    const [user_id, project_id, parent_generation_id, version_number, source, prompt] = params;
+    const [html_code, site_json, validation_report] = params.slice(6);
+    const row = insertRow("generations", {
+      user_id,
+      project_id,
+      parent_generation_id,
+      version_number,
+      source,
+      prompt,
+      html_code,
+      site_json,
+      validation_report,
+    });
+    return [{ insertId: row.id, affectedRows: 1 }];
+  });
+  on(/^SELECT \* FROM generations WHERE id = \? AND user_id = \?/, ([id, userId]) => [
+    find("generations", (g) => same(g.id, id) && same(g.user_id, userId)),
+  ]);
+  on(/^SELECT html_code, project_id FROM generations WHERE id = \? AND user_id = \?/, (
+    [id, userId]
+  ) => [find("generations", (g) => same(g.id, id) && same(g.user_id, userId))]);
+  on(/^SELECT html_code FROM generations WHERE id = \?/, ([id]) => [
+    find("generations", (g) => same(g.id, id)),
+  ]);
+  on(/^SELECT id, parent_generation_id, prompt FROM generations WHERE project_id = \? AND user_id = \?/, (
+    [projectId, userId]
+  ) => [find("generations", (g) => same(g.project_id, projectId) && same(g.user_id, userId))]);
+
+  // --- Terjemahan ---
+  on(/^SELECT text_hash, translated_text FROM translations WHERE project_id = \? AND lang = \? AND text_hash IN \(\?\)/, (
+    [projectId, lang, keys]
+  ) => [
+    find(
+      "translations",
+      (t) => same(t.project_id, projectId) && t.lang === lang && keys.includes(t.text_hash)
+    ),
+  ]);
+  on(/^INSERT INTO translations \(project_id, lang, text_hash, source_text, translated_text\) VALUES \?/, (
+    [rows]
+  ) => {
+    for (const [project_id, lang, text_hash, source_text, translated_text] of rows) {
+      const existing = tables.translations.find(
+        (t) => same(t.project_id, project_id) && t.lang === lang && t.text_hash === text_hash
+      );
+      if (existing) existing.translated_text = translated_text;
+      else insertRow("translations", { project_id, lang, text_hash, source_text, translated_text });
+    }
+    return [{ affectedRows: rows.length }];
+  });
+
+  // --- Publikasi ---
+  on(/^SELECT \* FROM published_sites WHERE project_id = \?/, ([projectId]) => [
+    find("published_sites", (s) => same(s.project_id, projectId)),
+  ]);
+  on(/^SELECT slug FROM published_sites WHERE project_id = \?/, ([projectId]) => [
+    find("published_sites", (s) => same(s.project_id, projectId)),
+  ]);
+  on(/^SELECT slug FROM published_sites ORDER BY slug/, () => [
+    [...tables.published_sites].sort((a, b) => a.slug.localeCompare(b.slug)),
+  ]);
+  on(/^SELECT id FROM published_sites WHERE slug = \?/, ([slug]) => [
+    find("published_sites", (s) => s.slug === slug),
+  ]);
+  on(/^SELECT site_id FROM slug_redirects WHERE slug = \?/, ([slug]) => [
+    find("slug_redirects", (r) => r.slug === slug),
+  ]);
+  on(/^INSERT INTO published_sites \(user_id, project_id, generation_id, slug\)/, (
+    [user_id, project_id, generation_id, slug]
+  ) => {
+    if (tables.published_sites.some((s) => s.slug === slug || same(s.project_id, project_id))) {
+      throw Object.assign(new Error("Duplicate entry"), { code: "ER_DUP_ENTRY" });
+    }
+    const row = insertRow("published_sites", { user_id, project_id, generation_id, slug });
+    return [{ insertId: row.id, affectedRows: 1 }];
+  });
+  on(/^UPDATE published_sites SET generation_id = \?, published_at = NOW\(\) WHERE id = \?/, (
+    [generationId, id]
+  ) => {
+    const rows = find("published_sites", (s) => same(s.id, id));
+    rows.forEach((s) => (s.generation_id = generationId));
+    return [{ affectedRows: rows.length }];
+  });
+
+  on(/^SELECT \* FROM published_sites WHERE id = \? AND user_id = \?/, ([id, userId]) => [
+    find("published_sites", (s) => same(s.id, id) && same(s.user_id, userId)),
+  ]);
+  on(/^UPDATE published_sites SET slug = \? WHERE id = \?/, ([slug, id]) => {
+    if (tables.published_sites.some((s) => s.slug === slug && !same(s.id, id))) {
+      throw Object.assign(new Error("Duplicate entry"), { code: "ER_DUP_ENTRY" });
+    }
+    const rows = find("published_sites", (s) => same(s.id, id));
+    rows.forEach((s) => (s.slug = slug));
+    return [{ affectedRows: rows.length }];
+  });
+  on(/^DELETE FROM slug_redirects WHERE slug = \?/, ([slug]) => {
+    tables.slug_redirects = tables.slug_redirects.filter((r) => r.slug !== slug);
+    return [{ affectedRows: 1 }];
+  });
+  on(/^INSERT INTO slug_redirects \(slug, site_id\)/, ([slug, site_id]) => {
+    insertRow("slug_redirects", { slug, site_id });
+    return [{ affectedRows: 1 }];
+  });
+  on(/^SELECT slug FROM slug_redirects WHERE site_id = \?/, ([siteId]) => [
+    find("slug_redirects", (r) => same(r.site_id, siteId)),
+  ]);
+
+  const query = async (sql, params = []) => {
+    const normalized = sql.replace(/\s+/g, " ").trim();
+    queries.push([normalized, params]);
+    const match = handlers.find(([pattern]) => pattern.test(normalized));
+    if (!match) throw new Error(`Query belum dikenali fake DB: ${normalized}`);
+    return match[1](params, normalized);
+  };
+
+  // Transaksi tidak benar-benar diisolasi; cukup untuk alur yang berjalan berurutan
+  const connection = {
+    query,
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    release: () => {},
+  };
+
+  return {
+    tables,
+    queries,
+    on,
+    insertRow,
+    query,
+    getConnection: async () => connection,
+  };
+}
+
+module.exports = { createFakeDb };
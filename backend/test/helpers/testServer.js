@@ -0,0 +1,96 @@
+// Menyiapkan server.js untuk test: provider AI mock, storage lokal di folder sementara,
+// dan database palsu (lihat fakeDb.js). Harus di-require sebelum server.js.
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const { createFakeDb } = require("./fakeDb");
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "sisdigi-test-"));
+process.on("exit", () => fs.rmSync(storageDir, { recursive: true, force: true }));
+Object.assign(process.env, {
+  AI_PROVIDER: "mock",
+  MOCK_LATENCY_MS: "0",
+  MOCK_STREAM_CHUNK_DELAY_MS: "0",
+  STORAGE_DRIVER: "local",
+  LOCAL_STORAGE_DIR: storageDir,
+  PUBLIC_BASE_URL: "http://sisdigi.test",
+  JWT_SECRET: "rahasia-test",
+});
+
+const server = require("../../server");
+
+// Ganti pool MySQL dengan database palsu baru. Dipanggil di awal setiap test.
+function useFakeDb() {
+  const db = createFakeDb();
+  server.dbPool.query = db.query;
+  server.dbPool.getConnection = db.getConnection;
+  return db;
+}
+
+// Membuat user + project + sesi aktif, lalu mengembalikan access token-nya
+function signIn(db, { email = "budi@example.com", name = "Budi" } = {}) {
+  const user = db.insertRow("users", { name, email, password: null, role: "user" });
+  const project = db.insertRow("projects", { user_id: user.id, name: "Project Pertama" });
+  const sessionId = crypto.randomUUID();
+  db.tables.user_sessions.push({
+    id: sessionId,
+    user_id: user.id,
+    refresh_token_hash: crypto.randomBytes(32).toString("hex"),
+    previous_token_hash: null,
+    revoked_at: null,
+    last_used_at: null,
+    expires_at: new Date(Date.now() + 86400000),
+  });
+  const token = jwt.sign({ id: user.id, name, email, sid: sessionId }, process.env.JWT_SECRET);
+  return { user, project, token };
+}
+
+// Menjalankan app di port acak. `request` mengembalikan { status, body }.
+async function startServer() {
+  const listener = await new Promise((resolve) => {
+    const instance = server.app.listen(0, () => resolve(instance));
+  });
+  const baseUrl = `http://127.0.0.1:${listener.address().port}`;
+
+  const request = async (method, url, { token, body } = {}) => {
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: {
+        ...(body ? { "Content-Type": "application/json" } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // Bukan JSON (misal halaman HTML): kembalikan teks apa adanya
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  return {
+    baseUrl,
+    request,
+    close: () =>
+      new Promise((resolve) => {
+        listener.close(resolve);
+        listener.closeAllConnections();
+      }),
+  };
+}
+
+// Membaca file yang diunggah driver storage lokal
+function readStoredFile(area, key) {
+  return fs.readFileSync(path.join(storageDir, area, key), "utf8");
+}
+
+function storedFileExists(area, key) {
+  return fs.existsSync(path.join(storageDir, area, key));
+}
+
+module.exports = { server, useFakeDb, signIn, startServer, readStoredFile, storedFileExists };
@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const AdmZip = require("adm-zip");
+const { server } = require("./helpers/testServer");
+
+const { readImportZip, resolveImportPath } = server;
+
+const buildZip = (files) => {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(files)) zip.addFile(name, Buffer.from(content));
+  return zip.toBuffer();
+};
+
+// --- resolveImportPath ---
+test("resolveImportPath menyelesaikan path relatif terhadap file asalnya", () => {
+  assert.equal(resolveImportPath("img/logo.png", "situs/index.html"), "situs/img/logo.png");
+  assert.equal(resolveImportPath("../img/a%20b.png?v=2#x", "situs/css/style.css"), "situs/img/a b.png");
+  assert.equal(resolveImportPath("/img/logo.png", "situs/index.html"), "img/logo.png");
+});
+
+test("resolveImportPath mengabaikan URL absolut, anchor, dan path di luar root ZIP", () => {
+  for (const reference of ["https://cdn.example.com/a.png", "//cdn.example.com/a.png", "data:image/png;base64,AA", "#menu", "", "../../etc/passwd"]) {
+    assert.equal(resolveImportPath(reference, "index.html"), null, reference);
+  }
+  assert.equal(resolveImportPath("/../rahasia.txt", "index.html"), "rahasia.txt");
+});
+
+// --- readImportZip ---
+test("readImportZip memilih index.html paling dangkal dan membaca file pendampingnya", () => {
+  const source = readImportZip(
+    buildZip({
+      "lama/halaman.html": "<p>lama</p>",
+      "situs/dalam/index.html": "<p>dalam</p>",
+      "situs/index.html": '<link href="css/style.css"><p>utama</p>',
+      "situs/css/style.css": "body { color: red }",
+      "__MACOSX/situs/._index.html": "sampah",
+    })
+  );
+
+  assert.equal(source.htmlPath, "situs/index.html");
+  assert.match(source.html, /utama/);
+  assert.equal(source.readFile("css/style.css", source.htmlPath).toString(), "body { color: red }");
+  assert.equal(source.readFile("css/tidak-ada.css", source.htmlPath), null);
+});
+
+test("readImportZip menolak ZIP tanpa HTML atau yang rusak", () => {
+  assert.throws(() => readImportZip(buildZip({ "gambar.png": "x" })), {
+    code: "IMPORT_INVALID",
+    message: "Tidak ada file .html di dalam ZIP.",
+  });
+  assert.throws(() => readImportZip(Buffer.from("PK\x03\x04bukan zip")), { code: "IMPORT_INVALID" });
+});
+
+test("readImportZip mengukur hasil ekstrak sebenarnya, bukan ukuran yang ditulis di header", () => {
+  const zip = buildZip({ "index.html": "<p>Halo</p>", "besar.bin": Buffer.alloc(51 * 1024 * 1024) });
+  // Palsukan ukuran asli setiap file menjadi 1 byte (local header & central directory)
+  for (let offset = 0; offset < zip.length - 4; offset++) {
+    const signature = zip.readUInt32LE(offset);
+    if (signature === 0x04034b50) zip.writeUInt32LE(1, offset + 22);
+    if (signature === 0x02014b50) zip.writeUInt32LE(1, offset + 24);
+  }
+
+  assert.throws(() => readImportZip(zip), {
+    code: "IMPORT_INVALID",
+    message: "Isi file ZIP terlalu besar.",
+  });
+});
@@ -0,0 +1,72 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { server, useFakeDb, signIn } = require("./helpers/testServer");
+
+// Retry job: hanya error sementara yang dijadwalkan ulang
+let db;
+let session;
+let updates;
+
+beforeEach(() => {
+  db = useFakeDb();
+  session = signIn(db);
+  updates = [];
+  db.on(/^UPDATE generation_jobs SET status = \?, error = \?/, (params) => {
+    updates.push(params);
+    return [{ affectedRows: 1 }];
+  });
+});
+
+const createJob = (payload, attempts = 1) => ({
+  id: 7,
+  type: "generate",
+  user_id: session.user.id,
+  project_id: session.project.id,
+  payload: JSON.stringify(payload),
+  attempts,
+  max_attempts: 3,
+  claim_token: "klaim-1",
+});
+const newStatus = () => updates[0][0];
+
+test("request yang ditolak (misal preset tidak ada) langsung gagal tanpa retry", async () => {
+  db.on(/^SELECT \* FROM industry_presets/, () => [[]]);
+
+  await server.processJob(createJob({ userPrompt: "Toko Roti", presetId: 99 }));
+
+  assert.equal(newStatus(), "failed");
+  assert.match(updates[0][1], /Preset industri tidak ditemukan/);
+});
+
+test("error database/jaringan dijadwalkan ulang dengan backoff", async () => {
+  db.on(/^SELECT \* FROM business_profiles/, () => {
+    throw Object.assign(new Error("read ECONNRESET"), { code: "ECONNRESET" });
+  });
+
+  await server.processJob(createJob({ userPrompt: "Toko Roti" }, 2));
+
+  assert.equal(newStatus(), "queued");
+  assert.equal(updates[0][2], 10);
+});
+
+test("gagal memperbarui status job tidak membuat processJob reject", async () => {
+  db.on(/^SELECT \* FROM industry_presets/, () => [[]]);
+  db.on(/^UPDATE generation_jobs SET status = \?, error = \?/, () => {
+    throw Object.assign(new Error("read ECONNRESET"), { code: "ECONNRESET" });
+  });
+
+  await assert.doesNotReject(server.processJob(createJob({ userPrompt: "Toko Roti", presetId: 99 })));
+});
+
+test("error sementara pada percobaan terakhir menandai job gagal", async () => {
+  const status = await server.failJob(createJob({}, 3), new Error("Provider AI timeout"));
+
+  assert.equal(status, "failed");
+});
+
+test("hasil yang gagal validasi tidak di-retry", async () => {
+  for (const code of ["HTML_INVALID", "SITE_INVALID"]) {
+    const error = Object.assign(new Error("Hasil AI tidak valid."), { code });
+    assert.equal(await server.failJob(createJob({}), error), "failed", code);
+  }
+});
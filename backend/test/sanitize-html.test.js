@@ -0,0 +1,73 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { server } = require("./helpers/testServer");
+
+const { sanitizeGeneratedHtml } = server;
+
+test("HTML tanpa tag ditolak", () => {
+  const { report } = sanitizeGeneratedHtml("Maaf, saya tidak bisa membuat website itu.");
+
+  assert.equal(report.valid, false);
+  assert.match(report.errors[0], /tidak berisi kode HTML/);
+});
+
+test("body kosong ditolak walaupun strukturnya lengkap", () => {
+  const { report } = sanitizeGeneratedHtml("<!DOCTYPE html><html><head></head><body></body></html>");
+
+  assert.equal(report.valid, false);
+});
+
+test("struktur yang kurang dilengkapi dan script smooth-scroll ditambahkan", () => {
+  const { html, report } = sanitizeGeneratedHtml("<h1>Warung Bu Sri</h1>");
+
+  assert.equal(report.valid, true);
+  assert.match(html, /^<!DOCTYPE html>\n<html><head><\/head><body><h1>Warung Bu Sri<\/h1>/);
+  assert.match(html, /scrollIntoView/);
+  assert.ok(report.repaired.includes("Menambahkan <!DOCTYPE html>."));
+  assert.ok(report.repaired.includes("Menambahkan tag <body>."));
+});
+
+test("elemen, atribut event, dan URL javascript: dibuang", () => {
+  const { html, report } = sanitizeGeneratedHtml(`<!DOCTYPE html><html><head>
+    <meta http-equiv="Refresh" content="0; url=https://contoh.com">
+    <script src="https://cdn.tailwindcss.com"></script>
+    <script src="https://jahat.example.com/x.js"></script>
+  </head><body>
+    <h1 onclick="alert(1)" onMouseOver="alert(2)">Halo</h1>
+    <a href=" javascript:alert(3)">Klik</a>
+    <iframe src="https://contoh.com"></iframe><embed src="x.swf">
+  </body></html>`);
+
+  assert.equal(report.valid, true);
+  assert.match(html, /cdn\.tailwindcss\.com/);
+  assert.doesNotMatch(html, /jahat\.example\.com|onclick|onmouseover|javascript:|<iframe|<embed|http-equiv/i);
+  assert.deepEqual(report.removed.sort(), [
+    "Atribut onclick",
+    "Atribut onmouseover",
+    "Elemen <embed>",
+    "Elemen <iframe>",
+    "Meta refresh",
+    "Script eksternal https://jahat.example.com/x.js",
+    "URL javascript: di atribut href",
+  ]);
+});
+
+test("script dari subdomain palsu host yang diizinkan tetap dibuang", () => {
+  const { html } = sanitizeGeneratedHtml(
+    '<body><p>Hai</p><script src="https://cdn.tailwindcss.com.jahat.io/x.js"></script><script src="http://cdn.tailwindcss.com"></script></body>'
+  );
+
+  assert.doesNotMatch(html, /<script src=/);
+});
+
+test("gambar placeholder dan gambar upload yang tidak dipakai dicatat sebagai peringatan", () => {
+  const { report } = sanitizeGeneratedHtml(
+    '<body><img src="https://placehold.co/600x400"><img src="/assets/a.webp"></body>',
+    { imageUrls: ["/assets/a.webp", { url: "/assets/b.webp" }] }
+  );
+
+  assert.equal(report.valid, true);
+  assert.equal(report.warnings.length, 2);
+  assert.match(report.warnings[0], /1 gambar placeholder/);
+  assert.match(report.warnings[1], /\/assets\/b\.webp/);
+});
@@ -0,0 +1,118 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const cheerio = require("cheerio");
+const { server } = require("./helpers/testServer");
+
+const { applySeoTags, buildSeoChecklist } = server;
+
+const page = () =>
+  cheerio.load(`<html><head>
+    <title>Judul dari AI</title>
+    <meta name="description" content="Deskripsi lama dari AI">
+    <meta property="og:title" content="OG lama">
+    <link rel="icon" href="favicon-lama.ico">
+  </head><body><h1>Kopi Senja</h1><img src="https://cdn.example.com/a.jpg"><img src="b.jpg"></body></html>`);
+
+const profile = {
+  name: "Kopi Senja",
+  address: "Jl. Kaliurang 5, Yogyakarta",
+  whatsapp: "0812-3456-7890",
+  latitude: -7.75,
+  longitude: 110.38,
+  mapsUrl: "https://maps.google.com/?q=-7.75,110.38",
+  socialLinks: { instagram: "https://instagram.com/kopisenja", tiktok: "" },
+};
+const seo = (overrides = {}) => ({
+  profile,
+  title: "Kopi Senja | Kopi susu gula aren",
+  description: "Kopi susu gula aren dan camilan. Alamat: Jl. Kaliurang 5, Yogyakarta.",
+  canonicalUrl: "https://sisdigi.test/sites/kopi-senja/",
+  image: "https://cdn.example.com/a.jpg",
+  imageSource: "page",
+  logo: null,
+  ...overrides,
+});
+
+// --- applySeoTags ---
+test("tag SEO buatan AI diganti, bukan diduplikasi", () => {
+  const $ = page();
+
+  applySeoTags($, seo(), []);
+
+  assert.equal($("head > title").text(), "Kopi Senja | Kopi susu gula aren");
+  assert.equal($('meta[name="description"]').length, 1);
+  assert.match($('meta[name="description"]').attr("content"), /^Kopi susu gula aren/);
+  assert.equal($('meta[property="og:title"]').attr("content"), "Kopi Senja | Kopi susu gula aren");
+  assert.equal($('link[rel="canonical"]').attr("href"), "https://sisdigi.test/sites/kopi-senja/");
+  assert.equal($('meta[name="twitter:card"]').attr("content"), "summary_large_image");
+  // Tanpa ikon dari logo, favicon yang sudah ada dibiarkan
+  assert.equal($('link[rel="icon"]').attr("href"), "favicon-lama.ico");
+});
+
+test("tag tanpa nilai dilewati dan ikon dari logo menggantikan favicon lama", () => {
+  const $ = page();
+  const icons = [{ file: "favicon.png", rel: "icon", size: 32 }];
+
+  applySeoTags($, seo({ image: null, canonicalUrl: null }), icons);
+  assert.equal($('meta[property="og:image"]').length, 0);
+  assert.equal($('link[rel="canonical"]').length, 0);
+  assert.equal($('meta[name="twitter:card"]').attr("content"), "summary");
+
+  applySeoTags($, seo(), icons);
+  assert.equal($('link[rel="icon"]').length, 1);
+  assert.equal($('link[rel="icon"]').attr("href"), "https://sisdigi.test/sites/kopi-senja/favicon.png");
+});
+
+test("JSON-LD LocalBusiness memakai data Profil Bisnis dan aman dari penutupan tag script", () => {
+  const $ = page();
+
+  applySeoTags($, seo({ profile: { ...profile, name: "Kopi </script> Senja" } }), []);
+
+  const scripts = $('script[type="application/ld+json"]');
+  assert.equal(scripts.length, 1);
+  assert.doesNotMatch(scripts.html(), /<\/script>/);
+  const data = JSON.parse(scripts.html());
+  assert.equal(data["@type"], "LocalBusiness");
+  assert.equal(data.name, "Kopi </script> Senja");
+  assert.equal(data.telephone, "+6281234567890");
+  assert.equal(data.address.streetAddress, "Jl. Kaliurang 5, Yogyakarta");
+  assert.equal(data.geo.latitude, -7.75);
+  assert.deepEqual(data.sameAs, ["https://instagram.com/kopisenja"]);
+});
+
+// --- buildSeoChecklist ---
+const checklistFor = ($, overrides) =>
+  Object.fromEntries(buildSeoChecklist($, seo(overrides)).map((item) => [item.id, item]));
+
+test("checklist lulus untuk halaman yang lengkap", () => {
+  const $ = cheerio.load('<body><h1>Kopi Senja</h1><img src="a.jpg" alt="Kopi"></body>');
+
+  const items = checklistFor($, { imageSource: "asset", logo: { name: "Logo" } });
+
+  assert.deepEqual(
+    Object.values(items).filter((item) => !item.ok).map((item) => item.id),
+    []
+  );
+  assert.equal(items.canonical.label, "URL canonical, sitemap & robots.txt");
+  assert.match(items.canonical.detail, /kopi-senja\/sitemap\.xml/);
+});
+
+test("checklist menandai kekurangan beserta keterangannya", () => {
+  const $ = cheerio.load('<body><h1>A</h1><h1>B</h1><img src="a.jpg"><img src="b.jpg" alt=" "></body>');
+
+  const items = checklistFor($, {
+    profile: null,
+    title: "x".repeat(61),
+    description: "Pendek.",
+    canonicalUrl: null,
+    imageSource: null,
+  });
+
+  for (const id of ["title", "description", "shareImage", "favicon", "localBusiness", "h1", "imageAlt", "canonical"]) {
+    assert.equal(items[id].ok, false, id);
+  }
+  assert.match(items.title.detail, /lebih dari 60/);
+  assert.match(items.localBusiness.detail, /nama usaha, alamat, nomor WhatsApp/);
+  assert.equal(items.h1.detail, "Ditemukan 2 elemen H1.");
+  assert.equal(items.imageAlt.detail, "2 gambar belum punya teks alt.");
+});
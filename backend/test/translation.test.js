@@ -0,0 +1,89 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const cheerio = require("cheerio");
+const { server, useFakeDb, signIn, startServer } = require("./helpers/testServer");
+
+const { markTranslatableTexts } = server;
+
+// --- markTranslatableTexts ---
+test("teks & atribut diberi kunci; teks campuran dibungkus span", () => {
+  const $ = cheerio.load(`<html><head><title>Kopi Senja</title></head><body>
+    <h1>Kopi   Senja</h1>
+    <p>Harga mulai <b>murah</b> sekali</p>
+    <img src="a.jpg" alt="Secangkir kopi">
+  </body></html>`);
+
+  const texts = markTranslatableTexts($);
+
+  assert.deepEqual([...new Set(texts.values())].sort(), [
+    "Harga mulai",
+    "Kopi Senja",
+    "Secangkir kopi",
+    "murah",
+    "sekali",
+  ]);
+  // Teks yang sama (setelah spasi dirapikan) memakai kunci yang sama
+  assert.equal($("title").attr("data-i18n"), $("h1").attr("data-i18n"));
+  assert.equal(texts.get($("h1").attr("data-i18n")), "Kopi Senja");
+  assert.equal($("p > span[data-i18n-wrap]").length, 2);
+  assert.equal($("p").attr("data-i18n"), undefined);
+  assert.equal(texts.get($("img").attr("data-i18n-alt")), "Secangkir kopi");
+});
+
+test("angka, harga, kode, dan tambahan otomatis tidak ikut diterjemahkan", () => {
+  const $ = cheerio.load(`<body>
+    <span>Rp18.000</span><span>IDR 25.000</span><span>2024</span><span>☕</span>
+    <code>npm install</code>
+    <div data-sisdigi-i18n="switcher"><button>EN</button></div>
+  </body>`);
+
+  const texts = markTranslatableTexts($);
+
+  assert.equal(texts.size, 0);
+  assert.equal($("[data-i18n]").length, 0);
+});
+
+// --- Terjemahkan ulang satu versi ---
+let app;
+let db;
+let session;
+
+before(async () => {
+  app = await startServer();
+});
+after(() => app.close());
+beforeEach(() => {
+  db = useFakeDb();
+  session = signIn(db);
+});
+
+test("terjemahan ulang disimpan sebagai versi baru hanya jika HTML-nya berubah", async () => {
+  await app.request("POST", "/api/generate", {
+    token: session.token,
+    body: { userPrompt: "Kedai Kopi Senja", projectId: session.project.id },
+  });
+  const [original] = db.tables.generations;
+  // Bahasa Inggris baru diaktifkan setelah versi pertama dibuat
+  session.project.languages = JSON.stringify(["en"]);
+
+  const translated = await app.request("POST", `/api/generations/${original.id}/translate`, {
+    token: session.token,
+    body: { lang: "en" },
+  });
+
+  assert.equal(translated.status, 201);
+  assert.match(translated.body.htmlCode, /\[en\] Kedai Kopi Senja/);
+  assert.equal(db.tables.generations.length, 2);
+  assert.equal(db.tables.generations[1].source, "translate");
+  assert.equal(db.tables.generations[1].parent_generation_id, original.id);
+
+  const again = await app.request("POST", `/api/generations/${translated.body.generationId}/translate`, {
+    token: session.token,
+    body: { lang: "en" },
+  });
+
+  assert.equal(again.status, 200);
+  assert.equal(again.body.unchanged, true);
+  assert.equal(again.body.generationId, translated.body.generationId);
+  assert.equal(db.tables.generations.length, 2);
+});
@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { server } = require("./helpers/testServer");
+
+const { normalizeHtmlForDiff, extractTextForDiff, diffVersions } = server;
+
+const before = `<html><head><title>Kopi</title></head><body>
+  <h1>Kopi Senja</h1>
+  <p>Buka   setiap hari</p>
+</body></html>`;
+const after = `<html><head><title>Kopi</title></head><body><h1>Kopi Senja</h1><p>Buka setiap hari</p><p>Gratis ongkir</p></body></html>`;
+
+test("perbedaan spasi & baris dari AI tidak dihitung sebagai perubahan", () => {
+  const reformatted = before.replace(/\n\s*/g, "");
+
+  const diff = diffVersions(normalizeHtmlForDiff(before), normalizeHtmlForDiff(reformatted));
+
+  assert.equal(diff.added, 0);
+  assert.equal(diff.removed, 0);
+  assert.ok(diff.changes.every((part) => part.type === "unchanged"));
+});
+
+test("diff HTML menghitung baris yang bertambah dan berkurang", () => {
+  const diff = diffVersions(normalizeHtmlForDiff(before), normalizeHtmlForDiff(after));
+
+  assert.equal(diff.added, 1);
+  assert.equal(diff.removed, 0);
+  assert.deepEqual(
+    diff.changes.filter((part) => part.type === "added").map((part) => part.value),
+    ["<p>Gratis ongkir</p>\n"]
+  );
+});
+
+test("mode teks hanya membandingkan teks yang terlihat", () => {
+  const withScript = after.replace("</body>", "<script>console.log('x')</script></body>");
+
+  assert.equal(extractTextForDiff(withScript), "Kopi Senja\nBuka setiap hari\nGratis ongkir\n");
+
+  const diff = diffVersions(
+    extractTextForDiff(after),
+    extractTextForDiff(after.replace("Gratis ongkir", "Ongkir murah"))
+  );
+  assert.equal(diff.added, 1);
+  assert.equal(diff.removed, 1);
+  assert.deepEqual(
+    diff.changes.map((part) => part.type),
+    ["unchanged", "removed", "added"]
+  );
+});
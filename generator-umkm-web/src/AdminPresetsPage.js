@@ -0,0 +1,270 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import ConfirmationModal from './ConfirmationModal';
+import { createApiClient, hasSession, isAuthError } from './api';
+
+const EMPTY_PRESET = {
+  name: '',
+  slug: '',
+  description: '',
+  sections: '',
+  tone: '',
+  colorDirection: '',
+  sampleCopy: '',
+  sortOrder: 0,
+  isActive: true,
+};
+
+// Preset dari server -> isian form (daftar section diedit sebagai teks dipisah koma)
+const toForm = (preset) => ({ ...preset, sections: preset.sections.join(', ') });
+
+// Halaman admin untuk mengelola preset industri yang dipakai saat generate pertama
+export default function AdminPresetsPage() {
+  const navigate = useNavigate();
+  const [presets, setPresets] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState(EMPTY_PRESET);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isDeleteOpen, setIsDeleteOpen] = useState(false);
+
+  const createApiInstance = useCallback(() => {
+    if (!hasSession()) {
+      navigate('/login');
+      return null;
+    }
+    return createApiClient(() => navigate('/login'));
+  }, [navigate]);
+
+  const handleError = useCallback(
+    (error, fallback) => {
+      if (isAuthError(error.response)) navigate('/login');
+      else toast.error(error.response?.data?.error || fallback);
+    },
+    [navigate]
+  );
+
+  const fetchPresets = useCallback(async () => {
+    const api = createApiInstance();
+    if (!api) return;
+    try {
+      const response = await api.get('/api/admin/presets');
+      setPresets(response.data);
+    } catch (error) {
+      if (error.response?.status === 403 && !isAuthError(error.response)) {
+        toast.error(error.response.data.error);
+        navigate('/generator');
+      } else {
+        handleError(error, 'Gagal mengambil daftar preset.');
+      }
+    }
+  }, [createApiInstance, handleError, navigate]);
+
+  useEffect(() => {
+    fetchPresets();
+  }, [fetchPresets]);
+
+  const selectPreset = (preset) => {
+    setSelectedId(preset ? preset.id : null);
+    setForm(preset ? toForm(preset) : EMPTY_PRESET);
+  };
+
+  const updateField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const api = createApiInstance();
+    if (!api) return;
+    setIsSaving(true);
+    try {
+      const payload = { ...form, sections: form.sections.split(',') };
+      const response = selectedId
+        ? await api.patch(`/api/admin/presets/${selectedId}`, payload)
+        : await api.post('/api/admin/presets', payload);
+      await fetchPresets();
+      selectPreset(response.data);
+      toast.success('Preset disimpan.');
+    } catch (error) {
+      handleError(error, 'Gagal menyimpan preset.');
+    }
+    setIsSaving(false);
+  };
+
+  const handleDelete = async () => {
+    const api = createApiInstance();
+    if (!api || !selectedId) return;
+    try {
+      await api.delete(`/api/admin/presets/${selectedId}`);
+      setPresets((prev) => prev.filter((preset) => preset.id !== selectedId));
+      selectPreset(null);
+      toast.success('Preset dihapus.');
+    } catch (error) {
+      handleError(error, 'Gagal menghapus preset.');
+    }
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 mt-1 border rounded-lg text-sm text-gray-700 focus:ring-2 focus:ring-indigo-400 focus:outline-none transition';
+
+  return (
+    <div className="min-h-screen bg-gray-100 font-sans p-6">
+      <ConfirmationModal
+        isOpen={isDeleteOpen}
+        onClose={() => setIsDeleteOpen(false)}
+        onConfirm={handleDelete}
+        title="Hapus Preset?"
+        message="Preset akan hilang dari galeri. Website yang sudah dibuat tidak terpengaruh. Untuk menyembunyikan sementara, cukup nonaktifkan preset."
+      />
+      <div className="max-w-5xl mx-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h1 className="text-2xl font-bold text-gray-800">Kelola Preset Industri</h1>
+          <Link to="/generator" className="text-sm font-semibold text-indigo-600 hover:underline">
+            ← Kembali ke Generator
+          </Link>
+        </div>
+
+        <div className="grid grid-cols-3 gap-6">
+          <div className="bg-white rounded-xl shadow p-4">
+            <button
+              onClick={() => selectPreset(null)}
+              className="w-full mb-3 px-3 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700"
+            >
+              + Preset Baru
+            </button>
+            <div className="space-y-1">
+              {presets.map((preset) => (
+                <button
+                  key={preset.id}
+                  onClick={() => selectPreset(preset)}
+                  className={`w-full text-left px-3 py-2 rounded-lg text-sm ${
+                    preset.id === selectedId ? 'bg-indigo-100 text-indigo-800' : 'hover:bg-gray-100'
+                  }`}
+                >
+                  <span className="font-semibold">{preset.name}</span>
+                  {!preset.isActive && (
+                    <span className="ml-2 text-xs text-gray-400">(nonaktif)</span>
+                  )}
+                  <span className="block text-xs text-gray-400">{preset.slug}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <form onSubmit={handleSave} className="col-span-2 bg-white rounded-xl shadow p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-700">
+              {selectedId ? `Edit Preset: ${form.name}` : 'Preset Baru'}
+            </h2>
+            <div className="grid grid-cols-2 gap-4">
+              <label className="block text-sm font-semibold text-gray-600">
+                Nama
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => updateField('name', e.target.value)}
+                  maxLength={100}
+                  required
+                  className={inputClass}
+                />
+              </label>
+              <label className="block text-sm font-semibold text-gray-600">
+                Slug (kosongkan untuk dibuat dari nama)
+                <input
+                  type="text"
+                  value={form.slug}
+                  onChange={(e) => updateField('slug', e.target.value)}
+                  maxLength={50}
+                  className={inputClass}
+                />
+              </label>
+            </div>
+            <label className="block text-sm font-semibold text-gray-600">
+              Deskripsi singkat (tampil di galeri)
+              <input
+                type="text"
+                value={form.description}
+                onChange={(e) => updateField('description', e.target.value)}
+                maxLength={255}
+                className={inputClass}
+              />
+            </label>
+            <label className="block text-sm font-semibold text-gray-600">
+              Section yang disarankan (urut, dipisah koma)
+              <input
+                type="text"
+                value={form.sections}
+                onChange={(e) => updateField('sections', e.target.value)}
+                placeholder="hero, menu andalan, testimoni, kontak"
+                className={inputClass}
+              />
+            </label>
+            <label className="block text-sm font-semibold text-gray-600">
+              Gaya bahasa
+              <textarea
+                value={form.tone}
+                onChange={(e) => updateField('tone', e.target.value)}
+                rows={2}
+                className={inputClass}
+              />
+            </label>
+            <label className="block text-sm font-semibold text-gray-600">
+              Arah warna
+              <textarea
+                value={form.colorDirection}
+                onChange={(e) => updateField('colorDirection', e.target.value)}
+                rows={2}
+                className={inputClass}
+              />
+            </label>
+            <label className="block text-sm font-semibold text-gray-600">
+              Contoh copy
+              <textarea
+                value={form.sampleCopy}
+                onChange={(e) => updateField('sampleCopy', e.target.value)}
+                rows={4}
+                className={inputClass}
+              />
+            </label>
+            <div className="flex items-center space-x-6">
+              <label className="text-sm font-semibold text-gray-600">
+                Urutan
+                <input
+                  type="number"
+                  value={form.sortOrder}
+                  onChange={(e) => updateField('sortOrder', e.target.value)}
+                  className="w-20 ml-2 px-2 py-1 border rounded text-sm"
+                />
+              </label>
+              <label className="flex items-center text-sm font-semibold text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={form.isActive}
+                  onChange={(e) => updateField('isActive', e.target.checked)}
+                  className="mr-2"
+                />
+                Aktif (tampil di galeri)
+              </label>
+            </div>
+            <div className="flex justify-end space-x-2 pt-2 border-t">
+              {selectedId && (
+                <button
+                  type="button"
+                  onClick={() => setIsDeleteOpen(true)}
+                  className="px-4 py-2 text-sm font-semibold text-red-600 bg-red-50 rounded-lg hover:bg-red-100"
+                >
+                  Hapus
+                </button>
+              )}
+              <button
+                type="submit"
+                disabled={isSaving || !form.name.trim()}
+                className="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 disabled:bg-indigo-300"
+              >
+                {isSaving ? 'Menyimpan...' : 'Simpan Preset'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
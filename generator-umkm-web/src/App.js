@@ -3,6 +3,7 @@ import { Routes, Route } from 'react-router-dom';
 import LoginPage from './LoginPage';
 import RegisterPage from './RegisterPage';
 import GeneratorPage from './GeneratorPage';
+import AdminPresetsPage from './AdminPresetsPage';
 import { Toaster } from 'react-hot-toast';
 
 function App() {
@@ -16,6 +17,7 @@ function App() {
       <Route path="/login" element={<LoginPage />} />
       <Route path="/register" element={<RegisterPage />} />
        <Route path="/generator" element={<GeneratorPage />} /> {/* Halaman utama sekarang adalah generator */}
+      <Route path="/admin/presets" element={<AdminPresetsPage />} />
        {/* Rute utama sekarang mengarah ke Login */}
       <Route path="/" element={<LoginPage />} />
     </Routes>
@@ -0,0 +1,298 @@
+import React, { Fragment, useEffect, useState } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+
+const SOCIAL_NETWORKS = [
+  { id: 'instagram', label: 'Instagram' },
+  { id: 'facebook', label: 'Facebook' },
+  { id: 'tiktok', label: 'TikTok' },
+  { id: 'youtube', label: 'YouTube' },
+  { id: 'website', label: 'Website lain' },
+];
+
+const EMPTY_PROFILE = {
+  name: '',
+  tagline: '',
+  address: '',
+  latitude: '',
+  longitude: '',
+  whatsapp: '',
+  openingHours: [{ days: '', hours: '' }],
+  socialLinks: {},
+  products: [{ name: '', price: '', description: '' }],
+};
+
+const toForm = (profile) =>
+  profile
+    ? {
+        ...EMPTY_PROFILE,
+        ...profile,
+        latitude: profile.latitude ?? '',
+        longitude: profile.longitude ?? '',
+        openingHours: profile.openingHours.length > 0 ? profile.openingHours : EMPTY_PROFILE.openingHours,
+        products: profile.products.length > 0 ? profile.products : EMPTY_PROFILE.products,
+      }
+    : EMPTY_PROFILE;
+
+// Form profil bisnis (satu per akun). Datanya dikirim ke AI apa adanya di setiap
+// generate/edit, jadi tulis alamat & nomor persis seperti yang ingin tampil di website.
+export default function BusinessProfileModal({ isOpen, onClose, profile, onSave, isSaving }) {
+  const [form, setForm] = useState(EMPTY_PROFILE);
+
+  useEffect(() => {
+    if (isOpen) setForm(toForm(profile));
+  }, [isOpen, profile]);
+
+  const updateField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  // Ubah satu baris di daftar (jam buka / produk)
+  const updateRow = (field, index, key, value) =>
+    setForm((prev) => ({
+      ...prev,
+      [field]: prev[field].map((row, i) => (i === index ? { ...row, [key]: value } : row)),
+    }));
+  const addRow = (field, emptyRow) =>
+    setForm((prev) => ({ ...prev, [field]: [...prev[field], emptyRow] }));
+  const removeRow = (field, index) =>
+    setForm((prev) => ({ ...prev, [field]: prev[field].filter((_, i) => i !== index) }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.name.trim() || isSaving) return;
+    onSave(form);
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 mt-1 border rounded-lg text-sm text-gray-700 focus:ring-2 focus:ring-indigo-400 focus:outline-none transition';
+  const sectionTitleClass = 'text-sm font-semibold text-gray-700 mt-4 mb-1';
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-10" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black bg-opacity-25" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-2xl transform overflow-hidden rounded-2xl bg-white p-6 text-left shadow-xl transition-all">
+                <Dialog.Title as="h3" className="text-lg font-bold leading-6 text-gray-900">
+                  Profil Bisnis
+                </Dialog.Title>
+                <p className="mt-1 text-sm text-gray-500">
+                  Data ini dipakai AI di setiap generate & edit. Tulis alamat dan nomor persis
+                  seperti yang ingin tampil di website.
+                </p>
+
+                <form onSubmit={handleSubmit} className="mt-4 max-h-[65vh] overflow-y-auto pr-1">
+                  <div className="grid grid-cols-2 gap-3">
+                    <label className="block text-sm font-semibold text-gray-600">
+                      Nama usaha
+                      <input
+                        type="text"
+                        value={form.name}
+                        onChange={(e) => updateField('name', e.target.value)}
+                        maxLength={100}
+                        required
+                        className={inputClass}
+                      />
+                    </label>
+                    <label className="block text-sm font-semibold text-gray-600">
+                      Nomor WhatsApp
+                      <input
+                        type="tel"
+                        value={form.whatsapp}
+                        onChange={(e) => updateField('whatsapp', e.target.value)}
+                        placeholder="0812-3456-7890"
+                        maxLength={30}
+                        className={inputClass}
+                      />
+                    </label>
+                  </div>
+                  <label className="block mt-3 text-sm font-semibold text-gray-600">
+                    Tagline
+                    <input
+                      type="text"
+                      value={form.tagline}
+                      onChange={(e) => updateField('tagline', e.target.value)}
+                      maxLength={200}
+                      className={inputClass}
+                    />
+                  </label>
+                  <label className="block mt-3 text-sm font-semibold text-gray-600">
+                    Alamat
+                    <textarea
+                      value={form.address}
+                      onChange={(e) => updateField('address', e.target.value)}
+                      rows={2}
+                      maxLength={500}
+                      className={inputClass}
+                    />
+                  </label>
+                  <div className="grid grid-cols-2 gap-3 mt-3">
+                    <label className="block text-sm font-semibold text-gray-600">
+                      Latitude (opsional)
+                      <input
+                        type="number"
+                        step="any"
+                        value={form.latitude}
+                        onChange={(e) => updateField('latitude', e.target.value)}
+                        placeholder="-7.797068"
+                        className={inputClass}
+                      />
+                    </label>
+                    <label className="block text-sm font-semibold text-gray-600">
+                      Longitude (opsional)
+                      <input
+                        type="number"
+                        step="any"
+                        value={form.longitude}
+                        onChange={(e) => updateField('longitude', e.target.value)}
+                        placeholder="110.370529"
+                        className={inputClass}
+                      />
+                    </label>
+                  </div>
+
+                  <p className={sectionTitleClass}>Jam buka</p>
+                  {form.openingHours.map((row, index) => (
+                    <div key={index} className="flex items-center space-x-2 mb-1">
+                      <input
+                        type="text"
+                        value={row.days}
+                        onChange={(e) => updateRow('openingHours', index, 'days', e.target.value)}
+                        placeholder="Senin - Jumat"
+                        maxLength={50}
+                        className="flex-1 px-2 py-1 border rounded text-sm"
+                      />
+                      <input
+                        type="text"
+                        value={row.hours}
+                        onChange={(e) => updateRow('openingHours', index, 'hours', e.target.value)}
+                        placeholder="08.00 - 21.00"
+                        maxLength={50}
+                        className="flex-1 px-2 py-1 border rounded text-sm"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeRow('openingHours', index)}
+                        className="text-gray-400 hover:text-red-600 px-1"
+                        title="Hapus baris"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => addRow('openingHours', { days: '', hours: '' })}
+                    className="text-xs font-semibold text-indigo-600 hover:underline"
+                  >
+                    + Tambah jam buka
+                  </button>
+
+                  <p className={sectionTitleClass}>Media sosial</p>
+                  <div className="grid grid-cols-2 gap-2">
+                    {SOCIAL_NETWORKS.map((network) => (
+                      <input
+                        key={network.id}
+                        type="url"
+                        value={form.socialLinks[network.id] || ''}
+                        onChange={(e) =>
+                          updateField('socialLinks', {
+                            ...form.socialLinks,
+                            [network.id]: e.target.value,
+                          })
+                        }
+                        placeholder={`${network.label} (https://...)`}
+                        className="px-2 py-1 border rounded text-sm"
+                      />
+                    ))}
+                  </div>
+
+                  <p className={sectionTitleClass}>Produk / layanan</p>
+                  {form.products.map((row, index) => (
+                    <div key={index} className="flex items-center space-x-2 mb-1">
+                      <input
+                        type="text"
+                        value={row.name}
+                        onChange={(e) => updateRow('products', index, 'name', e.target.value)}
+                        placeholder="Nama produk"
+                        maxLength={100}
+                        className="flex-1 px-2 py-1 border rounded text-sm"
+                      />
+                      <input
+                        type="text"
+                        value={row.price}
+                        onChange={(e) => updateRow('products', index, 'price', e.target.value)}
+                        placeholder="Rp15.000"
+                        maxLength={50}
+                        className="w-28 px-2 py-1 border rounded text-sm"
+                      />
+                      <input
+                        type="text"
+                        value={row.description}
+                        onChange={(e) => updateRow('products', index, 'description', e.target.value)}
+                        placeholder="Keterangan singkat"
+                        maxLength={300}
+                        className="flex-1 px-2 py-1 border rounded text-sm"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeRow('products', index)}
+                        className="text-gray-400 hover:text-red-600 px-1"
+                        title="Hapus baris"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => addRow('products', { name: '', price: '', description: '' })}
+                    className="text-xs font-semibold text-indigo-600 hover:underline"
+                  >
+                    + Tambah produk
+                  </button>
+
+                  <div className="mt-6 flex justify-end space-x-2">
+                    <button
+                      type="button"
+                      className="inline-flex justify-center rounded-md border border-transparent bg-gray-100 px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-200 focus:outline-none"
+                      onClick={onClose}
+                    >
+                      Batal
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={!form.name.trim() || isSaving}
+                      className="inline-flex justify-center rounded-md border border-transparent bg-indigo-600 px-4 py-2 text-sm font-medium text-white hover:bg-indigo-700 focus:outline-none disabled:bg-indigo-300"
+                    >
+                      {isSaving ? 'Menyimpan...' : 'Simpan Profil'}
+                    </button>
+                  </div>
+                </form>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  );
+}
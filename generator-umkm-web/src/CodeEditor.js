@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import Editor from 'react-simple-code-editor';
+import Prism from 'prismjs';
+import 'prismjs/themes/prism.css';
+
+// Jeda sebelum preview diperbarui setelah user berhenti mengetik
+const PREVIEW_DELAY_MS = 500;
+
+// Editor kode HTML untuk perbaikan kecil tanpa AI (typo, nomor telepon, dll.),
+// dengan preview langsung di sebelahnya. Hasilnya disimpan sebagai versi baru.
+export default function CodeEditor({ html, isStructured, onSave, disabled }) {
+  const [draft, setDraft] = useState(html);
+  const [previewHtml, setPreviewHtml] = useState(html);
+  const [isFormatting, setIsFormatting] = useState(false);
+
+  // Mulai ulang dari HTML versi yang sedang dibuka setiap kali versinya berganti
+  useEffect(() => {
+    setDraft(html);
+    setPreviewHtml(html);
+  }, [html]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setPreviewHtml(draft), PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [draft]);
+
+  const handleFormat = async () => {
+    setIsFormatting(true);
+    try {
+      // Prettier cukup besar, jadi baru dimuat saat tombol dipakai
+      const [prettier, prettierHtml] = await Promise.all([
+        import('prettier/standalone'),
+        import('prettier/plugins/html'),
+      ]);
+      setDraft(await prettier.format(draft, { parser: 'html', plugins: [prettierHtml] }));
+    } catch (error) {
+      // Biasanya karena tag yang belum ditutup; biarkan user memperbaikinya dulu
+      console.error('Gagal merapikan HTML:', error);
+    }
+    setIsFormatting(false);
+  };
+
+  const isChanged = draft !== html;
+
+  return (
+    <div className="w-full h-full flex flex-col">
+      <div className="flex items-center justify-between px-3 py-2 border-b bg-gray-50 text-sm">
+        <p className="text-xs text-gray-500">
+          {isStructured
+            ? 'Perhatian: setelah diedit manual, versi ini tidak bisa lagi diubah lewat panel Edit Konten.'
+            : 'Perubahan disimpan sebagai versi baru (edit kode).'}
+        </p>
+        <div className="flex space-x-2 flex-shrink-0">
+          <button
+            onClick={handleFormat}
+            disabled={disabled || isFormatting}
+            className="px-3 py-1 text-xs font-semibold text-gray-600 bg-white border rounded hover:bg-gray-100 disabled:opacity-50"
+          >
+            Rapikan Kode
+          </button>
+          <button
+            onClick={() => setDraft(html)}
+            disabled={disabled || !isChanged}
+            className="px-3 py-1 text-xs font-semibold text-gray-600 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-50"
+          >
+            Batal
+          </button>
+          <button
+            onClick={() => onSave(draft)}
+            disabled={disabled || !isChanged}
+            className="px-3 py-1 text-xs font-semibold text-white bg-indigo-600 rounded hover:bg-indigo-700 disabled:bg-indigo-300"
+          >
+            Simpan sebagai Versi Baru
+          </button>
+        </div>
+      </div>
+      <div className="flex-1 min-h-0 grid grid-cols-2">
+        <div className="overflow-auto border-r">
+          <Editor
+            value={draft}
+            onValueChange={setDraft}
+            highlight={(code) => Prism.highlight(code, Prism.languages.markup, 'markup')}
+            padding={12}
+            disabled={disabled}
+            textareaId="code-editor"
+            className="font-mono text-xs min-h-full"
+          />
+        </div>
+        <iframe
+          srcDoc={previewHtml}
+          title="Preview Edit Kode"
+          className="w-full h-full border-0"
+          sandbox="allow-scripts"
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import React, { Fragment, useState } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+
+// Blok tidak berubah yang panjang diringkas, hanya beberapa baris di tepinya yang ditampilkan
+const CONTEXT_LINES = 3;
+
+const LINE_STYLES = {
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800 line-through decoration-red-300',
+  unchanged: 'text-gray-500',
+};
+
+const LINE_PREFIX = { added: '+', removed: '-', unchanged: ' ' };
+
+function DiffLines({ changes }) {
+  const rows = [];
+  changes.forEach((part, partIndex) => {
+    const lines = part.value.replace(/\n$/, '').split('\n');
+    const isLongUnchanged = part.type === 'unchanged' && lines.length > CONTEXT_LINES * 2 + 1;
+    const visibleLines = isLongUnchanged
+      ? [
+          ...(partIndex > 0 ? lines.slice(0, CONTEXT_LINES) : []),
+          null,
+          ...(partIndex < changes.length - 1 ? lines.slice(-CONTEXT_LINES) : []),
+        ]
+      : lines;
+    const hiddenCount = lines.length - visibleLines.length + 1;
+
+    visibleLines.forEach((line, lineIndex) => {
+      const key = `${partIndex}-${lineIndex}`;
+      if (line === null) {
+        rows.push(
+          <div key={key} className="px-2 py-1 text-center text-gray-400 bg-gray-50 italic">
+            … {hiddenCount} baris tidak berubah …
+          </div>
+        );
+        return;
+      }
+      rows.push(
+        <div key={key} className={`px-2 whitespace-pre-wrap break-all ${LINE_STYLES[part.type]}`}>
+          <span className="select-none text-gray-400 mr-2">{LINE_PREFIX[part.type]}</span>
+          {line}
+        </div>
+      );
+    });
+  });
+  return <div className="font-mono text-xs">{rows}</div>;
+}
+
+// Bandingkan dua versi: preview berdampingan atau diff teks/HTML yang disorot
+export default function CompareView({ isOpen, onClose, comparison }) {
+  const [tab, setTab] = useState('preview');
+
+  const tabs = [
+    { id: 'preview', label: 'Tampilan' },
+    { id: 'text', label: `Teks (+${comparison?.text.added || 0} / -${comparison?.text.removed || 0})` },
+    { id: 'html', label: `Kode HTML (+${comparison?.html.added || 0} / -${comparison?.html.removed || 0})` },
+  ];
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-10" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black bg-opacity-25" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-7xl h-[90vh] flex flex-col transform overflow-hidden rounded-2xl bg-white p-6 text-left shadow-xl transition-all">
+                <div className="flex items-center justify-between">
+                  <Dialog.Title as="h3" className="text-lg font-bold leading-6 text-gray-900">
+                    {comparison
+                      ? `Bandingkan ${comparison.fromLabel} → ${comparison.toLabel}`
+                      : 'Bandingkan Versi'}
+                  </Dialog.Title>
+                  <button
+                    type="button"
+                    className="rounded-md bg-gray-100 px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-200 focus:outline-none"
+                    onClick={onClose}
+                  >
+                    Tutup
+                  </button>
+                </div>
+
+                <div className="flex space-x-2 border-b mt-4">
+                  {tabs.map((item) => (
+                    <button
+                      key={item.id}
+                      onClick={() => setTab(item.id)}
+                      className={`px-3 py-2 text-sm font-semibold -mb-px border-b-2 ${
+                        tab === item.id
+                          ? 'border-indigo-600 text-indigo-700'
+                          : 'border-transparent text-gray-500 hover:text-gray-700'
+                      }`}
+                    >
+                      {item.label}
+                    </button>
+                  ))}
+                </div>
+
+                {comparison && (
+                  <div className="flex-1 min-h-0 mt-4">
+                    {tab === 'preview' ? (
+                      <div className="grid grid-cols-2 gap-4 h-full">
+                        {[
+                          { label: comparison.fromLabel, version: comparison.from },
+                          { label: comparison.toLabel, version: comparison.to },
+                        ].map(({ label, version }) => (
+                          <div key={version.id} className="flex flex-col min-h-0">
+                            <p className="text-sm font-semibold text-gray-600 mb-1">{label}</p>
+                            <iframe
+                              srcDoc={version.htmlCode}
+                              title={`Preview ${label}`}
+                              className="flex-1 w-full border rounded-lg"
+                              sandbox="allow-scripts"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    ) : (
+                      <div className="h-full overflow-y-auto border rounded-lg">
+                        {comparison[tab].added + comparison[tab].removed === 0 ? (
+                          <p className="text-sm text-gray-400 text-center py-8">
+                            Tidak ada perbedaan.
+                          </p>
+                        ) : (
+                          <DiffLines changes={comparison[tab].changes} />
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  );
+}
@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+
+// Panel untuk elemen yang diklik di preview: ubah teks/gambar langsung,
+// atau kirim instruksi AI yang hanya berlaku untuk elemen tersebut.
+export default function ElementEditPanel({
+  element,
+  isStructured,
+  assets,
+  onSaveText,
+  onReplaceImage,
+  onAskAI,
+  onClose,
+  disabled,
+}) {
+  const [text, setText] = useState(element.text);
+  const [alt, setAlt] = useState(element.alt || '');
+  const [selectedAssetId, setSelectedAssetId] = useState(null);
+  const [instruction, setInstruction] = useState('');
+
+  // Reset isian setiap kali elemen lain dipilih
+  useEffect(() => {
+    setText(element.text);
+    setAlt(element.alt || '');
+    setSelectedAssetId(null);
+    setInstruction('');
+  }, [element]);
+
+  // Versi terstruktur hanya bisa diubah langsung lewat field dokumen situsnya
+  const isDirectEditable = isStructured ? Boolean(element.fieldPath) : true;
+  const canEditText = isDirectEditable && !element.isImage && (isStructured || !element.hasChildren);
+  const canEditImage = isDirectEditable && element.isImage;
+  const selectedAsset = assets.find((asset) => asset.id === selectedAssetId);
+
+  return (
+    <div className="absolute top-20 right-8 w-80 max-h-[70%] overflow-y-auto bg-white rounded-xl shadow-xl border p-4 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-gray-700">
+          Elemen Terpilih{' '}
+          <code className="text-xs text-indigo-600">&lt;{element.tagName}&gt;</code>
+        </h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Tutup">
+          ✕
+        </button>
+      </div>
+      {element.fieldPath && (
+        <p className="text-xs text-gray-400 mb-2">Field: {element.fieldPath}</p>
+      )}
+
+      {canEditText && (
+        <div className="mb-3">
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={3}
+            disabled={disabled}
+            className="w-full px-2 py-1 border rounded text-gray-700 focus:ring-2 focus:ring-indigo-400 focus:outline-none"
+          />
+          <button
+            onClick={() => onSaveText(text)}
+            disabled={disabled || text === element.text}
+            className="w-full mt-1 px-3 py-1 text-xs font-semibold text-white bg-indigo-600 rounded hover:bg-indigo-700 disabled:bg-indigo-300"
+          >
+            Simpan Teks
+          </button>
+        </div>
+      )}
+
+      {canEditImage && (
+        <div className="mb-3">
+          <p className="text-xs text-gray-500 mb-1">Pilih gambar pengganti dari Media Library:</p>
+          {assets.length === 0 ? (
+            <p className="text-xs text-gray-400">Belum ada gambar. Upload gambar terlebih dahulu.</p>
+          ) : (
+            <div className="grid grid-cols-4 gap-1 max-h-32 overflow-y-auto">
+              {assets.map((asset) => (
+                <img
+                  key={asset.id}
+                  src={asset.thumbnailUrl || asset.url}
+                  alt={asset.name}
+                  title={asset.name}
+                  onClick={() => setSelectedAssetId(asset.id)}
+                  className={`w-full h-14 object-cover rounded cursor-pointer ${
+                    asset.id === selectedAssetId ? 'ring-2 ring-indigo-500' : ''
+                  }`}
+                />
+              ))}
+            </div>
+          )}
+          <input
+            type="text"
+            value={alt}
+            onChange={(e) => setAlt(e.target.value)}
+            placeholder="Teks alternatif (alt)"
+            disabled={disabled}
+            className="w-full px-2 py-1 mt-2 border rounded text-xs focus:ring-2 focus:ring-indigo-400 focus:outline-none"
+          />
+          <button
+            onClick={() => onReplaceImage(selectedAsset, alt)}
+            disabled={disabled || !selectedAsset}
+            className="w-full mt-1 px-3 py-1 text-xs font-semibold text-white bg-indigo-600 rounded hover:bg-indigo-700 disabled:bg-indigo-300"
+          >
+            Ganti Gambar
+          </button>
+        </div>
+      )}
+
+      <div className={canEditText || canEditImage ? 'border-t pt-3' : ''}>
+        <p className="text-xs text-gray-500 mb-1">Instruksi AI khusus elemen ini:</p>
+        <textarea
+          value={instruction}
+          onChange={(e) => setInstruction(e.target.value)}
+          rows={2}
+          placeholder="Contoh: buat lebih singkat dan tebal"
+          disabled={disabled}
+          className="w-full px-2 py-1 border rounded text-gray-700 focus:ring-2 focus:ring-indigo-400 focus:outline-none"
+        />
+        <button
+          onClick={() => onAskAI(instruction)}
+          disabled={disabled || !instruction.trim()}
+          className="w-full mt-1 px-3 py-1 text-xs font-semibold text-indigo-700 bg-indigo-50 rounded hover:bg-indigo-100 disabled:opacity-50"
+        >
+          Terapkan dengan AI
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,27 @@
 import React, { useState, useRef, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
-import axios from "axios";
 import toast from "react-hot-toast";
+import html2canvas from "html2canvas";
+import BusinessProfileModal from "./BusinessProfileModal";
+import CodeEditor from "./CodeEditor";
+import CompareView from "./CompareView";
 import ConfirmationModal from "./ConfirmationModal";
+import ElementEditPanel from "./ElementEditPanel";
+import ImportHtmlModal from "./ImportHtmlModal";
+import InputModal from "./InputModal";
+import MediaLibrary from "./MediaLibrary";
+import SectionEditor from "./SectionEditor";
+import SeoPanel from "./SeoPanel";
+import WhatsAppSettingsModal from "./WhatsAppSettingsModal";
 import logo from './assets/Logo-no-bg.png';
+import {
+  createApiClient,
+  ensureAccessToken,
+  hasSession,
+  isAuthError,
+  logout,
+  streamRequest,
+} from "./api";
 
 // --- Komponen Ikon (lengkap) ---
 
@@ -75,174 +93,1385 @@ const CopyIcon = () => (
     <path d="M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2" />
   </svg>
 );
+const PlusIcon = () => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    width="16"
+    height="16"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+  >
+    <line x1="12" y1="5" x2="12" y2="19" />
+    <line x1="5" y1="12" x2="19" y2="12" />
+  </svg>
+);
+const EditIcon = () => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    width="16"
+    height="16"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+  >
+    <path d="M12 20h9" />
+    <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z" />
+  </svg>
+);
+const CompareIcon = () => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    width="20"
+    height="20"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+  >
+    <polyline points="17 1 21 5 17 9" />
+    <path d="M3 11V9a4 4 0 0 1 4-4h14" />
+    <polyline points="7 23 3 19 7 15" />
+    <path d="M21 13v2a4 4 0 0 1-4 4H3" />
+  </svg>
+);
+
+const RestoreIcon = () => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    width="20"
+    height="20"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+  >
+    <polyline points="1 4 1 10 7 10" />
+    <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10" />
+  </svg>
+);
+
+const DownloadIcon = () => (
+  <svg
+    xmlns="http://www.w3.org/2000/svg"
+    width="20"
+    height="20"
+    viewBox="0 0 24 24"
+    fill="none"
+    stroke="currentColor"
+    strokeWidth="2"
+    strokeLinecap="round"
+    strokeLinejoin="round"
+  >
+    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+    <polyline points="7 10 12 15 17 10" />
+    <line x1="12" y1="15" x2="12" y2="3" />
+  </svg>
+);
+
+// Nama tampilan untuk asal sebuah versi
+const VERSION_SOURCE_LABELS = {
+  generate: "Generate AI",
+  edit: "Edit AI",
+  content: "Edit konten",
+  manual: "Edit kode",
+  import: "Impor HTML",
+  restore: "Dipulihkan",
+  translate: "Terjemahan",
+};
+
+// Menyusun riwayat menjadi baris-baris pohon versi (induk di atas turunannya).
+// Versi dengan satu turunan berlanjut di kedalaman yang sama; jika bercabang,
+// setiap cabang menjorok satu tingkat.
+const buildVersionRows = (history) => {
+  const ids = new Set(history.map((item) => item.id));
+  const childrenByParent = new Map();
+  [...history]
+    .sort((a, b) => a.version_number - b.version_number)
+    .forEach((item) => {
+      const parentId = ids.has(item.parent_generation_id)
+        ? item.parent_generation_id
+        : null;
+      if (!childrenByParent.has(parentId)) childrenByParent.set(parentId, []);
+      childrenByParent.get(parentId).push(item);
+    });
+
+  const rows = [];
+  const walk = (item, depth) => {
+    rows.push({ item, depth });
+    const children = childrenByParent.get(item.id) || [];
+    children.forEach((child) =>
+      walk(child, children.length > 1 ? depth + 1 : depth)
+    );
+  };
+  (childrenByParent.get(null) || []).forEach((root) => walk(root, 0));
+  return rows;
+};
+
+// Rantai instruksi (prompt) dari versi pertama sampai versi `generationId`,
+// mengikuti induk tiap versi. Versi tanpa prompt (edit konten, pemulihan) dilewati.
+const buildInstructionThread = (history, generationId) => {
+  const byId = new Map(history.map((item) => [item.id, item]));
+  const chain = [];
+  const visited = new Set();
+  let current = byId.get(generationId);
+  while (current && !visited.has(current.id)) {
+    visited.add(current.id);
+    chain.unshift(current);
+    current = byId.get(current.parent_generation_id);
+  }
+  return chain.filter((item) => item.prompt);
+};
+
+// Mengubah teks bebas menjadi slug URL, misal "Kopi Senja!" -> "kopi-senja".
+// Saat user masih mengetik (`trimEdges` false), tanda hubung di akhir dibiarkan.
+const slugify = (text, trimEdges = true) => {
+  const slug = text
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+/, "")
+    .slice(0, 50);
+  return trimEdges ? slug.replace(/-+$/, "") : slug;
+};
+
+// Mengambil bagian HTML dari teks AI yang masih setengah jadi (selama streaming)
+const extractPartialHtml = (text) => {
+  // Format terstruktur: AI menulis JSON, preview baru tersedia setelah di-render server
+  if (/^\s*(```json|\{)/.test(text)) return "";
+  let html = text;
+  const fenceStart = html.indexOf("```");
+  if (fenceStart >= 0) {
+    const lineEnd = html.indexOf("\n", fenceStart);
+    html = lineEnd >= 0 ? html.slice(lineEnd + 1) : "";
+  }
+  const fenceEnd = html.indexOf("```");
+  if (fenceEnd >= 0) html = html.slice(0, fenceEnd);
+  const docTypeIndex = html.indexOf("<!DOCTYPE html>");
+  if (docTypeIndex > 0) html = html.slice(docTypeIndex);
+  return html;
+};
+
+// Data gambar yang dikirim ke AI bersama prompt
+const toImagePayload = ({ url, width, height, srcset, webpSrcset }) => ({
+  url,
+  width,
+  height,
+  srcset,
+  webpSrcset,
+});
+
+// Ukuran layar perangkat untuk preview (orientasi potret); desktop memakai lebar penuh
+const DEVICE_PRESETS = {
+  mobile: { label: "Ponsel", width: 390, height: 844 },
+  tablet: { label: "Tablet", width: 820, height: 1180 },
+  desktop: { label: "Desktop", width: null, height: null },
+};
+const ZOOM_LEVELS = [0.5, 0.75, 1];
+
+// Thumbnail versi di-screenshot dari tampilan desktop, setelah Tailwind (CDN)
+// dan gambar sempat dimuat di dalam preview
+const THUMBNAIL_VIEWPORT = { width: 1280, height: 800 };
+const THUMBNAIL_DELAY_MS = 1500;
+
+// Style penanda elemen saat mode pilih elemen aktif (disuntikkan ke dalam iframe preview)
+const SELECTION_STYLE = `
+  [data-sisdigi-hover] { outline: 2px dashed #6366f1 !important; outline-offset: 2px; cursor: pointer; }
+  [data-sisdigi-selected] { outline: 3px solid #4f46e5 !important; outline-offset: 2px; }
+`;
+
+// Path elemen = indeks anak (hanya elemen) dari <body> sampai elemen tersebut.
+// Server memakai path yang sama untuk menemukan elemen di HTML tersimpan.
+const getElementPath = (element) => {
+  const path = [];
+  let current = element;
+  while (current && current !== current.ownerDocument.body) {
+    path.unshift(Array.from(current.parentElement.children).indexOf(current));
+    current = current.parentElement;
+  }
+  return path;
+};
 
 export default function GeneratorPage() {
   const navigate = useNavigate();
   const [prompt, setPrompt] = useState("");
   const [generatedHtml, setGeneratedHtml] = useState("");
+  // Dokumen situs terstruktur dari versi yang dibuka (null untuk versi lama yang hanya HTML)
+  const [siteDocument, setSiteDocument] = useState(null);
+  const [editingSectionId, setEditingSectionId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
+  // Gambar dari media library yang dipilih untuk dikirim ke AI
   const [uploadedImages, setUploadedImages] = useState([]);
+  const [assets, setAssets] = useState([]);
+  const [assetScope, setAssetScope] = useState("project");
   const [history, setHistory] = useState([]);
   const [activeHistoryId, setActiveHistoryId] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [activeProjectId, setActiveProjectId] = useState(null);
+  // Ref dipakai oleh proses async (job, riwayat) agar selalu membaca project terbaru
+  const activeProjectIdRef = useRef(null);
   const fileInputRef = useRef(null);
-  const [publishedUrl, setPublishedUrl] = useState("");
-  const [publishedId, setPublishedId] = useState(null);
+  const iframeRef = useRef(null);
+  const [isSelectMode, setIsSelectMode] = useState(false);
+  const isSelectModeRef = useRef(false);
+  const [selectedElement, setSelectedElement] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [previewTab, setPreviewTab] = useState("preview");
+  const [previewDevice, setPreviewDevice] = useState("desktop");
+  const [isLandscape, setIsLandscape] = useState(false);
+  const [previewZoom, setPreviewZoom] = useState(1);
+  const thumbnailAttemptsRef = useRef(new Set());
+  const [versionDetails, setVersionDetails] = useState({ label: "", notes: "" });
+  const [isCompareOpen, setIsCompareOpen] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [presets, setPresets] = useState([]);
+  const [selectedPresetId, setSelectedPresetId] = useState(null);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [businessProfile, setBusinessProfile] = useState(null);
+  const [isProfileOpen, setIsProfileOpen] = useState(false);
+  const [isSavingProfile, setIsSavingProfile] = useState(false);
+  const [whatsappSettings, setWhatsappSettings] = useState(null);
+  const [isWhatsappOpen, setIsWhatsappOpen] = useState(false);
+  const [isSavingWhatsapp, setIsSavingWhatsapp] = useState(false);
+  const [siteLanguages, setSiteLanguages] = useState([]);
+  const [availableLanguages, setAvailableLanguages] = useState([]);
+  const [seoReport, setSeoReport] = useState(null);
+  const [isCheckingSeo, setIsCheckingSeo] = useState(false);
+  const [isSavingSeo, setIsSavingSeo] = useState(false);
+  const [streamingHtml, setStreamingHtml] = useState("");
+  const [jobStatus, setJobStatus] = useState(null);
+  const abortControllerRef = useRef(null);
+  const activeJobIdRef = useRef(null);
+  const [sites, setSites] = useState([]);
+  const [slugInput, setSlugInput] = useState("");
   const [modalState, setModalState] = useState({
     isOpen: false,
     title: "",
     message: "",
     onConfirm: () => {},
   });
-  
-  const fetchUserData = async () => {
+  const [inputModalState, setInputModalState] = useState({
+    isOpen: false,
+    title: "",
+    label: "",
+    initialValue: "",
+    submitLabel: "Simpan",
+    onSubmit: () => {},
+  });
+
+  // Mengambil daftar website yang sedang live (satu per project)
+  const fetchSites = async () => {
+    const api = createApiInstance();
+    if (!api) return;
+    try {
+      const response = await api.get("/api/sites");
+      setSites(response.data);
+    } catch (error) {
+      console.error("Gagal mengambil daftar website:", error);
+    }
+  };
+
+  // Mengambil galeri preset industri & role user (admin bisa mengelola preset)
+  const fetchPresets = async () => {
+    const api = createApiInstance();
+    if (!api) return;
+    try {
+      const [presetResponse, userResponse] = await Promise.all([
+        api.get("/api/presets"),
+        api.get("/api/auth/me"),
+      ]);
+      setPresets(presetResponse.data);
+      setIsAdmin(userResponse.data.role === "admin");
+    } catch (error) {
+      console.error("Gagal mengambil preset industri:", error);
+    }
+  };
+
+  // Buka form profil bisnis dengan data terbaru dari server
+  const openBusinessProfile = async () => {
+    const api = createApiInstance();
+    if (!api) return;
+    try {
+      const response = await api.get("/api/business-profile");
+      setBusinessProfile(response.data);
+      setIsProfileOpen(true);
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error("Gagal mengambil profil bisnis.");
+    }
+  };
+
+  const saveBusinessProfile = async (profile) => {
+    const api = createApiInstance();
+    if (!api) return;
+    setIsSavingProfile(true);
+    try {
+      const response = await api.put("/api/business-profile", {
+        ...profile,
+        latitude: profile.latitude === "" ? null : profile.latitude,
+        longitude: profile.longitude === "" ? null : profile.longitude,
+      });
+      setBusinessProfile(response.data);
+      setIsProfileOpen(false);
+      toast.success("Profil bisnis disimpan. Data ini dipakai di generate & edit berikutnya.");
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error(error.response?.data?.error || "Gagal menyimpan profil bisnis.");
+    }
+    setIsSavingProfile(false);
+  };
+
+  // Bahasa tambahan website project (terjemahan & tombol pengalih bahasa)
+  const fetchLanguages = async (projectId = activeProjectIdRef.current) => {
+    const api = createApiInstance();
+    if (!api || !projectId) return;
+    try {
+      const response = await api.get(`/api/projects/${projectId}/languages`);
+      setSiteLanguages(response.data.languages);
+      setAvailableLanguages(response.data.available);
+    } catch (error) {
+      console.error("Gagal mengambil pengaturan bahasa:", error);
+    }
+  };
+
+  const toggleSiteLanguage = async (code) => {
+    const api = createApiInstance();
+    if (!api || !activeProjectId) return;
+    const languages = siteLanguages.includes(code)
+      ? siteLanguages.filter((item) => item !== code)
+      : [...siteLanguages, code];
+    try {
+      const response = await api.put(`/api/projects/${activeProjectId}/languages`, { languages });
+      setSiteLanguages(response.data.languages);
+      toast.success("Bahasa website disimpan. Berlaku di versi berikutnya & saat publikasi.");
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error(error.response?.data?.error || "Gagal menyimpan pengaturan bahasa.");
+    }
+  };
+
+  // Terjemahkan ulang versi aktif ke satu bahasa; hasilnya menjadi versi baru
+  const retranslateVersion = async (code) => {
+    const api = createApiInstance();
+    if (!api || !activeHistoryId || isLoading) return;
+    setIsLoading(true);
+    try {
+      const response = await api.post(`/api/generations/${activeHistoryId}/translate`, {
+        lang: code,
+      });
+      if (response.data.unchanged) {
+        toast.success("Terjemahan sudah yang terbaru, tidak ada versi baru.");
+        setIsLoading(false);
+        return;
+      }
+      setGeneratedHtml(response.data.htmlCode);
+      setSiteDocument(response.data.site);
+      setActiveHistoryId(response.data.generationId);
+      await fetchHistory();
+      toast.success("Terjemahan diperbarui sebagai versi baru.");
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error(error.response?.data?.error || "Gagal menerjemahkan ulang website.");
+    }
+    setIsLoading(false);
+  };
+
+  // Checklist SEO versi aktif. Project yang belum live memakai slug yang sedang diisi
+  // sebagai alamat canonical.
+  const fetchSeoReport = async () => {
+    const api = createApiInstance();
+    if (!api || !activeHistoryId) return;
+    setIsCheckingSeo(true);
+    try {
+      const response = await api.get(`/api/generations/${activeHistoryId}/seo`, {
+        params: activeSite ? {} : { slug: slugInput || suggestedSlug },
+      });
+      setSeoReport(response.data);
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error("Gagal memeriksa SEO.");
+    }
+    setIsCheckingSeo(false);
+  };
+
+  const saveSeoSettings = async (settings) => {
+    const api = createApiInstance();
+    if (!api || !activeProjectId) return;
+    setIsSavingSeo(true);
+    try {
+      await api.put(`/api/projects/${activeProjectId}/seo`, settings);
+      toast.success("Pengaturan SEO disimpan. Berlaku saat publikasi berikutnya.");
+      await fetchSeoReport();
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error(error.response?.data?.error || "Gagal menyimpan pengaturan SEO.");
+    }
+    setIsSavingSeo(false);
+  };
+
+  // Pengaturan WhatsApp milik project aktif
+  const openWhatsappSettings = async () => {
+    const api = createApiInstance();
+    if (!api || !activeProjectId) return;
+    try {
+      const response = await api.get(`/api/projects/${activeProjectId}/whatsapp`);
+      setWhatsappSettings(response.data);
+      setIsWhatsappOpen(true);
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error("Gagal mengambil pengaturan WhatsApp.");
+    }
+  };
+
+  const saveWhatsappSettings = async (settings) => {
+    const api = createApiInstance();
+    if (!api || !activeProjectId) return;
+    setIsSavingWhatsapp(true);
+    try {
+      const response = await api.put(`/api/projects/${activeProjectId}/whatsapp`, settings);
+      setWhatsappSettings(response.data);
+      setIsWhatsappOpen(false);
+      toast.success(
+        response.data.enabled && !response.data.effectiveNumber
+          ? "Disimpan, tetapi tombol WhatsApp belum tampil karena nomor belum diisi."
+          : "Pengaturan WhatsApp disimpan. Berlaku di versi berikutnya & saat publikasi."
+      );
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error(error.response?.data?.error || "Gagal menyimpan pengaturan WhatsApp.");
+    }
+    setIsSavingWhatsapp(false);
+  };
+
+  // Mengambil media library: gambar project aktif, atau semua gambar milik user
+  const fetchAssets = async (
+    projectId = activeProjectIdRef.current,
+    scope = assetScope
+  ) => {
+    const api = createApiInstance();
+    if (!api) return;
+    try {
+      const response = await api.get("/api/assets", {
+        params: scope === "project" ? { projectId } : {},
+      });
+      setAssets(response.data);
+    } catch (error) {
+      console.error("Gagal mengambil media library:", error);
+    }
+  };
+
+  const createApiInstance = () => {
+    if (!hasSession()) {
+      navigate("/login");
+      return null;
+    }
+    // Token yang kadaluarsa diperbarui otomatis; kembali ke login hanya jika sesi sudah dicabut
+    return createApiClient(() => navigate("/login"));
+  };
+
+  const fetchHistory = async (
+    projectId = activeProjectIdRef.current,
+    { autoLoadLatest = false } = {}
+  ) => {
+    const api = createApiInstance();
+    if (!api || !projectId) return;
+    try {
+      const response = await api.get("/api/generations", {
+        params: { projectId },
+      });
+      setHistory(response.data);
+      // Muat riwayat paling baru secara otomatis saat project dibuka
+      if (response.data.length > 0 && autoLoadLatest) {
+        await loadHistoryItem(response.data[0].id);
+      }
+    } catch (error) {
+      console.error("Gagal memuat riwayat:", error);
+    }
+  };
+
+  // Pindah ke project lain: kosongkan editor lalu muat riwayat project tersebut
+  const selectProject = async (projectId, { autoLoadLatest = true } = {}) => {
+    activeProjectIdRef.current = projectId;
+    setActiveProjectId(projectId);
+    localStorage.setItem("activeProjectId", projectId);
+    setGeneratedHtml("");
+    setSiteDocument(null);
+    setActiveHistoryId(null);
+    setIsEditing(false);
+    setUploadedImages([]);
+    setHistory([]);
+    setSlugInput("");
+    fetchAssets(projectId);
+    fetchLanguages(projectId);
+    await fetchHistory(projectId, { autoLoadLatest });
+  };
+
+  // Memuat daftar project dan memilih yang terakhir dibuka. Jika user belum punya
+  // project sama sekali, satu project dibuat otomatis. Mengembalikan ID project aktif.
+  const fetchProjects = async ({ preferredId } = {}) => {
+    const api = createApiInstance();
+    if (!api) return null;
+    try {
+      let response = await api.get("/api/projects");
+      if (response.data.length === 0) {
+        await api.post("/api/projects", { name: "Project Pertama" });
+        response = await api.get("/api/projects");
+      }
+      setProjects(response.data);
+
+      const savedId = Number(
+        preferredId || localStorage.getItem("activeProjectId")
+      );
+      const project =
+        response.data.find((item) => item.id === savedId) || response.data[0];
+      await selectProject(project.id);
+      return project.id;
+    } catch (error) {
+      console.error("Gagal memuat project:", error);
+      toast.error("Gagal memuat daftar project.");
+      return null;
+    }
+  };
+
+  const handleCreateProject = () => {
+    setInputModalState({
+      isOpen: true,
+      title: "Project Baru",
+      label: "Nama project (misal nama usaha Anda):",
+      initialValue: "",
+      submitLabel: "Buat Project",
+      onSubmit: async (name) => {
+        const api = createApiInstance();
+        if (!api) return;
+        try {
+          const response = await api.post("/api/projects", { name });
+          await fetchProjects({ preferredId: response.data.id });
+          toast.success(`Project "${name}" dibuat.`);
+        } catch (error) {
+          toast.error(error.response?.data?.error || "Gagal membuat project.");
+        }
+      },
+    });
+  };
+
+  const handleRenameProject = () => {
+    const project = projects.find((item) => item.id === activeProjectId);
+    if (!project) return;
+    setInputModalState({
+      isOpen: true,
+      title: "Ganti Nama Project",
+      label: "Nama project:",
+      initialValue: project.name,
+      submitLabel: "Simpan",
+      onSubmit: async (name) => {
+        const api = createApiInstance();
+        if (!api) return;
+        try {
+          await api.patch(`/api/projects/${project.id}`, { name });
+          setProjects((prev) =>
+            prev.map((item) =>
+              item.id === project.id ? { ...item, name } : item
+            )
+          );
+          toast.success("Nama project diperbarui.");
+        } catch (error) {
+          toast.error(
+            error.response?.data?.error || "Gagal mengganti nama project."
+          );
+        }
+      },
+    });
+  };
+
+  const handleDeleteProject = () => {
+    const project = projects.find((item) => item.id === activeProjectId);
+    if (!project) return;
+    setModalState({
+      isOpen: true,
+      title: `Hapus Project "${project.name}"?`,
+      message:
+        "Semua versi di project ini akan ikut terhapus. Tindakan ini tidak dapat dibatalkan.",
+      onConfirm: async () => {
+        const api = createApiInstance();
+        if (!api) return;
+        try {
+          await api.delete(`/api/projects/${project.id}`);
+          localStorage.removeItem("activeProjectId");
+          await fetchProjects();
+          toast.success("Project berhasil dihapus.");
+        } catch (error) {
+          toast.error(error.response?.data?.error || "Gagal menghapus project.");
+        }
+      },
+    });
+  };
+
+  const loadHistoryItem = async (generationId) => {
+    if (isLoading) return;
+    setIsLoading(true);
+    const api = createApiInstance();
+    if (!api) return;
+    try {
+      const response = await api.get(`/api/generations/${generationId}`);
+      setGeneratedHtml(response.data.html_code);
+      setSiteDocument(response.data.site_json);
+      setIsEditing(true);
+      setActiveHistoryId(generationId);
+    } catch (error) {
+      toast.error("Gagal memuat detail riwayat.");
+      console.error(error);
+    }
+    setIsLoading(false);
+  };
+
+  // Salin isi versi lama menjadi versi terbaru
+  const restoreHistoryItem = async (item) => {
+    const api = createApiInstance();
+    if (!api || isLoading) return;
+    setIsLoading(true);
+    try {
+      const response = await api.post(`/api/generations/${item.id}/restore`);
+      setGeneratedHtml(response.data.htmlCode);
+      setSiteDocument(response.data.site);
+      setIsEditing(true);
+      setActiveHistoryId(response.data.generationId);
+      await fetchHistory();
+      toast.success(`Versi #${item.version_number} dipulihkan sebagai versi terbaru.`);
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error(error.response?.data?.error || "Gagal memulihkan versi.");
+    }
+    setIsLoading(false);
+  };
+
+  const saveVersionDetails = async () => {
+    const api = createApiInstance();
+    if (!api || !activeHistoryId) return;
+    try {
+      const response = await api.patch(
+        `/api/generations/${activeHistoryId}`,
+        versionDetails
+      );
+      setHistory((prev) =>
+        prev.map((item) =>
+          item.id === activeHistoryId ? { ...item, ...response.data } : item
+        )
+      );
+      toast.success("Label versi disimpan.");
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error(error.response?.data?.error || "Gagal menyimpan label versi.");
+    }
+  };
+
+  // Bandingkan versi di riwayat dengan versi yang sedang dibuka (versi lama di kiri)
+  const compareWithActive = async (item) => {
+    const api = createApiInstance();
+    if (!api || !activeHistoryId) return;
+    const activeItem = history.find((entry) => entry.id === activeHistoryId);
+    if (!activeItem) return;
+    const [fromItem, toItem] =
+      item.id < activeHistoryId ? [item, activeItem] : [activeItem, item];
+    try {
+      const response = await api.get("/api/generations/diff", {
+        params: { from: fromItem.id, to: toItem.id },
+      });
+      setComparison({
+        ...response.data,
+        fromLabel: `Versi #${fromItem.version_number}`,
+        toLabel: `Versi #${toItem.version_number}`,
+      });
+      setIsCompareOpen(true);
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error(error.response?.data?.error || "Gagal membandingkan versi.");
+    }
+  };
+
+  // Unduh versi sebagai ZIP (index.html + gambar + CSS) untuk di-hosting sendiri
+  const downloadVersionZip = async (item) => {
     const api = createApiInstance();
     if (!api) return;
     try {
-      const response = await api.get("/api/auth/me");
-      if (response.data.published_url) {
-        setPublishedUrl(response.data.published_url);
-        setPublishedId(response.data.published_generation_id);
-      }
+      const response = await api.get(`/api/generations/${item.id}/export`, {
+        responseType: "blob",
+      });
+      const disposition = response.headers["content-disposition"] || "";
+      const fileName =
+        disposition.match(/filename="?([^";]+)"?/)?.[1] ||
+        `website-versi-${item.version_number}.zip`;
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error("Gagal mengunduh ZIP.");
+    }
+  };
+
+  const deleteHistoryItem = async (generationId) => {
+    setModalState({
+      isOpen: true,
+      title: "Hapus Riwayat?",
+      message:
+        "Apakah Anda yakin ingin menghapus riwayat ini? Tindakan ini tidak dapat dibatalkan.",
+      onConfirm: async () => {
+        const api = createApiInstance();
+        if (!api) return;
+        try {
+          await api.delete(`/api/generations/${generationId}`);
+          // Turunan versi yang dihapus pindah ke induknya (sama seperti di server)
+          setHistory((prev) => {
+            const deleted = prev.find((item) => item.id === generationId);
+            return prev
+              .filter((item) => item.id !== generationId)
+              .map((item) =>
+                item.parent_generation_id === generationId
+                  ? { ...item, parent_generation_id: deleted.parent_generation_id }
+                  : item
+              );
+          });
+          if (activeHistoryId === generationId) {
+            setGeneratedHtml("");
+            setSiteDocument(null);
+            setActiveHistoryId(null);
+          }
+          toast.success("Riwayat berhasil dihapus.");
+        } catch (error) {
+          toast.error("Gagal menghapus riwayat.");
+        }
+      },
+    });
+  };
+
+  useEffect(() => {
+    const initialize = async () => {
+      // Access token yang hilang diperbarui dulu agar request awal tidak gagal bersamaan
+      if (!(await ensureAccessToken())) {
+        navigate("/login");
+        return;
+      }
+      fetchSites(); // Panggil daftar website yang sudah live
+      fetchPresets(); // Panggil galeri preset industri
+      const projectId = await fetchProjects(); // Panggil project & riwayatnya
+      await resumeActiveJob(projectId); // Sambungkan kembali ke job yang masih berjalan
+    };
+    initialize();
+  }, []);
+
+  // Isi form label & catatan mengikuti versi yang sedang dibuka
+  useEffect(() => {
+    const item = history.find((entry) => entry.id === activeHistoryId);
+    setVersionDetails({ label: item?.label || "", notes: item?.notes || "" });
+  }, [activeHistoryId, history]);
+
+  // Checklist SEO milik versi sebelumnya tidak berlaku lagi
+  useEffect(() => {
+    setSeoReport(null);
+  }, [activeHistoryId]);
+
+  const handleImageUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    setIsLoading(true);
+    const formData = new FormData();
+    formData.append("projectId", activeProjectId);
+    formData.append("image", file);
+    try {
+      const api = createApiInstance();
+      const response = await api.post("/api/upload", formData);
+      // Respons berisi data media library: URL utama, thumbnail, dan srcset semua varian
+      const newImage = response.data;
+      setAssets((prev) => [newImage, ...prev]);
+      setUploadedImages((prevImages) => [...prevImages, newImage]);
+      setPrompt((prev) => `${prev}\n\n[Gambar ditambahkan: ${newImage.url}]`);
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else
+        toast.error(
+          `Gagal mengunggah gambar: ${
+            error.response?.data?.error || error.message
+          }`
+        );
+    }
+    setIsLoading(false);
+    event.target.value = null;
+  };
+
+  // Impor HTML milik user (file .html/.zip atau kode yang ditempel) sebagai versi baru
+  const handleImportHtml = async ({ file, htmlCode }) => {
+    const api = createApiInstance();
+    if (!api || !activeProjectId) return;
+    setIsLoading(true);
+    let payload = { htmlCode };
+    if (file) {
+      payload = new FormData();
+      payload.append("file", file);
+    }
+    try {
+      const response = await api.post(
+        `/api/projects/${activeProjectId}/import`,
+        payload
+      );
+      setGeneratedHtml(response.data.htmlCode);
+      setSiteDocument(response.data.site);
+      notifyValidationReport(response.data.validationReport);
+      setIsEditing(true);
+      setActiveHistoryId(response.data.generationId);
+      setIsImportOpen(false);
+      await Promise.all([fetchHistory(), fetchAssets()]);
+      toast.success(
+        response.data.images.length > 0
+          ? `HTML diimpor. ${response.data.images.length} gambar ditambahkan ke Media Library.`
+          : "HTML diimpor sebagai versi baru."
+      );
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error(error.response?.data?.error || "Gagal mengimpor HTML.");
+    }
+    setIsLoading(false);
+  };
+
+  const handleToggleAsset = (asset) => {
+    setUploadedImages((prev) =>
+      prev.some((image) => image.id === asset.id)
+        ? prev.filter((image) => image.id !== asset.id)
+        : [...prev, asset]
+    );
+  };
+
+  const handleAssetScopeChange = (scope) => {
+    setAssetScope(scope);
+    fetchAssets(activeProjectIdRef.current, scope);
+  };
+
+  // Simpan perubahan nama/tag, lalu perbarui daftar & pilihan gambar
+  const updateAsset = async (asset, changes, successMessage) => {
+    const api = createApiInstance();
+    if (!api) return;
+    try {
+      const response = await api.patch(`/api/assets/${asset.id}`, changes);
+      const replace = (list) =>
+        list.map((item) => (item.id === asset.id ? response.data : item));
+      setAssets(replace);
+      setUploadedImages(replace);
+      toast.success(successMessage);
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Gagal memperbarui gambar.");
+    }
+  };
+
+  const handleRenameAsset = (asset) => {
+    setInputModalState({
+      isOpen: true,
+      title: "Ganti Nama Gambar",
+      label: "Nama gambar:",
+      initialValue: asset.name,
+      submitLabel: "Simpan",
+      onSubmit: (name) =>
+        updateAsset(asset, { name }, "Nama gambar diperbarui."),
+    });
+  };
+
+  const handleEditAssetTags = (asset) => {
+    setInputModalState({
+      isOpen: true,
+      title: "Tag Gambar",
+      label: "Tag, pisahkan dengan koma (misal: produk, menu, toko):",
+      initialValue: asset.tags.join(", "),
+      submitLabel: "Simpan",
+      onSubmit: (tags) => updateAsset(asset, { tags }, "Tag gambar diperbarui."),
+    });
+  };
+
+  const handleDeleteAsset = (asset) => {
+    const deleteAsset = async (force) => {
+      const api = createApiInstance();
+      if (!api) return;
+      try {
+        await api.delete(`/api/assets/${asset.id}`, {
+          params: force ? { force: true } : {},
+        });
+        setAssets((prev) => prev.filter((item) => item.id !== asset.id));
+        setUploadedImages((prev) =>
+          prev.filter((item) => item.id !== asset.id)
+        );
+        toast.success("Gambar berhasil dihapus.");
+      } catch (error) {
+        // Gambar masih dipakai versi tersimpan: minta konfirmasi kedua
+        if (error.response?.data?.code === "ASSET_IN_USE") {
+          const { error: warning, references } = error.response.data;
+          const versions = references
+            .map(
+              (ref) =>
+                `${ref.projectName || "Project"} (ID ${ref.generationId})${
+                  ref.publishedSlug ? ` - live di /${ref.publishedSlug}/` : ""
+                }`
+            )
+            .join(", ");
+          setModalState({
+            isOpen: true,
+            title: "Gambar Masih Dipakai",
+            message: `${warning} Versi: ${versions}. Jika tetap dihapus, gambar di versi tersebut tidak akan tampil lagi.`,
+            onConfirm: () => deleteAsset(true),
+          });
+        } else {
+          toast.error(error.response?.data?.error || "Gagal menghapus gambar.");
+        }
+      }
+    };
+
+    setModalState({
+      isOpen: true,
+      title: `Hapus Gambar "${asset.name}"?`,
+      message: "Gambar dan semua variannya akan dihapus dari penyimpanan.",
+      onConfirm: () => deleteAsset(false),
+    });
+  };
+
+  // Mengikuti progres job lewat SSE sampai selesai. Jika koneksi terputus,
+  // sambung ulang; status akhir job tetap tersimpan di server.
+  const watchJob = async (jobId, signal) => {
+    let receivedText = "";
+    let lastPreviewAt = 0;
+    const updatePreview = () => {
+      // Batasi pembaruan preview agar iframe tidak terus-menerus dimuat ulang
+      const now = Date.now();
+      if (now - lastPreviewAt > 400) {
+        lastPreviewAt = now;
+        setStreamingHtml(extractPartialHtml(receivedText));
+      }
+    };
+
+    let finalStatus = null;
+    const handleEvent = (event, data) => {
+      if (event === "snapshot") {
+        receivedText = data.text;
+        updatePreview();
+      } else if (event === "delta") {
+        receivedText += data.text;
+        updatePreview();
+      } else if (event === "status") {
+        setJobStatus(data);
+        if (data.status === "queued") {
+          // Job dijadwalkan ulang (retry): mulai preview dari awal
+          receivedText = "";
+          setStreamingHtml("");
+        }
+        if (["succeeded", "failed", "cancelled"].includes(data.status)) {
+          finalStatus = data;
+        }
+      }
+    };
+
+    while (!finalStatus) {
+      await streamRequest(`/api/jobs/${jobId}/events`, null, {
+        signal,
+        onEvent: handleEvent,
+      });
+      if (!finalStatus) {
+        await new Promise((resolve) => setTimeout(resolve, 2000));
+      }
+    }
+    return finalStatus;
+  };
+
+  // Simpan perubahan konten satu section (tanpa AI) sebagai versi baru
+  const handleSaveSection = async (sectionId, fields) => {
+    const api = createApiInstance();
+    if (!api || !activeHistoryId) return;
+    setIsLoading(true);
+    try {
+      const response = await api.patch(
+        `/api/generations/${activeHistoryId}/sections/${sectionId}`,
+        { fields }
+      );
+      setGeneratedHtml(response.data.htmlCode);
+      setSiteDocument(response.data.site);
+      setActiveHistoryId(response.data.generationId);
+      await fetchHistory();
+      toast.success("Konten disimpan sebagai versi baru.");
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error(error.response?.data?.error || "Gagal menyimpan konten.");
+    }
+    setIsLoading(false);
+  };
+
+  // Beri tahu user jika HTML hasil AI diperbaiki atau ada peringatan dari validasi server
+  const notifyValidationReport = (report) => {
+    if (!report) return;
+    const fixes = report.repaired.length + report.removed.length;
+    if (fixes > 0) {
+      toast(`HTML hasil AI diperbaiki otomatis (${fixes} perbaikan).`);
+    }
+    report.warnings.forEach((warning) =>
+      toast(warning, { icon: "⚠️", duration: 6000 })
+    );
+  };
+
+  // Menjalankan (atau menyambung kembali ke) job generate/edit sampai hasilnya tampil
+  const runJob = async (jobId) => {
+    setIsLoading(true);
+    setStreamingHtml("");
+    setJobStatus(null);
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    activeJobIdRef.current = jobId;
+    let isSuccess = false;
+    let wasCancelled = false;
+    try {
+      const finalStatus = await watchJob(jobId, controller.signal);
+      if (finalStatus.status === "succeeded") {
+        const api = createApiInstance();
+        const response = await api.get(`/api/jobs/${jobId}/result`);
+        setGeneratedHtml(response.data.htmlCode);
+        setSiteDocument(response.data.site);
+        notifyValidationReport(response.data.validationReport);
+        setActiveHistoryId(response.data.generationId);
+        setIsEditing(true);
+        await fetchHistory(); // Memuat ulang riwayat setelah berhasil
+        isSuccess = true;
+      } else if (finalStatus.status === "cancelled") {
+        wasCancelled = true;
+        toast("Permintaan dibatalkan.");
+      } else {
+        throw new Error(finalStatus.error || "Job gagal diproses.");
+      }
+    } catch (error) {
+      if (error.name === "AbortError") {
+        wasCancelled = true;
+        toast("Permintaan dibatalkan.");
+      } else if (isAuthError(error.response)) navigate("/login");
+      else
+        toast.error(
+          `Maaf, terjadi kesalahan: ${
+            error.response?.data?.error || error.message
+          }`
+        );
+    }
+    abortControllerRef.current = null;
+    activeJobIdRef.current = null;
+    setStreamingHtml("");
+    setJobStatus(null);
+    setIsLoading(false);
+    return isSuccess || !wasCancelled;
+  };
+
+  // Membuat job AI baru lalu mengikutinya sampai selesai.
+  // Mengembalikan false jika job gagal dibuat atau dibatalkan.
+  const submitJob = async (payload) => {
+    setIsLoading(true);
+    let jobId;
+    try {
+      const api = createApiInstance();
+      const response = await api.post("/api/jobs", payload);
+      jobId = response.data.jobId;
+    } catch (error) {
+      if (isAuthError(error.response)) navigate("/login");
+      else
+        toast.error(
+          `Maaf, terjadi kesalahan: ${
+            error.response?.data?.error || error.message
+          }`
+        );
+      setIsLoading(false);
+      return false;
+    }
+    return runJob(jobId);
+  };
+
+  const handleGenerateOrEdit = async () => {
+    if (!prompt.trim()) {
+      toast.error("Prompt tidak boleh kosong!");
+      return;
+    }
+    const shouldClearPrompt = await submitJob({
+      type: isEditing ? "edit" : "generate",
+      projectId: activeProjectId,
+      userPrompt: prompt,
+      imageUrls: uploadedImages.map(toImagePayload),
+      currentHtml: isEditing ? generatedHtml : null,
+      // Versi terstruktur diedit lewat dokumen situsnya di server
+      baseGenerationId: isEditing ? activeHistoryId : null,
+      presetId: isEditing ? null : selectedPresetId,
+    });
+    // Prompt dipertahankan jika dibatalkan agar bisa langsung dikirim ulang
+    if (shouldClearPrompt) setPrompt("");
+  };
+
+  // Jalankan ulang instruksi dari percakapan: deskripsi awal membuat website baru,
+  // instruksi edit diterapkan ke versi yang sedang dibuka
+  const rerunInstruction = (item) =>
+    submitJob({
+      type: item.source === "generate" ? "generate" : "edit",
+      projectId: activeProjectId,
+      userPrompt: item.prompt,
+      imageUrls: uploadedImages.map(toImagePayload),
+      currentHtml: item.source === "generate" ? null : generatedHtml,
+      baseGenerationId: item.source === "generate" ? null : activeHistoryId,
+      presetId: item.source === "generate" ? selectedPresetId : null,
+    });
+
+  // Screenshot preview versi yang sedang dibuka lalu unggah sebagai thumbnail riwayat.
+  // Hanya dicoba sekali per versi per sesi; kegagalan cukup dicatat di console.
+  const captureThumbnail = async (generationId, doc) => {
+    thumbnailAttemptsRef.current.add(generationId);
+    await new Promise((resolve) => setTimeout(resolve, THUMBNAIL_DELAY_MS));
+    if (iframeRef.current?.contentDocument !== doc) return; // Preview sudah berganti
+    try {
+      const canvas = await html2canvas(doc.documentElement, {
+        windowWidth: THUMBNAIL_VIEWPORT.width,
+        windowHeight: THUMBNAIL_VIEWPORT.height,
+        width: THUMBNAIL_VIEWPORT.width,
+        height: THUMBNAIL_VIEWPORT.height,
+        x: 0,
+        y: 0,
+        scrollX: 0,
+        scrollY: 0,
+        scale: 0.25,
+        useCORS: true,
+        logging: false,
+        // Penanda mode pilih elemen tidak ikut ter-screenshot
+        onclone: (clonedDoc) =>
+          clonedDoc
+            .querySelectorAll("[data-sisdigi-hover], [data-sisdigi-selected]")
+            .forEach((item) => {
+              item.removeAttribute("data-sisdigi-hover");
+              item.removeAttribute("data-sisdigi-selected");
+            }),
+      });
+      const blob = await new Promise((resolve) =>
+        canvas.toBlob(resolve, "image/jpeg", 0.8)
+      );
+      const api = createApiInstance();
+      if (!blob || !api) return;
+      const formData = new FormData();
+      formData.append("thumbnail", blob, `versi-${generationId}.jpg`);
+      const response = await api.post(
+        `/api/generations/${generationId}/thumbnail`,
+        formData
+      );
+      setHistory((prev) =>
+        prev.map((item) =>
+          item.id === generationId
+            ? { ...item, thumbnail_url: response.data.thumbnailUrl }
+            : item
+        )
+      );
     } catch (error) {
-      console.error("Gagal mengambil data user:", error);
+      console.error("Gagal membuat thumbnail versi:", error);
     }
   };
 
-  const createApiInstance = () => {
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-      navigate("/login");
-      return null;
+  // --- Mode pilih elemen di preview ---
+  // Listener dipasang setiap kali iframe selesai dimuat; listener membaca ref
+  // agar mode bisa dinyalakan/dimatikan tanpa memuat ulang preview.
+  const handlePreviewLoad = () => {
+    setSelectedElement(null);
+    const doc = iframeRef.current?.contentDocument;
+    if (!doc || !doc.body) return;
+
+    const style = doc.createElement("style");
+    style.textContent = SELECTION_STYLE;
+    doc.head.appendChild(style);
+
+    // Versi baru belum punya thumbnail (bisa jadi juga belum masuk daftar riwayat)
+    const activeItem = history.find((item) => item.id === activeHistoryId);
+    if (
+      !streamingHtml &&
+      activeHistoryId &&
+      !activeItem?.thumbnail_url &&
+      !thumbnailAttemptsRef.current.has(activeHistoryId)
+    ) {
+      captureThumbnail(activeHistoryId, doc);
     }
-    return axios.create({
-      baseURL: '/',
-      headers: { Authorization: `Bearer ${token}` },
+
+    // Pada versi terstruktur, klik di dalam field diarahkan ke elemen field-nya.
+    // Elemen sisipan server (WhatsApp, pengalih bahasa) tidak bisa dipilih; pembungkus
+    // teks terjemahan diarahkan ke elemen induknya.
+    const isStructured = Boolean(doc.querySelector("[data-section-id]"));
+    const resolveTarget = (target) => {
+      if (target.closest("[data-sisdigi-wa], [data-sisdigi-i18n]")) return null;
+      if (target.matches("[data-i18n-wrap]")) target = target.parentElement;
+      const element = isStructured ? target.closest("[data-field]") || target : target;
+      return element === doc.body || element === doc.documentElement ? null : element;
+    };
+
+    doc.addEventListener("mouseover", (event) => {
+      const element = isSelectModeRef.current && resolveTarget(event.target);
+      if (element) element.setAttribute("data-sisdigi-hover", "");
     });
+    doc.addEventListener("mouseout", (event) => {
+      const element = resolveTarget(event.target);
+      if (element) element.removeAttribute("data-sisdigi-hover");
+    });
+    doc.addEventListener(
+      "click",
+      (event) => {
+        if (!isSelectModeRef.current) return;
+        event.preventDefault();
+        event.stopPropagation();
+        const element = resolveTarget(event.target);
+        if (!element) return;
+        doc
+          .querySelectorAll("[data-sisdigi-selected]")
+          .forEach((item) => item.removeAttribute("data-sisdigi-selected"));
+        element.setAttribute("data-sisdigi-selected", "");
+        setSelectedElement({
+          path: getElementPath(element),
+          tagName: element.tagName.toLowerCase(),
+          text: element.innerText.trim(),
+          hasChildren: element.children.length > 0,
+          isImage: element.tagName === "IMG",
+          alt: element.getAttribute("alt"),
+          isStructured,
+          sectionId: element.closest("[data-section-id]")?.dataset.sectionId || null,
+          fieldPath: element.dataset.field || null,
+        });
+      },
+      true
+    );
+  };
+
+  const toggleSelectMode = () => {
+    const nextMode = !isSelectMode;
+    isSelectModeRef.current = nextMode;
+    setIsSelectMode(nextMode);
+    if (!nextMode) {
+      setSelectedElement(null);
+      const doc = iframeRef.current?.contentDocument;
+      doc
+        ?.querySelectorAll("[data-sisdigi-hover], [data-sisdigi-selected]")
+        .forEach((item) => {
+          item.removeAttribute("data-sisdigi-hover");
+          item.removeAttribute("data-sisdigi-selected");
+        });
+    }
   };
 
-  const fetchHistory = async () => {
+  // Simpan HTML dari editor kode sebagai versi baru (divalidasi server seperti hasil AI)
+  const handleSaveHtml = async (htmlCode) => {
     const api = createApiInstance();
-    if (!api) return;
+    if (!api || !activeHistoryId) return;
+    setIsLoading(true);
     try {
-      const response = await api.get("/api/generations");
-      setHistory(response.data);
-      // Muat riwayat paling baru secara otomatis jika belum ada yang aktif
-      if (response.data.length > 0 && !activeHistoryId) {
-        await loadHistoryItem(response.data[0].id);
-      }
+      const response = await api.post(
+        `/api/generations/${activeHistoryId}/html`,
+        { htmlCode }
+      );
+      setGeneratedHtml(response.data.htmlCode);
+      setSiteDocument(response.data.site);
+      notifyValidationReport(response.data.validationReport);
+      setActiveHistoryId(response.data.generationId);
+      await fetchHistory();
+      toast.success("Kode disimpan sebagai versi baru.");
     } catch (error) {
-      console.error("Gagal memuat riwayat:", error);
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error(error.response?.data?.error || "Gagal menyimpan kode HTML.");
     }
+    setIsLoading(false);
   };
 
-  const loadHistoryItem = async (generationId) => {
-    if (isLoading) return;
-    setIsLoading(true);
+  // Ubah teks/gambar elemen terpilih langsung (tanpa AI) sebagai versi baru
+  const saveElementEdit = async (changes) => {
     const api = createApiInstance();
-    if (!api) return;
+    if (!api || !activeHistoryId || !selectedElement) return;
+    setIsLoading(true);
     try {
-      const response = await api.get(`/api/generations/${generationId}`);
-      setGeneratedHtml(response.data.html_code);
-      setIsEditing(true);
-      setActiveHistoryId(generationId);
+      const response = await api.post(
+        `/api/generations/${activeHistoryId}/element`,
+        { path: selectedElement.path, tagName: selectedElement.tagName, ...changes }
+      );
+      setGeneratedHtml(response.data.htmlCode);
+      setSiteDocument(response.data.site);
+      notifyValidationReport(response.data.validationReport);
+      setActiveHistoryId(response.data.generationId);
+      await fetchHistory();
+      toast.success("Elemen disimpan sebagai versi baru.");
     } catch (error) {
-      toast.error("Gagal memuat detail riwayat.");
-      console.error(error);
+      if (isAuthError(error.response)) navigate("/login");
+      else toast.error(error.response?.data?.error || "Gagal mengubah elemen.");
     }
     setIsLoading(false);
   };
 
-  const deleteHistoryItem = async (generationId) => {
-    setModalState({
-      isOpen: true,
-      title: "Hapus Riwayat?",
-      message:
-        "Apakah Anda yakin ingin menghapus riwayat ini? Tindakan ini tidak dapat dibatalkan.",
-      onConfirm: async () => {
-        const api = createApiInstance();
-        if (!api) return;
-        try {
-          await api.delete(`/api/generations/${generationId}`);
-          setHistory((prev) => prev.filter((item) => item.id !== generationId));
-          if (activeHistoryId === generationId) {
-            setGeneratedHtml("");
-            setActiveHistoryId(null);
-          }
-          toast.success("Riwayat berhasil dihapus.");
-        } catch (error) {
-          toast.error("Gagal menghapus riwayat.");
-        }
+  const handleReplaceElementImage = (asset, alt) =>
+    saveElementEdit({
+      image: {
+        url: asset.url,
+        alt,
+        srcset: asset.srcset,
+        webpSrcset: asset.webpSrcset,
       },
     });
-  };
 
-  useEffect(() => {
-    const token = localStorage.getItem("accessToken");
-    if (!token) {
-      navigate("/login");
-    } else {
-      fetchUserData(); // Panggil data user
-      fetchHistory(); // Panggil riwayat
-    }
-  }, []);
+  // Instruksi AI yang hanya berlaku untuk elemen terpilih: versi terstruktur
+  // diedit per section/field, versi HTML per fragmen elemen
+  const handleAskAIForElement = async (instruction) => {
+    const element = selectedElement;
+    await submitJob({
+      type: "edit",
+      projectId: activeProjectId,
+      userPrompt: instruction,
+      imageUrls: uploadedImages.map(toImagePayload),
+      currentHtml: generatedHtml,
+      baseGenerationId: activeHistoryId,
+      ...(element.isStructured
+        ? { sectionId: element.sectionId, fieldPath: element.fieldPath }
+        : { fragment: { path: element.path, tagName: element.tagName } }),
+    });
+  };
 
-  const handleImageUpload = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-    setIsLoading(true);
-    const formData = new FormData();
-    formData.append("image", file);
+  // Setelah reload halaman, sambungkan kembali ke job yang masih berjalan
+  const resumeActiveJob = async (currentProjectId) => {
+    const api = createApiInstance();
+    if (!api) return;
     try {
-      const api = createApiInstance();
-      const response = await api.post("/api/upload", formData);
-      const newImageUrl = response.data.url;
-      setUploadedImages((prevImages) => [...prevImages, newImageUrl]);
-      setPrompt((prev) => `${prev}\n\n[Gambar ditambahkan: ${newImageUrl}]`);
+      const response = await api.get("/api/jobs", {
+        params: { status: "active" },
+      });
+      if (response.data.length > 0) {
+        const job = response.data[0];
+        if (job.projectId && job.projectId !== currentProjectId) {
+          await selectProject(job.projectId);
+        }
+        toast("Melanjutkan proses AI yang sedang berjalan...");
+        await runJob(job.id);
+      }
     } catch (error) {
-      if (error.response?.status === 401 || error.response?.status === 403)
-        navigate("/login");
-      else
-        toast.error(
-          `Gagal mengunggah gambar: ${
-            error.response?.data?.error || error.message
-          }`
-        );
+      console.error("Gagal memeriksa job yang berjalan:", error);
     }
-    setIsLoading(false);
-    event.target.value = null;
   };
 
-  const handleGenerateOrEdit = async () => {
-    if (!prompt.trim()) {
-      toast.error("Prompt tidak boleh kosong!");
-      return;
-    }
-    setIsLoading(true);
-    try {
-      const endpoint = isEditing ? "/api/edit" : "/api/generate";
-      const payload = {
-        userPrompt: prompt,
-        imageUrls: uploadedImages,
-        currentHtml: isEditing ? generatedHtml : null,
-      };
-      const api = createApiInstance();
-      const response = await api.post(endpoint, payload);
-      setGeneratedHtml(response.data.htmlCode);
-      if (!isEditing) setIsEditing(true);
-      await fetchHistory(); // Memuat ulang riwayat setelah berhasil
-    } catch (error) {
-      if (error.response?.status === 401 || error.response?.status === 403)
-        navigate("/login");
-      else
-        toast.error(
-          `Maaf, terjadi kesalahan: ${
-            error.response?.data?.error || error.message
-          }`
-        );
+  const handleCancelGeneration = async () => {
+    const jobId = activeJobIdRef.current;
+    if (jobId) {
+      try {
+        const api = createApiInstance();
+        await api.post(`/api/jobs/${jobId}/cancel`);
+      } catch (error) {
+        console.error("Gagal membatalkan job:", error);
+      }
     }
-    setIsLoading(false);
-    setPrompt("");
+    if (abortControllerRef.current) abortControllerRef.current.abort();
   };
 
   const handlePublish = async () => {
@@ -251,24 +1480,27 @@ export default function GeneratorPage() {
         "Pilih sebuah versi dari riwayat untuk dipublikasikan."
       );
     }
+    const slug = activeSite ? activeSite.slug : slugInput || suggestedSlug;
 
     // Panggil modal, bukan window.confirm
     setModalState({
       isOpen: true,
       title: "Konfirmasi Publikasi",
-      message:
-        "Apakah Anda yakin ingin mempublikasikan versi ini? Website Anda yang lama (jika ada) akan diganti.",
+      message: activeSite
+        ? `Apakah Anda yakin ingin mengganti website di /${slug}/ dengan Versi #${displayVersionNumber}?`
+        : `Apakah Anda yakin ingin mempublikasikan versi ini di alamat /${slug}/?`,
       onConfirm: () => {
         const api = createApiInstance();
         if (!api) return;
 
-        const publishPromise = api.post(`/api/publish/${activeHistoryId}`);
+        const publishPromise = api.post(`/api/publish/${activeHistoryId}`, {
+          slug,
+        });
 
         toast.promise(publishPromise, {
           loading: "Sedang mempublikasikan website Anda...",
-          success: (response) => {
-            setPublishedUrl(response.data.publicUrl);
-            setPublishedId(activeHistoryId);
+          success: () => {
+            fetchSites();
             return "Website berhasil dipublikasikan!";
           },
           error: (err) =>
@@ -278,6 +1510,34 @@ export default function GeneratorPage() {
     });
   };
 
+  const handleRenameSlug = () => {
+    if (!activeSite) return;
+    setInputModalState({
+      isOpen: true,
+      title: "Ganti Alamat Website",
+      label:
+        "Slug baru (huruf kecil, angka, dan tanda hubung). Alamat lama akan otomatis diarahkan ke alamat baru.",
+      initialValue: activeSite.slug,
+      submitLabel: "Ganti Slug",
+      onSubmit: (slug) => {
+        const api = createApiInstance();
+        if (!api) return;
+        const renamePromise = api.patch(`/api/sites/${activeSite.id}`, {
+          slug: slug.toLowerCase(),
+        });
+        toast.promise(renamePromise, {
+          loading: "Sedang mengganti alamat website...",
+          success: () => {
+            fetchSites();
+            return "Alamat website berhasil diganti.";
+          },
+          error: (err) =>
+            err.response?.data?.error || "Gagal mengganti alamat website.",
+        });
+      },
+    });
+  };
+
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text).then(
       () => {
@@ -291,6 +1551,7 @@ export default function GeneratorPage() {
   };
 
   const handleUnpublish = async () => {
+    if (!activeSite) return;
     setModalState({
       isOpen: true,
       title: "Hapus Publikasi?",
@@ -299,12 +1560,11 @@ export default function GeneratorPage() {
       onConfirm: () => {
         const api = createApiInstance();
         if (!api) return;
-        const unpublishPromise = api.delete("/api/publish");
+        const unpublishPromise = api.delete(`/api/sites/${activeSite.id}`);
         toast.promise(unpublishPromise, {
           loading: "Sedang menghapus publikasi...",
           success: () => {
-            setPublishedUrl("");
-            setPublishedId(null);
+            fetchSites();
             return "Publikasi berhasil dihapus.";
           },
           error: (err) =>
@@ -313,15 +1573,65 @@ export default function GeneratorPage() {
       },
     });
   };
-  const handleLogout = () => {
-    localStorage.removeItem("accessToken");
+  const handleLogout = async () => {
+    await logout();
     navigate("/login");
   };
 
+  const handleLogoutAllDevices = () => {
+    setModalState({
+      isOpen: true,
+      title: "Logout dari Semua Perangkat?",
+      message:
+        "Semua sesi login Anda di perangkat lain juga akan diakhiri.",
+      onConfirm: async () => {
+        await logout({ allDevices: true });
+        toast.success("Anda telah logout dari semua perangkat.");
+        navigate("/login");
+      },
+    });
+  };
+
   const activeHistoryItem = history.find((item) => item.id === activeHistoryId);
+  const instructionThread = buildInstructionThread(history, activeHistoryId);
+
+  // Tab kode hanya untuk versi tersimpan; selama AI bekerja preview selalu ditampilkan
+  const isCodeTab =
+    previewTab === "code" && Boolean(generatedHtml && activeHistoryId) && !isLoading && !streamingHtml;
+
+  // Ukuran layar preview (null = desktop, mengikuti lebar panel)
+  const devicePreset = DEVICE_PRESETS[previewDevice];
+  const frameSize = devicePreset.width
+    ? {
+        width: isLandscape ? devicePreset.height : devicePreset.width,
+        height: isLandscape ? devicePreset.width : devicePreset.height,
+      }
+    : null;
+  const previewIframe = (
+    <iframe
+      ref={iframeRef}
+      srcDoc={streamingHtml || generatedHtml}
+      onLoad={handlePreviewLoad}
+      title="Generated Website Preview"
+      className="border-0 origin-top-left"
+      style={{
+        width: frameSize ? frameSize.width : `${100 / previewZoom}%`,
+        height: frameSize ? frameSize.height : `${100 / previewZoom}%`,
+        transform: `scale(${previewZoom})`,
+      }}
+      sandbox="allow-scripts allow-same-origin"
+    />
+  );
   const displayVersionNumber = activeHistoryItem
     ? activeHistoryItem.version_number
     : null;
+  const activeProject = projects.find((item) => item.id === activeProjectId);
+  const activeSite = sites.find((site) => site.projectId === activeProjectId);
+  const liveHistoryItem = activeSite
+    ? history.find((item) => item.id === activeSite.generationId)
+    : null;
+  const otherSites = sites.filter((site) => site.projectId !== activeProjectId);
+  const suggestedSlug = activeProject ? slugify(activeProject.name) : "";
 
   return (
     <div className="flex h-screen bg-gray-100 font-sans">
@@ -331,6 +1641,31 @@ export default function GeneratorPage() {
             <img src={logo} alt="SisDigi UMKM Logo" className="w-24 h-24" />
             <h1 className="text-2xl font-bold ml-3 text-gray-800">SisDigi UMKM</h1>
           </div>
+          <CompareView
+            isOpen={isCompareOpen}
+            onClose={() => setIsCompareOpen(false)}
+            comparison={comparison}
+          />
+          <BusinessProfileModal
+            isOpen={isProfileOpen}
+            onClose={() => setIsProfileOpen(false)}
+            profile={businessProfile}
+            onSave={saveBusinessProfile}
+            isSaving={isSavingProfile}
+          />
+          <WhatsAppSettingsModal
+            isOpen={isWhatsappOpen}
+            onClose={() => setIsWhatsappOpen(false)}
+            settings={whatsappSettings}
+            onSave={saveWhatsappSettings}
+            isSaving={isSavingWhatsapp}
+          />
+          <ImportHtmlModal
+            isOpen={isImportOpen}
+            onClose={() => setIsImportOpen(false)}
+            onSubmit={handleImportHtml}
+            isSubmitting={isLoading}
+          />
           <ConfirmationModal
             isOpen={modalState.isOpen}
             onClose={() => setModalState({ ...modalState, isOpen: false })}
@@ -338,90 +1673,349 @@ export default function GeneratorPage() {
             title={modalState.title}
             message={modalState.message}
           />
-          <button
-            onClick={handleLogout}
-            className="flex items-center text-sm text-gray-500 hover:text-indigo-600 font-semibold p-2 rounded-lg hover:bg-gray-100 transition"
-          >
-            <LogoutIcon />
-            <span className="ml-1">Logout</span>
-          </button>
+          <InputModal
+            isOpen={inputModalState.isOpen}
+            onClose={() =>
+              setInputModalState({ ...inputModalState, isOpen: false })
+            }
+            onSubmit={inputModalState.onSubmit}
+            title={inputModalState.title}
+            label={inputModalState.label}
+            initialValue={inputModalState.initialValue}
+            submitLabel={inputModalState.submitLabel}
+          />
+          <div className="flex flex-col items-end">
+            <button
+              onClick={handleLogout}
+              className="flex items-center text-sm text-gray-500 hover:text-indigo-600 font-semibold p-2 rounded-lg hover:bg-gray-100 transition"
+            >
+              <LogoutIcon />
+              <span className="ml-1">Logout</span>
+            </button>
+            <button
+              onClick={handleLogoutAllDevices}
+              className="text-xs text-gray-400 hover:text-red-600 px-2"
+            >
+              Logout semua perangkat
+            </button>
+          </div>
+        </div>
+
+        {/* --- PEMILIH PROJECT --- */}
+        <div className="mb-4">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-lg font-semibold text-gray-700">Project</h2>
+            <div className="flex space-x-1">
+              <button
+                onClick={openWhatsappSettings}
+                disabled={isLoading || !activeProjectId}
+                className="px-2 py-1 text-xs font-semibold text-green-700 bg-green-50 rounded hover:bg-green-100 disabled:opacity-50"
+                title="Tombol chat, pesan per produk, dan keranjang WhatsApp"
+              >
+                WhatsApp
+              </button>
+              <button
+                onClick={openBusinessProfile}
+                disabled={isLoading}
+                className="px-2 py-1 text-xs font-semibold text-indigo-700 bg-indigo-50 rounded hover:bg-indigo-100 disabled:opacity-50"
+                title="Alamat, jam buka, WhatsApp, dan produk yang dipakai AI"
+              >
+                Profil Bisnis
+              </button>
+            </div>
+          </div>
+          <div className="flex items-center space-x-1">
+            <select
+              value={activeProjectId || ""}
+              onChange={(e) => selectProject(Number(e.target.value))}
+              disabled={isLoading}
+              className="flex-1 p-2 border rounded-lg text-sm text-gray-700 bg-white focus:ring-2 focus:ring-indigo-400 transition disabled:opacity-50"
+            >
+              {projects.map((project) => (
+                <option key={project.id} value={project.id}>
+                  {project.name}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleCreateProject}
+              disabled={isLoading}
+              className="p-2 rounded-lg text-gray-500 hover:bg-indigo-100 hover:text-indigo-600 disabled:opacity-50"
+              title="Project Baru"
+            >
+              <PlusIcon />
+            </button>
+            <button
+              onClick={handleRenameProject}
+              disabled={isLoading || !activeProjectId}
+              className="p-2 rounded-lg text-gray-500 hover:bg-indigo-100 hover:text-indigo-600 disabled:opacity-50"
+              title="Ganti Nama Project"
+            >
+              <EditIcon />
+            </button>
+            <button
+              onClick={handleDeleteProject}
+              disabled={isLoading || !activeProjectId}
+              className="p-2 rounded-lg text-gray-500 hover:bg-red-100 hover:text-red-600 disabled:opacity-50"
+              title="Hapus Project"
+            >
+              <TrashIcon />
+            </button>
+          </div>
         </div>
 
         {/* --- PANEL RIWAYAT YANG DITAMBAHKAN --- */}
         <div className="mb-4">
-          <h2 className="text-lg font-semibold text-gray-700 mb-2">
-            Riwayat Project
-          </h2>
-          <div className="space-y-2 max-h-48 overflow-y-auto bg-gray-50 p-2 rounded-lg border">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-lg font-semibold text-gray-700">Riwayat Versi</h2>
+            <button
+              onClick={() => setIsImportOpen(true)}
+              disabled={isLoading || !activeProjectId}
+              className="px-2 py-1 text-xs font-semibold text-indigo-700 bg-indigo-50 rounded hover:bg-indigo-100 disabled:opacity-50"
+            >
+              Impor HTML
+            </button>
+          </div>
+          <p className="text-xs text-gray-400 mb-2">
+            Pilih versi mana pun lalu edit untuk membuat cabang baru.
+          </p>
+          <div className="space-y-1 max-h-64 overflow-y-auto bg-gray-50 p-2 rounded-lg border">
             {history.length === 0 ? (
               <p className="text-sm text-gray-400 text-center py-2">
-                Belum ada riwayat.
+                Belum ada riwayat. Sudah punya website? Gunakan Impor HTML.
               </p>
             ) : (
-              history.map((item) => (
+              buildVersionRows(history).map(({ item, depth }) => (
                 <div
                   key={item.id}
-                  onClick={() => loadHistoryItem(item.id)}
-                  className={`flex items-center justify-between p-2 rounded-md cursor-pointer transition ${
-                    activeHistoryId === item.id
-                      ? "bg-indigo-100 ring-2 ring-indigo-400"
-                      : "hover:bg-gray-200"
-                  }`}
+                  style={{ marginLeft: depth * 12 }}
+                  className={depth > 0 ? "border-l-2 border-indigo-200 pl-1" : ""}
                 >
-                  <div className="text-sm">
-                    <p className="font-semibold text-gray-800">
-                      Versi #{item.version_number}
-                    </p>
-                    <p className="text-gray-500">
-                      {new Date(item.created_at).toLocaleString("id-ID")}
-                    </p>
-                  </div>
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      deleteHistoryItem(item.id);
-                    }}
-                    className="p-2 rounded-full text-gray-400 hover:bg-red-100 hover:text-red-600"
+                  <div
+                    onClick={() => loadHistoryItem(item.id)}
+                    title={item.prompt || undefined}
+                    className={`flex items-center justify-between p-2 rounded-md cursor-pointer transition ${
+                      activeHistoryId === item.id
+                        ? "bg-indigo-100 ring-2 ring-indigo-400"
+                        : "hover:bg-gray-200"
+                    }`}
                   >
-                    <TrashIcon />
-                  </button>
+                    {item.thumbnail_url ? (
+                      <img
+                        src={item.thumbnail_url}
+                        alt={`Thumbnail Versi #${item.version_number}`}
+                        className="w-16 h-10 object-cover object-top rounded border mr-2 flex-shrink-0"
+                      />
+                    ) : (
+                      <div className="w-16 h-10 rounded border bg-gray-100 mr-2 flex-shrink-0" />
+                    )}
+                    <div className="text-sm min-w-0 flex-1">
+                      <p className="font-semibold text-gray-800 truncate">
+                        Versi #{item.version_number}
+                        {item.label && (
+                          <span className="ml-1 text-indigo-600">· {item.label}</span>
+                        )}
+                        {item.id === history[0].id && (
+                          <span className="ml-2 text-xs font-normal px-1.5 py-0.5 bg-green-100 text-green-700 rounded-full">
+                            Terbaru
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {VERSION_SOURCE_LABELS[item.source] || item.source} ·{" "}
+                        {new Date(item.created_at).toLocaleString("id-ID")}
+                      </p>
+                    </div>
+                    <div className="flex items-center flex-shrink-0">
+                      {activeHistoryId && activeHistoryId !== item.id && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            compareWithActive(item);
+                          }}
+                          title="Bandingkan dengan versi yang sedang dibuka"
+                          className="p-2 rounded-full text-gray-400 hover:bg-indigo-100 hover:text-indigo-600"
+                        >
+                          <CompareIcon />
+                        </button>
+                      )}
+                      {item.id !== history[0].id && (
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            restoreHistoryItem(item);
+                          }}
+                          title="Pulihkan sebagai versi terbaru"
+                          className="p-2 rounded-full text-gray-400 hover:bg-green-100 hover:text-green-600"
+                        >
+                          <RestoreIcon />
+                        </button>
+                      )}
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          downloadVersionZip(item);
+                        }}
+                        title="Download ZIP"
+                        className="p-2 rounded-full text-gray-400 hover:bg-indigo-100 hover:text-indigo-600"
+                      >
+                        <DownloadIcon />
+                      </button>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          deleteHistoryItem(item.id);
+                        }}
+                        className="p-2 rounded-full text-gray-400 hover:bg-red-100 hover:text-red-600"
+                      >
+                        <TrashIcon />
+                      </button>
+                    </div>
+                  </div>
                 </div>
               ))
             )}
           </div>
+          {activeHistoryItem && (
+            <div className="mt-2 p-2 bg-white rounded-lg border text-sm">
+              {activeHistoryItem.prompt && (
+                <p className="text-xs text-gray-500 mb-2">
+                  <span className="font-semibold">Prompt:</span> {activeHistoryItem.prompt}
+                </p>
+              )}
+              <input
+                type="text"
+                value={versionDetails.label}
+                onChange={(e) =>
+                  setVersionDetails({ ...versionDetails, label: e.target.value })
+                }
+                maxLength={100}
+                placeholder="Label versi (misal: Final untuk lebaran)"
+                className="w-full px-2 py-1 border rounded text-sm focus:ring-2 focus:ring-indigo-400 focus:outline-none"
+              />
+              <textarea
+                value={versionDetails.notes}
+                onChange={(e) =>
+                  setVersionDetails({ ...versionDetails, notes: e.target.value })
+                }
+                rows={2}
+                placeholder="Catatan"
+                className="w-full px-2 py-1 mt-1 border rounded text-sm focus:ring-2 focus:ring-indigo-400 focus:outline-none"
+              />
+              <button
+                onClick={saveVersionDetails}
+                disabled={
+                  versionDetails.label === (activeHistoryItem.label || "") &&
+                  versionDetails.notes === (activeHistoryItem.notes || "")
+                }
+                className="w-full mt-1 px-3 py-1 text-xs font-semibold text-white bg-indigo-600 rounded hover:bg-indigo-700 disabled:bg-indigo-300"
+              >
+                Simpan Label & Catatan
+              </button>
+            </div>
+          )}
         </div>
 
+        {/* --- PANEL EDIT KONTEN (KHUSUS VERSI TERSTRUKTUR) --- */}
+        {siteDocument && (
+          <details className="mb-4 border-t pt-4">
+            <summary className="text-lg font-semibold text-gray-700 cursor-pointer">
+              Edit Konten
+            </summary>
+            <p className="text-xs text-gray-400 mt-1 mb-2">
+              Ubah teks langsung tanpa AI. Perubahan disimpan sebagai versi baru.
+            </p>
+            <SectionEditor
+              site={siteDocument}
+              sectionId={editingSectionId}
+              onSectionChange={setEditingSectionId}
+              onSave={handleSaveSection}
+              disabled={isLoading}
+            />
+          </details>
+        )}
+
         {/* --- PANEL PUBLIKASI DINAMIS --- */}
         <div className="mt-4 border-t pt-4">
           <h2 className="text-lg font-semibold text-gray-700 mb-2">
             Publikasi
           </h2>
-          {publishedUrl ? (
+          {activeSite ? (
             <div className="text-sm bg-green-50 p-3 rounded-lg border border-green-200">
               <p className="font-semibold text-green-800">
                 Website Anda sudah live!
+                {liveHistoryItem && (
+                  <span className="font-normal text-green-700">
+                    {" "}
+                    (Versi #{liveHistoryItem.version_number})
+                  </span>
+                )}
               </p>
-              <a
-                href={publishedUrl}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-blue-600 hover:underline break-all"
-              >
-                {publishedUrl}
-              </a>
-              <button
-                onClick={handleUnpublish}
-                className="w-full mt-3 bg-red-600 text-white font-bold py-2 rounded-lg hover:bg-red-700 transition"
-              >
-                Hapus Publikasi
-              </button>
+              <div className="flex items-center">
+                <a
+                  href={activeSite.publicUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-600 hover:underline break-all flex-1"
+                >
+                  {activeSite.publicUrl}
+                </a>
+                <button
+                  onClick={() => copyToClipboard(activeSite.publicUrl)}
+                  className="ml-2 p-1 text-gray-400 hover:text-indigo-500"
+                  title="Salin URL Website"
+                >
+                  <CopyIcon />
+                </button>
+              </div>
+              {activeSite.redirectsFrom.length > 0 && (
+                <p className="mt-1 text-xs text-gray-500">
+                  Alamat lama yang diarahkan ke sini:{" "}
+                  {activeSite.redirectsFrom.map((slug) => `/${slug}/`).join(", ")}
+                </p>
+              )}
+              {activeHistoryId && activeHistoryId !== activeSite.generationId && (
+                <button
+                  onClick={handlePublish}
+                  disabled={isLoading}
+                  className="w-full mt-3 bg-green-600 text-white font-bold py-2 rounded-lg hover:bg-green-700 transition disabled:bg-gray-400"
+                >
+                  Perbarui ke Versi #{displayVersionNumber}
+                </button>
+              )}
+              <div className="flex space-x-2 mt-3">
+                <button
+                  onClick={handleRenameSlug}
+                  className="flex-1 bg-white border border-green-300 text-green-800 font-semibold py-2 rounded-lg hover:bg-green-100 transition"
+                >
+                  Ganti Slug
+                </button>
+                <button
+                  onClick={handleUnpublish}
+                  className="flex-1 bg-red-600 text-white font-bold py-2 rounded-lg hover:bg-red-700 transition"
+                >
+                  Hapus Publikasi
+                </button>
+              </div>
             </div>
           ) : (
             <div>
               <p className="text-sm text-gray-500 mb-2">
-                Pilih salah satu versi dari riwayat di atas, lalu klik tombol
-                publish.
+                Pilih salah satu versi dari riwayat di atas, tentukan alamat
+                website, lalu klik tombol publish.
               </p>
+              <div className="flex items-center mb-2 border rounded-lg overflow-hidden focus-within:ring-2 focus-within:ring-indigo-400">
+                <span className="px-2 text-sm text-gray-400 bg-gray-50 py-2">/</span>
+                <input
+                  type="text"
+                  value={slugInput}
+                  onChange={(e) => setSlugInput(slugify(e.target.value, false))}
+                  placeholder={suggestedSlug || "nama-usaha-anda"}
+                  maxLength={50}
+                  className="flex-1 p-2 text-sm text-gray-700 focus:outline-none"
+                />
+                <span className="px-2 text-sm text-gray-400 bg-gray-50 py-2">/</span>
+              </div>
               <button
                 onClick={handlePublish}
                 disabled={!activeHistoryId || isLoading}
@@ -431,9 +2025,158 @@ export default function GeneratorPage() {
               </button>
             </div>
           )}
+          {activeHistoryId && (
+            <details
+              className="mt-3 border rounded-lg p-3"
+              onToggle={(e) => e.currentTarget.open && !seoReport && fetchSeoReport()}
+            >
+              <summary className="text-sm font-semibold text-gray-700 cursor-pointer">
+                SEO & Preview Berbagi
+              </summary>
+              <SeoPanel
+                report={seoReport}
+                assets={assets}
+                onSave={saveSeoSettings}
+                onRefresh={fetchSeoReport}
+                isSaving={isSavingSeo}
+                isChecking={isCheckingSeo}
+              />
+            </details>
+          )}
+          {otherSites.length > 0 && (
+            <div className="mt-2 text-xs text-gray-500">
+              Website live lainnya:{" "}
+              {otherSites.map((site, index) => (
+                <span key={site.id}>
+                  {index > 0 && ", "}
+                  <a
+                    href={site.publicUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-blue-600 hover:underline"
+                  >
+                    {site.projectName}
+                  </a>
+                </span>
+              ))}
+            </div>
+          )}
         </div>
 
         <div className="flex-grow flex flex-col border-t pt-4 overflow-y-auto">
+          {instructionThread.length > 0 && (
+            <div className="mb-4">
+              <h3 className="font-semibold text-gray-600 mb-2">Percakapan:</h3>
+              <div className="space-y-2 max-h-56 overflow-y-auto bg-gray-50 p-2 rounded-lg border">
+                {instructionThread.map((item) => (
+                  <div key={item.id} className="flex flex-col items-end">
+                    <div className="max-w-[90%] px-3 py-2 text-sm text-white bg-indigo-500 rounded-lg rounded-br-none whitespace-pre-wrap">
+                      {item.prompt}
+                    </div>
+                    <div className="flex items-center space-x-2 mt-1 text-xs text-gray-400">
+                      <span>
+                        Versi #{item.version_number} ·{" "}
+                        {VERSION_SOURCE_LABELS[item.source] || item.source}
+                      </span>
+                      <button
+                        onClick={() => setPrompt(item.prompt)}
+                        disabled={isLoading}
+                        className="hover:text-indigo-500 disabled:opacity-50"
+                      >
+                        Pakai Lagi
+                      </button>
+                      <button
+                        onClick={() => rerunInstruction(item)}
+                        disabled={isLoading}
+                        className="hover:text-indigo-500 disabled:opacity-50"
+                      >
+                        Jalankan Ulang
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          {!isEditing && (presets.length > 0 || isAdmin) && (
+            <div className="mb-4">
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-gray-600 font-semibold">Jenis usaha (opsional):</p>
+                {isAdmin && (
+                  <button
+                    onClick={() => navigate("/admin/presets")}
+                    className="text-xs font-semibold text-indigo-600 hover:underline"
+                  >
+                    Kelola preset
+                  </button>
+                )}
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                {presets.map((preset) => (
+                  <button
+                    key={preset.id}
+                    onClick={() =>
+                      setSelectedPresetId((prev) => (prev === preset.id ? null : preset.id))
+                    }
+                    disabled={isLoading}
+                    title={preset.sampleCopy}
+                    className={`text-left p-2 rounded-lg border text-sm transition ${
+                      preset.id === selectedPresetId
+                        ? "border-indigo-500 bg-indigo-50 ring-1 ring-indigo-500"
+                        : "border-gray-200 hover:border-indigo-300"
+                    }`}
+                  >
+                    <span className="block font-semibold text-gray-800">{preset.name}</span>
+                    <span className="block text-xs text-gray-500">{preset.description}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+          {availableLanguages.length > 0 && (
+            <div className="mb-4">
+              <p className="text-gray-600 font-semibold mb-2">Bahasa tambahan website:</p>
+              <div className="flex flex-wrap gap-2">
+                {availableLanguages
+                  .filter((language) => language.code !== "id")
+                  .map((language) => (
+                    <button
+                      key={language.code}
+                      onClick={() => toggleSiteLanguage(language.code)}
+                      disabled={isLoading || !activeProjectId}
+                      className={`px-3 py-1 rounded-full border text-xs font-semibold transition disabled:opacity-50 ${
+                        siteLanguages.includes(language.code)
+                          ? "border-indigo-500 bg-indigo-50 text-indigo-700"
+                          : "border-gray-200 text-gray-500 hover:border-indigo-300"
+                      }`}
+                    >
+                      {language.label}
+                    </button>
+                  ))}
+              </div>
+              {siteLanguages.length > 0 && (
+                <p className="text-xs text-gray-400 mt-2">
+                  Teks diterjemahkan otomatis setiap kali versi disimpan. Pengunjung memilih
+                  bahasa lewat tombol di pojok kiri bawah website.
+                  {isEditing && activeHistoryId && (
+                    <span className="block mt-1">
+                      Terjemahkan ulang versi ini:{" "}
+                      {siteLanguages.map((code) => (
+                        <button
+                          key={code}
+                          onClick={() => retranslateVersion(code)}
+                          disabled={isLoading}
+                          className="mr-2 font-semibold text-indigo-600 hover:underline disabled:opacity-50"
+                        >
+                          {code.toUpperCase()}
+                        </button>
+                      ))}
+                    </span>
+                  )}
+                </p>
+              )}
+            </div>
+          )}
           <label htmlFor="prompt" className="text-gray-600 font-semibold mb-2">
             Ceritakan bisnis Anda atau apa yang ingin diubah:
           </label>
@@ -447,39 +2190,18 @@ export default function GeneratorPage() {
             disabled={isLoading}
           />
           <div className="mt-4">
-            <h3 className="font-semibold text-gray-600 mb-2">
-              Gambar Terunggah:
-            </h3>
-            <div className="space-y-2 max-h-48 overflow-y-auto bg-gray-50 p-2 rounded-lg border">
-              {uploadedImages.length === 0 ? (
-                <p className="text-sm text-gray-400 text-center py-2">
-                  Belum ada gambar.
-                </p>
-              ) : (
-                uploadedImages.map((url, index) => (
-                  <div
-                    key={index}
-                    className="flex items-center text-xs p-1 bg-white rounded shadow-sm"
-                  >
-                    <img
-                      src={url}
-                      alt={`upload-${index}`}
-                      className="w-8 h-8 object-cover rounded mr-2"
-                    />
-                    <span className="truncate flex-1 text-gray-500">
-                      {url.substring(url.lastIndexOf("/") + 1)}
-                    </span>
-                    <button
-                      onClick={() => copyToClipboard(url)}
-                      className="ml-2 p-1 text-gray-400 hover:text-indigo-500"
-                      title="Salin URL Gambar"
-                    >
-                      <CopyIcon />
-                    </button>
-                  </div>
-                ))
-              )}
-            </div>
+            <MediaLibrary
+              assets={assets}
+              selectedIds={uploadedImages.map((image) => image.id)}
+              scope={assetScope}
+              onScopeChange={handleAssetScopeChange}
+              onToggle={handleToggleAsset}
+              onCopy={copyToClipboard}
+              onRename={handleRenameAsset}
+              onEditTags={handleEditAssetTags}
+              onDelete={handleDeleteAsset}
+              disabled={isLoading}
+            />
           </div>
         </div>
 
@@ -515,15 +2237,114 @@ export default function GeneratorPage() {
         </div>
       </div>
 
-      <div className="w-2/3 p-4 flex-grow relative">
-        <div className="w-full h-full bg-white rounded-xl shadow-inner overflow-hidden">
-          {generatedHtml && !isLoading ? (
-            <iframe
-              srcDoc={generatedHtml}
-              title="Generated Website Preview"
-              className="w-full h-full border-0"
-              sandbox="allow-scripts allow-same-origin"
+      <div className="w-2/3 p-4 flex-grow relative flex flex-col">
+        {/* --- TOOLBAR PREVIEW: TAB KODE & PERANGKAT --- */}
+        <div className="flex items-center justify-between mb-2 text-sm">
+          <div className="flex items-center space-x-2">
+            <div className="flex bg-white rounded-lg shadow p-1">
+              {[
+                { id: "preview", label: "Preview" },
+                { id: "code", label: "Kode" },
+              ].map((tab) => (
+                <button
+                  key={tab.id}
+                  onClick={() => setPreviewTab(tab.id)}
+                  disabled={tab.id === "code" && !activeHistoryId}
+                  className={`px-3 py-1 rounded-md font-semibold transition disabled:opacity-50 ${
+                    previewTab === tab.id
+                      ? "bg-gray-800 text-white"
+                      : "text-gray-600 hover:bg-gray-100"
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+            {!isCodeTab && (
+              <>
+                <div className="flex bg-white rounded-lg shadow p-1">
+                  {Object.entries(DEVICE_PRESETS).map(([id, preset]) => (
+                    <button
+                      key={id}
+                      onClick={() => setPreviewDevice(id)}
+                      className={`px-3 py-1 rounded-md font-semibold transition ${
+                        previewDevice === id
+                          ? "bg-indigo-600 text-white"
+                          : "text-gray-600 hover:bg-gray-100"
+                      }`}
+                    >
+                      {preset.label}
+                    </button>
+                  ))}
+                </div>
+                <button
+                  onClick={() => setIsLandscape(!isLandscape)}
+                  disabled={!frameSize}
+                  className="px-3 py-1.5 bg-white rounded-lg shadow font-semibold text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                  title="Putar orientasi layar"
+                >
+                  {isLandscape ? "Lanskap" : "Potret"}
+                </button>
+                <select
+                  value={previewZoom}
+                  onChange={(e) => setPreviewZoom(Number(e.target.value))}
+                  className="px-2 py-1.5 bg-white rounded-lg shadow text-gray-600 focus:outline-none"
+                  title="Zoom preview"
+                >
+                  {ZOOM_LEVELS.map((zoom) => (
+                    <option key={zoom} value={zoom}>
+                      {zoom * 100}%
+                    </option>
+                  ))}
+                </select>
+                {frameSize && (
+                  <span className="text-xs text-gray-400">
+                    {frameSize.width}×{frameSize.height}
+                  </span>
+                )}
+              </>
+            )}
+          </div>
+          {generatedHtml && activeHistoryId && !isLoading && !isCodeTab && (
+            <button
+              onClick={toggleSelectMode}
+              className={`px-4 py-1.5 font-semibold rounded-lg shadow transition ${
+                isSelectMode
+                  ? "bg-indigo-600 text-white hover:bg-indigo-700"
+                  : "bg-white text-indigo-700 border hover:bg-indigo-50"
+              }`}
+            >
+              {isSelectMode ? "Selesai Memilih" : "Pilih Elemen"}
+            </button>
+          )}
+        </div>
+        <div className="flex-1 min-h-0 bg-white rounded-xl shadow-inner overflow-hidden">
+          {isCodeTab ? (
+            <CodeEditor
+              html={generatedHtml}
+              isStructured={Boolean(siteDocument)}
+              onSave={handleSaveHtml}
+              disabled={isLoading}
             />
+          ) : streamingHtml || (generatedHtml && !isLoading) ? (
+            frameSize ? (
+              // Bingkai perangkat: ukuran layar asli, diperkecil sesuai zoom
+              <div className="w-full h-full overflow-auto bg-gray-100 flex">
+                <div className="m-auto p-4">
+                  <div
+                    className="border-[10px] border-gray-800 rounded-[1.75rem] overflow-hidden bg-white shadow-xl"
+                    style={{
+                      width: frameSize.width * previewZoom + 20,
+                      height: frameSize.height * previewZoom + 20,
+                    }}
+                  >
+                    {previewIframe}
+                  </div>
+                </div>
+              </div>
+            ) : (
+              <div className="w-full h-full overflow-hidden">{previewIframe}</div>
+            )
           ) : (
             // ... Konten placeholder ...
             <div className="w-full h-full flex items-center justify-center bg-gray-50">
@@ -535,20 +2356,59 @@ export default function GeneratorPage() {
             </div>
           )}
         </div>
-        {isLoading && (
+        {isSelectMode && selectedElement && !isLoading && !isCodeTab && (
+          <ElementEditPanel
+            element={selectedElement}
+            isStructured={selectedElement.isStructured}
+            assets={assets}
+            onSaveText={(text) => saveElementEdit({ text })}
+            onReplaceImage={handleReplaceElementImage}
+            onAskAI={handleAskAIForElement}
+            onClose={() => setSelectedElement(null)}
+            disabled={isLoading}
+          />
+        )}
+        {isLoading && !streamingHtml && (
           // ... Indikator loading ...
           <div className="absolute inset-4 flex items-center justify-center bg-white bg-opacity-75 rounded-xl">
             <div className="text-center">
               <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-indigo-600 mx-auto"></div>
               <p className="mt-4 text-lg font-semibold text-indigo-800">
-                AI sedang memproses permintaan Anda...
+                {jobStatus?.status === "queued"
+                  ? "Permintaan Anda sedang dalam antrian..."
+                  : "AI sedang memproses permintaan Anda..."}
               </p>
               <p className="text-sm text-gray-600">
-                Ini mungkin memerlukan waktu beberapa saat.
+                {jobStatus?.attempts > 1
+                  ? `Mencoba ulang (percobaan ${jobStatus.attempts} dari ${jobStatus.maxAttempts})...`
+                  : "Ini mungkin memerlukan waktu beberapa saat. Anda boleh menutup halaman ini."}
               </p>
+              {abortControllerRef.current && (
+                <button
+                  onClick={handleCancelGeneration}
+                  className="mt-4 px-4 py-2 text-sm font-semibold text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition"
+                >
+                  Batalkan
+                </button>
+              )}
             </div>
           </div>
         )}
+        {streamingHtml && (
+          // ... Status streaming: preview sudah tampil sebagian ...
+          <div className="absolute bottom-8 left-1/2 -translate-x-1/2 flex items-center bg-white shadow-lg rounded-full px-4 py-2 border">
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-indigo-600 mr-3"></div>
+            <span className="text-sm font-semibold text-indigo-800">
+              AI sedang menulis website Anda...
+            </span>
+            <button
+              onClick={handleCancelGeneration}
+              className="ml-4 text-sm font-semibold text-red-600 hover:underline"
+            >
+              Batalkan
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,139 @@
+import React, { Fragment, useEffect, useState } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+
+// Modal impor HTML yang sudah dimiliki user: unggah file .html/.zip atau tempel kode.
+// Modal ditutup oleh parent setelah impor berhasil.
+export default function ImportHtmlModal({ isOpen, onClose, onSubmit, isSubmitting }) {
+  const [mode, setMode] = useState('file');
+  const [file, setFile] = useState(null);
+  const [htmlCode, setHtmlCode] = useState('');
+
+  // Kosongkan isian setiap kali modal dibuka
+  useEffect(() => {
+    if (isOpen) {
+      setFile(null);
+      setHtmlCode('');
+    }
+  }, [isOpen]);
+
+  const canSubmit = mode === 'file' ? Boolean(file) : Boolean(htmlCode.trim());
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSubmit || isSubmitting) return;
+    onSubmit(mode === 'file' ? { file } : { htmlCode });
+  };
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-10" onClose={isSubmitting ? () => {} : onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black bg-opacity-25" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4 text-center">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-lg transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                <Dialog.Title
+                  as="h3"
+                  className="text-lg font-bold leading-6 text-gray-900"
+                >
+                  Impor HTML
+                </Dialog.Title>
+                <p className="mt-1 text-sm text-gray-500">
+                  Pakai website atau template yang sudah Anda miliki sebagai versi awal, lalu
+                  lanjutkan dengan instruksi AI seperti biasa.
+                </p>
+
+                <div className="flex space-x-2 border-b mt-4">
+                  {[
+                    { id: 'file', label: 'Unggah File' },
+                    { id: 'paste', label: 'Tempel Kode' },
+                  ].map((item) => (
+                    <button
+                      key={item.id}
+                      type="button"
+                      onClick={() => setMode(item.id)}
+                      className={`px-3 py-2 text-sm font-semibold -mb-px border-b-2 ${
+                        mode === item.id
+                          ? 'border-indigo-600 text-indigo-700'
+                          : 'border-transparent text-gray-500 hover:text-gray-700'
+                      }`}
+                    >
+                      {item.label}
+                    </button>
+                  ))}
+                </div>
+
+                <form onSubmit={handleSubmit}>
+                  {mode === 'file' ? (
+                    <div className="mt-4">
+                      <input
+                        type="file"
+                        accept=".html,.htm,.zip"
+                        onChange={(e) => setFile(e.target.files[0] || null)}
+                        disabled={isSubmitting}
+                        className="block w-full text-sm text-gray-600 file:mr-3 file:px-3 file:py-2 file:rounded-md file:border-0 file:bg-indigo-50 file:text-indigo-700 file:font-semibold hover:file:bg-indigo-100"
+                      />
+                      <p className="mt-2 text-xs text-gray-400">
+                        File .html, atau .zip berisi HTML beserta CSS & gambarnya (maks. 20MB).
+                        Gambar di dalamnya otomatis masuk ke Media Library.
+                      </p>
+                    </div>
+                  ) : (
+                    <textarea
+                      value={htmlCode}
+                      onChange={(e) => setHtmlCode(e.target.value)}
+                      rows={10}
+                      placeholder="<!DOCTYPE html>..."
+                      disabled={isSubmitting}
+                      className="w-full mt-4 px-3 py-2 border rounded-lg font-mono text-xs text-gray-700 focus:ring-2 focus:ring-indigo-400 focus:outline-none transition"
+                    />
+                  )}
+                  <p className="mt-2 text-xs text-gray-400">
+                    Script dan elemen yang tidak aman akan dibuang, sama seperti hasil AI.
+                  </p>
+
+                  <div className="mt-6 flex justify-end space-x-2">
+                    <button
+                      type="button"
+                      className="inline-flex justify-center rounded-md border border-transparent bg-gray-100 px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-200 focus:outline-none disabled:opacity-50"
+                      onClick={onClose}
+                      disabled={isSubmitting}
+                    >
+                      Batal
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={!canSubmit || isSubmitting}
+                      className="inline-flex justify-center rounded-md border border-transparent bg-indigo-600 px-4 py-2 text-sm font-medium text-white hover:bg-indigo-700 focus:outline-none disabled:bg-indigo-300"
+                    >
+                      {isSubmitting ? 'Mengimpor...' : 'Impor'}
+                    </button>
+                  </div>
+                </form>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  );
+}
@@ -3,6 +3,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import logo from "./assets/Logo-no-bg.png";
+import { saveTokens } from "./api";
 
 export default function LoginPage() {
     const [email, setEmail] = useState('');
@@ -18,7 +19,7 @@ export default function LoginPage() {
         toast.promise(loginPromise, {
             loading: 'Mencoba login...',
             success: (response) => {
-                localStorage.setItem('accessToken', response.data.accessToken);
+                saveTokens(response.data);
                 navigate('/generator');
                 return 'Login berhasil!';
             },
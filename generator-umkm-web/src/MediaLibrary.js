@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+
+// Panel media library: daftar gambar yang pernah diunggah user (lintas sesi).
+// Gambar yang dipilih akan dikirim ke AI bersama prompt.
+export default function MediaLibrary({
+  assets,
+  selectedIds,
+  scope,
+  onScopeChange,
+  onToggle,
+  onCopy,
+  onRename,
+  onEditTags,
+  onDelete,
+  disabled,
+}) {
+  const [filter, setFilter] = useState('');
+
+  const keyword = filter.trim().toLowerCase();
+  const visibleAssets = keyword
+    ? assets.filter(
+        (asset) =>
+          asset.name.toLowerCase().includes(keyword) ||
+          asset.tags.some((tag) => tag.includes(keyword))
+      )
+    : assets;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-gray-600">Media Library:</h3>
+        <select
+          value={scope}
+          onChange={(e) => onScopeChange(e.target.value)}
+          className="text-xs border rounded px-1 py-0.5 text-gray-600 focus:outline-none"
+        >
+          <option value="project">Project ini</option>
+          <option value="all">Semua project</option>
+        </select>
+      </div>
+      <input
+        type="text"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        placeholder="Cari nama atau tag..."
+        className="w-full px-2 py-1 mb-2 text-xs border rounded focus:ring-2 focus:ring-indigo-400 focus:outline-none"
+      />
+      <div className="space-y-2 max-h-56 overflow-y-auto bg-gray-50 p-2 rounded-lg border">
+        {visibleAssets.length === 0 ? (
+          <p className="text-sm text-gray-400 text-center py-2">
+            {assets.length === 0 ? 'Belum ada gambar.' : 'Tidak ada gambar yang cocok.'}
+          </p>
+        ) : (
+          visibleAssets.map((asset) => {
+            const isSelected = selectedIds.includes(asset.id);
+            return (
+              <div
+                key={asset.id}
+                className={`flex items-start text-xs p-1 rounded shadow-sm ${
+                  isSelected ? 'bg-indigo-50 ring-1 ring-indigo-300' : 'bg-white'
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={isSelected}
+                  onChange={() => onToggle(asset)}
+                  disabled={disabled}
+                  className="mt-3 mr-2"
+                  title="Pakai gambar ini saat generate/edit"
+                />
+                <img
+                  src={asset.thumbnailUrl || asset.url}
+                  alt={asset.name}
+                  className="w-10 h-10 object-cover rounded mr-2"
+                />
+                <div className="flex-1 min-w-0">
+                  <p className="truncate text-gray-700 font-semibold" title={asset.name}>
+                    {asset.name}
+                  </p>
+                  <p className="text-gray-400">
+                    {asset.width}×{asset.height}
+                  </p>
+                  {asset.tags.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-1">
+                      {asset.tags.map((tag) => (
+                        <span
+                          key={tag}
+                          className="px-1.5 py-0.5 bg-gray-200 text-gray-600 rounded-full"
+                        >
+                          {tag}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <div className="flex space-x-2 mt-1 text-gray-400">
+                    <button onClick={() => onCopy(asset.url)} className="hover:text-indigo-500">
+                      Salin URL
+                    </button>
+                    <button onClick={() => onRename(asset)} className="hover:text-indigo-500">
+                      Ganti Nama
+                    </button>
+                    <button onClick={() => onEditTags(asset)} className="hover:text-indigo-500">
+                      Tag
+                    </button>
+                    <button
+                      onClick={() => onDelete(asset)}
+                      disabled={disabled}
+                      className="hover:text-red-500 disabled:opacity-50"
+                    >
+                      Hapus
+                    </button>
+                  </div>
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
@@ -50,8 +50,9 @@ export default function RegisterPage() {
                     </div>
                     <div>
                         <label htmlFor="password" className="text-sm font-semibold text-gray-600">Password</label>
-                        <input id="password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} required minLength="6"
+                        <input id="password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} required minLength="8" maxLength="128"
                                className="w-full px-4 py-3 mt-2 bg-gray-50 border border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-400 focus:outline-none transition" />
+                        <p className="mt-1 text-xs text-gray-500">Minimal 8 karakter, kombinasi huruf dan angka.</p>
                     </div>
                     <button type="submit" disabled={isLoading}
                             className="w-full py-3 font-bold text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 focus:outline-none focus:ring-4 focus:ring-indigo-300 transition duration-300 disabled:bg-indigo-400 flex items-center justify-center">
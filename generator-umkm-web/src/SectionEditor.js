@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+
+// Nama tampilan untuk tipe section dari dokumen situs terstruktur
+const SECTION_LABELS = {
+  hero: 'Hero',
+  about: 'Tentang',
+  products: 'Menu/Produk',
+  testimonials: 'Testimoni',
+  gallery: 'Galeri',
+  contact: 'Kontak',
+  footer: 'Footer',
+};
+
+// Nama tampilan untuk field yang umum dipakai
+const FIELD_LABELS = {
+  title: 'Judul',
+  subtitle: 'Subjudul',
+  body: 'Isi',
+  ctaText: 'Teks Tombol',
+  ctaLink: 'Link Tombol',
+  items: 'Daftar',
+  images: 'Gambar',
+  name: 'Nama',
+  description: 'Deskripsi',
+  price: 'Harga',
+  role: 'Keterangan',
+  quote: 'Kutipan',
+  caption: 'Keterangan Gambar',
+  phone: 'Telepon',
+  whatsapp: 'WhatsApp',
+  email: 'Email',
+  address: 'Alamat',
+  hours: 'Jam Buka',
+  mapsUrl: 'Link Google Maps',
+  text: 'Teks',
+};
+
+// Editor konten per section (tanpa AI). Hanya field teks yang bisa diubah di sini;
+// gambar & struktur tetap diubah lewat prompt AI.
+export default function SectionEditor({ site, sectionId, onSectionChange, onSave, disabled }) {
+  const section = site.sections.find((item) => item.id === sectionId) || site.sections[0];
+  const [draft, setDraft] = useState(section.fields);
+
+  // Reset draft setiap kali section atau versi yang dibuka berganti
+  useEffect(() => {
+    setDraft(section.fields);
+  }, [section]);
+
+  const updateValue = (path, value) => {
+    setDraft((prev) => {
+      const next = structuredClone(prev);
+      let target = next;
+      path.slice(0, -1).forEach((key) => {
+        target = target[key];
+      });
+      target[path[path.length - 1]] = value;
+      return next;
+    });
+  };
+
+  const renderFields = (fields, path = []) =>
+    Object.entries(fields).map(([key, value]) => {
+      const fieldPath = [...path, key];
+      const label = FIELD_LABELS[key] || key;
+      if (typeof value === 'string') {
+        const isLong = value.length > 80 || value.includes('\n');
+        const InputTag = isLong ? 'textarea' : 'input';
+        return (
+          <label key={fieldPath.join('.')} className="block text-xs text-gray-500 mt-2">
+            {label}
+            <InputTag
+              value={value}
+              onChange={(e) => updateValue(fieldPath, e.target.value)}
+              disabled={disabled}
+              rows={isLong ? 3 : undefined}
+              className="w-full px-2 py-1 mt-1 border rounded text-sm text-gray-700 focus:ring-2 focus:ring-indigo-400 focus:outline-none"
+            />
+          </label>
+        );
+      }
+      if (Array.isArray(value)) {
+        return (
+          <div key={fieldPath.join('.')} className="mt-2">
+            <p className="text-xs font-semibold text-gray-500">{label}</p>
+            {value.map((item, index) => (
+              <div key={index} className="pl-2 mt-1 border-l-2 border-indigo-100">
+                <p className="text-xs text-gray-400">#{index + 1}</p>
+                {renderFields(item, [...fieldPath, index])}
+              </div>
+            ))}
+          </div>
+        );
+      }
+      return null; // Field gambar tidak diedit di sini
+    });
+
+  return (
+    <div>
+      <select
+        value={section.id}
+        onChange={(e) => onSectionChange(e.target.value)}
+        className="w-full px-2 py-1 text-sm border rounded text-gray-700 focus:outline-none"
+      >
+        {site.sections.map((item) => (
+          <option key={item.id} value={item.id}>
+            {SECTION_LABELS[item.type] || item.type}
+            {item.fields.title ? ` - ${item.fields.title}` : ''}
+          </option>
+        ))}
+      </select>
+      <div className="max-h-64 overflow-y-auto pr-1">{renderFields(draft)}</div>
+      <div className="flex justify-end space-x-2 mt-3">
+        <button
+          onClick={() => setDraft(section.fields)}
+          disabled={disabled || draft === section.fields}
+          className="px-3 py-1 text-xs font-semibold text-gray-600 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-50"
+        >
+          Batal
+        </button>
+        <button
+          onClick={() => onSave(section.id, draft)}
+          disabled={disabled || draft === section.fields}
+          className="px-3 py-1 text-xs font-semibold text-white bg-indigo-600 rounded hover:bg-indigo-700 disabled:bg-indigo-300"
+        >
+          Simpan sebagai Versi Baru
+        </button>
+      </div>
+    </div>
+  );
+}
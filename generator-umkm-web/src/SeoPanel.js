@@ -0,0 +1,153 @@
+import React, { useEffect, useState } from 'react';
+
+// Pengaturan SEO & checklist kesiapan versi aktif. Tag SEO, favicon, sitemap, dan
+// robots.txt disusun server setiap kali website dipublikasikan.
+export default function SeoPanel({ report, assets, onSave, onRefresh, isSaving, isChecking }) {
+  const [form, setForm] = useState(null);
+
+  useEffect(() => {
+    if (report) setForm(report.settings);
+  }, [report]);
+
+  const updateField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isSaving) return;
+    onSave(form);
+  };
+
+  if (!report || !form) {
+    return (
+      <button
+        type="button"
+        onClick={onRefresh}
+        disabled={isChecking}
+        className="w-full mt-2 px-3 py-2 text-sm font-semibold text-indigo-700 bg-indigo-50 rounded-lg hover:bg-indigo-100 disabled:text-gray-400"
+      >
+        {isChecking ? 'Memeriksa...' : 'Periksa SEO Versi Ini'}
+      </button>
+    );
+  }
+
+  // Gambar yang pernah dipilih tetap tampil walaupun tidak ada di daftar media saat ini
+  const assetOptions = (selectedId) => [
+    ...(selectedId && !assets.some((asset) => asset.id === selectedId)
+      ? [{ id: selectedId, name: `Gambar #${selectedId}` }]
+      : []),
+    ...assets,
+  ];
+  const inputClass =
+    'w-full px-2 py-1 mt-1 border rounded text-sm text-gray-700 focus:ring-2 focus:ring-indigo-400 focus:outline-none';
+  const { preview, checklist } = report;
+  const passed = checklist.filter((item) => item.ok).length;
+
+  return (
+    <div className="mt-2 space-y-3">
+      {/* Perkiraan tampilan saat link dibagikan di WhatsApp/Facebook */}
+      <div className="border rounded-lg overflow-hidden bg-gray-50">
+        {preview.image && (
+          <img src={preview.image} alt="" className="w-full h-28 object-cover" />
+        )}
+        <div className="p-2">
+          <p className="text-xs text-gray-400 break-all">{preview.url || 'Alamat dibuat saat publikasi'}</p>
+          <p className="text-sm font-semibold text-gray-800">{preview.title || '(tanpa judul)'}</p>
+          <p className="text-xs text-gray-500">{preview.description}</p>
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between">
+          <p className="text-sm font-semibold text-gray-700">
+            Checklist SEO ({passed}/{checklist.length})
+          </p>
+          <button
+            type="button"
+            onClick={onRefresh}
+            disabled={isChecking}
+            className="text-xs font-semibold text-indigo-600 hover:underline disabled:text-gray-400"
+          >
+            {isChecking ? 'Memeriksa...' : 'Periksa ulang'}
+          </button>
+        </div>
+        <ul className="mt-1 space-y-1">
+          {checklist.map((item) => (
+            <li key={item.id} className="flex items-start text-xs">
+              <span className={`mr-2 font-bold ${item.ok ? 'text-green-600' : 'text-amber-500'}`}>
+                {item.ok ? '✓' : '!'}
+              </span>
+              <span>
+                <span className="font-semibold text-gray-700">{item.label}</span>
+                <span className="block text-gray-500">{item.detail}</span>
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-2 border-t pt-2">
+        <label className="block text-xs font-semibold text-gray-600">
+          Judul (kosongkan untuk memakai nama & tagline dari Profil Bisnis)
+          <input
+            type="text"
+            value={form.title}
+            onChange={(e) => updateField('title', e.target.value)}
+            maxLength={70}
+            className={inputClass}
+          />
+        </label>
+        <label className="block text-xs font-semibold text-gray-600">
+          Deskripsi (kosongkan untuk disusun dari Profil Bisnis)
+          <textarea
+            value={form.description}
+            onChange={(e) => updateField('description', e.target.value)}
+            rows={2}
+            maxLength={160}
+            className={inputClass}
+          />
+        </label>
+        <label className="block text-xs font-semibold text-gray-600">
+          Gambar preview saat dibagikan
+          <select
+            value={form.shareImageAssetId || ''}
+            onChange={(e) => updateField('shareImageAssetId', Number(e.target.value) || null)}
+            className={inputClass}
+          >
+            <option value="">Gambar pertama di halaman</option>
+            {assetOptions(form.shareImageAssetId).map((asset) => (
+              <option key={asset.id} value={asset.id}>
+                {asset.name || `Gambar #${asset.id}`}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-xs font-semibold text-gray-600">
+          Logo (untuk favicon)
+          <select
+            value={form.logoAssetId || ''}
+            onChange={(e) => updateField('logoAssetId', Number(e.target.value) || null)}
+            className={inputClass}
+          >
+            <option value="">Tanpa favicon</option>
+            {assetOptions(form.logoAssetId).map((asset) => (
+              <option key={asset.id} value={asset.id}>
+                {asset.name || `Gambar #${asset.id}`}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="w-full px-3 py-1 text-xs font-semibold text-white bg-indigo-600 rounded hover:bg-indigo-700 disabled:bg-indigo-300"
+        >
+          {isSaving ? 'Menyimpan...' : 'Simpan Pengaturan SEO'}
+        </button>
+        <p className="text-xs text-gray-400">
+          Berlaku saat website dipublikasikan berikutnya. Alamat, WhatsApp, dan lokasi untuk
+          Google diambil dari Profil Bisnis.
+        </p>
+      </form>
+    </div>
+  );
+}
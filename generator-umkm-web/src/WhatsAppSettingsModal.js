@@ -0,0 +1,166 @@
+import React, { Fragment, useEffect, useState } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+
+const OPTIONS = [
+  {
+    id: 'floatingButton',
+    label: 'Tombol chat melayang',
+    description: 'Tombol WhatsApp di pojok kanan bawah halaman.',
+  },
+  {
+    id: 'productLinks',
+    label: 'Tombol pesan per produk',
+    description: 'Pesan berisi nama produk, jumlah, dan harga langsung terisi.',
+  },
+  {
+    id: 'cart',
+    label: 'Keranjang pesanan',
+    description: 'Pengunjung bisa memilih beberapa produk lalu mengirim satu pesan.',
+  },
+];
+
+// Pengaturan integrasi WhatsApp per project. Tombol-tombolnya disisipkan otomatis oleh
+// server (bukan oleh AI), jadi tetap ada walaupun website diedit berkali-kali.
+export default function WhatsAppSettingsModal({ isOpen, onClose, settings, onSave, isSaving }) {
+  const [form, setForm] = useState(null);
+
+  useEffect(() => {
+    if (isOpen && settings) setForm(settings);
+  }, [isOpen, settings]);
+
+  const updateField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isSaving) return;
+    onSave(form);
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 mt-1 border rounded-lg text-sm text-gray-700 focus:ring-2 focus:ring-indigo-400 focus:outline-none transition';
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-10" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black bg-opacity-25" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-lg transform overflow-hidden rounded-2xl bg-white p-6 text-left shadow-xl transition-all">
+                <Dialog.Title as="h3" className="text-lg font-bold leading-6 text-gray-900">
+                  Integrasi WhatsApp
+                </Dialog.Title>
+                <p className="mt-1 text-sm text-gray-500">
+                  Berlaku untuk versi yang disimpan berikutnya dan setiap kali website
+                  dipublikasikan atau diunduh.
+                </p>
+
+                {form && (
+                  <form onSubmit={handleSubmit} className="mt-4 space-y-3">
+                    <label className="flex items-center text-sm font-semibold text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.enabled}
+                        onChange={(e) => updateField('enabled', e.target.checked)}
+                        className="mr-2"
+                      />
+                      Aktifkan WhatsApp di website ini
+                    </label>
+
+                    <label className="block text-sm font-semibold text-gray-600">
+                      Nomor WhatsApp
+                      <input
+                        type="tel"
+                        value={form.number}
+                        onChange={(e) => updateField('number', e.target.value)}
+                        placeholder={form.profileNumber || '0812-3456-7890'}
+                        maxLength={30}
+                        disabled={!form.enabled}
+                        className={inputClass}
+                      />
+                      <span className="block mt-1 text-xs font-normal text-gray-400">
+                        {form.profileNumber
+                          ? `Kosongkan untuk memakai nomor dari profil bisnis (${form.profileNumber}).`
+                          : 'Wajib diisi, atau isi nomor WhatsApp di Profil Bisnis.'}
+                      </span>
+                    </label>
+
+                    <label className="block text-sm font-semibold text-gray-600">
+                      Pesan pembuka chat
+                      <textarea
+                        value={form.greeting}
+                        onChange={(e) => updateField('greeting', e.target.value)}
+                        rows={2}
+                        maxLength={300}
+                        disabled={!form.enabled}
+                        className={inputClass}
+                      />
+                    </label>
+
+                    <div className="space-y-2">
+                      {OPTIONS.map((option) => (
+                        <label key={option.id} className="flex items-start text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={form[option.id]}
+                            onChange={(e) => updateField(option.id, e.target.checked)}
+                            disabled={!form.enabled || (option.id === 'cart' && !form.productLinks)}
+                            className="mr-2 mt-1"
+                          />
+                          <span>
+                            <span className="font-semibold">{option.label}</span>
+                            <span className="block text-xs text-gray-400">{option.description}</span>
+                          </span>
+                        </label>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-400">
+                      Tombol pesan muncul pada kartu produk yang ditandai AI (atribut data-product).
+                      Link "Pesan Sekarang" yang masih kosong otomatis diarahkan ke chat.
+                    </p>
+
+                    <div className="mt-6 flex justify-end space-x-2">
+                      <button
+                        type="button"
+                        className="inline-flex justify-center rounded-md border border-transparent bg-gray-100 px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-200 focus:outline-none"
+                        onClick={onClose}
+                      >
+                        Batal
+                      </button>
+                      <button
+                        type="submit"
+                        disabled={isSaving}
+                        className="inline-flex justify-center rounded-md border border-transparent bg-indigo-600 px-4 py-2 text-sm font-medium text-white hover:bg-indigo-700 focus:outline-none disabled:bg-indigo-300"
+                      >
+                        {isSaving ? 'Menyimpan...' : 'Simpan Pengaturan'}
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  );
+}
@@ -0,0 +1,183 @@
+import axios from "axios";
+
+// --- Penyimpanan token di localStorage ---
+const ACCESS_TOKEN_KEY = "accessToken";
+const REFRESH_TOKEN_KEY = "refreshToken";
+
+// Kode error dari backend yang berarti access token perlu diperbarui
+const REFRESHABLE_ERROR_CODES = [
+  "TOKEN_MISSING",
+  "TOKEN_EXPIRED",
+  "TOKEN_INVALID",
+  "SESSION_REVOKED",
+];
+
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY);
+
+// Masih login selama salah satu token ada: access token yang hilang atau kadaluarsa
+// bisa diperbarui dengan refresh token
+export const hasSession = () =>
+  !!(getAccessToken() || localStorage.getItem(REFRESH_TOKEN_KEY));
+
+export const saveTokens = ({ accessToken, refreshToken }) => {
+  localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+// Satu proses refresh dipakai bersama oleh semua request yang gagal bersamaan,
+// karena refresh token dirotasi dan hanya boleh dipakai sekali.
+let refreshPromise = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    refreshPromise = (
+      refreshToken
+        ? axios.post("/api/auth/refresh", { refreshToken })
+        : Promise.reject(new Error("Refresh token tidak ditemukan."))
+    )
+      .then((response) => {
+        saveTokens(response.data);
+        return response.data.accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Dipanggil saat halaman dibuka: jika hanya refresh token yang tersisa, perbarui access
+// token dulu. Mengembalikan false jika pengguna harus login ulang.
+export const ensureAccessToken = async () => {
+  if (getAccessToken()) return true;
+  if (!hasSession()) return false;
+  try {
+    await refreshAccessToken();
+    return true;
+  } catch (refreshError) {
+    clearTokens();
+    return false;
+  }
+};
+
+export const isAuthError = (response) =>
+  !!response &&
+  (response.status === 401 || response.status === 403) &&
+  REFRESHABLE_ERROR_CODES.includes(response.data?.code);
+
+// Membuat instance axios yang otomatis memperbarui token saat mendapat 401/403.
+// `onAuthFailure` dipanggil jika refresh juga gagal (misal sesi sudah dicabut).
+export const createApiClient = (onAuthFailure) => {
+  const api = axios.create({ baseURL: "/" });
+
+  api.interceptors.request.use((config) => {
+    const token = getAccessToken();
+    if (token) config.headers.Authorization = `Bearer ${token}`;
+    return config;
+  });
+
+  api.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config, response } = error;
+      if (!config || config._retried || !isAuthError(response)) {
+        throw error;
+      }
+
+      config._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch (refreshError) {
+        clearTokens();
+        if (onAuthFailure) onAuthFailure();
+        throw error;
+      }
+    }
+  );
+
+  return api;
+};
+
+// Logout di server (perangkat ini atau semua perangkat), lalu hapus token lokal
+export const logout = async ({ allDevices = false } = {}) => {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  try {
+    if (refreshToken) {
+      await axios.post("/api/auth/logout", { refreshToken, allDevices });
+    }
+  } catch (error) {
+    console.error("Gagal logout di server:", error);
+  }
+  clearTokens();
+};
+
+// Membuka endpoint Server-Sent Events dan memanggil `onEvent(event, data)` untuk setiap
+// event yang diterima. Memakai fetch karena EventSource tidak mendukung POST maupun
+// header Authorization. Tanpa `body`, request dikirim sebagai GET.
+export const streamRequest = async (path, body, { signal, onEvent }) => {
+  const send = () => {
+    const token = getAccessToken();
+    return fetch(path, {
+      method: body ? "POST" : "GET",
+      headers: {
+        ...(body ? { "Content-Type": "application/json" } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal,
+    });
+  };
+
+  let response = await send();
+  if (response.status === 401 || response.status === 403) {
+    const data = await response.clone().json().catch(() => ({}));
+    if (isAuthError({ status: response.status, data })) {
+      try {
+        await refreshAccessToken();
+      } catch (refreshError) {
+        // Sesi sudah dicabut: kembalikan error auth asli agar pemanggil mengarahkan ke login
+        clearTokens();
+        const error = new Error(data.message);
+        error.response = { status: response.status, data };
+        throw error;
+      }
+      response = await send();
+    }
+  }
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || data.message || response.statusText);
+    error.response = { status: response.status, data };
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Setiap event SSE dipisahkan oleh baris kosong
+    const rawEvents = buffer.split("\n\n");
+    buffer = rawEvents.pop();
+    for (const rawEvent of rawEvents) {
+      let event = "message";
+      let data = "";
+      for (const line of rawEvent.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+};